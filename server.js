@@ -1,19 +1,76 @@
 const express = require('express');
-const path = require('path');
 const dotenv = require('dotenv');
 const cors = require('cors');
 const cookieParser = require('cookie-parser');
 const connectDB = require('./src/config/db');
 const errorHandler = require('./src/middleware/error');
+const paymentProcessor = require('./src/utils/paymentProcessor');
+const payoutService = require('./src/utils/payoutService');
+const refundService = require('./src/utils/refundService');
+const paymentScheduleJob = require('./src/jobs/paymentScheduleJob');
+const smsOutboxJob = require('./src/jobs/smsOutboxJob');
+const notificationHub = require('./src/utils/notificationHub');
+const jwtKeyring = require('./src/utils/jwtKeyring');
+const pricingConfig = require('./src/config/pricing');
+const oneTimeCodesConfig = require('./src/config/oneTimeCodes');
+const mfaConfig = require('./src/config/mfa');
+const uploadsConfig = require('./src/config/uploads');
+const cardVaultConfig = require('./src/config/cardVault');
 
 // Charger les variables d'environnement
 dotenv.config();
 
+// Refuser de démarrer en production avec des secrets par défaut ou publiés
+if (process.env.NODE_ENV === 'production') {
+  const insecure = jwtKeyring.insecureKeys().map(key => `clé JWT ${key}`);
+  if (pricingConfig.quoteSigningSecret === pricingConfig.DEFAULT_QUOTE_SIGNING_SECRET) {
+    insecure.push('QUOTE_SIGNING_SECRET');
+  }
+  if (oneTimeCodesConfig.secret === oneTimeCodesConfig.DEFAULT_OTP_SECRET) {
+    insecure.push('OTP_SECRET');
+  }
+  if (mfaConfig.encryptionKey === mfaConfig.DEFAULT_MFA_ENCRYPTION_KEY) {
+    insecure.push('MFA_ENCRYPTION_KEY');
+  }
+  if (!cardVaultConfig.tokenSecret) {
+    insecure.push('CARD_VAULT_SECRET');
+  }
+  if (uploadsConfig.driver === 'local' && uploadsConfig.signingSecret === uploadsConfig.DEFAULT_STORAGE_SIGNING_SECRET) {
+    insecure.push('STORAGE_SIGNING_SECRET');
+  }
+
+  if (insecure.length > 0) {
+    console.error(`Démarrage refusé: secrets par défaut ou trop faibles en production (${insecure.join(', ')})`);
+    process.exit(1);
+  }
+}
+
 // Connexion à la base de données
 connectDB();
 
+// Écouter les confirmations asynchrones des fournisseurs (paiements, remboursements, versements)
+paymentProcessor.init();
+refundService.init();
+payoutService.init();
+
+// Rappels d'échéances et annulation des réservations dont l'acompte n'a pas été versé
+paymentScheduleJob.start();
+
+// Nouvelles tentatives des SMS dont l'envoi a échoué
+smsOutboxJob.start();
+
+// Notifications temps réel: suivre celles créées par toutes les instances (change stream MongoDB)
+notificationHub.start();
+
 const app = express();
 
+// Derrière un proxy (hébergeur, load balancer), lire l'IP du client dans X-Forwarded-For
+// pour que les limites par IP ne s'appliquent pas à tous les clients à la fois
+if (process.env.TRUST_PROXY) {
+  const hops = Number(process.env.TRUST_PROXY);
+  app.set('trust proxy', Number.isInteger(hops) ? hops : process.env.TRUST_PROXY === 'true' || process.env.TRUST_PROXY);
+}
+
 // Configuration CORS
 app.use(cors({
   origin: process.env.CORS_ORIGIN || 'https://agence-talent.vercel.app',
@@ -23,69 +80,30 @@ app.use(cors({
 }));
 
 // Middleware pour parser le JSON et les cookies
-app.use(express.json());
+// Conserver le corps brut pour la vérification des signatures de webhooks
+app.use(express.json({
+  verify: (req, res, buf) => {
+    req.rawBody = buf.toString('utf8');
+  }
+}));
 app.use(express.urlencoded({ extended: false }));
 app.use(cookieParser());
 
 // Middleware pour logger les requêtes
 app.use((req, res, next) => {
   console.log(`${req.method} ${req.url}`);
-  
-  // Rediriger les requêtes mal formées comme /apiuploads vers /uploads
-  if (req.url.startsWith('/apiuploads')) {
-    const newUrl = req.url.replace('/apiuploads', '/uploads');
-    console.log(`Redirection de ${req.url} vers ${newUrl}`);
-    req.url = newUrl;
-  }
-  
-  // Rediriger les requêtes avec /api/uploads vers /uploads
-  if (req.url.startsWith('/api/uploads')) {
-    const newUrl = req.url.replace('/api/uploads', '/uploads');
-    console.log(`Redirection de ${req.url} vers ${newUrl}`);
-    return res.redirect(newUrl);
-  }
-  
-  next();
-});
-
-// Middleware pour servir les fichiers statiques
-// Gère les URL commençant par "/uploads"
-app.use('/uploads', express.static(path.join(__dirname, 'uploads'), {
-  setHeaders: (res, filePath) => {
-    setContentType(res, filePath);
-  }
-}));
-
-// Loguer les chemins statiques configurés
-console.log('Dossier uploads servi depuis:', path.join(__dirname, 'uploads'));
-
-// Middleware pour gérer aussi les URL sans slash au début (ex: "uploads/...")
-app.use((req, res, next) => {
-  if (req.url.startsWith('uploads/')) {
-    // Rediriger vers la même URL avec un slash au début
-    console.log(`Redirection de ${req.url} vers /${req.url}`);
-    return res.redirect(`/${req.url}`);
-  }
   next();
 });
 
-// Fonction pour définir le type de contenu approprié
-function setContentType(res, filePath) {
-  if (filePath.endsWith('.jpg') || filePath.endsWith('.jpeg')) {
-    res.setHeader('Content-Type', 'image/jpeg');
-  } else if (filePath.endsWith('.png')) {
-    res.setHeader('Content-Type', 'image/png');
-  } else if (filePath.endsWith('.gif')) {
-    res.setHeader('Content-Type', 'image/gif');
-  } else if (filePath.endsWith('.webp')) {
-    res.setHeader('Content-Type', 'image/webp');
-  } else if (filePath.endsWith('.mp4')) {
-    res.setHeader('Content-Type', 'video/mp4');
-  } else if (filePath.endsWith('.webm')) {
-    res.setHeader('Content-Type', 'video/webm');
-  } else if (filePath.endsWith('.mp3')) {
-    res.setHeader('Content-Type', 'audio/mpeg');
-  }
+// Fichiers publics du stockage local, sous leurs URL canoniques (/uploads/<clé>)
+// Avec le stockage S3, ils sont servis par le bucket public
+if (uploadsConfig.driver === 'local') {
+  app.use('/uploads', express.static(uploadsConfig.publicDir, {
+    setHeaders: (res) => {
+      res.setHeader('X-Content-Type-Options', 'nosniff');
+    }
+  }));
+  console.log('Dossier uploads servi depuis:', uploadsConfig.publicDir);
 }
 
 // Routes API
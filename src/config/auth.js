@@ -0,0 +1,75 @@
+// Configuration des clés de signature des jetons d'authentification
+require('dotenv').config();
+
+// Clés par défaut (développement uniquement: elles sont publiques)
+const DEFAULT_JWT_SECRET = 'bookmi_default_jwt_secret_key';
+const DEFAULT_REFRESH_SECRET = 'bookmi_default_refresh_secret_key';
+const DEFAULT_MFA_SECRET = 'bookmi_default_mfa_challenge_secret_key';
+
+// Secrets publiés dans le dépôt, refusés en production au même titre que les clés par défaut
+const KNOWN_DEFAULT_SECRETS = [
+  DEFAULT_JWT_SECRET,
+  DEFAULT_REFRESH_SECRET,
+  DEFAULT_MFA_SECRET,
+  'bookmi_jwt_secret_key',
+  'bookmi_secret_key_for_jwt_tokens',
+  'bookmi_secret_key_for_refresh_tokens'
+];
+
+/**
+ * Lire un trousseau de clés depuis l'environnement
+ * Format de la liste: "kid1:secret1,kid2:secret2"; la première clé signe, les suivantes
+ * (clés retirées) ne servent plus qu'à vérifier les jetons encore en circulation
+ * @param {String} list - Valeur de la variable listant les clés
+ * @param {String} activeKid - Identifiant de la clé de signature (par défaut la première)
+ * @param {String} secret - Secret unique, utilisé si aucune liste n'est fournie
+ * @param {String} defaultSecret - Secret par défaut
+ * @returns {Object} - { activeKid, keys: { kid: secret } }
+ */
+const loadKeyring = (list, activeKid, secret, defaultSecret) => {
+  const entries = (list || '')
+    .split(',')
+    .map(entry => entry.trim())
+    .filter(Boolean)
+    .map(entry => {
+      const separator = entry.indexOf(':');
+      return separator > 0
+        ? [entry.slice(0, separator).trim(), entry.slice(separator + 1).trim()]
+        : null;
+    })
+    .filter(entry => entry && entry[1]);
+
+  if (entries.length === 0) {
+    entries.push(['primary', secret || defaultSecret]);
+  }
+
+  return {
+    activeKid: activeKid || entries[0][0],
+    keys: Object.fromEntries(entries)
+  };
+};
+
+module.exports = {
+  // Jetons d'accès
+  access: {
+    ...loadKeyring(process.env.JWT_KEYS, process.env.JWT_ACTIVE_KID, process.env.JWT_SECRET, DEFAULT_JWT_SECRET),
+    expiresIn: process.env.JWT_EXPIRE || '1h'
+  },
+
+  // Jetons de rafraîchissement
+  refresh: {
+    ...loadKeyring(process.env.REFRESH_TOKEN_KEYS, process.env.REFRESH_TOKEN_ACTIVE_KID, process.env.REFRESH_TOKEN_SECRET, DEFAULT_REFRESH_SECRET),
+    expiresIn: process.env.REFRESH_TOKEN_EXPIRE || '7d'
+  },
+
+  // Jetons de challenge de la double authentification (mot de passe validé, code TOTP attendu)
+  mfa: {
+    ...loadKeyring(process.env.MFA_TOKEN_KEYS, process.env.MFA_TOKEN_ACTIVE_KID, process.env.MFA_TOKEN_SECRET, DEFAULT_MFA_SECRET),
+    expiresIn: process.env.MFA_CHALLENGE_EXPIRE || '5m'
+  },
+
+  // Longueur minimale d'un secret accepté en production
+  minSecretLength: 32,
+
+  KNOWN_DEFAULT_SECRETS
+};
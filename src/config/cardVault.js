@@ -0,0 +1,12 @@
+// Configuration du coffre de cartes bancaires
+require('dotenv').config();
+
+module.exports = {
+  // Clé HMAC servant à dériver les jetons de carte (obligatoire en production)
+  // Elle ne doit jamais être stockée dans la base: sans elle, un jeton ne permet pas de retrouver le numéro
+  tokenSecret: process.env.CARD_VAULT_SECRET ||
+    (process.env.NODE_ENV === 'production' ? undefined : 'bookmi_card_vault_secret'),
+
+  // Préfixe des jetons émis par le coffre
+  tokenPrefix: 'card_'
+};
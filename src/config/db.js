@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const transactions = require('../utils/transactions');
 require('dotenv').config();
 
 const connectDB = async () => {
@@ -9,6 +10,17 @@ const connectDB = async () => {
     });
     
     console.log(`MongoDB connecté: ${conn.connection.host}`);
+
+    // Le grand livre et les paiements sont écrits dans des transactions: en production,
+    // refuser un serveur autonome plutôt que d'écrire des mouvements d'argent incomplets
+    const transactionsSupported = await transactions.detect(conn.connection);
+    if (!transactionsSupported) {
+      if (process.env.NODE_ENV === 'production') {
+        console.error('Démarrage refusé: MongoDB doit être un replica set ou un cluster shardé pour les transactions en production');
+        process.exit(1);
+      }
+      console.warn('MongoDB sans transactions (serveur autonome): les écritures du grand livre ne sont pas atomiques');
+    }
   } catch (error) {
     console.error(`Erreur: ${error.message}`);
     process.exit(1);
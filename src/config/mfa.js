@@ -0,0 +1,32 @@
+// Configuration de l'authentification à deux facteurs (TOTP)
+require('dotenv').config();
+
+// Clé de chiffrement par défaut des secrets TOTP (à remplacer en production)
+const DEFAULT_MFA_ENCRYPTION_KEY = 'bookmi_default_mfa_encryption_key';
+
+module.exports = {
+  // Émetteur affiché dans l'application d'authentification
+  issuer: process.env.MFA_ISSUER || 'BookMi',
+
+  // Paramètres TOTP (RFC 6238): codes à 6 chiffres renouvelés toutes les 30 secondes
+  digits: 6,
+  periodSeconds: 30,
+  // Pas de 30 secondes tolérés avant et après l'heure du serveur (décalage d'horloge)
+  window: 1,
+
+  // Nombre de codes de secours générés à l'activation
+  backupCodeCount: 10,
+
+  // Rôles pouvant activer la double authentification (comptes qui reçoivent des versements, administrateurs)
+  eligibleRoles: ['artist', 'admin'],
+
+  // Rôles soumis à la 2FA tant qu'un administrateur n'a pas enregistré de politique (ex: "admin,artist")
+  requiredRoles: (process.env.MFA_REQUIRED_ROLES || '').split(',').map(role => role.trim()).filter(Boolean),
+
+  // Durée de mise en cache de la politique de sécurité (rôles soumis à la 2FA)
+  policyCacheSeconds: 60,
+
+  // Les secrets TOTP doivent pouvoir être relus: ils sont chiffrés (AES-256-GCM) avec cette clé
+  DEFAULT_MFA_ENCRYPTION_KEY,
+  encryptionKey: process.env.MFA_ENCRYPTION_KEY || DEFAULT_MFA_ENCRYPTION_KEY
+};
@@ -0,0 +1,107 @@
+// Configuration des notifications
+require('dotenv').config();
+
+// Canaux de diffusion des notifications
+const CHANNELS = ['inApp', 'sms', 'email', 'push'];
+
+// Langues des notifications (User.locale)
+const LOCALES = ['fr', 'en'];
+
+// Canaux activés par défaut pour chaque type, tant que l'utilisateur n'a rien choisi
+// (in-app pour tous les types, SMS pour les événements urgents, e-mail pour ceux qui font trace)
+const SMS_TYPES = ['new_reservation', 'reservation_confirmed', 'reservation_cancelled', 'payment_reminder'];
+const EMAIL_TYPES = [
+  'new_reservation',
+  'reservation_confirmed',
+  'reservation_completed',
+  'reservation_cancelled',
+  'payment_confirmed',
+  'payment_refunded',
+  'payment_failed',
+  'payout_completed',
+  'payout_failed',
+  'verification_approved',
+  'verification_rejected'
+];
+
+/**
+ * Canaux activés par défaut pour un type de notification
+ * @param {String} type - Type de notification
+ * @returns {Object} - { inApp, sms, email, push }
+ */
+const defaultChannels = (type) => ({
+  inApp: true,
+  sms: SMS_TYPES.includes(type),
+  email: EMAIL_TYPES.includes(type),
+  push: true
+});
+
+module.exports = {
+  CHANNELS,
+  LOCALES,
+  defaultChannels,
+
+  // Langue des notifications lorsque l'utilisateur n'en a pas choisi
+  defaultLocale: 'fr',
+
+  // Durée de mise en cache des modèles de notification modifiés par les administrateurs
+  // (les autres instances du serveur voient une modification au plus tard après ce délai)
+  templateCacheSeconds: parseInt(process.env.NOTIFICATIONS_TEMPLATE_CACHE_SECONDS || '60', 10),
+
+  // Fuseau horaire des heures calmes lorsque l'utilisateur n'en précise pas
+  defaultTimezone: process.env.NOTIFICATIONS_DEFAULT_TIMEZONE || 'Africa/Abidjan',
+
+  // Pendant les heures calmes: SMS envoyés à leur fin, notifications push abandonnées
+  // (la notification reste visible dans l'application), e-mails envoyés normalement
+  quietHoursPolicy: {
+    sms: 'defer',
+    push: 'skip',
+    email: 'send'
+  },
+
+  // Transport de chaque canal externe (les SMS passent par la file d'envoi et ses transports)
+  // Les transports console affichent destinataires et contenus: ils ne sont jamais choisis par défaut en production
+  transports: {
+    // console (développement) ou sendgrid
+    email: process.env.EMAIL_TRANSPORT || (process.env.NODE_ENV === 'production' ? 'sendgrid' : 'console'),
+    // console (développement) ou fcm (Firebase Cloud Messaging)
+    push: process.env.PUSH_TRANSPORT || (process.env.NODE_ENV === 'production' ? 'fcm' : 'console')
+  },
+
+  email: {
+    from: process.env.EMAIL_FROM || 'notifications@bookmi.ci',
+    fromName: process.env.EMAIL_FROM_NAME || 'BookMi',
+    sendgrid: {
+      apiKey: process.env.SENDGRID_API_KEY
+    }
+  },
+
+  push: {
+    // Appareils enregistrés au plus par utilisateur (les plus anciens sont oubliés)
+    maxTokensPerUser: 10,
+    // Compte de service Firebase (API HTTP v1)
+    fcm: {
+      projectId: process.env.FCM_PROJECT_ID,
+      clientEmail: process.env.FCM_CLIENT_EMAIL,
+      // Les retours à la ligne de la clé sont échappés dans les fichiers .env
+      privateKey: (process.env.FCM_PRIVATE_KEY || '').replace(/\\n/g, '\n')
+    }
+  },
+
+  // Flux temps réel (Server-Sent Events, GET /api/notifications/stream)
+  stream: {
+    // Suivre les notifications créées par toutes les instances du serveur via un change stream MongoDB
+    // (replica set ou cluster requis). Sinon, ou avec "false", seules celles créées par l'instance sont poussées
+    changeStream: process.env.NOTIFICATIONS_CHANGE_STREAM !== 'false',
+    // Nouvelle tentative d'ouverture du change stream après une erreur
+    changeStreamRetrySeconds: parseInt(process.env.NOTIFICATIONS_CHANGE_STREAM_RETRY_SECONDS || '30', 10),
+    // Commentaire envoyé régulièrement pour garder la connexion ouverte à travers les proxys
+    heartbeatSeconds: parseInt(process.env.NOTIFICATIONS_HEARTBEAT_SECONDS || '25', 10),
+    // Délai de reconnexion indiqué au navigateur
+    retryMilliseconds: 5000,
+    // Notifications manquées renvoyées à la reconnexion (au-delà, le client doit recharger la liste)
+    catchUpLimit: 100,
+    // Regroupement des mises à jour du compteur de non lues (ex: "tout marquer comme lu")
+    unreadCountDebounceMs: 200
+  }
+};
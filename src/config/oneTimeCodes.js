@@ -0,0 +1,22 @@
+// Configuration des codes à usage unique (SMS)
+require('dotenv').config();
+
+// Clé de hachage par défaut des codes (à remplacer en production)
+const DEFAULT_OTP_SECRET = 'bookmi_default_otp_secret';
+
+module.exports = {
+  // Nombre de chiffres d'un code
+  length: 6,
+
+  // Durée de validité d'un code selon son usage, en minutes
+  ttlMinutes: {
+    verify_phone: parseInt(process.env.OTP_VERIFY_PHONE_TTL_MINUTES || '60', 10),
+    reset_password: parseInt(process.env.OTP_RESET_PASSWORD_TTL_MINUTES || '15', 10),
+    change_phone: parseInt(process.env.OTP_CHANGE_PHONE_TTL_MINUTES || '15', 10),
+    login: parseInt(process.env.OTP_LOGIN_TTL_MINUTES || '5', 10)
+  },
+
+  // Clé HMAC des codes: un accès à la base seule ne permet pas de retrouver un code en cours
+  DEFAULT_OTP_SECRET,
+  secret: process.env.OTP_SECRET || DEFAULT_OTP_SECRET
+};
@@ -0,0 +1,57 @@
+// Configuration des fournisseurs de paiement mobile money
+require('dotenv').config();
+
+module.exports = {
+  // 'simulator' (par défaut hors production) ou 'live'
+  mode: process.env.PAYMENT_PROVIDER_MODE || (process.env.NODE_ENV === 'production' ? 'live' : 'simulator'),
+
+  // URL publique de l'API, utilisée pour les URL de notification des opérateurs
+  callbackBaseUrl: process.env.PAYMENT_CALLBACK_BASE_URL || 'http://localhost:5000',
+
+  // Page du front vers laquelle l'opérateur redirige le booker après le paiement
+  returnUrl: process.env.PAYMENT_RETURN_URL || `${process.env.CORS_ORIGIN || 'https://agence-talent.vercel.app'}/payments/return`,
+
+  // Écart maximal toléré entre l'horodatage signé d'un webhook et l'heure du serveur
+  webhookToleranceSeconds: parseInt(process.env.WEBHOOK_TOLERANCE_SECONDS || '300', 10),
+
+  // Simulateur local
+  simulator: {
+    // Délai avant la "confirmation USSD" simulée
+    delayMs: parseInt(process.env.PAYMENT_SIMULATOR_DELAY_MS || '5000', 10),
+    // Probabilité d'échec d'une transaction (0 à 1)
+    failureRate: parseFloat(process.env.PAYMENT_SIMULATOR_FAILURE_RATE || '0'),
+    webhookSecret: process.env.SIMULATOR_WEBHOOK_SECRET ||
+      (process.env.NODE_ENV === 'production' ? undefined : 'bookmi_simulator_webhook_secret')
+  },
+
+  orange: {
+    baseUrl: process.env.ORANGE_MONEY_API_URL || 'https://api.orange.com',
+    clientId: process.env.ORANGE_MONEY_CLIENT_ID,
+    clientSecret: process.env.ORANGE_MONEY_CLIENT_SECRET,
+    merchantKey: process.env.ORANGE_MONEY_MERCHANT_KEY,
+    country: process.env.ORANGE_MONEY_COUNTRY || 'ci',
+    webhookSecret: process.env.ORANGE_MONEY_WEBHOOK_SECRET
+  },
+
+  mtn: {
+    baseUrl: process.env.MTN_MOMO_API_URL || 'https://proxy.momoapi.mtn.com',
+    subscriptionKey: process.env.MTN_MOMO_SUBSCRIPTION_KEY,
+    apiUser: process.env.MTN_MOMO_API_USER,
+    apiKey: process.env.MTN_MOMO_API_KEY,
+    targetEnvironment: process.env.MTN_MOMO_TARGET_ENVIRONMENT || 'mtnivorycoast',
+    webhookSecret: process.env.MTN_MOMO_WEBHOOK_SECRET
+  },
+
+  moov: {
+    baseUrl: process.env.MOOV_MONEY_API_URL,
+    apiKey: process.env.MOOV_MONEY_API_KEY,
+    merchantId: process.env.MOOV_MONEY_MERCHANT_ID,
+    webhookSecret: process.env.MOOV_MONEY_WEBHOOK_SECRET
+  },
+
+  wave: {
+    baseUrl: process.env.WAVE_API_URL || 'https://api.wave.com',
+    apiKey: process.env.WAVE_API_KEY,
+    webhookSecret: process.env.WAVE_WEBHOOK_SECRET
+  }
+};
@@ -0,0 +1,23 @@
+// Configuration des échéanciers de paiement (acompte et solde)
+require('dotenv').config();
+
+module.exports = {
+  // Conditions appliquées aux artistes qui n'ont pas défini les leurs
+  defaultTerms: {
+    // Part du montant demandée en acompte (0 à 100)
+    depositPercentage: parseFloat(process.env.DEPOSIT_PERCENTAGE || '30'),
+    // Délai, après la réservation, pour verser l'acompte
+    depositDueHours: parseInt(process.env.DEPOSIT_DUE_HOURS || '48', 10),
+    // Le solde est dû ce nombre de jours avant la prestation
+    balanceDueDaysBefore: parseInt(process.env.BALANCE_DUE_DAYS_BEFORE || '7', 10)
+  },
+
+  // Rappel envoyé ce nombre d'heures avant l'échéance de l'acompte
+  depositReminderHours: parseInt(process.env.DEPOSIT_REMINDER_HOURS || '24', 10),
+
+  // Rappel envoyé ce nombre de jours avant l'échéance du solde
+  balanceReminderDays: parseInt(process.env.BALANCE_REMINDER_DAYS || '3', 10),
+
+  // Fréquence de la tâche de rappels et d'annulations (0 pour la désactiver)
+  jobIntervalMinutes: parseInt(process.env.PAYMENT_SCHEDULE_JOB_INTERVAL_MINUTES || '15', 10)
+};
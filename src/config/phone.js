@@ -0,0 +1,8 @@
+// Configuration des numéros de téléphone
+require('dotenv').config();
+
+module.exports = {
+  // Indicatif ajouté aux numéros saisis sans indicatif international (Côte d'Ivoire par défaut)
+  // En Côte d'Ivoire le 0 initial fait partie du numéro: 0700954748 devient +2250700954748
+  defaultDialCode: process.env.PHONE_DEFAULT_DIAL_CODE || process.env.SMS_DEFAULT_DIAL_CODE || '225'
+};
@@ -0,0 +1,22 @@
+// Configuration de la tarification de la plateforme
+require('dotenv').config();
+
+// Clé de signature par défaut des devis (à remplacer en production)
+const DEFAULT_QUOTE_SIGNING_SECRET = 'bookmi_default_quote_signing_secret';
+
+module.exports = {
+  // Commission de la plateforme appliquée sur le montant de la prestation (0.05 = 5%)
+  commissionRate: parseFloat(process.env.PLATFORM_COMMISSION_RATE || '0.05'),
+
+  // Durée de validité d'un devis en minutes
+  quoteTtlMinutes: parseInt(process.env.QUOTE_TTL_MINUTES || '30', 10),
+
+  // Montant minimal d'un retrait demandé par un artiste
+  minPayoutAmount: parseInt(process.env.PAYOUT_MIN_AMOUNT || '1000', 10),
+
+  // Devise des montants
+  currency: 'XOF',
+
+  DEFAULT_QUOTE_SIGNING_SECRET,
+  quoteSigningSecret: process.env.QUOTE_SIGNING_SECRET || DEFAULT_QUOTE_SIGNING_SECRET
+};
@@ -0,0 +1,29 @@
+// Configuration de la protection contre les tentatives répétées (connexion, codes, réinitialisation)
+require('dotenv').config();
+
+const MINUTE = 60 * 1000;
+
+module.exports = {
+  // 'mongo' (par défaut) ou 'memory' (processus unique, tests)
+  store: process.env.RATE_LIMIT_STORE || 'mongo',
+
+  // Durée de conservation d'un compteur inactif (le niveau de verrouillage retombe ensuite à zéro)
+  retentionMs: parseInt(process.env.RATE_LIMIT_RETENTION_MINUTES || '1440', 10) * MINUTE,
+
+  // Échecs tolérés avant verrouillage; chaque verrouillage successif double la durée du précédent
+  lockout: {
+    loginAccount: { maxFailures: 5, windowMs: 15 * MINUTE, baseLockMs: 1 * MINUTE, maxLockMs: 60 * MINUTE },
+    loginIp: { maxFailures: 20, windowMs: 15 * MINUTE, baseLockMs: 5 * MINUTE, maxLockMs: 60 * MINUTE },
+    codeIp: { maxFailures: 10, windowMs: 15 * MINUTE, baseLockMs: 5 * MINUTE, maxLockMs: 60 * MINUTE },
+    twoFactorAccount: { maxFailures: 5, windowMs: 15 * MINUTE, baseLockMs: 5 * MINUTE, maxLockMs: 60 * MINUTE }
+  },
+
+  // Nombre maximal d'essais pour un même code de vérification ou de réinitialisation
+  maxCodeAttempts: parseInt(process.env.VERIFICATION_CODE_MAX_ATTEMPTS || '5', 10),
+
+  // Envois de codes par SMS autorisés par fenêtre
+  throttle: {
+    codeAccount: { max: 3, windowMs: 15 * MINUTE },
+    codeIp: { max: 10, windowMs: 60 * MINUTE }
+  }
+};
@@ -0,0 +1,64 @@
+// Configuration de l'envoi des SMS
+require('dotenv').config();
+
+/**
+ * Lire une liste "CLE:valeur,CLE2:valeur2" depuis l'environnement
+ * @param {String} list - Valeur de la variable
+ * @returns {Object} - { CLE: valeur }
+ */
+const parseMap = (list) => Object.fromEntries(
+  (list || '')
+    .split(',')
+    .map(entry => entry.split(':').map(part => part.trim()))
+    .filter(([key, value]) => key && value)
+    .map(([key, value]) => [key.toUpperCase(), value])
+);
+
+module.exports = {
+  // Transport par défaut: console (développement), file, twilio, orange ou africastalking
+  transport: process.env.SMS_TRANSPORT || (process.env.NODE_ENV === 'production' ? 'twilio' : 'console'),
+
+  // Transport à utiliser pour certains pays (ex: "CI:orange,SN:africastalking")
+  countryTransports: parseMap(process.env.SMS_COUNTRY_TRANSPORTS),
+
+  // Expéditeur par défaut et expéditeurs par pays (ex: "CI:BookMi,SN:BOOKMI")
+  defaultSender: process.env.SMS_SENDER_ID || 'BookMi',
+  countrySenders: parseMap(process.env.SMS_COUNTRY_SENDERS),
+
+  // Nouvelles tentatives d'envoi: délai doublé à chaque échec
+  maxAttempts: parseInt(process.env.SMS_MAX_ATTEMPTS || '5', 10),
+  retryBaseSeconds: parseInt(process.env.SMS_RETRY_BASE_SECONDS || '60', 10),
+
+  // Traitement périodique de la file d'envoi (0 pour désactiver)
+  outboxIntervalSeconds: parseInt(process.env.SMS_OUTBOX_INTERVAL_SECONDS || '30', 10),
+
+  // Jeton attendu dans l'URL des accusés de réception des agrégateurs qui ne signent pas leurs appels
+  callbackToken: process.env.SMS_CALLBACK_TOKEN,
+
+  // Transport fichier (développement): une ligne JSON par message
+  file: {
+    path: process.env.SMS_FILE_PATH || 'logs/sms.log'
+  },
+
+  twilio: {
+    accountSid: process.env.TWILIO_ACCOUNT_SID,
+    authToken: process.env.TWILIO_AUTH_TOKEN,
+    // Numéro expéditeur, à défaut du service de messagerie
+    fromNumber: process.env.TWILIO_PHONE_NUMBER,
+    messagingServiceSid: process.env.TWILIO_MESSAGING_SERVICE_SID
+  },
+
+  orange: {
+    baseUrl: process.env.ORANGE_SMS_API_URL || 'https://api.orange.com',
+    clientId: process.env.ORANGE_SMS_CLIENT_ID,
+    clientSecret: process.env.ORANGE_SMS_CLIENT_SECRET,
+    // Numéro du compte expéditeur chez Orange (format international sans "+")
+    senderAddress: process.env.ORANGE_SMS_SENDER_ADDRESS
+  },
+
+  africastalking: {
+    baseUrl: process.env.AFRICASTALKING_API_URL || 'https://api.africastalking.com',
+    username: process.env.AFRICASTALKING_USERNAME,
+    apiKey: process.env.AFRICASTALKING_API_KEY
+  }
+};
@@ -0,0 +1,76 @@
+// Configuration des fichiers envoyés par les utilisateurs
+require('dotenv').config();
+const path = require('path');
+
+const MB = 1024 * 1024;
+
+// Secret par défaut des URL signées du stockage local (à remplacer en production)
+const DEFAULT_STORAGE_SIGNING_SECRET = 'bookmi_default_storage_signing_secret';
+
+module.exports = {
+  // Stockage des fichiers: local (disque du serveur) ou s3 (AWS S3, MinIO ou tout service compatible)
+  driver: process.env.STORAGE_DRIVER || 'local',
+
+  // Préfixe des URL publiques (ex: https://cdn.bookmi.ci). Vide: URL relatives à l'API pour le stockage local,
+  // URL du bucket public pour S3
+  publicBaseUrl: (process.env.STORAGE_PUBLIC_URL || '').replace(/\/+$/, ''),
+
+  // Durée de validité des URL signées des fichiers privés
+  signedUrlExpiresSeconds: parseInt(process.env.STORAGE_SIGNED_URL_EXPIRES_SECONDS || '300', 10),
+
+  // Fichiers publics du stockage local, servis sous /uploads
+  publicDir: process.env.UPLOADS_DIR || path.join(__dirname, '..', '..', 'uploads'),
+
+  // Fichiers privés du stockage local (pièces justificatives), jamais servis statiquement:
+  // lisibles uniquement par URL signée (/api/files/private/...)
+  privateDir: process.env.PRIVATE_UPLOADS_DIR || path.join(__dirname, '..', '..', 'storage', 'private'),
+
+  // URL publique de l'API, préfixe des URL signées du stockage local
+  apiBaseUrl: (process.env.API_PUBLIC_URL || process.env.PAYMENT_CALLBACK_BASE_URL || 'http://localhost:5000').replace(/\/+$/, ''),
+
+  // Clé HMAC des URL signées du stockage local
+  DEFAULT_STORAGE_SIGNING_SECRET,
+  signingSecret: process.env.STORAGE_SIGNING_SECRET || DEFAULT_STORAGE_SIGNING_SECRET,
+
+  // Stockage compatible S3. Le bucket public doit autoriser la lecture anonyme
+  // (MinIO: mc anonymous set download <alias>/<bucket>), le bucket privé jamais
+  s3: {
+    // Vide pour AWS S3; ex: http://localhost:9000 pour un MinIO local
+    endpoint: (process.env.S3_ENDPOINT || '').replace(/\/+$/, ''),
+    region: process.env.S3_REGION || 'us-east-1',
+    accessKeyId: process.env.S3_ACCESS_KEY_ID,
+    secretAccessKey: process.env.S3_SECRET_ACCESS_KEY,
+    publicBucket: process.env.S3_PUBLIC_BUCKET,
+    privateBucket: process.env.S3_PRIVATE_BUCKET,
+    // Adresses http://endpoint/bucket/cle (MinIO) plutôt que http://bucket.endpoint/cle
+    forcePathStyle: process.env.S3_FORCE_PATH_STYLE
+      ? process.env.S3_FORCE_PATH_STYLE === 'true'
+      : Boolean(process.env.S3_ENDPOINT)
+  },
+
+  // Photos publiques des artistes (photo de profil, galerie, photos des services)
+  media: {
+    maxFileSize: parseInt(process.env.MEDIA_MAX_FILE_SIZE_MB || '8', 10) * MB,
+    allowedTypes: ['image/jpeg', 'image/png', 'image/webp'],
+    // Fichiers acceptés par envoi
+    maxFilesPerRequest: 10,
+    // Quotas par artiste
+    maxGalleryItems: parseInt(process.env.MEDIA_MAX_GALLERY_ITEMS || '30', 10),
+    maxServicePhotos: parseInt(process.env.MEDIA_MAX_SERVICE_PHOTOS || '10', 10),
+    maxBytesPerArtist: parseInt(process.env.MEDIA_MAX_MB_PER_ARTIST || '200', 10) * MB,
+    // Images plus grandes refusées (protection contre les images « bombes » de décompression)
+    maxInputPixels: 40000000,
+    // Tailles dérivées générées à l'envoi: largeur et hauteur maximales en pixels
+    variants: {
+      thumbnail: 320,
+      medium: 800,
+      large: 1600
+    }
+  },
+
+  // Pièces justificatives de la vérification des artistes
+  kyc: {
+    maxFileSize: parseInt(process.env.KYC_MAX_FILE_SIZE_MB || '10', 10) * MB,
+    allowedTypes: ['image/jpeg', 'image/png', 'application/pdf']
+  }
+};
@@ -0,0 +1,728 @@
+const { User, Reservation, Payment, Refund, Payout, AuditLog, ArtistVerification } = require('../models');
+const asyncHandler = require('../middleware/async');
+const ErrorResponse = require('../utils/errorResponse');
+const auditTrail = require('../utils/auditTrail');
+const sessionService = require('../utils/sessionService');
+const notificationService = require('../utils/notificationService');
+const reservationStateMachine = require('../utils/reservationStateMachine');
+const paymentProcessor = require('../utils/paymentProcessor');
+const escrowService = require('../utils/escrowService');
+const refundService = require('../utils/refundService');
+const artistVerificationService = require('../utils/artistVerificationService');
+const notificationTemplates = require('../utils/notificationTemplates');
+const availabilityService = require('../utils/availabilityService');
+const ledger = require('../utils/ledger');
+
+// Statuts de paiement qu'un administrateur peut imposer (les remboursements passent par refundService)
+const FORCEABLE_PAYMENT_STATUSES = ['completed', 'failed'];
+
+/**
+ * Lire les options de pagination de la requête
+ * @param {Object} query - req.query
+ * @returns {Object} - { page, limit, startIndex }
+ */
+const getPagination = (query) => {
+  const page = parseInt(query.page, 10) || 1;
+  const limit = Math.min(parseInt(query.limit, 10) || 20, 100);
+  return { page, limit, startIndex: (page - 1) * limit };
+};
+
+/**
+ * Échapper une saisie avant de l'utiliser dans une expression régulière
+ * @param {String} value - Saisie de l'utilisateur
+ * @returns {String} - Saisie échappée
+ */
+const escapeRegex = (value) => String(value).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * Exiger le motif d'une action d'administration
+ * @param {Object} body - req.body
+ * @returns {String} - Motif
+ * @throws {ErrorResponse} - 400 si le motif est absent
+ */
+const requireReason = (body) => {
+  const reason = body && typeof body.reason === 'string' ? body.reason.trim() : '';
+  if (!reason) {
+    throw new ErrorResponse('Un motif (reason) est requis pour cette action', 400);
+  }
+  return reason;
+};
+
+/**
+ * @desc    Lister et rechercher les utilisateurs
+ * @route   GET /api/admin/users
+ * @access  Privé (Admin)
+ */
+exports.getUsers = asyncHandler(async (req, res) => {
+  const query = {};
+
+  if (req.query.role) {
+    query.role = req.query.role;
+  }
+  if (req.query.isActive !== undefined) {
+    query.isActive = req.query.isActive === 'true';
+  }
+  if (req.query.isVerified !== undefined) {
+    query.isVerified = req.query.isVerified === 'true';
+  }
+  if (req.query.search) {
+    const pattern = new RegExp(escapeRegex(req.query.search), 'i');
+    query.$or = [
+      { email: pattern },
+      { firstName: pattern },
+      { lastName: pattern },
+      { phone: pattern },
+      { artistName: pattern },
+      { companyName: pattern }
+    ];
+  }
+
+  const { page, limit, startIndex } = getPagination(req.query);
+
+  const total = await User.countDocuments(query);
+  const users = await User.find(query)
+    .sort({ createdAt: -1 })
+    .skip(startIndex)
+    .limit(limit);
+
+  await auditTrail.record(req, { action: 'user.list', targetModel: 'User', filters: req.query });
+
+  res.status(200).json({
+    success: true,
+    count: users.length,
+    total,
+    pagination: {
+      page,
+      limit,
+      totalPages: Math.ceil(total / limit)
+    },
+    data: users
+  });
+});
+
+/**
+ * @desc    Consulter un utilisateur et ses sessions actives
+ * @route   GET /api/admin/users/:id
+ * @access  Privé (Admin)
+ */
+exports.getUser = asyncHandler(async (req, res) => {
+  const user = await User.findById(req.params.id);
+
+  if (!user) {
+    throw new ErrorResponse(`Utilisateur non trouvé avec l'id ${req.params.id}`, 404);
+  }
+
+  const sessions = await sessionService.listForUser(user._id);
+
+  await auditTrail.record(req, { action: 'user.view', targetModel: 'User', targetId: user._id });
+
+  res.status(200).json({
+    success: true,
+    data: {
+      ...user.toObject(),
+      sessions
+    }
+  });
+});
+
+/**
+ * @desc    Suspendre un utilisateur (toutes ses sessions sont révoquées)
+ * @route   PATCH /api/admin/users/:id/suspend
+ * @access  Privé (Admin)
+ */
+exports.suspendUser = asyncHandler(async (req, res) => {
+  const reason = requireReason(req.body);
+
+  if (req.params.id === req.user._id.toString()) {
+    throw new ErrorResponse('Vous ne pouvez pas suspendre votre propre compte', 400);
+  }
+
+  const user = await User.findById(req.params.id);
+  if (!user) {
+    throw new ErrorResponse(`Utilisateur non trouvé avec l'id ${req.params.id}`, 404);
+  }
+  if (!user.isActive) {
+    throw new ErrorResponse('Ce compte est déjà suspendu', 409);
+  }
+
+  user.isActive = false;
+  await user.save();
+
+  const revokedSessions = await sessionService.revokeAllForUser(user._id, 'account_suspended');
+
+  await auditTrail.record(req, {
+    action: 'user.suspend',
+    targetModel: 'User',
+    targetId: user._id,
+    reason,
+    before: { isActive: true },
+    after: { isActive: false, revokedSessions }
+  });
+
+  res.status(200).json({
+    success: true,
+    data: user
+  });
+});
+
+/**
+ * @desc    Réactiver un utilisateur suspendu
+ * @route   PATCH /api/admin/users/:id/reactivate
+ * @access  Privé (Admin)
+ */
+exports.reactivateUser = asyncHandler(async (req, res) => {
+  const reason = requireReason(req.body);
+
+  const user = await User.findById(req.params.id);
+  if (!user) {
+    throw new ErrorResponse(`Utilisateur non trouvé avec l'id ${req.params.id}`, 404);
+  }
+  if (user.isActive) {
+    throw new ErrorResponse('Ce compte est déjà actif', 409);
+  }
+
+  user.isActive = true;
+  await user.save();
+
+  await auditTrail.record(req, {
+    action: 'user.reactivate',
+    targetModel: 'User',
+    targetId: user._id,
+    reason,
+    before: { isActive: false },
+    after: { isActive: true }
+  });
+
+  res.status(200).json({
+    success: true,
+    data: user
+  });
+});
+
+/**
+ * @desc    Lister les réservations de la plateforme
+ * @route   GET /api/admin/reservations
+ * @access  Privé (Admin)
+ */
+exports.getReservations = asyncHandler(async (req, res) => {
+  const query = {};
+  ['status', 'paymentStatus', 'booker', 'artistId', 'date'].forEach(field => {
+    if (req.query[field]) {
+      query[field] = req.query[field];
+    }
+  });
+
+  const { page, limit, startIndex } = getPagination(req.query);
+
+  const total = await Reservation.countDocuments(query);
+  const reservations = await Reservation.find(query)
+    .populate('booker', 'firstName lastName email companyName')
+    .populate('artistId', 'firstName lastName email artistName')
+    .populate('serviceId', 'title price')
+    .sort({ createdAt: -1 })
+    .skip(startIndex)
+    .limit(limit);
+
+  await auditTrail.record(req, { action: 'reservation.list', targetModel: 'Reservation', filters: req.query });
+
+  res.status(200).json({
+    success: true,
+    count: reservations.length,
+    total,
+    pagination: {
+      page,
+      limit,
+      totalPages: Math.ceil(total / limit)
+    },
+    data: reservations
+  });
+});
+
+/**
+ * @desc    Consulter une réservation et ses paiements
+ * @route   GET /api/admin/reservations/:id
+ * @access  Privé (Admin)
+ */
+exports.getReservation = asyncHandler(async (req, res) => {
+  const reservation = await Reservation.findById(req.params.id)
+    .populate('booker', 'firstName lastName email phone companyName')
+    .populate('artistId', 'firstName lastName email phone artistName')
+    .populate('serviceId', 'title price')
+    .populate('statusHistory.actor', 'firstName lastName role');
+
+  if (!reservation) {
+    throw new ErrorResponse(`Réservation non trouvée avec l'id ${req.params.id}`, 404);
+  }
+
+  const payments = await Payment.find({ reservation: reservation._id }).sort({ createdAt: -1 });
+
+  await auditTrail.record(req, { action: 'reservation.view', targetModel: 'Reservation', targetId: reservation._id });
+
+  res.status(200).json({
+    success: true,
+    data: {
+      ...reservation.toObject(),
+      payments
+    }
+  });
+});
+
+/**
+ * @desc    Forcer le statut d'une réservation (motif obligatoire)
+ * @route   PATCH /api/admin/reservations/:id/status
+ * @access  Privé (Admin)
+ */
+exports.forceReservationStatus = asyncHandler(async (req, res) => {
+  const reason = requireReason(req.body);
+  const { status } = req.body;
+
+  const reservation = await Reservation.findById(req.params.id);
+  if (!reservation) {
+    throw new ErrorResponse(`Réservation non trouvée avec l'id ${req.params.id}`, 404);
+  }
+
+  // Les règles de la machine à états s'appliquent aussi aux administrateurs
+  const previousStatus = reservationStateMachine.transition(reservation, status, {
+    actor: req.user._id,
+    role: 'admin',
+    reason
+  });
+  await reservation.save();
+
+  // Mêmes effets qu'un changement de statut par les parties: libération du séquestre, remboursement
+  if (status === 'completed') {
+    await escrowService.releaseForReservation(reservation);
+  }
+
+  let refunds = [];
+  if (status === 'cancelled') {
+    await availabilityService.releaseSlot(reservation);
+    refunds = await refundService.refundCancelledReservation(reservation, {
+      actor: req.user._id,
+      role: 'admin',
+      reason
+    });
+    await escrowService.releaseForReservation(reservation);
+  }
+
+  await auditTrail.record(req, {
+    action: 'reservation.force_status',
+    targetModel: 'Reservation',
+    targetId: reservation._id,
+    reason,
+    before: { status: previousStatus },
+    after: { status, refunds: refunds.map(refund => refund._id) }
+  });
+
+  try {
+    await notificationService.notifyReservationStatusChange(reservation, previousStatus);
+  } catch (error) {
+    console.error('Erreur lors de la notification du changement de statut:', error);
+  }
+
+  res.status(200).json({
+    success: true,
+    data: reservation,
+    ...(status === 'cancelled' ? { refunds } : {})
+  });
+});
+
+/**
+ * @desc    Lister les paiements de la plateforme
+ * @route   GET /api/admin/payments
+ * @access  Privé (Admin)
+ */
+exports.getPayments = asyncHandler(async (req, res) => {
+  const query = {};
+  ['status', 'paymentMethod', 'paymentType', 'provider', 'payer', 'payee', 'reservation', 'reference'].forEach(field => {
+    if (req.query[field]) {
+      query[field] = req.query[field];
+    }
+  });
+
+  const { page, limit, startIndex } = getPagination(req.query);
+
+  const total = await Payment.countDocuments(query);
+  const payments = await Payment.find(query)
+    .populate('payer', 'firstName lastName email')
+    .populate('payee', 'firstName lastName email artistName')
+    .sort({ createdAt: -1 })
+    .skip(startIndex)
+    .limit(limit);
+
+  await auditTrail.record(req, { action: 'payment.list', targetModel: 'Payment', filters: req.query });
+
+  res.status(200).json({
+    success: true,
+    count: payments.length,
+    total,
+    pagination: {
+      page,
+      limit,
+      totalPages: Math.ceil(total / limit)
+    },
+    data: payments
+  });
+});
+
+/**
+ * @desc    Consulter un paiement et ses remboursements
+ * @route   GET /api/admin/payments/:id
+ * @access  Privé (Admin)
+ */
+exports.getPayment = asyncHandler(async (req, res) => {
+  const payment = await Payment.findById(req.params.id)
+    .populate('payer', 'firstName lastName email phone')
+    .populate('payee', 'firstName lastName email phone artistName')
+    .populate('reservation', 'date startTime endTime status paymentStatus');
+
+  if (!payment) {
+    throw new ErrorResponse(`Paiement non trouvé avec l'id ${req.params.id}`, 404);
+  }
+
+  const refunds = await Refund.find({ payment: payment._id }).sort({ createdAt: -1 });
+
+  await auditTrail.record(req, { action: 'payment.view', targetModel: 'Payment', targetId: payment._id });
+
+  res.status(200).json({
+    success: true,
+    data: {
+      ...payment.toObject(),
+      refunds
+    }
+  });
+});
+
+/**
+ * @desc    Forcer le statut d'un paiement resté en attente (motif obligatoire)
+ * @route   PATCH /api/admin/payments/:id/status
+ * @access  Privé (Admin)
+ */
+exports.forcePaymentStatus = asyncHandler(async (req, res) => {
+  const reason = requireReason(req.body);
+  const { status, transactionId } = req.body;
+
+  if (!FORCEABLE_PAYMENT_STATUSES.includes(status)) {
+    throw new ErrorResponse(`Statut de paiement non modifiable manuellement: ${status} (statuts acceptés: ${FORCEABLE_PAYMENT_STATUSES.join(', ')})`, 400);
+  }
+
+  const current = await Payment.findById(req.params.id);
+  if (!current) {
+    throw new ErrorResponse(`Paiement non trouvé avec l'id ${req.params.id}`, 404);
+  }
+
+  const previousStatus = current.status;
+
+  // Mêmes effets qu'un retour du fournisseur: réservation, grand livre, séquestre, notifications
+  const payment = await paymentProcessor.applyStatus(current, status, { transactionId, reason });
+
+  await auditTrail.record(req, {
+    action: 'payment.force_status',
+    targetModel: 'Payment',
+    targetId: payment._id,
+    reason,
+    before: { status: previousStatus },
+    after: { status: payment.status, transactionId: payment.transactionId }
+  });
+
+  res.status(200).json({
+    success: true,
+    data: payment
+  });
+});
+
+/**
+ * @desc    Lister les demandes de vérification des artistes (par défaut celles en attente)
+ * @route   GET /api/admin/verifications
+ * @access  Privé (Admin)
+ */
+exports.getVerifications = asyncHandler(async (req, res) => {
+  const query = { status: req.query.status || 'pending' };
+  if (req.query.artist) {
+    query.artist = req.query.artist;
+  }
+
+  const { page, limit, startIndex } = getPagination(req.query);
+
+  const total = await ArtistVerification.countDocuments(query);
+  const verifications = await ArtistVerification.find(query)
+    .select('-documents.fileKey')
+    .populate('artist', 'firstName lastName email artistName discipline hasProfessionalCard')
+    // Les plus anciennes d'abord: file d'attente d'examen
+    .sort({ submittedAt: 1 })
+    .skip(startIndex)
+    .limit(limit);
+
+  await auditTrail.record(req, { action: 'verification.list', targetModel: 'ArtistVerification', filters: req.query });
+
+  res.status(200).json({
+    success: true,
+    count: verifications.length,
+    total,
+    pagination: {
+      page,
+      limit,
+      totalPages: Math.ceil(total / limit)
+    },
+    data: verifications
+  });
+});
+
+/**
+ * @desc    Consulter une demande de vérification
+ * @route   GET /api/admin/verifications/:id
+ * @access  Privé (Admin)
+ */
+exports.getVerification = asyncHandler(async (req, res) => {
+  const verification = await ArtistVerification.findById(req.params.id)
+    .select('-documents.fileKey')
+    .populate('artist', 'firstName lastName email phone artistName projectName discipline hasProfessionalCard birthDate city country')
+    .populate('reviewedBy', 'firstName lastName email');
+
+  if (!verification) {
+    throw new ErrorResponse(`Demande de vérification non trouvée avec l'id ${req.params.id}`, 404);
+  }
+
+  res.status(200).json({
+    success: true,
+    data: verification
+  });
+});
+
+/**
+ * @desc    Télécharger une pièce justificative
+ * @route   GET /api/admin/verifications/:id/documents/:documentId
+ * @access  Privé (Admin)
+ */
+exports.getVerificationDocument = asyncHandler(async (req, res) => {
+  const verification = await ArtistVerification.findById(req.params.id);
+
+  if (!verification) {
+    throw new ErrorResponse(`Demande de vérification non trouvée avec l'id ${req.params.id}`, 404);
+  }
+
+  const { document, stream } = await artistVerificationService.openDocument(verification, req.params.documentId);
+
+  // Chaque consultation d'une pièce d'identité est tracée
+  await auditTrail.record(req, {
+    action: 'verification.document_view',
+    targetModel: 'ArtistVerification',
+    targetId: verification._id,
+    after: { document: document._id, type: document.type }
+  });
+
+  res.set({
+    'Content-Type': document.mimeType,
+    'Content-Disposition': `inline; filename="${document.type}.${document.fileKey.split('.').pop()}"`,
+    'Cache-Control': 'private, no-store'
+  });
+  stream.on('error', () => res.destroy());
+  stream.pipe(res);
+});
+
+/**
+ * @desc    Obtenir une URL signée et temporaire vers une pièce justificative
+ * @route   GET /api/admin/verifications/:id/documents/:documentId/url
+ * @access  Privé (Admin)
+ */
+exports.getVerificationDocumentUrl = asyncHandler(async (req, res) => {
+  const verification = await ArtistVerification.findById(req.params.id);
+
+  if (!verification) {
+    throw new ErrorResponse(`Demande de vérification non trouvée avec l'id ${req.params.id}`, 404);
+  }
+
+  const { document, url, expiresAt } = await artistVerificationService.getDocumentUrl(verification, req.params.documentId);
+
+  // Chaque URL délivrée vers une pièce d'identité est tracée, comme une consultation
+  await auditTrail.record(req, {
+    action: 'verification.document_url',
+    targetModel: 'ArtistVerification',
+    targetId: verification._id,
+    after: { document: document._id, type: document.type, expiresAt }
+  });
+
+  res.status(200).json({
+    success: true,
+    data: { url, expiresAt }
+  });
+});
+
+/**
+ * @desc    Approuver ou refuser une demande de vérification (notes obligatoires pour un refus)
+ * @route   PATCH /api/admin/verifications/:id
+ * @access  Privé (Admin)
+ */
+exports.reviewVerification = asyncHandler(async (req, res) => {
+  const { decision, notes } = req.body;
+
+  const verification = await artistVerificationService.review(req.params.id, {
+    decision,
+    notes,
+    reviewer: req.user._id
+  });
+
+  await auditTrail.record(req, {
+    action: `verification.${decision === 'approved' ? 'approve' : 'reject'}`,
+    targetModel: 'ArtistVerification',
+    targetId: verification._id,
+    reason: notes,
+    before: { status: 'pending' },
+    after: { status: verification.status, artist: verification.artist }
+  });
+
+  res.status(200).json({
+    success: true,
+    data: verification
+  });
+});
+
+/**
+ * @desc    Lister les modèles de notification et leurs textes par canal et par langue
+ * @route   GET /api/admin/notification-templates
+ * @access  Privé (Admin)
+ */
+exports.getNotificationTemplates = asyncHandler(async (req, res) => {
+  const templates = await notificationTemplates.list();
+
+  await auditTrail.record(req, { action: 'notification_template.list', targetModel: 'NotificationTemplate', filters: req.query });
+
+  res.status(200).json({
+    success: true,
+    count: templates.length,
+    data: templates
+  });
+});
+
+/**
+ * @desc    Modifier le texte d'un modèle de notification pour un canal et une langue (title, body)
+ * @route   PUT /api/admin/notification-templates/:key/:channel/:locale
+ * @access  Privé (Admin)
+ */
+exports.updateNotificationTemplate = asyncHandler(async (req, res) => {
+  const { key, channel, locale } = req.params;
+
+  const { before, template, preview } = await notificationTemplates.update(key, channel, locale, req.body, req.user._id);
+
+  await auditTrail.record(req, {
+    action: 'notification_template.update',
+    targetModel: 'NotificationTemplate',
+    targetId: template._id,
+    before: { key, channel, locale, title: before.title, body: before.body },
+    after: { key, channel, locale, title: template.title, body: template.body }
+  });
+
+  res.status(200).json({
+    success: true,
+    data: { template, preview }
+  });
+});
+
+/**
+ * @desc    Rétablir le texte par défaut d'un modèle de notification pour un canal et une langue
+ * @route   DELETE /api/admin/notification-templates/:key/:channel/:locale
+ * @access  Privé (Admin)
+ */
+exports.resetNotificationTemplate = asyncHandler(async (req, res) => {
+  const { key, channel, locale } = req.params;
+
+  const template = await notificationTemplates.reset(key, channel, locale);
+
+  await auditTrail.record(req, {
+    action: 'notification_template.reset',
+    targetModel: 'NotificationTemplate',
+    targetId: template._id,
+    before: { key, channel, locale, title: template.title, body: template.body }
+  });
+
+  res.status(200).json({
+    success: true,
+    data: {}
+  });
+});
+
+/**
+ * @desc    Totaux de la plateforme (utilisateurs, réservations, flux financiers)
+ * @route   GET /api/admin/stats
+ * @access  Privé (Admin)
+ */
+exports.getStats = asyncHandler(async (req, res) => {
+  const [users, reservations, payments, refunds, payouts, money] = await Promise.all([
+    User.aggregate([
+      { $group: { _id: { role: '$role', isActive: '$isActive' }, count: { $sum: 1 } } }
+    ]),
+    Reservation.aggregate([
+      { $group: { _id: '$status', count: { $sum: 1 } } }
+    ]),
+    Payment.aggregate([
+      { $group: { _id: '$status', count: { $sum: 1 } } }
+    ]),
+    Refund.aggregate([
+      { $group: { _id: '$status', count: { $sum: 1 } } }
+    ]),
+    Payout.aggregate([
+      { $group: { _id: '$status', count: { $sum: 1 } } }
+    ]),
+    // Les montants viennent du grand livre, seule source des flux financiers effectifs
+    ledger.getPlatformTotals()
+  ]);
+
+  const countByStatus = (rows) => Object.fromEntries(rows.map(({ _id, count }) => [_id, count]));
+
+  const usersByRole = {};
+  users.forEach(({ _id, count }) => {
+    const entry = usersByRole[_id.role] || (usersByRole[_id.role] = { total: 0, active: 0, suspended: 0 });
+    entry.total += count;
+    entry[_id.isActive === false ? 'suspended' : 'active'] += count;
+  });
+
+  await auditTrail.record(req, { action: 'stats.view', targetModel: 'Platform' });
+
+  res.status(200).json({
+    success: true,
+    data: {
+      users: usersByRole,
+      reservations: countByStatus(reservations),
+      payments: countByStatus(payments),
+      refunds: countByStatus(refunds),
+      payouts: countByStatus(payouts),
+      money
+    }
+  });
+});
+
+/**
+ * @desc    Consulter le journal d'audit des actions d'administration
+ * @route   GET /api/admin/audit-logs
+ * @access  Privé (Admin)
+ */
+exports.getAuditLogs = asyncHandler(async (req, res) => {
+  const query = {};
+  ['actor', 'action', 'targetModel', 'targetId'].forEach(field => {
+    if (req.query[field]) {
+      query[field] = req.query[field];
+    }
+  });
+
+  const { page, limit, startIndex } = getPagination(req.query);
+
+  const total = await AuditLog.countDocuments(query);
+  const entries = await AuditLog.find(query)
+    .sort({ createdAt: -1 })
+    .skip(startIndex)
+    .limit(limit);
+
+  await auditTrail.record(req, { action: 'audit_log.list', targetModel: 'AuditLog', filters: req.query });
+
+  res.status(200).json({
+    success: true,
+    count: entries.length,
+    total,
+    pagination: {
+      page,
+      limit,
+      totalPages: Math.ceil(total / limit)
+    },
+    data: entries
+  });
+});
@@ -1,6 +1,14 @@
-const { User, Artist, Service, Reservation, Payment } = require('../models');
+const { User, Artist, Service, Reservation, Payment, ArtistVerification } = require('../models');
 const asyncHandler = require('../middleware/async');
 const ErrorResponse = require('../utils/errorResponse');
+const availabilityService = require('../utils/availabilityService');
+const ledger = require('../utils/ledger');
+const cancellationPolicy = require('../utils/cancellationPolicy');
+const paymentSchedule = require('../utils/paymentSchedule');
+const artistVerificationService = require('../utils/artistVerificationService');
+const mediaService = require('../utils/mediaService');
+const phoneUtils = require('../utils/phone');
+const uploadsConfig = require('../config/uploads');
 
 /**
  * @desc    Obtenir tous les artistes (filtrable)
@@ -25,6 +33,11 @@ exports.getArtists = asyncHandler(async (req, res, next) => {
     query.country = req.query.country;
   }
 
+  // Ne garder que les artistes vérifiés
+  if (req.query.verified === 'true') {
+    query['verification.status'] = 'approved';
+  }
+
   // Options de pagination
   const page = parseInt(req.query.page, 10) || 1;
   const limit = parseInt(req.query.limit, 10) || 10;
@@ -147,10 +160,12 @@ exports.updateMyProfile = asyncHandler(async (req, res, next) => {
     'address', 
     'city', 
     'postalCode', 
-    'country', 
-    'phone'
+    'country'
   ];
 
+  // Le numéro ne change qu'après la saisie d'un code reçu sur le nouveau numéro
+  phoneUtils.assertUnchanged(req.user.phone, req.body.phone);
+
   // Ne garder que les champs autorisés
   Object.keys(req.body).forEach(key => {
     if (allowedFields.includes(key)) {
@@ -309,12 +324,12 @@ exports.getDashboardStats = asyncHandler(async (req, res, next) => {
     };
 
     // Récupérer les réservations de l'artiste
-    const { Reservation, Payment } = require('../models');
+    const { Reservation } = require('../models');
     
     // Déterminer les dates pour le mois en cours
     const now = new Date();
     const firstDayOfMonth = new Date(now.getFullYear(), now.getMonth(), 1);
-    const lastDayOfMonth = new Date(now.getFullYear(), now.getMonth() + 1, 0);
+    const lastDayOfMonth = new Date(now.getFullYear(), now.getMonth() + 1, 0, 23, 59, 59, 999);
     
     // Convertir les dates au format utilisé dans le modèle (YYYY-MM-DD)
     const firstDayStr = firstDayOfMonth.toISOString().split('T')[0];
@@ -338,17 +353,9 @@ exports.getDashboardStats = asyncHandler(async (req, res, next) => {
       (r.status === 'confirmed' || r.status === 'pending')
     ).length;
 
-    // Récupérer les paiements du mois en cours pour calculer les revenus
-    const payments = await Payment.find({
-      payee: req.user.artist,
-      status: 'completed',
-      createdAt: { $gte: firstDayOfMonth, $lte: lastDayOfMonth }
-    });
-    
-    // Calculer le revenu total du mois (somme des montants des paiements)
-    const revenueThisMonth = payments.reduce((total, payment) => {
-      return total + (payment.amount || 0);
-    }, 0);
+    // Calculer le revenu du mois et le solde à partir du grand livre
+    const revenueThisMonth = await ledger.getArtistRevenue(req.user.artist, firstDayOfMonth, lastDayOfMonth);
+    const balance = await ledger.getArtistBalance(req.user.artist);
 
     // Assembler les statistiques de réservation
     const bookingsStats = {
@@ -366,7 +373,8 @@ exports.getDashboardStats = asyncHandler(async (req, res, next) => {
       profileViews: artist.profileViews || 0,
       rating: artist.rating || { value: 0, count: 0 },
       reviews: reviewsData,
-      bookings: bookingsStats
+      bookings: bookingsStats,
+      balance
     };
 
     console.log('Statistiques du tableau de bord récupérées avec succès');
@@ -442,4 +450,336 @@ exports.respondToReview = asyncHandler(async (req, res, next) => {
   }
 });
 
-module.exports = exports; 
\ No newline at end of file
+/**
+ * @desc    Obtenir les disponibilités de l'artiste connecté
+ * @route   GET /api/artists/me/availability
+ * @access  Privé (Artiste)
+ */
+exports.getMyAvailability = asyncHandler(async (req, res, next) => {
+  const artist = await Artist.findById(req.user.artist).select('availability');
+
+  if (!artist) {
+    return next(new ErrorResponse('Profil d\'artiste non trouvé', 404));
+  }
+
+  res.status(200).json({
+    success: true,
+    data: artist.availability
+  });
+});
+
+/**
+ * @desc    Définir les horaires hebdomadaires et les dates d'indisponibilité de l'artiste connecté
+ * @route   PUT /api/artists/me/availability
+ * @access  Privé (Artiste)
+ */
+exports.updateMyAvailability = asyncHandler(async (req, res, next) => {
+  const artist = await Artist.findById(req.user.artist);
+
+  if (!artist) {
+    return next(new ErrorResponse('Profil d\'artiste non trouvé', 404));
+  }
+
+  // Conserver les valeurs actuelles pour les champs non fournis
+  const availability = {
+    weeklyHours: req.body.weeklyHours !== undefined
+      ? req.body.weeklyHours
+      : artist.availability?.weeklyHours || [],
+    blackoutDates: req.body.blackoutDates !== undefined
+      ? req.body.blackoutDates
+      : artist.availability?.blackoutDates || []
+  };
+
+  availabilityService.validateAvailability(availability);
+
+  artist.availability = availability;
+  await artist.save();
+
+  res.status(200).json({
+    success: true,
+    data: artist.availability
+  });
+});
+
+/**
+ * @desc    Obtenir les créneaux libres d'un artiste sur une période
+ * @route   GET /api/artists/:id/availability?from=YYYY-MM-DD&to=YYYY-MM-DD
+ * @access  Public
+ */
+exports.getArtistAvailability = asyncHandler(async (req, res, next) => {
+  const artist = await Artist.findById(req.params.id).select('availability');
+
+  if (!artist) {
+    return next(new ErrorResponse(`Artiste non trouvé avec l'id ${req.params.id}`, 404));
+  }
+
+  const days = await availabilityService.getFreeSlots(artist, req.query.from, req.query.to);
+
+  res.status(200).json({
+    success: true,
+    count: days.length,
+    data: {
+      from: req.query.from,
+      to: req.query.to,
+      blackoutDates: (artist.availability?.blackoutDates || [])
+        .filter(blackout => blackout.date >= req.query.from && blackout.date <= req.query.to)
+        .map(blackout => blackout.date),
+      days
+    }
+  });
+});
+
+/**
+ * @desc    Obtenir la politique d'annulation de l'artiste connecté
+ * @route   GET /api/artists/me/cancellation-policy
+ * @access  Privé (Artiste)
+ */
+exports.getMyCancellationPolicy = asyncHandler(async (req, res, next) => {
+  const artist = await Artist.findById(req.user.artist).select('cancellationPolicy');
+
+  if (!artist) {
+    return next(new ErrorResponse('Profil d\'artiste non trouvé', 404));
+  }
+
+  res.status(200).json({
+    success: true,
+    data: artist.cancellationPolicy
+  });
+});
+
+/**
+ * @desc    Définir les paliers de remboursement appliqués lors d'une annulation par le booker
+ * @route   PUT /api/artists/me/cancellation-policy
+ * @access  Privé (Artiste)
+ */
+exports.updateMyCancellationPolicy = asyncHandler(async (req, res, next) => {
+  const artist = await Artist.findById(req.user.artist);
+
+  if (!artist) {
+    return next(new ErrorResponse('Profil d\'artiste non trouvé', 404));
+  }
+
+  artist.cancellationPolicy = {
+    tiers: cancellationPolicy.validateTiers(req.body.tiers)
+  };
+  await artist.save();
+
+  res.status(200).json({
+    success: true,
+    data: artist.cancellationPolicy
+  });
+});
+
+/**
+ * @desc    Obtenir les conditions de paiement (acompte, échéance du solde) de l'artiste connecté
+ * @route   GET /api/artists/me/payment-terms
+ * @access  Privé (Artiste)
+ */
+exports.getMyPaymentTerms = asyncHandler(async (req, res, next) => {
+  const artist = await Artist.findById(req.user.artist).select('paymentTerms');
+
+  if (!artist) {
+    return next(new ErrorResponse('Profil d\'artiste non trouvé', 404));
+  }
+
+  res.status(200).json({
+    success: true,
+    data: paymentSchedule.getTerms(artist)
+  });
+});
+
+/**
+ * @desc    Définir les conditions de paiement appliquées aux nouvelles réservations
+ * @route   PUT /api/artists/me/payment-terms
+ * @access  Privé (Artiste)
+ */
+exports.updateMyPaymentTerms = asyncHandler(async (req, res, next) => {
+  const artist = await Artist.findById(req.user.artist);
+
+  if (!artist) {
+    return next(new ErrorResponse('Profil d\'artiste non trouvé', 404));
+  }
+
+  // Conserver les valeurs actuelles pour les champs non fournis
+  artist.paymentTerms = paymentSchedule.validateTerms({
+    ...paymentSchedule.getTerms(artist),
+    ...req.body
+  });
+  await artist.save();
+
+  res.status(200).json({
+    success: true,
+    data: paymentSchedule.getTerms(artist)
+  });
+});
+
+/**
+ * @desc    Soumettre les pièces justificatives de la vérification du profil
+ * @route   POST /api/artists/me/verification
+ * @access  Privé (Artiste)
+ */
+exports.submitMyVerification = asyncHandler(async (req, res, next) => {
+  const artist = await Artist.findById(req.user.artist);
+
+  if (!artist) {
+    return next(new ErrorResponse('Profil d\'artiste non trouvé', 404));
+  }
+
+  const verification = await artistVerificationService.submit(artist, req.files);
+
+  res.status(201).json({
+    success: true,
+    data: verification
+  });
+});
+
+/**
+ * @desc    Obtenir l'état de la vérification du profil et la dernière demande
+ * @route   GET /api/artists/me/verification
+ * @access  Privé (Artiste)
+ */
+exports.getMyVerification = asyncHandler(async (req, res, next) => {
+  const artist = await Artist.findById(req.user.artist).select('verification hasProfessionalCard');
+
+  if (!artist) {
+    return next(new ErrorResponse('Profil d\'artiste non trouvé', 404));
+  }
+
+  const latest = await ArtistVerification.findOne({ artist: artist._id })
+    .select('-documents.fileKey')
+    .sort({ submittedAt: -1 });
+
+  res.status(200).json({
+    success: true,
+    data: {
+      ...artist.toObject().verification,
+      verified: artist.verified,
+      latestRequest: latest
+    }
+  });
+});
+
+/**
+ * @desc    Remplacer la photo de profil (multipart, champ photo)
+ * @route   PUT /api/artists/me/profile-photo
+ * @access  Privé (Artiste)
+ */
+exports.updateMyProfilePhoto = asyncHandler(async (req, res, next) => {
+  const files = (req.files && req.files.photo) || [];
+  const [media] = await mediaService.upload(req.user.artist, files, { kind: 'profile_photo' });
+
+  const variants = mediaService.variantSet(media);
+
+  const previous = await Artist.findByIdAndUpdate(req.user.artist, {
+    profilePhoto: media.url,
+    profilePhotoVariants: variants
+  });
+  if (!previous) {
+    await mediaService.discard(req.user.artist, [media]);
+    return next(new ErrorResponse('Profil d\'artiste non trouvé', 404));
+  }
+
+  // Supprimer l'ancienne photo si elle avait été envoyée sur la plateforme
+  if (previous.profilePhoto) {
+    await mediaService.removeByUrls(req.user.artist, [previous.profilePhoto]);
+  }
+
+  res.status(200).json({
+    success: true,
+    data: { profilePhoto: media.url, profilePhotoVariants: variants }
+  });
+});
+
+/**
+ * @desc    Supprimer la photo de profil
+ * @route   DELETE /api/artists/me/profile-photo
+ * @access  Privé (Artiste)
+ */
+exports.deleteMyProfilePhoto = asyncHandler(async (req, res, next) => {
+  const previous = await Artist.findByIdAndUpdate(req.user.artist, {
+    $unset: { profilePhoto: '', profilePhotoVariants: '' }
+  });
+
+  if (!previous) {
+    return next(new ErrorResponse('Profil d\'artiste non trouvé', 404));
+  }
+
+  if (previous.profilePhoto) {
+    await mediaService.removeByUrls(req.user.artist, [previous.profilePhoto]);
+  }
+
+  res.status(200).json({
+    success: true,
+    data: {}
+  });
+});
+
+/**
+ * @desc    Ajouter des photos à la galerie (multipart, champ photos)
+ * @route   POST /api/artists/me/gallery
+ * @access  Privé (Artiste)
+ */
+exports.addGalleryPhotos = asyncHandler(async (req, res, next) => {
+  const files = (req.files && req.files.photos) || [];
+  const { maxGalleryItems } = uploadsConfig.media;
+
+  if (files.length > maxGalleryItems) {
+    return next(new ErrorResponse(`La galerie est limitée à ${maxGalleryItems} photos`, 400));
+  }
+
+  const mediaFiles = await mediaService.upload(req.user.artist, files, { kind: 'gallery' });
+
+  // Ajouter les photos seulement si la galerie garde au plus maxGalleryItems éléments
+  const artist = await Artist.findOneAndUpdate(
+    { _id: req.user.artist, [`gallery.${maxGalleryItems - files.length}`]: { $exists: false } },
+    {
+      $push: {
+        gallery: { $each: mediaFiles.map(media => media.url) },
+        galleryVariants: { $each: mediaFiles.map(media => mediaService.variantSet(media)) }
+      }
+    },
+    { new: true }
+  ).select('gallery galleryVariants');
+
+  if (!artist) {
+    await mediaService.discard(req.user.artist, mediaFiles);
+    return next(new ErrorResponse(`La galerie est limitée à ${maxGalleryItems} photos`, 400));
+  }
+
+  res.status(201).json({
+    success: true,
+    data: { gallery: artist.gallery, galleryVariants: artist.galleryVariants }
+  });
+});
+
+/**
+ * @desc    Retirer une photo de la galerie (le fichier envoyé est supprimé)
+ * @route   DELETE /api/artists/me/gallery
+ * @access  Privé (Artiste)
+ */
+exports.removeGalleryPhoto = asyncHandler(async (req, res, next) => {
+  const { url } = req.body;
+
+  if (!url) {
+    return next(new ErrorResponse('Veuillez indiquer l\'URL de la photo à retirer (url)', 400));
+  }
+
+  const artist = await Artist.findOneAndUpdate(
+    { _id: req.user.artist, gallery: url },
+    { $pull: { gallery: url, galleryVariants: { original: url } } },
+    { new: true }
+  ).select('gallery galleryVariants');
+
+  if (!artist) {
+    return next(new ErrorResponse('Cette photo ne fait pas partie de votre galerie', 404));
+  }
+
+  await mediaService.removeByUrls(req.user.artist, [url]);
+
+  res.status(200).json({
+    success: true,
+    data: { gallery: artist.gallery, galleryVariants: artist.galleryVariants }
+  });
+});
+
+module.exports = exports; 
@@ -2,17 +2,24 @@ const { User, Booker, Artist } = require('../models');
 const ErrorResponse = require('../utils/errorResponse');
 const asyncHandler = require('../middleware/async');
 const sendSMS = require('../utils/sendSMS');
-const jwt = require('jsonwebtoken');
-
-// Clés secrètes par défaut (identiques à celles définies dans User.js)
-const DEFAULT_JWT_SECRET = 'bookmi_default_jwt_secret_key';
-const DEFAULT_REFRESH_SECRET = 'bookmi_default_refresh_secret_key';
+const sessionService = require('../utils/sessionService');
+const rateLimiter = require('../utils/rateLimiter');
+const oneTimeCodes = require('../utils/oneTimeCodes');
+const phoneUtils = require('../utils/phone');
+const twoFactorService = require('../utils/twoFactorService');
+const auditTrail = require('../utils/auditTrail');
+const mfaConfig = require('../config/mfa');
+
+// Erreur renvoyée pour un code refusé
+const codeError = (result, message) => (result === 'exhausted'
+  ? new ErrorResponse('Nombre maximal d\'essais atteint pour ce code, veuillez en demander un nouveau', 400)
+  : new ErrorResponse(message, 400));
 
 // @desc    Inscription d'un booker
 // @route   POST /api/auth/register/booker
 // @access  Public
 exports.registerBooker = asyncHandler(async (req, res, next) => {
-  const { firstName, lastName, companyName, address, country, city, postalCode, email, password, phone } = req.body;
+  const { firstName, lastName, companyName, address, country, city, postalCode, email, password, phone, locale } = req.body;
 
   // Vérifier si l'email existe déjà
   const userExists = await User.findOne({ email });
@@ -32,23 +39,22 @@ exports.registerBooker = asyncHandler(async (req, res, next) => {
     email,
     password,
     phone,
+    locale,
     role: 'booker'
   });
 
-  // Générer un code de vérification
-  const verificationCode = booker.generateVerificationCode();
-  await booker.save();
+  // Générer un code de vérification du téléphone
+  const { code: verificationCode } = await oneTimeCodes.issue(booker, 'verify_phone');
 
   // Envoyer le code par SMS
-  // À implémenter avec un service comme Twilio ou autre
   try {
-    await sendSMS(phone, `Votre code de vérification BookMi est: ${verificationCode}`);
+    await sendSMS(phone, `Votre code de vérification BookMi est: ${verificationCode}`, { category: 'otp', sensitive: true });
   } catch (error) {
     console.error('Erreur lors de l\'envoi du SMS:', error);
     // On continue même si l'envoi du SMS échoue
   }
 
-  sendTokenResponse(booker, 201, res);
+  await sendTokenResponse(booker, 201, req, res);
 });
 
 // @desc    Inscription d'un artiste
@@ -59,7 +65,7 @@ exports.registerArtist = asyncHandler(async (req, res, next) => {
     firstName, lastName, birthDate, artistName, projectName, 
     discipline, eventTypes, hasProfessionalCard, 
     country, address, city, postalCode, 
-    email, password, phone 
+    email, password, phone, locale
   } = req.body;
 
   // Vérifier si l'email existe déjà
@@ -85,22 +91,22 @@ exports.registerArtist = asyncHandler(async (req, res, next) => {
     email,
     password,
     phone,
+    locale,
     role: 'artist'
   });
 
-  // Générer un code de vérification
-  const verificationCode = artist.generateVerificationCode();
-  await artist.save();
+  // Générer un code de vérification du téléphone
+  const { code: verificationCode } = await oneTimeCodes.issue(artist, 'verify_phone');
 
   // Envoyer le code par SMS
   try {
-    await sendSMS(phone, `Votre code de vérification BookMi est: ${verificationCode}`);
+    await sendSMS(phone, `Votre code de vérification BookMi est: ${verificationCode}`, { category: 'otp', sensitive: true });
   } catch (error) {
     console.error('Erreur lors de l\'envoi du SMS:', error);
     // On continue même si l'envoi du SMS échoue
   }
 
-  sendTokenResponse(artist, 201, res);
+  await sendTokenResponse(artist, 201, req, res);
 });
 
 // @desc    Connexion d'un utilisateur
@@ -114,31 +120,97 @@ exports.login = asyncHandler(async (req, res, next) => {
     return next(new ErrorResponse('Veuillez fournir un email et un mot de passe', 400));
   }
 
+  // Refuser les tentatives sur un compte ou depuis une IP verrouillés (429)
+  const limits = rateLimiter.forLogin(email, req.ip);
+  await rateLimiter.assertNotLocked(limits);
+
   // Chercher l'utilisateur
   const user = await User.findOne({ email }).select('+password');
 
-  if (!user) {
-    return next(new ErrorResponse('Identifiants invalides', 401));
-  }
-
   // Vérifier si le mot de passe correspond
-  const isMatch = await user.comparePassword(password);
+  const isMatch = user ? await user.comparePassword(password) : false;
 
   if (!isMatch) {
+    await rateLimiter.registerFailure(limits);
     return next(new ErrorResponse('Identifiants invalides', 401));
   }
 
-  sendTokenResponse(user, 200, res);
+  // Effacer les échecs du compte (ceux de l'IP restent comptés)
+  await rateLimiter.registerSuccess(limits.slice(0, 1));
+
+  await completeLogin(user, req, res);
+});
+
+// @desc    Demander un code de connexion par SMS
+// @route   POST /api/auth/otp/request
+// @access  Public
+exports.requestLoginCode = asyncHandler(async (req, res, next) => {
+  const phone = phoneUtils.normalize(req.body.phone);
+
+  if (!phoneUtils.isValid(phone)) {
+    return next(new ErrorResponse('Veuillez fournir un numéro de téléphone valide', 400));
+  }
+
+  // Limiter le nombre de SMS envoyés par numéro et par IP (429)
+  await rateLimiter.throttle(rateLimiter.forCodeSending(phone, req.ip));
+
+  // La réponse est la même que le numéro corresponde ou non à un compte
+  const message = 'Si un compte correspond à ce numéro, un code de connexion a été envoyé par SMS';
+
+  // Un numéro partagé par plusieurs comptes ne permet pas la connexion par SMS (connexion par email)
+  const users = await User.find({ phone }).limit(2);
+  if (users.length !== 1) {
+    return res.status(200).json({ success: true, message });
+  }
+
+  const { code } = await oneTimeCodes.issue(users[0], 'login', { destination: phone });
+
+  try {
+    await sendSMS(phone, `Votre code de connexion BookMi est: ${code}`, { category: 'otp', sensitive: true });
+  } catch (error) {
+    console.error('Erreur lors de l\'envoi du SMS:', error);
+    return next(new ErrorResponse('Erreur lors de l\'envoi du SMS', 500));
+  }
+
+  res.status(200).json({ success: true, message });
+});
+
+// @desc    Se connecter avec le code reçu par SMS
+// @route   POST /api/auth/otp/verify
+// @access  Public
+exports.verifyLoginCode = asyncHandler(async (req, res, next) => {
+  const phone = phoneUtils.normalize(req.body.phone);
+  const { code } = req.body;
+
+  const limits = rateLimiter.forCodeEntry(req.ip);
+  await rateLimiter.assertNotLocked(limits);
+
+  // Le code doit avoir été émis pour une connexion (essais plafonnés)
+  const users = phoneUtils.isValid(phone) ? await User.find({ phone }).limit(2) : [];
+  const user = users.length === 1 ? users[0] : null;
+  const result = user ? await oneTimeCodes.verify(user, 'login', code) : 'invalid';
+
+  if (result !== 'valid') {
+    await rateLimiter.registerFailure(limits);
+    return next(codeError(result, 'Code de connexion invalide ou expiré'));
+  }
+
+  // Le code reçu par SMS prouve la possession du numéro
+  if (!user.isVerified) {
+    user.isVerified = true;
+    await user.save();
+  }
+
+  await completeLogin(user, req, res);
 });
 
 // @desc    Déconnexion / effacement du cookie
 // @route   GET /api/auth/logout
 // @access  Private
 exports.logout = asyncHandler(async (req, res, next) => {
-  // Si un refresh token est stocké dans la base de données, le supprimer
-  if (req.user) {
-    req.user.refreshToken = undefined;
-    await req.user.save();
+  // Révoquer la session courante (ses refresh tokens ne sont plus acceptés)
+  if (req.sessionId) {
+    await sessionService.revoke(req.sessionId, 'logout');
   }
 
   res.cookie('token', 'none', {
@@ -173,9 +245,12 @@ exports.updateDetails = asyncHandler(async (req, res, next) => {
     firstName: req.body.firstName,
     lastName: req.body.lastName,
     email: req.body.email,
-    phone: req.body.phone
+    locale: req.body.locale
   };
 
+  // Le numéro ne change qu'après la saisie d'un code reçu sur le nouveau numéro
+  phoneUtils.assertUnchanged(req.user.phone, req.body.phone);
+
   const user = await User.findByIdAndUpdate(req.user.id, fieldsToUpdate, {
     new: true,
     runValidators: true
@@ -187,6 +262,62 @@ exports.updateDetails = asyncHandler(async (req, res, next) => {
   });
 });
 
+// @desc    Demander un code pour changer de numéro de téléphone (envoyé sur le nouveau numéro)
+// @route   POST /api/auth/phone/request
+// @access  Private
+exports.requestPhoneChange = asyncHandler(async (req, res, next) => {
+  const phone = phoneUtils.normalize(req.body.phone);
+
+  if (!phoneUtils.isValid(phone)) {
+    return next(new ErrorResponse('Veuillez fournir un numéro de téléphone valide', 400));
+  }
+
+  if (phone === req.user.phone) {
+    return next(new ErrorResponse('Ce numéro est déjà celui de votre compte', 400));
+  }
+
+  // Limiter le nombre de SMS envoyés par numéro et par IP (429)
+  await rateLimiter.throttle(rateLimiter.forCodeSending(phone, req.ip));
+
+  const { code } = await oneTimeCodes.issue(req.user, 'change_phone', { destination: phone });
+
+  try {
+    await sendSMS(phone, `Votre code de changement de numéro BookMi est: ${code}`, { category: 'otp', sensitive: true });
+  } catch (error) {
+    console.error('Erreur lors de l\'envoi du SMS:', error);
+    return next(new ErrorResponse('Erreur lors de l\'envoi du SMS', 500));
+  }
+
+  res.status(200).json({
+    success: true,
+    message: 'Un code de confirmation a été envoyé par SMS au nouveau numéro'
+  });
+});
+
+// @desc    Confirmer le changement de numéro avec le code reçu sur le nouveau numéro
+// @route   POST /api/auth/phone/verify
+// @access  Private
+exports.verifyPhoneChange = asyncHandler(async (req, res, next) => {
+  const limits = rateLimiter.forCodeEntry(req.ip);
+  await rateLimiter.assertNotLocked(limits);
+
+  const { result, destination } = await oneTimeCodes.check(req.user, 'change_phone', req.body.code);
+  if (result !== 'valid') {
+    await rateLimiter.registerFailure(limits);
+    return next(codeError(result, 'Code de confirmation invalide ou expiré'));
+  }
+
+  const user = await User.findByIdAndUpdate(req.user.id, { phone: destination }, {
+    new: true,
+    runValidators: true
+  });
+
+  res.status(200).json({
+    success: true,
+    data: user
+  });
+});
+
 // @desc    Mise à jour du mot de passe
 // @route   PUT /api/auth/updatepassword
 // @access  Private
@@ -201,7 +332,10 @@ exports.updatePassword = asyncHandler(async (req, res, next) => {
   user.password = req.body.newPassword;
   await user.save();
 
-  sendTokenResponse(user, 200, res);
+  // Déconnecter les autres appareils; une nouvelle session remplace la session courante
+  await sessionService.revokeAllForUser(user._id, 'password_changed');
+
+  await sendTokenResponse(user, 200, req, res, { twoFactorVerified: req.twoFactorVerified });
 });
 
 // @desc    Vérification du compte avec le code reçu par SMS
@@ -210,25 +344,24 @@ exports.updatePassword = asyncHandler(async (req, res, next) => {
 exports.verifyAccount = asyncHandler(async (req, res, next) => {
   const { email, code } = req.body;
 
-  // Trouver l'utilisateur par email
-  const user = await User.findOne({ 
-    email, 
-    verificationCode: code,
-    verificationCodeExpires: { $gt: Date.now() }
-  });
+  const limits = rateLimiter.forCodeEntry(req.ip);
+  await rateLimiter.assertNotLocked(limits);
 
-  if (!user) {
-    return next(new ErrorResponse('Code de vérification invalide ou expiré', 400));
+  // Trouver l'utilisateur par email puis contrôler le code propre à cet usage (essais plafonnés)
+  const user = await User.findOne({ email });
+  const result = user ? await oneTimeCodes.verify(user, 'verify_phone', code) : 'invalid';
+
+  if (result !== 'valid') {
+    await rateLimiter.registerFailure(limits);
+    return next(codeError(result, 'Code de vérification invalide ou expiré'));
   }
 
   // Marquer l'utilisateur comme vérifié
   user.isVerified = true;
-  user.verificationCode = undefined;
-  user.verificationCodeExpires = undefined;
   await user.save();
 
-  // Renvoyer un token comme pour login/register
-  sendTokenResponse(user, 200, res);
+  // Renvoyer un token comme pour login (challenge si la double authentification est active)
+  await completeLogin(user, req, res);
 });
 
 // @desc    Demande de nouveau code de vérification
@@ -237,6 +370,9 @@ exports.verifyAccount = asyncHandler(async (req, res, next) => {
 exports.resendVerificationCode = asyncHandler(async (req, res, next) => {
   const { email } = req.body;
 
+  // Limiter le nombre de SMS envoyés par compte et par IP (429)
+  await rateLimiter.throttle(rateLimiter.forCodeSending(email, req.ip));
+
   const user = await User.findOne({ email });
 
   if (!user) {
@@ -247,13 +383,12 @@ exports.resendVerificationCode = asyncHandler(async (req, res, next) => {
     return next(new ErrorResponse('Ce compte est déjà vérifié', 400));
   }
 
-  // Générer un nouveau code
-  const verificationCode = user.generateVerificationCode();
-  await user.save();
+  // Générer un nouveau code (le précédent n'est plus accepté)
+  const { code: verificationCode } = await oneTimeCodes.issue(user, 'verify_phone');
 
   // Envoyer le code par SMS
   try {
-    await sendSMS(user.phone, `Votre nouveau code de vérification BookMi est: ${verificationCode}`);
+    await sendSMS(user.phone, `Votre nouveau code de vérification BookMi est: ${verificationCode}`, { category: 'otp', sensitive: true });
   } catch (error) {
     console.error('Erreur lors de l\'envoi du SMS:', error);
     return next(new ErrorResponse('Erreur lors de l\'envoi du SMS', 500));
@@ -271,21 +406,24 @@ exports.resendVerificationCode = asyncHandler(async (req, res, next) => {
 exports.forgotPassword = asyncHandler(async (req, res, next) => {
   const { email } = req.body;
 
+  // Limiter le nombre de SMS envoyés par compte et par IP (429)
+  await rateLimiter.throttle(rateLimiter.forCodeSending(email, req.ip));
+
   const user = await User.findOne({ email });
 
   if (!user) {
     return next(new ErrorResponse('Aucun compte trouvé avec cet email', 404));
   }
 
-  // Générer un code pour réinitialiser le mot de passe
-  const resetCode = user.generateVerificationCode();
-  await user.save();
+  // Générer un code réservé à la réinitialisation du mot de passe
+  const { code: resetCode } = await oneTimeCodes.issue(user, 'reset_password');
 
   // Envoyer le code par SMS
   try {
     await sendSMS(
       user.phone,
-      `Votre code de réinitialisation de mot de passe BookMi est: ${resetCode}`
+      `Votre code de réinitialisation de mot de passe BookMi est: ${resetCode}`,
+      { category: 'otp', sensitive: true }
     );
   } catch (error) {
     console.error('Erreur lors de l\'envoi du SMS:', error);
@@ -304,30 +442,32 @@ exports.forgotPassword = asyncHandler(async (req, res, next) => {
 exports.resetPassword = asyncHandler(async (req, res, next) => {
   const { email, code, newPassword } = req.body;
 
-  // Trouver l'utilisateur par email et code
-  const user = await User.findOne({
-    email,
-    verificationCode: code,
-    verificationCodeExpires: { $gt: Date.now() }
-  });
+  const limits = rateLimiter.forCodeEntry(req.ip);
+  await rateLimiter.assertNotLocked(limits);
 
-  if (!user) {
-    return next(new ErrorResponse('Code invalide ou expiré', 400));
+  // Trouver l'utilisateur par email puis contrôler le code propre à cet usage (essais plafonnés)
+  const user = await User.findOne({ email });
+  const result = user ? await oneTimeCodes.verify(user, 'reset_password', code) : 'invalid';
+
+  if (result !== 'valid') {
+    await rateLimiter.registerFailure(limits);
+    return next(codeError(result, 'Code invalide ou expiré'));
   }
 
   // Définir le nouveau mot de passe
   user.password = newPassword;
-  user.verificationCode = undefined;
-  user.verificationCodeExpires = undefined;
   await user.save();
 
+  // Déconnecter tous les appareils
+  await sessionService.revokeAllForUser(user._id, 'password_changed');
+
   res.status(200).json({
     success: true,
     message: 'Mot de passe réinitialisé avec succès'
   });
 });
 
-// @desc    Rafraîchir le token d'accès avec un refresh token
+// @desc    Rafraîchir le token d'accès avec un refresh token (le refresh token est remplacé)
 // @route   POST /api/auth/refresh-token
 // @access  Public
 exports.refreshToken = asyncHandler(async (req, res, next) => {
@@ -337,38 +477,264 @@ exports.refreshToken = asyncHandler(async (req, res, next) => {
     return next(new ErrorResponse('Refresh token requis', 400));
   }
 
-  // Vérifier le refresh token
+  // Un refresh token ne sert qu'une fois: sa réutilisation révoque toute la session
+  const { token, refreshToken: newRefreshToken } = await sessionService.rotate(refreshToken, req);
+
+  res.status(200).json({
+    success: true,
+    token,
+    refreshToken: newRefreshToken
+  });
+});
+
+// @desc    Lister les sessions actives de l'utilisateur (appareils connectés)
+// @route   GET /api/auth/sessions
+// @access  Private
+exports.getSessions = asyncHandler(async (req, res, next) => {
+  const sessions = await sessionService.listForUser(req.user._id);
+
+  res.status(200).json({
+    success: true,
+    count: sessions.length,
+    data: sessions.map(session => ({
+      ...session.toObject(),
+      current: session._id.toString() === String(req.sessionId)
+    }))
+  });
+});
+
+// @desc    Révoquer une session
+// @route   DELETE /api/auth/sessions/:id
+// @access  Private
+exports.revokeSession = asyncHandler(async (req, res, next) => {
+  const revoked = await sessionService.revoke(req.params.id, 'revoked', req.user._id);
+
+  if (!revoked) {
+    return next(new ErrorResponse(`Session active non trouvée avec l'id ${req.params.id}`, 404));
+  }
+
+  res.status(200).json({
+    success: true,
+    data: {}
+  });
+});
+
+// @desc    Révoquer toutes les sessions sauf la session courante
+// @route   DELETE /api/auth/sessions
+// @access  Private
+exports.revokeOtherSessions = asyncHandler(async (req, res, next) => {
+  const count = await sessionService.revokeAllForUser(req.user._id, 'revoked', req.sessionId);
+
+  res.status(200).json({
+    success: true,
+    count,
+    data: {}
+  });
+});
+
+// @desc    Terminer une connexion avec un code de double authentification
+// @route   POST /api/auth/2fa/verify
+// @access  Public
+exports.verifyTwoFactor = asyncHandler(async (req, res, next) => {
+  const { challengeToken, code, backupCode } = req.body;
+
+  if (!challengeToken || (!code && !backupCode)) {
+    return next(new ErrorResponse('Veuillez fournir le challenge et un code de double authentification', 400));
+  }
+
+  const userId = twoFactorService.readChallenge(challengeToken);
+
+  const limits = rateLimiter.forTwoFactor(userId, req.ip);
+  await rateLimiter.assertNotLocked(limits);
+
+  if (!(await twoFactorService.verifyCode(userId, { code, backupCode }))) {
+    await rateLimiter.registerFailure(limits);
+    return next(new ErrorResponse('Code de double authentification invalide', 401));
+  }
+
+  await rateLimiter.registerSuccess(limits.slice(0, 1));
+
+  const user = await User.findById(userId);
+  if (!user) {
+    return next(new ErrorResponse('Accès non autorisé', 401));
+  }
+  if (user.isActive === false) {
+    return next(new ErrorResponse('Ce compte a été suspendu', 403));
+  }
+
+  await sendTokenResponse(user, 200, req, res, { twoFactorVerified: true });
+});
+
+// @desc    État de la double authentification de l'utilisateur
+// @route   GET /api/auth/2fa
+// @access  Private (Artist, Admin)
+exports.getTwoFactorStatus = asyncHandler(async (req, res, next) => {
+  const { enabled, enabledAt } = req.user.twoFactor || {};
+
+  res.status(200).json({
+    success: true,
+    data: {
+      enabled: !!enabled,
+      enabledAt: enabledAt || null,
+      required: await twoFactorService.isRequiredFor(req.user.role),
+      backupCodesRemaining: enabled ? await twoFactorService.countBackupCodes(req.user._id) : 0
+    }
+  });
+});
+
+// @desc    Démarrer l'enrôlement: secret et URI otpauth à scanner
+// @route   POST /api/auth/2fa/setup
+// @access  Private (Artist, Admin)
+exports.setupTwoFactor = asyncHandler(async (req, res, next) => {
+  const { secret, otpauthUri } = await twoFactorService.setup(req.user);
+
+  res.status(200).json({
+    success: true,
+    data: { secret, otpauthUri }
+  });
+});
+
+// @desc    Activer la double authentification avec un premier code
+// @route   POST /api/auth/2fa/enable
+// @access  Private (Artist, Admin)
+exports.enableTwoFactor = asyncHandler(async (req, res, next) => {
+  const limits = rateLimiter.forTwoFactor(req.user._id, req.ip);
+  await rateLimiter.assertNotLocked(limits);
+
+  let backupCodes;
   try {
-    // Utilisation directe de la clé par défaut
-    const decoded = jwt.verify(refreshToken, DEFAULT_REFRESH_SECRET);
-    
-    // Trouver l'utilisateur
-    const user = await User.findById(decoded.id);
-    
-    if (!user || user.refreshToken !== refreshToken) {
-      return next(new ErrorResponse('Refresh token invalide', 401));
+    backupCodes = await twoFactorService.enable(req.user, req.body.code);
+  } catch (error) {
+    if (error.statusCode === 400) {
+      await rateLimiter.registerFailure(limits);
     }
-    
-    // Générer un nouveau token d'accès
-    const token = user.generateAuthToken();
-    
-    res.status(200).json({
+    throw error;
+  }
+
+  // La session courante vient de prouver la possession du second facteur
+  await sessionService.markTwoFactorVerified(req.sessionId);
+
+  res.status(200).json({
+    success: true,
+    message: 'Double authentification activée. Conservez ces codes de secours: ils ne seront plus affichés',
+    data: { backupCodes }
+  });
+});
+
+// @desc    Régénérer les codes de secours
+// @route   POST /api/auth/2fa/backup-codes
+// @access  Private (Artist, Admin)
+exports.regenerateBackupCodes = asyncHandler(async (req, res, next) => {
+  const limits = rateLimiter.forTwoFactor(req.user._id, req.ip);
+  await rateLimiter.assertNotLocked(limits);
+
+  if (!(await twoFactorService.verifyCode(req.user._id, { code: req.body.code }))) {
+    await rateLimiter.registerFailure(limits);
+    return next(new ErrorResponse('Code de double authentification invalide', 401));
+  }
+
+  const backupCodes = await twoFactorService.regenerateBackupCodes(req.user._id);
+
+  res.status(200).json({
+    success: true,
+    data: { backupCodes }
+  });
+});
+
+// @desc    Désactiver la double authentification (mot de passe et code requis)
+// @route   POST /api/auth/2fa/disable
+// @access  Private (Artist, Admin)
+exports.disableTwoFactor = asyncHandler(async (req, res, next) => {
+  const { password, code, backupCode } = req.body;
+
+  const user = await User.findById(req.user._id).select('+password');
+  if (!password || !(await user.comparePassword(password))) {
+    return next(new ErrorResponse('Mot de passe incorrect', 401));
+  }
+
+  const limits = rateLimiter.forTwoFactor(user._id, req.ip);
+  await rateLimiter.assertNotLocked(limits);
+
+  if (!(await twoFactorService.verifyCode(user._id, { code, backupCode }))) {
+    await rateLimiter.registerFailure(limits);
+    return next(new ErrorResponse('Code de double authentification invalide', 401));
+  }
+
+  await twoFactorService.disable(user);
+
+  res.status(200).json({
+    success: true,
+    data: {}
+  });
+});
+
+// @desc    Rôles pour lesquels la double authentification est obligatoire
+// @route   GET /api/auth/2fa/policy
+// @access  Private (Admin)
+exports.getTwoFactorPolicy = asyncHandler(async (req, res, next) => {
+  res.status(200).json({
+    success: true,
+    data: { requiredRoles: await twoFactorService.getRequiredRoles() }
+  });
+});
+
+// @desc    Rendre la double authentification obligatoire pour des rôles
+// @route   PUT /api/auth/2fa/policy
+// @access  Private (Admin)
+exports.updateTwoFactorPolicy = asyncHandler(async (req, res, next) => {
+  const { requiredRoles } = req.body;
+
+  if (!Array.isArray(requiredRoles)) {
+    return next(new ErrorResponse('Veuillez fournir la liste des rôles (requiredRoles)', 400));
+  }
+
+  // Seuls les rôles qui peuvent s'enrôler peuvent être soumis à la double authentification
+  const ineligible = requiredRoles.filter(role => !mfaConfig.eligibleRoles.includes(role));
+  if (ineligible.length > 0) {
+    return next(new ErrorResponse(`La double authentification ne peut pas être imposée aux rôles: ${ineligible.join(', ')}`, 400));
+  }
+
+  const previousRoles = await twoFactorService.getRequiredRoles();
+  const policy = await twoFactorService.setRequiredRoles(requiredRoles, req.user._id);
+
+  await auditTrail.record(req, {
+    action: 'security_policy.update',
+    targetModel: 'SecurityPolicy',
+    targetId: policy._id,
+    before: { twoFactorRequiredRoles: previousRoles },
+    after: { twoFactorRequiredRoles: policy.twoFactorRequiredRoles }
+  });
+
+  res.status(200).json({
+    success: true,
+    data: { requiredRoles: policy.twoFactorRequiredRoles }
+  });
+});
+
+// Helper pour terminer une connexion: challenge si la double authentification est active
+const completeLogin = async (user, req, res) => {
+  if (user.isActive === false) {
+    throw new ErrorResponse('Ce compte a été suspendu', 403);
+  }
+
+  if (user.twoFactor && user.twoFactor.enabled) {
+    return res.status(200).json({
       success: true,
-      token
+      mfaRequired: true,
+      challengeToken: twoFactorService.issueChallenge(user)
     });
-  } catch (err) {
-    return next(new ErrorResponse('Refresh token invalide ou expiré', 401));
   }
-});
+
+  await sendTokenResponse(user, 200, req, res);
+};
 
 // Helper pour envoyer la réponse avec token
-const sendTokenResponse = (user, statusCode, res) => {
-  // Créer un token
-  const token = user.generateAuthToken();
+const sendTokenResponse = async (user, statusCode, req, res, { twoFactorVerified = false } = {}) => {
+  // Ouvrir une session pour cet appareil (token d'accès et refresh token)
+  const { session, token, refreshToken } = await sessionService.create(user, req, { twoFactorVerified });
 
-  // Créer un refresh token
-  const refreshToken = user.generateRefreshToken();
-  user.save();
+  // Rôle soumis à la double authentification sans l'avoir activée: enrôlement à faire avant tout
+  const twoFactorEnrollmentRequired = !twoFactorVerified && (await twoFactorService.isRequiredFor(user.role));
 
   const options = {
     // Expire dans 1 jour (valeur fixe)
@@ -388,6 +754,8 @@ const sendTokenResponse = (user, statusCode, res) => {
       success: true,
       token,
       refreshToken,
+      sessionId: session._id,
+      twoFactorEnrollmentRequired,
       user: {
         id: user._id,
         firstName: user.firstName,
@@ -1,6 +1,7 @@
 const { User, Booker, Artist, Service } = require('../models');
 const asyncHandler = require('../middleware/async');
 const ErrorResponse = require('../utils/errorResponse');
+const ledger = require('../utils/ledger');
 
 /**
  * @desc    Récupérer le profil du booker connecté
@@ -75,6 +76,11 @@ exports.searchArtists = asyncHandler(async (req, res, next) => {
     query.country = req.query.country;
   }
 
+  // Ne garder que les artistes vérifiés
+  if (req.query.verified === 'true') {
+    query['verification.status'] = 'approved';
+  }
+
   // Recherche textuelle
   if (req.query.search) {
     query.$or = [
@@ -96,11 +102,11 @@ exports.searchArtists = asyncHandler(async (req, res, next) => {
 
   // Rechercher les artistes avec pagination
   const artists = await Artist.find(query)
-    .select('artistName projectName discipline city country firstName lastName profilePhoto')
+    .select('artistName projectName discipline city country firstName lastName profilePhoto profilePhotoVariants.thumbnail profilePhotoVariants.webp.thumbnail verification.status')
     .populate({
       path: 'services',
       match: { active: true },
-      select: 'title price category photos'
+      select: 'title price category photos photoVariants.thumbnail photoVariants.webp.thumbnail'
     })
     .skip(startIndex)
     .limit(limit)
@@ -139,7 +145,7 @@ exports.searchArtists = asyncHandler(async (req, res, next) => {
 exports.getArtistWithServices = asyncHandler(async (req, res, next) => {
   // Récupérer l'artiste avec ses informations de base
   const artist = await Artist.findById(req.params.artistId)
-    .select('artistName projectName discipline city country firstName lastName profilePhoto bio availability rating gallery profileViews');
+    .select('artistName projectName discipline city country firstName lastName profilePhoto profilePhotoVariants bio availability rating gallery galleryVariants profileViews verification.status');
 
   if (!artist) {
     return next(new ErrorResponse(`Artiste non trouvé avec l'id ${req.params.artistId}`, 404));
@@ -154,7 +160,7 @@ exports.getArtistWithServices = asyncHandler(async (req, res, next) => {
     artist: req.params.artistId,
     active: true
   })
-  .select('title description price category photos active')
+  .select('title description price category photos photoVariants active')
   .sort('-createdAt');
 
   res.status(200).json({
@@ -340,7 +346,7 @@ exports.getFavoriteArtists = asyncHandler(async (req, res, next) => {
     const favoriteArtists = await Artist.find({
       _id: { $in: booker.favorites }
     })
-    .select('_id artistName projectName discipline city country profilePhoto rating profileViews firstName lastName')
+    .select('_id artistName projectName discipline city country profilePhoto profilePhotoVariants.thumbnail profilePhotoVariants.webp.thumbnail rating profileViews firstName lastName')
     .lean(); // Utiliser lean() pour des performances améliorées
     
     console.log(`${favoriteArtists.length} artistes favoris trouvés`);
@@ -529,12 +535,12 @@ exports.getDashboardStats = asyncHandler(async (req, res, next) => {
     }
 
     // Récupérer les modèles nécessaires
-    const { Reservation, Payment, Artist } = require('../models');
+    const { Reservation, Artist } = require('../models');
     
     // Déterminer les dates pour le mois en cours
     const now = new Date();
     const firstDayOfMonth = new Date(now.getFullYear(), now.getMonth(), 1);
-    const lastDayOfMonth = new Date(now.getFullYear(), now.getMonth() + 1, 0);
+    const lastDayOfMonth = new Date(now.getFullYear(), now.getMonth() + 1, 0, 23, 59, 59, 999);
     const todayStr = now.toISOString().split('T')[0];
 
     // Récupérer toutes les réservations du booker
@@ -560,16 +566,8 @@ exports.getDashboardStats = asyncHandler(async (req, res, next) => {
     // Réservations à payer (payment status pending)
     const toPay = reservations.filter(r => r.paymentStatus === 'pending').length;
     
-    // Calculer les dépenses du mois
-    const payments = await Payment.find({
-      payer: req.user.booker,
-      status: 'completed',
-      createdAt: { $gte: firstDayOfMonth, $lte: lastDayOfMonth }
-    });
-    
-    const expensesThisMonth = payments.reduce((total, payment) => {
-      return total + (payment.totalAmount || 0);
-    }, 0);
+    // Calculer les dépenses du mois à partir du grand livre (remboursements déduits)
+    const expensesThisMonth = await ledger.getBookerExpenses(req.user.booker, firstDayOfMonth, lastDayOfMonth);
 
     // Nombre d'artistes contactés (artistes uniques dans les réservations)
     const artistsContactedIds = new Set(reservations.map(r => r.artistId?._id?.toString() || r.artistId?.toString()));
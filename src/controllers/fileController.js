@@ -0,0 +1,40 @@
+const path = require('path');
+const asyncHandler = require('../middleware/async');
+const ErrorResponse = require('../utils/errorResponse');
+const { getDriver, contentDisposition } = require('../utils/storageDrivers');
+const uploadsConfig = require('../config/uploads');
+
+/**
+ * @desc    Lire un fichier privé du stockage local par URL signée
+ * @route   GET /api/files/private/*
+ * @access  Public (URL signée et temporaire)
+ */
+exports.getPrivateFile = asyncHandler(async (req, res) => {
+  // Avec S3, les URL signées pointent directement vers le bucket privé
+  if (uploadsConfig.driver !== 'local') {
+    throw new ErrorResponse('Fichier non trouvé', 404);
+  }
+
+  const key = req.params[0];
+  const { expires, filename = '', signature } = req.query;
+  const driver = getDriver('local');
+
+  if (!driver.verifySignedUrl(key, { expires, filename, signature })) {
+    throw new ErrorResponse('Lien invalide ou expiré', 403);
+  }
+
+  let stream;
+  try {
+    stream = await driver.createReadStream(key, 'private');
+  } catch (error) {
+    throw new ErrorResponse('Fichier non trouvé', 404);
+  }
+
+  res.type(path.extname(key));
+  res.set('Cache-Control', 'private, no-store');
+  if (filename) {
+    res.set('Content-Disposition', contentDisposition(filename));
+  }
+  stream.on('error', () => res.destroy());
+  stream.pipe(res);
+});
@@ -0,0 +1,66 @@
+const { LedgerEntry } = require('../models');
+const asyncHandler = require('../middleware/async');
+const ErrorResponse = require('../utils/errorResponse');
+const ledger = require('../utils/ledger');
+
+/**
+ * @desc    Consulter les écritures du grand livre
+ * @route   GET /api/ledger/entries
+ * @access  Privé (Admin)
+ */
+exports.getLedgerEntries = asyncHandler(async (req, res, next) => {
+  const query = {};
+
+  if (req.query.account) {
+    if (!ledger.ACCOUNTS.includes(req.query.account)) {
+      return next(new ErrorResponse(`Compte inconnu: ${req.query.account}`, 400));
+    }
+    query.account = req.query.account;
+  }
+  ['journal', 'kind', 'owner', 'payment', 'reservation', 'payout'].forEach(field => {
+    if (req.query[field]) {
+      query[field] = req.query[field];
+    }
+  });
+
+  // Options de pagination
+  const page = parseInt(req.query.page, 10) || 1;
+  const limit = parseInt(req.query.limit, 10) || 50;
+  const startIndex = (page - 1) * limit;
+
+  const total = await LedgerEntry.countDocuments(query);
+  const entries = await LedgerEntry.find(query)
+    .sort({ createdAt: -1, journal: 1, line: 1 })
+    .skip(startIndex)
+    .limit(limit);
+
+  res.status(200).json({
+    success: true,
+    count: entries.length,
+    total,
+    pagination: {
+      page,
+      limit,
+      totalPages: Math.ceil(total / limit)
+    },
+    data: entries
+  });
+});
+
+/**
+ * @desc    Rapprocher le grand livre des paiements, séquestres, retraits et réservations
+ * @route   GET /api/ledger/reconciliation
+ * @access  Privé (Admin)
+ */
+exports.getReconciliation = asyncHandler(async (req, res) => {
+  const report = await ledger.reconcile();
+
+  if (!report.balanced) {
+    console.error(`Réconciliation du grand livre: ${report.issues.length} anomalie(s) détectée(s)`);
+  }
+
+  res.status(200).json({
+    success: true,
+    data: report
+  });
+});
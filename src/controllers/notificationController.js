@@ -1,7 +1,12 @@
-const { Notification } = require('../models');
+const mongoose = require('mongoose');
+const { Notification, User } = require('../models');
 const asyncHandler = require('../middleware/async');
 const ErrorResponse = require('../utils/errorResponse');
 const notificationService = require('../utils/notificationService');
+const notificationHub = require('../utils/notificationHub');
+const notificationPreferenceService = require('../utils/notificationPreferenceService');
+const sessionService = require('../utils/sessionService');
+const notificationsConfig = require('../config/notifications');
 
 /**
  * @desc    Obtenir les notifications de l'utilisateur connecté
@@ -96,6 +101,7 @@ exports.markAsRead = asyncHandler(async (req, res) => {
   
   // Marquer comme lue
   const updatedNotification = await notificationService.markAsRead(notificationId);
+  notificationHub.unreadCountChanged({ recipientId: notification.recipient, recipientModel: notification.recipientModel });
   
   res.status(200).json({
     success: true,
@@ -128,6 +134,7 @@ exports.markAllAsRead = asyncHandler(async (req, res) => {
   
   // Marquer toutes comme lues
   const result = await notificationService.markAllAsRead(recipientId, recipientModel);
+  notificationHub.unreadCountChanged({ recipientId, recipientModel });
   
   res.status(200).json({
     success: true,
@@ -169,11 +176,210 @@ exports.deleteNotification = asyncHandler(async (req, res) => {
     });
   }
   
-  // Supprimer la notification
-  await notification.remove();
+  // Supprimer la notification (le change stream ne voit pas le destinataire d'une suppression:
+  // le compteur est mis à jour par l'instance qui la traite)
+  await notification.deleteOne();
+  notificationHub.unreadCountChanged({ recipientId: notification.recipient, recipientModel: notification.recipientModel });
   
   res.status(200).json({
     success: true,
     data: {}
   });
-}); 
\ No newline at end of file
+});
+
+/**
+ * @desc    Recevoir les notifications en temps réel (Server-Sent Events)
+ *          Événements: notification (id = ID de la notification), unread_count, resync, token_expired, session_revoked.
+ *          La session est revérifiée à chaque battement: une session révoquée ou un compte suspendu ferme le flux.
+ *          À la reconnexion, les notifications créées après l'en-tête Last-Event-ID (ou ?lastEventId=) sont renvoyées
+ * @route   GET /api/notifications/stream
+ * @access  Privé
+ */
+exports.streamNotifications = asyncHandler(async (req, res) => {
+  const recipient = notificationService.getRecipient(req.user);
+  if (!recipient) {
+    throw new ErrorResponse('Type d\'utilisateur non supporté pour les notifications', 400);
+  }
+
+  const lastEventId = req.get('Last-Event-ID') || req.query.lastEventId;
+  if (lastEventId && !mongoose.isValidObjectId(lastEventId)) {
+    throw new ErrorResponse('Identifiant de dernière notification invalide', 400);
+  }
+
+  const { stream: config } = notificationsConfig;
+
+  res.status(200).set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache, no-transform',
+    Connection: 'keep-alive',
+    // Désactiver la mise en tampon des proxys (nginx)
+    'X-Accel-Buffering': 'no'
+  });
+  res.flushHeaders();
+  res.write(`retry: ${config.retryMilliseconds}\n\n`);
+
+  const send = ({ event, data, id }) => {
+    if (id) {
+      res.write(`id: ${id}\n`);
+    }
+    res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+  };
+
+  // Les événements reçus pendant le rattrapage sont envoyés après lui
+  let buffered = [];
+  const unsubscribe = notificationHub.subscribe(recipient, (event) => {
+    if (buffered) {
+      buffered.push(event);
+    } else {
+      send(event);
+    }
+  });
+
+  // Battement: garder la connexion ouverte et revérifier la session, qui peut avoir été révoquée
+  // (déconnexion, réutilisation d'un jeton, suspension du compte) depuis l'ouverture du flux
+  const heartbeat = setInterval(async () => {
+    try {
+      const [session, user] = await Promise.all([
+        sessionService.getActive(req.sessionId),
+        User.findById(req.user._id).select('isActive').lean()
+      ]);
+      if (!session || !user || user.isActive === false) {
+        send({ event: 'session_revoked', data: {} });
+        res.end();
+        return;
+      }
+    } catch (error) {
+      console.error('Erreur lors de la vérification de la session du flux de notifications:', error.message);
+    }
+    res.write(': ping\n\n');
+  }, config.heartbeatSeconds * 1000);
+
+  // Fermer le flux à l'expiration du jeton d'accès: le client se reconnecte avec un jeton rafraîchi
+  const expiry = req.tokenExpiresAt
+    ? setTimeout(() => {
+      send({ event: 'token_expired', data: {} });
+      res.end();
+    }, Math.min(Math.max(req.tokenExpiresAt - Date.now(), 0), 2147483647))
+    : null;
+
+  req.on('close', () => {
+    clearInterval(heartbeat);
+    clearTimeout(expiry);
+    unsubscribe();
+  });
+
+  try {
+    const missed = lastEventId
+      ? await notificationService.getNotificationsSince(recipient, lastEventId, config.catchUpLimit)
+      : [];
+    missed.forEach(notification => send({
+      event: 'notification',
+      data: notification.toJSON(),
+      id: String(notification._id)
+    }));
+    // Trop de notifications manquées: le client doit recharger la liste (GET /api/notifications)
+    if (missed.length === config.catchUpLimit) {
+      send({ event: 'resync', data: {} });
+    }
+
+    const sentIds = new Set(missed.map(notification => String(notification._id)));
+    const pending = buffered;
+    buffered = null;
+    pending.filter(event => !event.id || !sentIds.has(event.id)).forEach(send);
+
+    send({ event: 'unread_count', data: { count: await notificationService.countUnread(recipient) } });
+  } catch (error) {
+    console.error('Erreur lors de l\'ouverture du flux de notifications:', error);
+    res.end();
+  }
+});
+
+/**
+ * @desc    Obtenir les préférences de notification (canaux et heures calmes, pour chaque type)
+ * @route   GET /api/notifications/preferences
+ * @access  Privé
+ */
+exports.getPreferences = asyncHandler(async (req, res) => {
+  const preferences = await notificationPreferenceService.list(req.user._id);
+
+  res.status(200).json({
+    success: true,
+    data: {
+      channels: notificationsConfig.CHANNELS,
+      preferences
+    }
+  });
+});
+
+/**
+ * @desc    Modifier les préférences de notification
+ *          (preferences: [{ type ou "all", channels: { inApp, sms, email, push }, quietHours: { enabled, start, end, timezone } }])
+ * @route   PUT /api/notifications/preferences
+ * @access  Privé
+ */
+exports.updatePreferences = asyncHandler(async (req, res) => {
+  const preferences = await notificationPreferenceService.update(req.user._id, req.body.preferences);
+
+  res.status(200).json({
+    success: true,
+    data: {
+      channels: notificationsConfig.CHANNELS,
+      preferences
+    }
+  });
+});
+
+/**
+ * @desc    Inscrire un appareil aux notifications push (token, platform: android, ios ou web)
+ * @route   POST /api/notifications/push-tokens
+ * @access  Privé
+ */
+exports.registerPushToken = asyncHandler(async (req, res) => {
+  const { token, platform } = req.body;
+
+  if (!token || typeof token !== 'string') {
+    throw new ErrorResponse('Veuillez fournir le jeton de l\'appareil (token)', 400);
+  }
+  if (platform !== undefined && !['android', 'ios', 'web'].includes(platform)) {
+    throw new ErrorResponse('La plateforme doit être android, ios ou web', 400);
+  }
+
+  // Un jeton n'appartient qu'à un compte: l'appareil a pu changer d'utilisateur
+  await User.updateMany({ 'pushTokens.token': token }, { $pull: { pushTokens: { token } } });
+  await User.updateOne(
+    { _id: req.user._id },
+    {
+      $push: {
+        pushTokens: {
+          $each: [{ token, platform, createdAt: new Date() }],
+          $slice: -notificationsConfig.push.maxTokensPerUser
+        }
+      }
+    }
+  );
+
+  res.status(201).json({
+    success: true,
+    data: { token, platform }
+  });
+});
+
+/**
+ * @desc    Désinscrire un appareil des notifications push (token)
+ * @route   DELETE /api/notifications/push-tokens
+ * @access  Privé
+ */
+exports.removePushToken = asyncHandler(async (req, res) => {
+  const { token } = req.body;
+
+  if (!token) {
+    throw new ErrorResponse('Veuillez fournir le jeton de l\'appareil (token)', 400);
+  }
+
+  await User.updateOne({ _id: req.user._id }, { $pull: { pushTokens: { token } } });
+
+  res.status(200).json({
+    success: true,
+    data: {}
+  });
+});
@@ -1,8 +1,24 @@
 const mongoose = require('mongoose');
-const { Payment, Reservation, Artist, PaymentMethod } = require('../models');
+const { Payment, Reservation, Artist, PaymentMethod, Quote, WebhookEvent, Payout, Refund } = require('../models');
 const asyncHandler = require('../middleware/async');
 const ErrorResponse = require('../utils/errorResponse');
 const notificationService = require('../utils/notificationService');
+const pricing = require('../utils/pricing');
+const paymentProcessor = require('../utils/paymentProcessor');
+const paymentProviders = require('../utils/paymentProviders');
+const paymentStateMachine = require('../utils/paymentStateMachine');
+const payoutService = require('../utils/payoutService');
+const refundService = require('../utils/refundService');
+const ledger = require('../utils/ledger');
+const paymentSchedule = require('../utils/paymentSchedule');
+const cardVault = require('../utils/cardVault');
+const auditTrail = require('../utils/auditTrail');
+
+// Statuts des réservations qui peuvent encore recevoir un paiement
+const PAYABLE_RESERVATION_STATUSES = ['pending', 'confirmed'];
+
+// Durée maximale du verrou de création d'un paiement (libéré dès le paiement créé)
+const PAYMENT_LOCK_MS = 30 * 1000;
 
 /**
  * @desc    Créer un nouveau paiement
@@ -12,8 +28,7 @@ const notificationService = require('../utils/notificationService');
 exports.createPayment = asyncHandler(async (req, res) => {
   const {
     reservationId,
-    amount,
-    serviceFee,
+    quoteId,
     paymentMethod,
     paymentType,
     paymentMethodId, // ID du moyen de paiement enregistré
@@ -33,6 +48,10 @@ exports.createPayment = asyncHandler(async (req, res) => {
     throw new ErrorResponse('Vous n\'êtes pas autorisé à effectuer un paiement pour cette réservation', 403);
   }
 
+  if (!PAYABLE_RESERVATION_STATUSES.includes(reservation.status)) {
+    throw new ErrorResponse(`Impossible de payer une réservation au statut ${reservation.status}`, 409);
+  }
+
   // Si un paymentMethodId est fourni, vérifier qu'il existe et appartient au booker
   let savedPaymentMethod = null;
   if (paymentMethodId) {
@@ -47,90 +66,81 @@ exports.createPayment = asyncHandler(async (req, res) => {
     }
   }
 
-  // Calculer le montant total
-  const totalAmount = Number(amount) + Number(serviceFee);
-
-  // Créer le paiement avec les détails du moyen de paiement enregistré si fourni
-  const paymentData = {
-    reservation: reservationId,
-    payer: bookerId,
-    payee: reservation.artistId,
-    amount,
-    serviceFee,
-    totalAmount,
-    paymentMethod: savedPaymentMethod ? savedPaymentMethod.type : paymentMethod,
-    paymentType: paymentType || 'full',
-    status: 'pending',
-    notes
-  };
+  // Les montants sont calculés à partir du devis de la réservation, jamais repris du client
+  if (!quoteId || !reservation.quote || reservation.quote.toString() !== quoteId.toString()) {
+    throw new ErrorResponse('Le devis fourni ne correspond pas à cette réservation', 400);
+  }
 
-  // Utiliser les détails du moyen de paiement enregistré ou ceux fournis dans la requête
-  if (savedPaymentMethod) {
-    paymentData.paymentDetails = savedPaymentMethod.details;
-  } else if (paymentDetails) {
-    // Pour les paiements par carte, ne stockez que les 4 derniers chiffres
-    if (paymentMethod === 'credit_card' && paymentDetails?.cardNumber) {
-      paymentData.paymentDetails = {
-        ...paymentDetails,
-        cardLast4: paymentDetails.cardNumber.slice(-4),
-        cardNumber: undefined // Ne pas stocker le numéro complet
-      };
-    } else {
-      paymentData.paymentDetails = paymentDetails;
-    }
+  const quote = await Quote.findById(reservation.quote);
+  if (!quote || !pricing.verifyQuoteSignature(quote)) {
+    throw new ErrorResponse('Le devis de cette réservation est invalide', 400);
   }
 
-  try {
-    const payment = await Payment.create(paymentData);
-
-    // Simuler un traitement de paiement réussi
-    // Dans un système réel, cela serait géré par un service de paiement externe
-    payment.status = 'completed';
-    payment.transactionId = 'sim_' + Math.random().toString(36).substring(2, 15);
-    await payment.save();
-
-    // Mettre à jour le statut de paiement de la réservation
-    if (payment.status === 'completed') {
-      // Si c'est un paiement complet ou si c'est un acompte
-      const prevPaymentStatus = reservation.paymentStatus;
-      reservation.paymentStatus = payment.paymentType === 'advance' ? 'partial' : 'paid';
-      
-      // Si la réservation est en attente et le paiement est réussi, confirmer la réservation
-      if (reservation.status === 'pending') {
-        reservation.status = 'confirmed';
-      }
-      
-      reservation.transactionId = payment.transactionId;
-      await reservation.save();
-
-      // Créer des notifications pour le paiement
-      try {
-        await notificationService.notifyPayment(payment, reservation, 'created');
-        console.log(`Notifications de paiement créées pour la réservation ${reservation._id}`);
-      } catch (notifError) {
-        console.error('Erreur lors de la création des notifications de paiement:', notifError);
-        // Ne pas bloquer le processus en cas d'erreur de notification
-      }
+  // Verrouiller la réservation: deux demandes simultanées ne peuvent pas lire les mêmes paiements
+  // et créer deux paiements pour le même montant restant dû. Le statut est relu sous le verrou.
+  const now = new Date();
+  const locked = await Reservation.findOneAndUpdate(
+    {
+      _id: reservation._id,
+      status: { $in: PAYABLE_RESERVATION_STATUSES },
+      $or: [{ paymentLockedUntil: null }, { paymentLockedUntil: { $lt: now } }]
+    },
+    { paymentLockedUntil: new Date(now.getTime() + PAYMENT_LOCK_MS) }
+  );
+  if (!locked) {
+    throw new ErrorResponse('Un paiement est déjà en cours de création pour cette réservation', 409);
+  }
 
-      // Si le statut de la réservation a changé, créer une notification de changement de statut
-      if (reservation.status === 'confirmed' && prevPaymentStatus !== 'paid') {
-        try {
-          await notificationService.notifyReservationStatusChange(reservation, 'pending');
-          console.log(`Notification de confirmation créée suite au paiement pour la réservation ${reservation._id}`);
-        } catch (notifError) {
-          console.error('Erreur lors de la création de la notification de changement de statut:', notifError);
-        }
-      }
+  let payment;
+  let phoneNumber;
+  try {
+    const previousPayments = await Payment.find({ reservation: reservation._id }).select('status amount serviceFee totalAmount refundedAmount');
+    const { amount, serviceFee, totalAmount } = pricing.computePaymentAmounts(
+      quote,
+      paymentType || 'full',
+      previousPayments,
+      paymentSchedule.forReservation(reservation)
+    );
+
+    pricing.assertUntampered(req.body, { amount, serviceFee, totalAmount });
+
+    // Créer le paiement avec les détails du moyen de paiement enregistré si fourni
+    const paymentData = {
+      reservation: reservationId,
+      payer: bookerId,
+      payee: reservation.artistId,
+      amount,
+      serviceFee,
+      totalAmount,
+      paymentMethod: savedPaymentMethod ? savedPaymentMethod.type : paymentMethod,
+      paymentType: paymentType || 'full',
+      status: 'pending',
+      notes
+    };
+
+    // Utiliser les détails du moyen de paiement enregistré ou ceux fournis dans la requête
+    if (savedPaymentMethod) {
+      paymentData.paymentDetails = savedPaymentMethod.details;
+    } else if (paymentDetails) {
+      // Les données de carte sont remplacées par leur jeton avant tout enregistrement
+      paymentData.paymentDetails = cardVault.secureDetails(paymentDetails);
     }
 
-    res.status(201).json({
-      success: true,
-      data: payment
-    });
-  } catch (error) {
-    console.error('Erreur lors du traitement du paiement:', error);
-    throw new ErrorResponse(`Erreur lors du traitement du paiement: ${error.message}`, 500);
+    // Numéro de téléphone à débiter pour les paiements mobile money
+    phoneNumber = paymentData.paymentDetails?.phoneNumber || reservation.paymentNumber;
+
+    payment = await Payment.create(paymentData);
+  } finally {
+    await Reservation.updateOne({ _id: reservation._id }, { $unset: { paymentLockedUntil: 1 } });
   }
+
+  // Le paiement reste 'processing' jusqu'à la confirmation du fournisseur (webhook ou interrogation)
+  await paymentProcessor.initiate(payment, { phoneNumber });
+
+  res.status(201).json({
+    success: true,
+    data: payment
+  });
 });
 
 /**
@@ -207,11 +217,8 @@ exports.getMyPayments = asyncHandler(async (req, res) => {
 exports.getPaymentStats = asyncHandler(async (req, res) => {
   const bookerId = req.user.booker || req.user.id;
   
-  // Statistiques globales
-  const totalPaid = await Payment.aggregate([
-    { $match: { payer: new mongoose.Types.ObjectId(bookerId), status: 'completed' } },
-    { $group: { _id: null, total: { $sum: '$totalAmount' } } }
-  ]);
+  // Statistiques globales (montant net dérivé du grand livre)
+  const totalPaid = await ledger.getBookerExpenses(bookerId);
   
   // Paiements par mois (dernière année)
   const now = new Date();
@@ -274,7 +281,7 @@ exports.getPaymentStats = asyncHandler(async (req, res) => {
   res.status(200).json({
     success: true,
     data: {
-      totalPaid: totalPaid.length > 0 ? totalPaid[0].total : 0,
+      totalPaid,
       monthlyPayments,
       paymentsByMethod,
       recentStats
@@ -387,68 +394,266 @@ exports.getPayment = asyncHandler(async (req, res) => {
 });
 
 /**
- * @desc    Simuler un webhook de confirmation de paiement
- * @route   POST /api/payments/:id/webhook
- * @access  Public (mais sécurisé avec une clé API en production)
+ * @desc    Obtenir le statut d'un paiement en interrogeant son fournisseur
+ * @route   GET /api/payments/:id/status
+ * @access  Privé (Booker qui a effectué le paiement ou Artiste qui l'a reçu)
+ */
+exports.getPaymentStatus = asyncHandler(async (req, res) => {
+  const payment = await Payment.findById(req.params.id);
+
+  if (!payment) {
+    throw new ErrorResponse(`Paiement non trouvé avec l'id ${req.params.id}`, 404);
+  }
+
+  // Vérifier les droits d'accès
+  const userId = req.user.role === 'booker' ? (req.user.booker || req.user.id) : (req.user.artist || req.user.id);
+
+  if (payment.payer.toString() !== userId.toString() && payment.payee.toString() !== userId.toString()) {
+    throw new ErrorResponse('Vous n\'êtes pas autorisé à accéder à ce paiement', 403);
+  }
+
+  try {
+    await paymentProcessor.syncStatus(payment);
+  } catch (error) {
+    // Le fournisseur est injoignable: renvoyer le dernier statut connu
+    console.error(`Erreur lors de l'interrogation du fournisseur pour le paiement ${payment._id}:`, error.message);
+  }
+
+  res.status(200).json({
+    success: true,
+    data: {
+      id: payment._id,
+      reference: payment.reference,
+      status: payment.status,
+      provider: payment.provider,
+      checkoutUrl: payment.checkoutUrl,
+      failureReason: payment.failureReason
+    }
+  });
+});
+
+/**
+ * Journaliser une livraison de webhook et répondre au fournisseur
+ * @param {Object} req - Requête Express
+ * @param {Object} res - Réponse Express
+ * @param {Object} event - Champs du WebhookEvent (outcome 'duplicate' ou 'rejected', statusCode, reason...)
+ */
+const respondToWebhook = async (req, res, event) => {
+  if (event.outcome === 'rejected') {
+    console.error(`Webhook ${event.provider} rejeté (${event.statusCode}): ${event.reason}`);
+  }
+
+  try {
+    await WebhookEvent.create({
+      ...event,
+      payload: req.body,
+      ip: req.ip
+    });
+  } catch (error) {
+    console.error('Erreur lors de la journalisation du webhook:', error);
+  }
+
+  res.status(event.statusCode).json({
+    success: event.outcome !== 'rejected',
+    ...(event.outcome === 'rejected' ? { error: event.reason } : { duplicate: event.outcome === 'duplicate' })
+  });
+};
+
+/**
+ * @desc    Recevoir une notification de statut de paiement, de remboursement ou de retrait d'un fournisseur
+ * @route   POST /api/payments/webhooks/:provider
+ * @access  Public (signature HMAC du fournisseur obligatoire)
  */
 exports.paymentWebhook = asyncHandler(async (req, res) => {
-  const { paymentId, status, transactionId } = req.body;
+  const providerName = req.params.provider;
 
-  // En production, vérifier une signature ou une clé API
-  // pour sécuriser cet endpoint
+  let provider;
+  try {
+    provider = paymentProviders.getProviderByName(providerName);
+  } catch (error) {
+    return respondToWebhook(req, res, {
+      provider: providerName,
+      outcome: 'rejected',
+      statusCode: 404,
+      reason: 'Fournisseur inconnu'
+    });
+  }
+
+  // Vérifier la signature et la fenêtre anti-rejeu
+  const verification = provider.verifyWebhook(req);
+  if (!verification.valid) {
+    return respondToWebhook(req, res, {
+      provider: provider.name,
+      outcome: 'rejected',
+      statusCode: 401,
+      reason: verification.reason
+    });
+  }
+
+  const { eventId, transactionId, status, reason } = provider.parseWebhook(req.body, req.headers);
+  const eventFields = { provider: provider.name, eventId, transactionId, status };
+
+  if (!eventId || !transactionId || !status) {
+    return respondToWebhook(req, res, {
+      ...eventFields,
+      outcome: 'rejected',
+      statusCode: 400,
+      reason: 'Événement incomplet'
+    });
+  }
+
+  // Les fournisseurs relivrent les événements: un doublon est acquitté sans être rejoué
+  const alreadyProcessed = await WebhookEvent.exists({ provider: provider.name, eventId, outcome: 'processed' });
+  if (alreadyProcessed) {
+    return respondToWebhook(req, res, { ...eventFields, outcome: 'duplicate', statusCode: 200 });
+  }
+
+  // La transaction est une collecte (Payment), un remboursement (Refund)
+  // ou un versement à un artiste (Payout)
+  const payment = await Payment.findOne({ provider: provider.name, transactionId });
+  const refund = payment ? null : await Refund.findOne({ provider: provider.name, transactionId });
+  const payout = payment || refund ? null : await Payout.findOne({ provider: provider.name, transactionId });
+  const target = payment || refund || payout;
+  if (!target) {
+    return respondToWebhook(req, res, {
+      ...eventFields,
+      outcome: 'rejected',
+      statusCode: 404,
+      reason: 'Aucun paiement, remboursement ni retrait pour cette transaction'
+    });
+  }
+  if (payment) {
+    eventFields.payment = payment._id;
+  } else if (refund) {
+    eventFields.payment = refund.payment;
+    eventFields.refund = refund._id;
+  } else {
+    eventFields.payout = payout._id;
+  }
 
-  const payment = await Payment.findById(paymentId || req.params.id);
+  const service = payment ? paymentProcessor : refund ? refundService : payoutService;
+  const stateMachine = payment ? paymentStateMachine : service;
+  if (target.status !== status && !stateMachine.canTransition(target.status, status)) {
+    return respondToWebhook(req, res, {
+      ...eventFields,
+      outcome: 'rejected',
+      statusCode: 409,
+      reason: `Transition de statut impossible: ${target.status} → ${status}`
+    });
+  }
+
+  // Réserver l'événement avant de l'appliquer: l'index unique écarte les livraisons concurrentes
+  let event;
+  try {
+    event = await WebhookEvent.create({
+      ...eventFields,
+      outcome: 'processed',
+      statusCode: 200,
+      payload: req.body,
+      ip: req.ip
+    });
+  } catch (error) {
+    if (error.code === 11000) {
+      return respondToWebhook(req, res, { ...eventFields, outcome: 'duplicate', statusCode: 200 });
+    }
+    throw error;
+  }
+
+  // Un statut intermédiaire ('processing') ne change rien à la transaction
+  let updated = target;
+  if (status !== 'processing') {
+    try {
+      updated = await service.applyStatus(target, status, { reason });
+    } catch (error) {
+      // Libérer l'événement: la nouvelle livraison du fournisseur sera traitée au lieu d'être ignorée
+      await WebhookEvent.updateOne(
+        { _id: event._id },
+        { outcome: 'failed', statusCode: 500, reason: error.message }
+      );
+      throw error;
+    }
+  }
+
+  res.status(200).json({
+    success: true,
+    data: {
+      id: updated._id,
+      status: updated.status
+    }
+  });
+});
+
+/**
+ * @desc    Rembourser tout ou partie d'un paiement
+ * @route   POST /api/payments/:id/refunds
+ * @access  Privé (Artiste qui a reçu le paiement ou Admin)
+ */
+exports.createRefund = asyncHandler(async (req, res) => {
+  const payment = await Payment.findById(req.params.id);
 
   if (!payment) {
-    return res.status(404).json({
-      success: false,
-      error: 'Paiement non trouvé'
+    throw new ErrorResponse(`Paiement non trouvé avec l'id ${req.params.id}`, 404);
+  }
+
+  // Seul l'artiste bénéficiaire (ou un administrateur) peut rendre l'argent au booker
+  if (req.user.role !== 'admin') {
+    const artistId = req.user.artist || req.user.id;
+    if (payment.payee.toString() !== artistId.toString()) {
+      throw new ErrorResponse('Vous n\'êtes pas autorisé à rembourser ce paiement', 403);
+    }
+  }
+
+  const refund = await refundService.createRefund(payment, {
+    amount: req.body.amount,
+    reason: req.body.reason,
+    actor: req.user._id,
+    role: req.user.role
+  });
+
+  if (req.user.role === 'admin') {
+    await auditTrail.record(req, {
+      action: 'payment.refund',
+      targetModel: 'Payment',
+      targetId: payment._id,
+      reason: req.body.reason,
+      after: { refund: refund._id, amount: refund.amount }
     });
   }
 
-  // Mettre à jour le statut du paiement
-  payment.status = status;
-  if (transactionId) {
-    payment.transactionId = transactionId;
+  res.status(201).json({
+    success: true,
+    data: refund
+  });
+});
+
+/**
+ * @desc    Obtenir les remboursements d'un paiement
+ * @route   GET /api/payments/:id/refunds
+ * @access  Privé (Booker qui a payé, Artiste qui a reçu le paiement ou Admin)
+ */
+exports.getPaymentRefunds = asyncHandler(async (req, res) => {
+  const payment = await Payment.findById(req.params.id);
+
+  if (!payment) {
+    throw new ErrorResponse(`Paiement non trouvé avec l'id ${req.params.id}`, 404);
   }
-  
-  await payment.save();
 
-  // Si le paiement est confirmé, mettre à jour la réservation
-  if (status === 'completed') {
-    const reservation = await Reservation.findById(payment.reservation);
-    
-    if (reservation) {
-      reservation.paymentStatus = payment.paymentType === 'advance' ? 'partial' : 'paid';
-      
-      // Si la réservation était en attente, la confirmer
-      if (reservation.status === 'pending') {
-        const previousStatus = reservation.status;
-        reservation.status = 'confirmed';
-        
-        // Créer une notification de changement de statut
-        try {
-          await notificationService.notifyReservationStatusChange(reservation, previousStatus);
-        } catch (error) {
-          console.error('Erreur lors de la création de la notification:', error);
-        }
-      }
-      
-      await reservation.save();
-      
-      // Envoyer des notifications de confirmation de paiement
-      try {
-        await notificationService.notifyPayment(payment, reservation, 'confirmed');
-        console.log('Notifications de confirmation de paiement envoyées');
-      } catch (error) {
-        console.error('Erreur lors de l\'envoi des notifications de confirmation de paiement:', error);
-      }
+  // Vérifier les droits d'accès
+  if (req.user.role !== 'admin') {
+    const userId = req.user.role === 'booker' ? (req.user.booker || req.user.id) : (req.user.artist || req.user.id);
+
+    if (payment.payer.toString() !== userId.toString() && payment.payee.toString() !== userId.toString()) {
+      throw new ErrorResponse('Vous n\'êtes pas autorisé à accéder à ce paiement', 403);
     }
   }
 
+  const refunds = await Refund.find({ payment: payment._id }).sort({ createdAt: -1 });
+
   res.status(200).json({
     success: true,
-    data: payment
+    count: refunds.length,
+    refundable: payment.totalAmount - (payment.refundedAmount || 0),
+    data: refunds
   });
 });
 
@@ -1,6 +1,7 @@
 const { PaymentMethod } = require('../models');
 const asyncHandler = require('../middleware/async');
 const ErrorResponse = require('../utils/errorResponse');
+const cardVault = require('../utils/cardVault');
 
 /**
  * @desc    Ajouter un nouveau moyen de paiement
@@ -37,7 +38,8 @@ exports.addPaymentMethod = asyncHandler(async (req, res) => {
     userModel: userModel,
     type,
     name,
-    details,
+    // Les données de carte sont remplacées par leur jeton avant tout enregistrement
+    details: details && cardVault.secureDetails(details),
     isDefault: existingCount === 0 // Premier moyen de paiement est défaut
   });
 
@@ -151,7 +153,7 @@ exports.updatePaymentMethod = asyncHandler(async (req, res) => {
 
   // Mettre à jour les données (uniquement name et details)
   if (name) paymentMethod.name = name;
-  if (details) paymentMethod.details = { ...paymentMethod.details, ...details };
+  if (details) paymentMethod.details = { ...paymentMethod.toObject().details, ...cardVault.secureDetails(details) };
   
   await paymentMethod.save();
 
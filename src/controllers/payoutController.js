@@ -0,0 +1,91 @@
+const { Payout } = require('../models');
+const asyncHandler = require('../middleware/async');
+const ErrorResponse = require('../utils/errorResponse');
+const escrowService = require('../utils/escrowService');
+const payoutService = require('../utils/payoutService');
+
+/**
+ * @desc    Obtenir le solde et l'historique des retraits de l'artiste connecté
+ * @route   GET /api/artists/me/payouts
+ * @access  Privé (Artist)
+ */
+exports.getMyPayouts = asyncHandler(async (req, res) => {
+  const artistId = req.user.artist || req.user.id;
+
+  // Options de pagination
+  const page = parseInt(req.query.page, 10) || 1;
+  const limit = parseInt(req.query.limit, 10) || 10;
+  const startIndex = (page - 1) * limit;
+
+  const query = { artist: artistId };
+  if (req.query.status) {
+    query.status = req.query.status;
+  }
+
+  const total = await Payout.countDocuments(query);
+  const payouts = await Payout.find(query)
+    .populate('paymentMethod', 'name type')
+    .sort({ createdAt: -1 })
+    .skip(startIndex)
+    .limit(limit);
+
+  const balance = await escrowService.getBalance(artistId);
+
+  res.status(200).json({
+    success: true,
+    count: payouts.length,
+    total,
+    pagination: {
+      page,
+      limit,
+      totalPages: Math.ceil(total / limit)
+    },
+    balance,
+    data: payouts
+  });
+});
+
+/**
+ * @desc    Demander un retrait du solde disponible vers un moyen de paiement enregistré
+ * @route   POST /api/artists/me/payouts
+ * @access  Privé (Artist)
+ */
+exports.requestPayout = asyncHandler(async (req, res) => {
+  const artistId = req.user.artist || req.user.id;
+  const { amount, paymentMethodId } = req.body;
+
+  const payout = await payoutService.requestPayout(artistId, { amount, paymentMethodId });
+  const balance = await escrowService.getBalance(artistId);
+
+  res.status(201).json({
+    success: true,
+    balance,
+    data: payout
+  });
+});
+
+/**
+ * @desc    Obtenir un retrait de l'artiste connecté (statut synchronisé avec le fournisseur)
+ * @route   GET /api/artists/me/payouts/:id
+ * @access  Privé (Artist)
+ */
+exports.getMyPayout = asyncHandler(async (req, res, next) => {
+  const artistId = req.user.artist || req.user.id;
+
+  let payout = await Payout.findOne({ _id: req.params.id, artist: artistId });
+  if (!payout) {
+    return next(new ErrorResponse(`Retrait non trouvé avec l'id ${req.params.id}`, 404));
+  }
+
+  try {
+    payout = await payoutService.syncStatus(payout);
+  } catch (error) {
+    // Le fournisseur est injoignable: renvoyer le dernier statut connu
+    console.error(`Erreur lors de la synchronisation du retrait ${payout.reference}:`, error.message);
+  }
+
+  res.status(200).json({
+    success: true,
+    data: payout
+  });
+});
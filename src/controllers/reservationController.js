@@ -1,21 +1,61 @@
-const { Reservation, Service, Artist } = require('../models');
+const { Reservation, Service, Artist, Payment } = require('../models');
 const asyncHandler = require('../middleware/async');
 const ErrorResponse = require('../utils/errorResponse');
 const notificationService = require('../utils/notificationService');
+const availabilityService = require('../utils/availabilityService');
+const reservationStateMachine = require('../utils/reservationStateMachine');
+const escrowService = require('../utils/escrowService');
+const refundService = require('../utils/refundService');
+const paymentSchedule = require('../utils/paymentSchedule');
+const pricing = require('../utils/pricing');
+const cardVault = require('../utils/cardVault');
+const auditTrail = require('../utils/auditTrail');
 
 /**
- * @desc    Créer une nouvelle réservation
+ * @desc    Obtenir un devis signé pour un créneau
+ * @route   POST /api/reservations/quote
+ * @access  Privé (Booker)
+ */
+exports.createQuote = asyncHandler(async (req, res) => {
+  const { serviceId, date, startTime, endTime } = req.body;
+
+  const bookerId = req.user.booker || req.user.id;
+
+  // Vérifier que le service existe et est actif
+  const service = await Service.findById(serviceId);
+  if (!service) {
+    throw new ErrorResponse(`Service non trouvé avec l'id ${serviceId}`, 404);
+  }
+
+  if (service.active === false) {
+    throw new ErrorResponse(`Ce service n'est pas disponible pour réservation`, 400);
+  }
+
+  const artist = await Artist.findById(service.artist).select('availability');
+  if (!artist) {
+    throw new ErrorResponse(`Artiste non trouvé avec l'id ${service.artist}`, 404);
+  }
+
+  // Ne pas établir de devis pour un créneau indisponible
+  await availabilityService.assertSlotAvailable(artist, { date, startTime, endTime });
+
+  const quote = await pricing.createQuote({ bookerId, service, date, startTime, endTime });
+
+  res.status(201).json({
+    success: true,
+    data: quote
+  });
+});
+
+/**
+ * @desc    Créer une nouvelle réservation à partir d'un devis
  * @route   POST /api/reservations
  * @access  Privé (Booker)
  */
 exports.createReservation = asyncHandler(async (req, res) => {
   const { 
-    serviceId, 
-    artistId,
+    quoteId,
     booker,  // Accepter l'ID du booker depuis la requête
-    date, 
-    startTime, 
-    endTime, 
     location, 
     eventType, 
     notes,
@@ -24,22 +64,9 @@ exports.createReservation = asyncHandler(async (req, res) => {
     cardNumber,
     expiryDate,
     cvv,
-    cardName,
-    amount,
-    serviceFee
+    cardName
   } = req.body;
 
-  // Vérifier que le service existe
-  const service = await Service.findById(serviceId);
-  if (!service) {
-    throw new ErrorResponse(`Service non trouvé avec l'id ${serviceId}`, 404);
-  }
-
-  // Vérifier que le service est actif
-  if (service.active === false) {
-    throw new ErrorResponse(`Ce service n'est pas disponible pour réservation`, 400);
-  }
-
   // Déterminer l'ID du booker - utiliser plusieurs sources possibles
   const bookerId = req.user?.booker || 
                   (req.user?.role === 'booker' ? req.user.id : null) ||
@@ -49,17 +76,54 @@ exports.createReservation = asyncHandler(async (req, res) => {
   if (!bookerId) {
     console.error('ID du booker manquant dans la requête:', {
       reqUser: req.user,
-      reqBody: req.body,
+      reqBody: cardVault.redact(req.body),
       headers: req.headers
     });
     throw new ErrorResponse(`ID du booker requis pour créer une réservation`, 400);
   }
 
+  // Les montants et le créneau proviennent exclusivement du devis signé
+  const quote = await pricing.getUsableQuote(quoteId, bookerId);
+
+  pricing.assertUntampered(req.body, quote);
+
+  const mismatch = ['date', 'startTime', 'endTime'].find(field =>
+    req.body[field] !== undefined && req.body[field] !== quote[field]
+  ) || ['serviceId', 'artistId'].find(field =>
+    req.body[field] !== undefined &&
+    req.body[field].toString() !== (field === 'serviceId' ? quote.service : quote.artist).toString()
+  );
+  if (mismatch) {
+    throw new ErrorResponse(`Le champ ${mismatch} ne correspond pas au devis`, 400);
+  }
+
+  // Vérifier que le service existe
+  const service = await Service.findById(quote.service);
+  if (!service) {
+    throw new ErrorResponse(`Service non trouvé avec l'id ${quote.service}`, 404);
+  }
+
+  // Vérifier que le service est actif
+  if (service.active === false) {
+    throw new ErrorResponse(`Ce service n'est pas disponible pour réservation`, 400);
+  }
+
+  // Vérifier que l'artiste existe
+  const artist = await Artist.findById(quote.artist).select('availability paymentTerms');
+  if (!artist) {
+    throw new ErrorResponse(`Artiste non trouvé avec l'id ${quote.artist}`, 404);
+  }
+
+  const { date, startTime, endTime } = quote;
+
+  // Refuser les créneaux hors des horaires déclarés ou déjà réservés (409)
+  await availabilityService.assertSlotAvailable(artist, { date, startTime, endTime });
+
   // Créer l'objet de réservation
   const reservationData = {
     booker: bookerId,
-    serviceId,
-    artistId,
+    serviceId: service._id,
+    artistId: artist._id,
     date,
     startTime,
     endTime,
@@ -67,28 +131,54 @@ exports.createReservation = asyncHandler(async (req, res) => {
     eventType,
     notes,
     paymentMethod,
-    amount,
-    serviceFee
+    quote: quote._id,
+    amount: quote.amount,
+    serviceFee: quote.serviceFee,
+    paymentSchedule: paymentSchedule.build(
+      { amount: quote.amount, serviceFee: quote.serviceFee, date, startTime },
+      paymentSchedule.getTerms(artist)
+    ),
+    statusHistory: [{
+      from: null,
+      to: 'pending',
+      actor: req.user?._id,
+      role: 'booker',
+      reason: 'Création de la réservation'
+    }]
   };
 
   // Ajouter les détails de paiement selon la méthode
   if (['orange', 'mtn', 'moov', 'wave'].includes(paymentMethod)) {
     reservationData.paymentNumber = paymentNumber;
   } else if (paymentMethod === 'visa') {
-    reservationData.cardNumber = cardNumber;
-    reservationData.expiryDate = expiryDate;
-    reservationData.cvv = cvv;
-    reservationData.cardName = cardName;
+    // Seul le jeton de la carte est conservé
+    const card = cardVault.tokenize({ cardNumber, expiryDate, cvv, cardholderName: cardName });
+    reservationData.cardToken = card.cardToken;
+    reservationData.cardBrand = card.cardBrand;
+    reservationData.cardLast4 = card.cardLast4;
   }
 
   try {
     // Créer la réservation
     const reservation = await Reservation.create(reservationData);
 
+    // Retenir le créneau: annuler la création si une réservation concurrente l'a pris entre-temps
+    if (!(await availabilityService.claimSlot(reservation))) {
+      await reservation.deleteOne();
+      throw new ErrorResponse('Ce créneau chevauche une réservation existante de l\'artiste', 409);
+    }
+
+    // Un devis ne sert qu'une fois: annuler la création si un autre appel l'a utilisé entre-temps
+    if (!(await pricing.claimQuote(quote, reservation._id))) {
+      await availabilityService.releaseSlot(reservation);
+      await reservation.deleteOne();
+      throw new ErrorResponse('Ce devis a déjà été utilisé', 409);
+    }
+
     // Créer une notification pour l'artiste
     try {
       await notificationService.notifyNewReservation(reservation);
-      console.log(`Notification créée pour l'artiste ${artistId} pour la réservation ${reservation._id}`);
+      console.log(`Notification créée pour l'artiste ${artist._id} pour la réservation ${reservation._id}`);
     } catch (notifError) {
       console.error('Erreur lors de la création de la notification:', notifError);
       // Ne pas bloquer la création de la réservation en cas d'erreur de notification
@@ -304,10 +394,10 @@ exports.updateReservationStatus = asyncHandler(async (req, res) => {
     });
   }
 
-  const { status } = req.body;
+  const { status, reason } = req.body;
 
   // Vérifier que le statut est valide
-  if (!status || !['pending', 'confirmed', 'completed', 'cancelled'].includes(status)) {
+  if (!status || !reservationStateMachine.STATUSES.includes(status)) {
     return res.status(400).json({
       success: false,
       error: 'Statut invalide'
@@ -377,21 +467,6 @@ exports.updateReservationStatus = asyncHandler(async (req, res) => {
       }
     }
 
-    // Règles métier pour les modifications de statut
-    if (isBooker && status !== 'cancelled') {
-      return res.status(403).json({
-        success: false,
-        error: 'Les bookers ne peuvent que annuler une réservation'
-      });
-    }
-
-    if (isArtist && !['confirmed', 'completed', 'cancelled'].includes(status)) {
-      return res.status(403).json({
-        success: false,
-        error: 'Les artistes ne peuvent que confirmer, compléter ou annuler une réservation'
-      });
-    }
-
     if (!isBooker && !isArtist) {
       console.log('Accès refusé: utilisateur non autorisé');
       return res.status(403).json({
@@ -400,13 +475,33 @@ exports.updateReservationStatus = asyncHandler(async (req, res) => {
       });
     }
 
-    // Enregistrer le statut précédent pour la notification
-    const previousStatus = reservation.status;
+    // Appliquer la transition (les règles métier sont définies dans la machine à états)
+    const previousStatus = reservationStateMachine.transition(reservation, status, {
+      actor: req.user._id,
+      role: isArtist ? 'artist' : 'booker',
+      reason
+    });
 
-    // Mettre à jour le statut
-    reservation.status = status;
     await reservation.save();
 
+    // La prestation est terminée: libérer les fonds séquestrés vers le solde de l'artiste
+    if (status === 'completed') {
+      await escrowService.releaseForReservation(reservation);
+    }
+
+    // Annulation: rembourser le booker selon la politique d'annulation,
+    // puis libérer vers l'artiste la part qu'il conserve
+    let refunds = [];
+    if (status === 'cancelled') {
+      await availabilityService.releaseSlot(reservation);
+      refunds = await refundService.refundCancelledReservation(reservation, {
+        actor: req.user._id,
+        role: isArtist ? 'artist' : 'booker',
+        reason
+      });
+      await escrowService.releaseForReservation(reservation);
+    }
+
     // Créer une notification pour le changement de statut
     try {
       if (isArtist) {
@@ -423,8 +518,10 @@ exports.updateReservationStatus = asyncHandler(async (req, res) => {
           relatedId: reservation._id,
           relatedModel: 'Reservation',
           type: 'reservation_cancelled',
-          title: 'Réservation annulée',
-          message: `La réservation pour le ${reservation.date} a été annulée par le client`,
+          template: 'reservation_cancelled.by_booker',
+          variables: {
+            date: reservation.date
+          },
           data: {
             reservationId: reservation._id,
             previousStatus,
@@ -445,11 +542,19 @@ exports.updateReservationStatus = asyncHandler(async (req, res) => {
     
     res.status(200).json({
       success: true,
-      data: reservation
+      data: reservation,
+      ...(status === 'cancelled' ? { refunds } : {})
     });
     
   } catch (error) {
     console.error('Erreur lors de la mise à jour du statut de la réservation:', error);
+    // Transition refusée par la machine à états
+    if (error instanceof ErrorResponse) {
+      return res.status(error.statusCode).json({
+        success: false,
+        error: error.message
+      });
+    }
     return res.status(500).json({
       success: false,
       error: error.message || 'Erreur serveur lors de la mise à jour du statut'
@@ -587,6 +692,86 @@ exports.updatePaymentStatus = asyncHandler(async (req, res) => {
   });
 });
 
+/**
+ * @desc    Obtenir l'historique des changements de statut d'une réservation
+ * @route   GET /api/reservations/:id/history
+ * @access  Privé (Booker propriétaire, Artiste concerné ou Admin)
+ */
+exports.getReservationHistory = asyncHandler(async (req, res) => {
+  const reservation = await Reservation.findById(req.params.id)
+    .select('booker artistId status statusHistory')
+    .populate({
+      path: 'statusHistory.actor',
+      select: 'firstName lastName email role'
+    });
+
+  if (!reservation) {
+    throw new ErrorResponse(`Réservation non trouvée avec l'id ${req.params.id}`, 404);
+  }
+
+  // Vérifier les autorisations d'accès
+  const userId = req.user.role === 'booker'
+    ? (req.user.booker || req.user.id)
+    : (req.user.artist || req.user.id);
+
+  const isAuthorized = req.user.role === 'admin' ||
+    (req.user.role === 'booker' && reservation.booker.toString() === userId.toString()) ||
+    (req.user.role === 'artist' && reservation.artistId.toString() === userId.toString());
+
+  if (!isAuthorized) {
+    throw new ErrorResponse('Vous n\'êtes pas autorisé à consulter l\'historique de cette réservation', 403);
+  }
+
+  res.status(200).json({
+    success: true,
+    count: reservation.statusHistory.length,
+    data: {
+      reservationId: reservation._id,
+      status: reservation.status,
+      history: reservation.statusHistory
+    }
+  });
+});
+
+/**
+ * @desc    Obtenir l'échéancier et les montants restant dus d'une réservation
+ * @route   GET /api/reservations/:id/outstanding
+ * @access  Privé (Booker ou Artiste de la réservation, Admin)
+ */
+exports.getReservationOutstanding = asyncHandler(async (req, res) => {
+  const reservation = await Reservation.findById(req.params.id)
+    .select('booker artistId status paymentStatus date startTime amount serviceFee paymentSchedule createdAt');
+
+  if (!reservation) {
+    throw new ErrorResponse(`Réservation non trouvée avec l'id ${req.params.id}`, 404);
+  }
+
+  // Vérifier les autorisations d'accès
+  const userId = req.user.role === 'booker'
+    ? (req.user.booker || req.user.id)
+    : (req.user.artist || req.user.id);
+
+  const isAuthorized = req.user.role === 'admin' ||
+    (req.user.role === 'booker' && reservation.booker.toString() === userId.toString()) ||
+    (req.user.role === 'artist' && reservation.artistId.toString() === userId.toString());
+
+  if (!isAuthorized) {
+    throw new ErrorResponse('Vous n\'êtes pas autorisé à consulter les paiements de cette réservation', 403);
+  }
+
+  const payments = await Payment.find({ reservation: reservation._id }).select('status totalAmount');
+
+  res.status(200).json({
+    success: true,
+    data: {
+      reservationId: reservation._id,
+      status: reservation.status,
+      paymentStatus: reservation.paymentStatus,
+      ...paymentSchedule.getOutstanding(reservation, payments)
+    }
+  });
+});
+
 /**
  * @desc    Supprimer une réservation
  * @route   DELETE /api/reservations/:id
@@ -636,8 +821,19 @@ exports.deleteReservation = asyncHandler(async (req, res) => {
     });
   }
 
-  // Supprimer la réservation
+  // Supprimer la réservation et libérer son créneau
   await reservation.deleteOne();
+  await availabilityService.releaseSlot(reservation);
+
+  if (req.user.role === 'admin') {
+    await auditTrail.record(req, {
+      action: 'reservation.delete',
+      targetModel: 'Reservation',
+      targetId: reservation._id,
+      reason: req.body && req.body.reason,
+      before: { status: reservation.status, paymentStatus: reservation.paymentStatus }
+    });
+  }
 
   res.status(200).json({
     success: true,
@@ -1,6 +1,8 @@
 const { Service, Artist } = require('../models');
 const asyncHandler = require('../middleware/async');
 const ErrorResponse = require('../utils/errorResponse');
+const mediaService = require('../utils/mediaService');
+const uploadsConfig = require('../config/uploads');
 
 /**
  * @desc    Créer un nouveau service
@@ -14,6 +16,9 @@ exports.createService = asyncHandler(async (req, res, next) => {
   // Ajouter l'ID de l'artiste au service
   req.body.artist = artistId;
 
+  // Les variantes d'images ne sont produites que par l'envoi de photos
+  delete req.body.photoVariants;
+
   // Créer le nouveau service
   const service = await Service.create(req.body);
 
@@ -70,7 +75,7 @@ exports.getServices = asyncHandler(async (req, res, next) => {
   const services = await Service.find(query)
     .populate({
       path: 'artist',
-      select: 'artistName projectName user',
+      select: 'artistName projectName user profilePhotoVariants.thumbnail profilePhotoVariants.webp.thumbnail',
       populate: {
         path: 'user',
         select: 'firstName lastName profilePhoto'
@@ -154,12 +159,30 @@ exports.updateService = asyncHandler(async (req, res, next) => {
     );
   }
 
+  const previousPhotos = service.photos;
+
+  // Les variantes d'images ne sont produites que par l'envoi de photos
+  delete req.body.photoVariants;
+
   // Mettre à jour avec les nouvelles données
   service = await Service.findByIdAndUpdate(req.params.id, req.body, {
     new: true,
     runValidators: true
   });
 
+  // Supprimer les fichiers des photos retirées de la liste
+  if (Array.isArray(req.body.photos)) {
+    const removed = previousPhotos.filter(url => !service.photos.includes(url));
+    if (removed.length > 0) {
+      service = await Service.findByIdAndUpdate(
+        service._id,
+        { $pull: { photoVariants: { original: { $in: removed } } } },
+        { new: true }
+      );
+    }
+    await mediaService.removeByUrls(service.artist, removed);
+  }
+
   res.status(200).json({
     success: true,
     data: service
@@ -196,6 +219,9 @@ exports.deleteService = asyncHandler(async (req, res, next) => {
   // Supprimer le service
   await service.deleteOne();
 
+  // Supprimer les photos envoyées pour ce service
+  await mediaService.removeForService(service);
+
   res.status(200).json({
     success: true,
     data: {}
@@ -257,4 +283,94 @@ exports.toggleServiceStatus = asyncHandler(async (req, res, next) => {
     success: true,
     data: service
   });
-}); 
\ No newline at end of file
+}); 
+
+/**
+ * @desc    Ajouter des photos à un service (multipart, champ photos)
+ * @route   POST /api/services/:id/photos
+ * @access  Privé (Artiste propriétaire)
+ */
+exports.addServicePhotos = asyncHandler(async (req, res, next) => {
+  const service = await Service.findById(req.params.id);
+
+  if (!service) {
+    return next(new ErrorResponse(`Service non trouvé avec l'id ${req.params.id}`, 404));
+  }
+
+  // Vérifier que l'utilisateur est le propriétaire du service
+  if (service.artist.toString() !== req.user.artist.toString()) {
+    return next(new ErrorResponse(`Vous n'êtes pas autorisé à modifier ce service`, 403));
+  }
+
+  const files = (req.files && req.files.photos) || [];
+  const { maxServicePhotos } = uploadsConfig.media;
+
+  if (service.photos.length + files.length > maxServicePhotos) {
+    return next(new ErrorResponse(`Un service est limité à ${maxServicePhotos} photos`, 400));
+  }
+
+  const mediaFiles = await mediaService.upload(service.artist, files, { kind: 'service_photo', service: service._id });
+
+  // Ajouter les photos seulement si le service garde au plus maxServicePhotos photos
+  const updated = await Service.findOneAndUpdate(
+    { _id: service._id, [`photos.${maxServicePhotos - files.length}`]: { $exists: false } },
+    {
+      $push: {
+        photos: { $each: mediaFiles.map(media => media.url) },
+        photoVariants: { $each: mediaFiles.map(media => mediaService.variantSet(media)) }
+      }
+    },
+    { new: true }
+  );
+
+  if (!updated) {
+    await mediaService.discard(service.artist, mediaFiles);
+    return next(new ErrorResponse(`Un service est limité à ${maxServicePhotos} photos`, 400));
+  }
+
+  res.status(201).json({
+    success: true,
+    data: updated
+  });
+});
+
+/**
+ * @desc    Retirer une photo d'un service (le fichier envoyé est supprimé)
+ * @route   DELETE /api/services/:id/photos
+ * @access  Privé (Artiste propriétaire)
+ */
+exports.removeServicePhoto = asyncHandler(async (req, res, next) => {
+  const { url } = req.body;
+
+  if (!url) {
+    return next(new ErrorResponse('Veuillez indiquer l\'URL de la photo à retirer (url)', 400));
+  }
+
+  const service = await Service.findById(req.params.id);
+
+  if (!service) {
+    return next(new ErrorResponse(`Service non trouvé avec l'id ${req.params.id}`, 404));
+  }
+
+  // Vérifier que l'utilisateur est le propriétaire du service
+  if (service.artist.toString() !== req.user.artist.toString()) {
+    return next(new ErrorResponse(`Vous n'êtes pas autorisé à modifier ce service`, 403));
+  }
+
+  const updated = await Service.findOneAndUpdate(
+    { _id: service._id, photos: url },
+    { $pull: { photos: url, photoVariants: { original: url } } },
+    { new: true }
+  );
+
+  if (!updated) {
+    return next(new ErrorResponse('Cette photo ne fait pas partie du service', 404));
+  }
+
+  await mediaService.removeByUrls(service.artist, [url]);
+
+  res.status(200).json({
+    success: true,
+    data: updated
+  });
+});
@@ -0,0 +1,34 @@
+const asyncHandler = require('../middleware/async');
+const ErrorResponse = require('../utils/errorResponse');
+const smsTransports = require('../utils/smsTransports');
+const smsService = require('../utils/smsService');
+
+/**
+ * @desc    Recevoir un accusé de réception d'un fournisseur SMS
+ * @route   POST /api/sms/delivery/:transport
+ * @access  Public (authenticité vérifiée par le transport)
+ */
+exports.deliveryReport = asyncHandler(async (req, res) => {
+  let transport;
+  try {
+    transport = smsTransports.getTransportByName(req.params.transport);
+  } catch (error) {
+    throw new ErrorResponse('Transport SMS inconnu', 404);
+  }
+
+  if (!transport.verifyDeliveryReport(req)) {
+    throw new ErrorResponse('Accusé de réception non authentifié', 401);
+  }
+
+  const report = transport.parseDeliveryReport(req);
+  if (!report.providerMessageId) {
+    throw new ErrorResponse('Accusé de réception incomplet', 400);
+  }
+
+  const message = await smsService.applyDeliveryReport(transport.name, report);
+
+  res.status(200).json({
+    success: true,
+    data: message ? { id: message._id, status: message.status } : null
+  });
+});
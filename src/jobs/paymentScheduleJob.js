@@ -0,0 +1,222 @@
+const { Reservation, Payment } = require('../models');
+const notificationService = require('../utils/notificationService');
+const availabilityService = require('../utils/availabilityService');
+const reservationStateMachine = require('../utils/reservationStateMachine');
+const paymentSchedule = require('../utils/paymentSchedule');
+const scheduleConfig = require('../config/paymentSchedule');
+
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+
+// Réservations encore actives
+const ACTIVE_STATUSES = ['pending', 'confirmed'];
+
+// Réservations pour lesquelles rien n'a encore été encaissé
+const UNPAID_STATUSES = ['pending', 'failed'];
+
+/**
+ * Tâche périodique des échéanciers de paiement:
+ * rappels avant les échéances et annulation des réservations dont l'acompte n'a pas été versé
+ */
+const paymentScheduleJob = {
+  /**
+   * Envoyer un rappel par réservation et par échéance, une seule fois
+   * @param {Object} reservation - Document de la réservation
+   * @param {String} installment - deposit ou balance
+   * @param {Date} now - Date de référence
+   * @returns {Promise<Boolean>} - True si le rappel a été envoyé
+   */
+  async remind(reservation, installment, now) {
+    const field = `paymentSchedule.${installment}ReminderSentAt`;
+
+    // Marquer le rappel avant de l'envoyer: deux instances ne l'envoient pas toutes les deux
+    const claimed = await Reservation.updateOne(
+      { _id: reservation._id, [field]: null },
+      { $set: { [field]: now } }
+    );
+    if (!claimed.modifiedCount) {
+      return false;
+    }
+
+    const payments = await Payment.find({ reservation: reservation._id }).select('status totalAmount');
+    const due = paymentSchedule.getOutstanding(reservation, payments, now)
+      .installments.find(i => i.type === installment);
+    if (!due || due.amountDue === 0) {
+      return false;
+    }
+
+    await notificationService.notifyPaymentReminder(reservation, installment, due.amountDue, due.dueAt);
+    return true;
+  },
+
+  /**
+   * Rappeler les acomptes arrivant à échéance
+   * @param {Date} now - Date de référence
+   * @returns {Promise<Number>} - Nombre de rappels envoyés
+   */
+  async sendDepositReminders(now) {
+    const reservations = await Reservation.find({
+      status: { $in: ACTIVE_STATUSES },
+      paymentStatus: { $in: UNPAID_STATUSES },
+      'paymentSchedule.depositReminderSentAt': null,
+      'paymentSchedule.deposit.amount': { $gt: 0 },
+      'paymentSchedule.deposit.dueAt': {
+        $gt: now,
+        $lte: new Date(now.getTime() + scheduleConfig.depositReminderHours * HOUR_MS)
+      }
+    });
+
+    let sent = 0;
+    for (const reservation of reservations) {
+      if (await this.remind(reservation, 'deposit', now)) {
+        sent++;
+      }
+    }
+    return sent;
+  },
+
+  /**
+   * Rappeler les soldes arrivant à échéance
+   * @param {Date} now - Date de référence
+   * @returns {Promise<Number>} - Nombre de rappels envoyés
+   */
+  async sendBalanceReminders(now) {
+    const reservations = await Reservation.find({
+      status: { $in: ACTIVE_STATUSES },
+      paymentStatus: { $in: ['partial', ...UNPAID_STATUSES] },
+      'paymentSchedule.balanceReminderSentAt': null,
+      'paymentSchedule.balance.dueAt': {
+        $gt: now,
+        $lte: new Date(now.getTime() + scheduleConfig.balanceReminderDays * DAY_MS)
+      }
+    });
+
+    let sent = 0;
+    for (const reservation of reservations) {
+      // Tant que l'acompte n'est pas versé, c'est lui qui fait l'objet des rappels
+      if (reservation.paymentStatus !== 'partial' && reservation.paymentSchedule.deposit.amount > 0) {
+        continue;
+      }
+      if (await this.remind(reservation, 'balance', now)) {
+        sent++;
+      }
+    }
+    return sent;
+  },
+
+  /**
+   * Annuler les réservations dont la première échéance est dépassée sans aucun paiement
+   * (l'acompte, ou le solde si l'artiste ne demande pas d'acompte)
+   * @param {Date} now - Date de référence
+   * @returns {Promise<Number>} - Nombre de réservations annulées
+   */
+  async cancelUnpaidReservations(now) {
+    const reservations = await Reservation.find({
+      status: { $in: ACTIVE_STATUSES },
+      paymentStatus: { $in: UNPAID_STATUSES },
+      $or: [
+        { 'paymentSchedule.deposit.amount': { $gt: 0 }, 'paymentSchedule.deposit.dueAt': { $lte: now } },
+        { 'paymentSchedule.deposit.amount': 0, 'paymentSchedule.balance.dueAt': { $lte: now } }
+      ]
+    });
+
+    let cancelled = 0;
+    for (const reservation of reservations) {
+      // Un paiement en cours de confirmation ou déjà encaissé empêche l'annulation
+      const engaged = await Payment.exists({
+        reservation: reservation._id,
+        status: { $in: [...paymentSchedule.IN_FLIGHT_PAYMENT_STATUSES, ...paymentSchedule.SETTLED_PAYMENT_STATUSES] }
+      });
+      if (engaged) {
+        continue;
+      }
+
+      const isDeposit = reservation.paymentSchedule.deposit.amount > 0;
+      const reason = isDeposit
+        ? 'Acompte non versé avant l\'échéance'
+        : 'Paiement non versé avant l\'échéance';
+      const previousStatus = reservationStateMachine.transition(reservation, 'cancelled', {
+        role: 'system',
+        reason
+      });
+      await reservation.save();
+      await availabilityService.releaseSlot(reservation);
+      cancelled++;
+
+      try {
+        await notificationService.notifyReservationStatusChange(reservation, previousStatus);
+        await notificationService.createNotification({
+          recipient: reservation.artistId,
+          recipientModel: 'Artist',
+          relatedId: reservation._id,
+          relatedModel: 'Reservation',
+          type: 'reservation_cancelled',
+          template: 'reservation_cancelled.automatic',
+          variables: {
+            date: reservation.date,
+            isDeposit
+          },
+          data: {
+            reservationId: reservation._id,
+            previousStatus,
+            newStatus: 'cancelled',
+            date: reservation.date
+          }
+        });
+      } catch (error) {
+        console.error('Erreur lors de l\'envoi des notifications d\'annulation automatique:', error);
+      }
+    }
+    return cancelled;
+  },
+
+  /**
+   * Exécuter l'ensemble des traitements
+   * @param {Date} now - Date de référence
+   * @returns {Promise<Object>} - { depositReminders, balanceReminders, cancelled }
+   */
+  async run(now = new Date()) {
+    const result = {
+      depositReminders: await this.sendDepositReminders(now),
+      balanceReminders: await this.sendBalanceReminders(now),
+      cancelled: await this.cancelUnpaidReservations(now)
+    };
+
+    if (result.depositReminders || result.balanceReminders || result.cancelled) {
+      console.log('Échéanciers de paiement traités:', result);
+    }
+    return result;
+  },
+
+  /**
+   * Démarrer l'exécution périodique de la tâche
+   * @returns {Object|null} - Le minuteur, ou null si la tâche est désactivée
+   */
+  start() {
+    if (!scheduleConfig.jobIntervalMinutes || scheduleConfig.jobIntervalMinutes <= 0) {
+      return null;
+    }
+
+    let running = false;
+    const timer = setInterval(async () => {
+      // Ne pas chevaucher deux exécutions
+      if (running) {
+        return;
+      }
+      running = true;
+      try {
+        await this.run();
+      } catch (error) {
+        console.error('Erreur lors du traitement des échéanciers de paiement:', error);
+      } finally {
+        running = false;
+      }
+    }, scheduleConfig.jobIntervalMinutes * 60 * 1000);
+
+    // Ne pas empêcher l'arrêt du processus
+    timer.unref();
+    return timer;
+  }
+};
+
+module.exports = paymentScheduleJob;
@@ -0,0 +1,52 @@
+const smsService = require('../utils/smsService');
+const smsConfig = require('../config/sms');
+
+/**
+ * Tâche périodique de la file d'envoi des SMS: nouvelles tentatives des messages en échec
+ */
+const smsOutboxJob = {
+  /**
+   * Exécuter le traitement
+   * @param {Date} now - Date de référence
+   * @returns {Promise<Number>} - Nombre de messages traités
+   */
+  async run(now = new Date()) {
+    const processed = await smsService.processOutbox(now);
+    if (processed) {
+      console.log(`File d'envoi des SMS: ${processed} message(s) traité(s)`);
+    }
+    return processed;
+  },
+
+  /**
+   * Démarrer l'exécution périodique de la tâche
+   * @returns {Object|null} - Le minuteur, ou null si la tâche est désactivée
+   */
+  start() {
+    if (!smsConfig.outboxIntervalSeconds || smsConfig.outboxIntervalSeconds <= 0) {
+      return null;
+    }
+
+    let running = false;
+    const timer = setInterval(async () => {
+      // Ne pas chevaucher deux exécutions
+      if (running) {
+        return;
+      }
+      running = true;
+      try {
+        await this.run();
+      } catch (error) {
+        console.error('Erreur lors du traitement de la file d\'envoi des SMS:', error);
+      } finally {
+        running = false;
+      }
+    }, smsConfig.outboxIntervalSeconds * 1000);
+
+    // Ne pas empêcher l'arrêt du processus
+    timer.unref();
+    return timer;
+  }
+};
+
+module.exports = smsOutboxJob;
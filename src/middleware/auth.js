@@ -1,11 +1,10 @@
-const jwt = require('jsonwebtoken');
 const asyncHandler = require('./async');
 const ErrorResponse = require('../utils/errorResponse');
+const jwtKeyring = require('../utils/jwtKeyring');
+const sessionService = require('../utils/sessionService');
+const twoFactorService = require('../utils/twoFactorService');
 const User = require('../models/User');
 
-// Clé secrète par défaut (identique à celle dans User.js)
-const DEFAULT_JWT_SECRET = 'bookmi_default_jwt_secret_key';
-
 // Protéger les routes
 exports.protect = asyncHandler(async (req, res, next) => {
   let token;
@@ -35,10 +34,16 @@ exports.protect = asyncHandler(async (req, res, next) => {
   }
 
   try {
-    // Vérifier le token avec la même clé utilisée pour le générer
+    // Vérifier le token avec la clé du trousseau désignée par son en-tête
     console.log('Vérification du token JWT...');
-    const decoded = jwt.verify(token, DEFAULT_JWT_SECRET);
+    const decoded = jwtKeyring.verify(token, 'access');
     console.log('Token vérifié avec succès:', decoded);
+
+    // Le token n'est valable que tant que sa session n'a pas été révoquée
+    const session = decoded.sid ? await sessionService.getActive(decoded.sid) : null;
+    if (!session) {
+      return next(new ErrorResponse('Accès non autorisé - session expirée ou révoquée', 401));
+    }
     
     // Ajouter l'utilisateur à la requête
     const user = await User.findById(decoded.id);
@@ -56,9 +61,25 @@ exports.protect = asyncHandler(async (req, res, next) => {
       console.error('Token valide mais utilisateur introuvable:', decoded);
       return next(new ErrorResponse('Accès non autorisé - utilisateur introuvable', 401));
     }
+
+    // Compte suspendu par un administrateur
+    if (user.isActive === false) {
+      return next(new ErrorResponse('Ce compte a été suspendu', 403));
+    }
     
+    // Rôle soumis à la double authentification: seules les routes d'enrôlement restent accessibles
+    // tant que la session n'a pas été confirmée par un code
+    if (!session.twoFactorVerified && !req.allowTwoFactorEnrollment &&
+        (await twoFactorService.isRequiredFor(user.role))) {
+      return next(new ErrorResponse('La double authentification est obligatoire pour votre rôle, veuillez l\'activer', 403));
+    }
+
     // Assigner l'utilisateur à la requête avec les informations du token
     req.user = user;
+    req.sessionId = decoded.sid;
+    req.twoFactorVerified = session.twoFactorVerified;
+    // Fin de validité du jeton (fermeture des connexions longues comme le flux de notifications)
+    req.tokenExpiresAt = decoded.exp ? decoded.exp * 1000 : null;
     
     // Ajouter les informations booker et artist du token à req.user
     // Ces informations peuvent être absentes dans le modèle mais présentes dans le token
@@ -85,6 +106,12 @@ exports.protect = asyncHandler(async (req, res, next) => {
   }
 });
 
+// Laisser passer une route d'enrôlement à la double authentification (à placer avant protect)
+exports.allowTwoFactorEnrollment = (req, res, next) => {
+  req.allowTwoFactorEnrollment = true;
+  next();
+};
+
 // Accorder l'accès aux rôles spécifiés
 exports.authorize = (roles) => {
   return (req, res, next) => {
@@ -60,6 +60,11 @@ const errorHandler = (err, req, res, next) => {
       : err.message || 'Erreur serveur';
   }
 
+  // Délai avant une nouvelle tentative (verrouillage, quota dépassé)
+  if (error.retryAfter) {
+    res.set('Retry-After', String(error.retryAfter));
+  }
+
   res.status(error.statusCode || 500).json({
     success: false,
     error: error.message || 'Erreur serveur',
@@ -0,0 +1,34 @@
+const multer = require('multer');
+const ErrorResponse = require('../utils/errorResponse');
+
+/**
+ * Recevoir des fichiers multipart en mémoire
+ * Les fichiers ne sont écrits qu'après contrôle de leur contenu (voir utils/fileType)
+ * @param {Array} fields - Champs attendus, au format multer ([{ name, maxCount }])
+ * @param {Object} options - { maxFileSize: taille maximale d'un fichier en octets }
+ * @returns {Function} - Middleware Express
+ */
+exports.uploadFields = (fields, { maxFileSize }) => {
+  const upload = multer({
+    storage: multer.memoryStorage(),
+    limits: {
+      fileSize: maxFileSize,
+      files: fields.reduce((total, field) => total + (field.maxCount || 1), 0)
+    }
+  }).fields(fields);
+
+  return (req, res, next) => {
+    upload(req, res, (err) => {
+      if (!err) {
+        return next();
+      }
+      if (err.code === 'LIMIT_FILE_SIZE') {
+        return next(new ErrorResponse(`Fichier trop volumineux (maximum ${Math.floor(maxFileSize / (1024 * 1024))} Mo)`, 413));
+      }
+      if (err instanceof multer.MulterError) {
+        return next(new ErrorResponse(`Envoi de fichiers invalide: ${err.message}`, 400));
+      }
+      next(err);
+    });
+  };
+};
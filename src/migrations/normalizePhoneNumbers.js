@@ -0,0 +1,46 @@
+/**
+ * Migration: mettre les numéros de téléphone des utilisateurs au format E.164
+ *
+ * La connexion par code SMS recherche les comptes par numéro normalisé (+2250700954748):
+ * les numéros enregistrés avant la normalisation (0700954748, 07 00 95 47 48...) sont convertis.
+ * Les anciens numéros mobiles ivoiriens à 8 chiffres passent au plan à 10 chiffres (07095474 devient +2250707095474).
+ * La migration peut être relancée sans effet sur les numéros déjà normalisés.
+ *
+ * Usage: npm run migrate:normalize-phones
+ */
+const mongoose = require('mongoose');
+const connectDB = require('../config/db');
+const phone = require('../utils/phone');
+
+const run = async () => {
+  await connectDB();
+
+  try {
+    const collection = mongoose.connection.collection('users');
+    const cursor = collection.find({ phone: { $exists: true } }, { projection: { phone: 1 } });
+
+    let updated = 0;
+    let invalid = 0;
+    for await (const user of cursor) {
+      const normalized = phone.normalize(user.phone);
+      if (!phone.isValid(normalized)) {
+        console.warn(`Numéro invalide conservé tel quel pour l'utilisateur ${user._id}`);
+        invalid++;
+        continue;
+      }
+      if (normalized !== user.phone) {
+        await collection.updateOne({ _id: user._id }, { $set: { phone: normalized } });
+        updated++;
+      }
+    }
+
+    console.log(`Numéros normalisés: ${updated} utilisateur(s), ${invalid} numéro(s) invalide(s)`);
+  } finally {
+    await mongoose.disconnect();
+  }
+};
+
+run().catch(error => {
+  console.error('Erreur lors de la normalisation des numéros de téléphone:', error);
+  process.exit(1);
+});
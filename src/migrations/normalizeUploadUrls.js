@@ -0,0 +1,112 @@
+/**
+ * Migration: remplacer les URL de fichiers enregistrées par les URL canoniques du stockage
+ *
+ * Le serveur réécrivait les adresses mal formées (/apiuploads/..., /api/uploads/..., uploads/...):
+ * ces réécritures ont disparu, les URL sont désormais produites par le stockage (fileStore.publicUrl).
+ * Les photos des artistes et des services sont converties, de même que les URL des fichiers
+ * envoyés (MediaFile) lorsque STORAGE_PUBLIC_URL ou le stockage changent. Les URL externes
+ * (autres domaines) sont conservées. La migration peut être relancée sans effet sur les URL déjà canoniques.
+ *
+ * Usage: npm run migrate:normalize-upload-urls
+ */
+const mongoose = require('mongoose');
+const connectDB = require('../config/db');
+const fileStore = require('../utils/fileStore');
+const uploadsConfig = require('../config/uploads');
+
+// Adresses servies par l'API: relatives ou sur le domaine de l'API
+const LOCAL_UPLOAD_URL = /^(?:https?:\/\/[^/]+)?\/?(?:api\/?)?uploads\/(.+)$/;
+const apiOrigin = new URL(uploadsConfig.apiBaseUrl).origin;
+
+/**
+ * URL canonique d'une URL enregistrée
+ * @param {String} url - URL enregistrée
+ * @returns {String} - URL canonique, ou l'URL d'origine si elle n'est pas servie par l'API
+ */
+const canonicalUrl = (url) => {
+  const match = LOCAL_UPLOAD_URL.exec(url);
+  if (!match || (/^https?:/.test(url) && new URL(url).origin !== apiOrigin)) {
+    return url;
+  }
+  return fileStore.publicUrl(decodeURIComponent(match[1].split(/[?#]/)[0]));
+};
+
+/**
+ * Convertir les URL contenues dans une valeur (chaîne, tableau ou jeu de variantes)
+ * @param {*} value - Valeur enregistrée
+ * @returns {*} - Valeur convertie
+ */
+const convert = (value) => {
+  if (typeof value === 'string') {
+    return canonicalUrl(value);
+  }
+  if (Array.isArray(value)) {
+    return value.map(convert);
+  }
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(Object.entries(value).map(([name, item]) => [name, convert(item)]));
+  }
+  return value;
+};
+
+/**
+ * Convertir des champs d'une collection
+ * @param {String} name - Nom de la collection
+ * @param {Array} fields - Champs contenant des URL
+ * @returns {Promise<Number>} - Nombre de documents modifiés
+ */
+const convertCollection = async (name, fields) => {
+  const collection = mongoose.connection.collection(name);
+  const filter = { $or: fields.map(field => ({ [field]: { $exists: true } })) };
+  const projection = Object.fromEntries(fields.map(field => [field, 1]));
+  const cursor = collection.find(filter, { projection });
+
+  let updated = 0;
+  for await (const document of cursor) {
+    const changes = {};
+    fields.forEach(field => {
+      if (document[field] !== undefined) {
+        const converted = convert(document[field]);
+        if (JSON.stringify(converted) !== JSON.stringify(document[field])) {
+          changes[field] = converted;
+        }
+      }
+    });
+
+    if (Object.keys(changes).length > 0) {
+      await collection.updateOne({ _id: document._id }, { $set: changes });
+      updated++;
+    }
+  }
+  return updated;
+};
+
+const run = async () => {
+  await connectDB();
+
+  try {
+    const users = await convertCollection('users', ['profilePhoto', 'gallery', 'profilePhotoVariants', 'galleryVariants']);
+    const services = await convertCollection('services', ['photos', 'photoVariants']);
+
+    // Les fichiers envoyés connaissent leur clé: leur URL est recalculée directement
+    const mediaFiles = mongoose.connection.collection('mediafiles');
+    let media = 0;
+    for await (const file of mediaFiles.find({}, { projection: { key: 1, url: 1, variants: 1 } })) {
+      const url = fileStore.publicUrl(file.key);
+      const variants = (file.variants || []).map(variant => ({ ...variant, url: fileStore.publicUrl(variant.key) }));
+      if (url !== file.url || JSON.stringify(variants) !== JSON.stringify(file.variants || [])) {
+        await mediaFiles.updateOne({ _id: file._id }, { $set: { url, variants } });
+        media++;
+      }
+    }
+
+    console.log(`URL normalisées: ${users} utilisateur(s), ${services} service(s), ${media} fichier(s) envoyé(s)`);
+  } finally {
+    await mongoose.disconnect();
+  }
+};
+
+run().catch(error => {
+  console.error('Erreur lors de la normalisation des URL de fichiers:', error);
+  process.exit(1);
+});
@@ -0,0 +1,37 @@
+/**
+ * Migration: supprimer les codes de vérification stockés en clair sur les utilisateurs
+ *
+ * Les codes sont désormais des OneTimeCode hachés; les anciens champs users.verificationCode,
+ * verificationCodeExpires et verificationAttempts sont retirés. Les utilisateurs concernés
+ * demandent un nouveau code (renvoi du code de vérification ou mot de passe oublié).
+ *
+ * Usage: npm run migrate:remove-legacy-codes
+ */
+const mongoose = require('mongoose');
+const connectDB = require('../config/db');
+
+const run = async () => {
+  await connectDB();
+
+  try {
+    const { modifiedCount } = await mongoose.connection.collection('users').updateMany(
+      {
+        $or: [
+          { verificationCode: { $exists: true } },
+          { verificationCodeExpires: { $exists: true } },
+          { verificationAttempts: { $exists: true } }
+        ]
+      },
+      { $unset: { verificationCode: '', verificationCodeExpires: '', verificationAttempts: '' } }
+    );
+
+    console.log(`Codes de vérification en clair supprimés: ${modifiedCount} utilisateur(s)`);
+  } finally {
+    await mongoose.disconnect();
+  }
+};
+
+run().catch(error => {
+  console.error('Erreur lors de la suppression des anciens codes de vérification:', error);
+  process.exit(1);
+});
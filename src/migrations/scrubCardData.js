@@ -0,0 +1,119 @@
+/**
+ * Migration: supprimer les données de carte en clair déjà enregistrées
+ *
+ * - reservations: cardNumber, expiryDate, cvv et cardName sont remplacés par cardToken, cardBrand et cardLast4
+ * - paymentmethods: details.cardNumber est remplacé par details.cardToken, details.cardBrand et details.cardLast4
+ * - payments: les éventuels paymentDetails.cardNumber et paymentDetails.cvv sont supprimés
+ *
+ * Les collections sont lues directement: les anciens champs ne figurent plus dans les schémas.
+ * La migration peut être relancée sans effet sur les documents déjà nettoyés.
+ *
+ * Usage: npm run migrate:scrub-cards
+ */
+const mongoose = require('mongoose');
+const connectDB = require('../config/db');
+const cardVault = require('../utils/cardVault');
+
+/**
+ * Calculer les champs de jeton d'un ancien numéro de carte
+ * Un numéro invalide ou masqué ne produit pas de jeton mais conserve ses 4 derniers chiffres
+ * @param {String} cardNumber - Numéro enregistré
+ * @returns {Object} - { cardToken, cardBrand, cardLast4 } (champs absents si non calculables)
+ */
+const tokenFields = (cardNumber) => {
+  const number = cardVault.normalizeNumber(cardNumber);
+  const fields = {};
+
+  if (cardVault.isValidNumber(number)) {
+    fields.cardToken = cardVault.tokenFor(number);
+    fields.cardBrand = cardVault.detectBrand(number);
+  }
+  if (/^\d{4,}$/.test(number)) {
+    fields.cardLast4 = number.slice(-4);
+  }
+
+  return fields;
+};
+
+/**
+ * Nettoyer les réservations
+ * @returns {Promise<Number>} - Nombre de documents modifiés
+ */
+const scrubReservations = async () => {
+  const collection = mongoose.connection.collection('reservations');
+  const cursor = collection.find(
+    { $or: [{ cardNumber: { $exists: true } }, { cvv: { $exists: true } }, { expiryDate: { $exists: true } }, { cardName: { $exists: true } }] },
+    { projection: { cardNumber: 1 } }
+  );
+
+  let count = 0;
+  for await (const doc of cursor) {
+    const update = { $unset: { cardNumber: '', expiryDate: '', cvv: '', cardName: '' } };
+    const fields = doc.cardNumber ? tokenFields(doc.cardNumber) : {};
+    if (Object.keys(fields).length > 0) {
+      update.$set = fields;
+    }
+
+    await collection.updateOne({ _id: doc._id }, update);
+    count++;
+  }
+  return count;
+};
+
+/**
+ * Nettoyer les moyens de paiement enregistrés
+ * @returns {Promise<Number>} - Nombre de documents modifiés
+ */
+const scrubPaymentMethods = async () => {
+  const collection = mongoose.connection.collection('paymentmethods');
+  const cursor = collection.find(
+    { $or: [{ 'details.cardNumber': { $exists: true } }, { 'details.cvv': { $exists: true } }] },
+    { projection: { 'details.cardNumber': 1 } }
+  );
+
+  let count = 0;
+  for await (const doc of cursor) {
+    const update = { $unset: { 'details.cardNumber': '', 'details.cvv': '' } };
+    const fields = doc.details.cardNumber ? tokenFields(doc.details.cardNumber) : {};
+    if (Object.keys(fields).length > 0) {
+      update.$set = Object.fromEntries(
+        Object.entries(fields).map(([key, value]) => [`details.${key}`, value])
+      );
+    }
+
+    await collection.updateOne({ _id: doc._id }, update);
+    count++;
+  }
+  return count;
+};
+
+/**
+ * Nettoyer les paiements
+ * @returns {Promise<Number>} - Nombre de documents modifiés
+ */
+const scrubPayments = async () => {
+  const { modifiedCount } = await mongoose.connection.collection('payments').updateMany(
+    { $or: [{ 'paymentDetails.cardNumber': { $exists: true } }, { 'paymentDetails.cvv': { $exists: true } }] },
+    { $unset: { 'paymentDetails.cardNumber': '', 'paymentDetails.cvv': '' } }
+  );
+  return modifiedCount;
+};
+
+const run = async () => {
+  await connectDB();
+
+  try {
+    const reservations = await scrubReservations();
+    const paymentMethods = await scrubPaymentMethods();
+    const payments = await scrubPayments();
+
+    console.log(`Données de carte supprimées: ${reservations} réservation(s), ${paymentMethods} moyen(s) de paiement, ${payments} paiement(s)`);
+  } finally {
+    await mongoose.disconnect();
+  }
+};
+
+run().catch(error => {
+  console.error('Erreur lors de la suppression des données de carte:', error);
+  process.exit(1);
+});
@@ -1,5 +1,6 @@
 const mongoose = require('mongoose');
 const User = require('./User');
+const imageVariantSetSchema = require('./imageVariantSet');
 
 // Schéma pour les avis/reviews
 const ReviewSchema = new mongoose.Schema({
@@ -33,6 +34,72 @@ const ReviewSchema = new mongoose.Schema({
   }
 });
 
+// Format HH:MM utilisé pour les horaires
+const TIME_REGEX = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+// Schéma pour une plage horaire hebdomadaire récurrente
+const WeeklySlotSchema = new mongoose.Schema({
+  // Jour de la semaine (0 = dimanche, 6 = samedi)
+  dayOfWeek: {
+    type: Number,
+    required: [true, 'Le jour de la semaine est requis'],
+    min: 0,
+    max: 6
+  },
+  startTime: {
+    type: String, // Format HH:MM
+    required: [true, "L'heure de début est requise"],
+    match: [TIME_REGEX, "L'heure de début doit être au format HH:MM"]
+  },
+  endTime: {
+    type: String, // Format HH:MM
+    required: [true, "L'heure de fin est requise"],
+    match: [TIME_REGEX, "L'heure de fin doit être au format HH:MM"]
+  }
+}, { _id: false });
+
+// Schéma pour une date d'indisponibilité (congés, autre engagement...)
+const BlackoutDateSchema = new mongoose.Schema({
+  date: {
+    type: String, // Format YYYY-MM-DD
+    required: [true, "La date d'indisponibilité est requise"],
+    match: [/^\d{4}-\d{2}-\d{2}$/, 'La date doit être au format YYYY-MM-DD']
+  },
+  reason: {
+    type: String,
+    trim: true
+  }
+}, { _id: false });
+
+// Schéma des disponibilités de l'artiste
+const AvailabilitySchema = new mongoose.Schema({
+  weeklyHours: [WeeklySlotSchema],
+  blackoutDates: [BlackoutDateSchema]
+}, { _id: false });
+
+// Schéma d'un palier de la politique d'annulation
+const CancellationTierSchema = new mongoose.Schema({
+  // Nombre minimal de jours entre l'annulation et la prestation
+  minDaysBefore: {
+    type: Number,
+    required: [true, 'Le nombre de jours est requis'],
+    min: 0
+  },
+  // Part du paiement remboursée au booker
+  refundPercentage: {
+    type: Number,
+    required: [true, 'Le pourcentage de remboursement est requis'],
+    min: 0,
+    max: 100
+  }
+}, { _id: false });
+
+// Paliers par défaut: 100% à plus de 14 jours, 50% ensuite
+const DEFAULT_CANCELLATION_TIERS = [
+  { minDaysBefore: 14, refundPercentage: 100 },
+  { minDaysBefore: 0, refundPercentage: 50 }
+];
+
 // Schéma spécifique aux artistes
 const ArtistSchema = new mongoose.Schema({
   artistName: {
@@ -67,6 +134,22 @@ const ArtistSchema = new mongoose.Schema({
     type: Boolean,
     default: false
   },
+  // Vérification de l'identité et de la carte professionnelle par un administrateur
+  verification: {
+    status: {
+      type: String,
+      enum: ['unverified', 'pending', 'approved', 'rejected'],
+      default: 'unverified'
+    },
+    verifiedAt: {
+      type: Date
+    },
+    // Carte professionnelle contrôlée (hasProfessionalCard n'est que déclaratif)
+    professionalCardVerified: {
+      type: Boolean,
+      default: false
+    }
+  },
   address: {
     type: String,
     trim: true
@@ -88,9 +171,13 @@ const ArtistSchema = new mongoose.Schema({
   profilePhoto: {
     type: String
   },
+  // Tailles dérivées de la photo de profil envoyée sur la plateforme
+  profilePhotoVariants: imageVariantSetSchema,
   gallery: [{
     type: String
   }],
+  // Tailles dérivées des photos de la galerie envoyées sur la plateforme (original = URL dans gallery)
+  galleryVariants: [imageVariantSetSchema],
   biography: {
     type: String
   },
@@ -99,7 +186,34 @@ const ArtistSchema = new mongoose.Schema({
     ref: 'Service'
   }],
   availability: {
-    type: mongoose.Schema.Types.Mixed
+    type: AvailabilitySchema,
+    default: () => ({ weeklyHours: [], blackoutDates: [] })
+  },
+  // Conditions de paiement des réservations (valeurs par défaut de la plateforme si absentes)
+  paymentTerms: {
+    // Part du montant demandée en acompte
+    depositPercentage: {
+      type: Number,
+      min: 0,
+      max: 100
+    },
+    // Délai, après la réservation, pour verser l'acompte
+    depositDueHours: {
+      type: Number,
+      min: 1
+    },
+    // Le solde est dû ce nombre de jours avant la prestation
+    balanceDueDaysBefore: {
+      type: Number,
+      min: 0
+    }
+  },
+  // Politique de remboursement appliquée lorsqu'une réservation est annulée
+  cancellationPolicy: {
+    tiers: {
+      type: [CancellationTierSchema],
+      default: () => DEFAULT_CANCELLATION_TIERS.map(tier => ({ ...tier }))
+    }
   },
   rating: {
     value: {
@@ -119,10 +233,36 @@ const ArtistSchema = new mongoose.Schema({
   profileViews: {
     type: Number,
     default: 0
+  },
+  // Espace occupé par les fichiers envoyés (quota de stockage)
+  mediaUsage: {
+    bytes: {
+      type: Number,
+      default: 0,
+      select: false
+    }
+  },
+  // Verrou posé pendant le traitement d'une demande de retrait
+  // (le solde est dérivé du grand livre et ne peut pas être débité atomiquement)
+  payoutLockedUntil: {
+    type: Date,
+    select: false
   }
+}, {
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+// Badge « artiste vérifié » affiché dans les listes et les recherches
+ArtistSchema.virtual('verified').get(function() {
+  return !!(this.verification && this.verification.status === 'approved');
 });
 
+ArtistSchema.index({ 'verification.status': 1 });
+
 // Créer le modèle Artist en utilisant la discrimination
 const Artist = User.discriminator('Artist', ArtistSchema);
 
+Artist.DEFAULT_CANCELLATION_TIERS = DEFAULT_CANCELLATION_TIERS;
+
 module.exports = Artist; 
\ No newline at end of file
@@ -0,0 +1,44 @@
+const mongoose = require('mongoose');
+
+// Créneaux retenus par les réservations d'un artiste sur une journée (un document par artiste et par jour)
+// Sert de verrou: un créneau n'est ajouté que s'il ne chevauche aucun autre, en une seule opération
+const artistCalendarSchema = new mongoose.Schema({
+  artist: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Artist',
+    required: true
+  },
+
+  // Date au format YYYY-MM-DD
+  date: {
+    type: String,
+    required: true
+  },
+
+  // Créneaux des réservations en attente ou confirmées
+  slots: {
+    type: [{
+      reservation: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Reservation',
+        required: true
+      },
+      startTime: {
+        type: String,
+        required: true
+      },
+      endTime: {
+        type: String,
+        required: true
+      },
+      _id: false
+    }],
+    default: []
+  }
+});
+
+artistCalendarSchema.index({ artist: 1, date: 1 }, { unique: true });
+
+const ArtistCalendar = mongoose.model('ArtistCalendar', artistCalendarSchema);
+
+module.exports = ArtistCalendar;
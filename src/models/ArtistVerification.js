@@ -0,0 +1,80 @@
+const mongoose = require('mongoose');
+
+// Types de pièces justificatives
+const DOCUMENT_TYPES = ['identity', 'professional_card'];
+
+// Schéma d'une pièce justificative (fichier privé)
+const documentSchema = new mongoose.Schema({
+  type: {
+    type: String,
+    enum: DOCUMENT_TYPES,
+    required: true
+  },
+  // Clé du fichier dans le stockage privé
+  fileKey: {
+    type: String,
+    required: true
+  },
+  originalName: {
+    type: String,
+    default: ''
+  },
+  mimeType: {
+    type: String,
+    required: true
+  },
+  size: {
+    type: Number,
+    required: true
+  },
+  uploadedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// Demande de vérification d'un artiste (une par soumission, l'historique est conservé)
+const artistVerificationSchema = new mongoose.Schema({
+  artist: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Artist',
+    required: true
+  },
+
+  status: {
+    type: String,
+    enum: ['pending', 'approved', 'rejected'],
+    default: 'pending'
+  },
+
+  documents: [documentSchema],
+
+  // Examen par un administrateur
+  reviewedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  reviewedAt: {
+    type: Date
+  },
+  reviewerNotes: {
+    type: String,
+    trim: true,
+    default: ''
+  },
+
+  submittedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// Créer des index pour améliorer les performances
+artistVerificationSchema.index({ artist: 1, submittedAt: -1 });
+artistVerificationSchema.index({ status: 1, submittedAt: 1 });
+
+const ArtistVerification = mongoose.model('ArtistVerification', artistVerificationSchema);
+
+ArtistVerification.DOCUMENT_TYPES = DOCUMENT_TYPES;
+
+module.exports = ArtistVerification;
@@ -0,0 +1,80 @@
+const mongoose = require('mongoose');
+
+// Journal d'audit des actions d'administration: une entrée par action, jamais modifiée ni supprimée
+const auditLogSchema = new mongoose.Schema({
+  // Administrateur à l'origine de l'action
+  actor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  actorEmail: {
+    type: String,
+    default: ''
+  },
+
+  // Action effectuée (ex: user.suspend, reservation.force_status, payment.view, user.list)
+  action: {
+    type: String,
+    required: true
+  },
+
+  // Objet concerné
+  targetModel: {
+    type: String,
+    // Platform: totaux de la plateforme, AuditLog: consultation du journal lui-même
+    enum: ['User', 'Reservation', 'Payment', 'Refund', 'SecurityPolicy', 'ArtistVerification', 'NotificationTemplate', 'Platform', 'AuditLog'],
+    required: true
+  },
+  targetId: {
+    type: mongoose.Schema.Types.ObjectId
+  },
+
+  // Motif saisi par l'administrateur
+  reason: {
+    type: String,
+    default: ''
+  },
+
+  // Filtres et pagination d'une consultation de liste
+  filters: {
+    type: mongoose.Schema.Types.Mixed
+  },
+
+  // Valeurs avant et après l'action, pour les modifications
+  changes: {
+    before: mongoose.Schema.Types.Mixed,
+    after: mongoose.Schema.Types.Mixed
+  },
+
+  // Origine de la requête
+  ip: {
+    type: String,
+    default: ''
+  },
+  userAgent: {
+    type: String,
+    default: ''
+  },
+
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// Les entrées du journal ne peuvent pas être réécrites
+['updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne', 'deleteOne', 'deleteMany', 'findOneAndDelete'].forEach(operation => {
+  auditLogSchema.pre(operation, function(next) {
+    next(new Error('Le journal d\'audit ne peut pas être modifié'));
+  });
+});
+
+// Créer des index pour améliorer les performances
+auditLogSchema.index({ actor: 1, createdAt: -1 });
+auditLogSchema.index({ targetModel: 1, targetId: 1, createdAt: -1 });
+auditLogSchema.index({ action: 1, createdAt: -1 });
+
+const AuditLog = mongoose.model('AuditLog', auditLogSchema);
+
+module.exports = AuditLog;
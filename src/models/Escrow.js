@@ -0,0 +1,64 @@
+const mongoose = require('mongoose');
+
+const escrowSchema = new mongoose.Schema({
+  // Paiement dont les fonds sont séquestrés (un séquestre par paiement)
+  payment: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Payment',
+    required: true,
+    unique: true
+  },
+
+  // Réservation dont l'achèvement libère les fonds
+  reservation: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Reservation',
+    required: true
+  },
+
+  // Artiste bénéficiaire
+  artist: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Artist',
+    required: true
+  },
+
+  // Part de l'artiste retenue (hors frais de service)
+  amount: {
+    type: Number,
+    required: true
+  },
+
+  // Part déjà affectée à des remboursements (en cours ou effectués)
+  refundedAmount: {
+    type: Number,
+    default: 0
+  },
+
+  // Part libérée vers le solde disponible de l'artiste
+  releasedAmount: {
+    type: Number,
+    default: 0
+  },
+
+  // Statut du séquestre
+  status: {
+    type: String,
+    enum: ['held', 'released', 'refunded'],
+    default: 'held'
+  },
+
+  heldAt: {
+    type: Date,
+    default: Date.now
+  },
+  releasedAt: Date
+});
+
+// Créer des index pour améliorer les performances
+escrowSchema.index({ reservation: 1, status: 1 });
+escrowSchema.index({ artist: 1, status: 1 });
+
+const Escrow = mongoose.model('Escrow', escrowSchema);
+
+module.exports = Escrow;
@@ -0,0 +1,113 @@
+const mongoose = require('mongoose');
+
+// Comptes du grand livre
+// - booker_wallet: fonds versés par un booker et affectés à ses réservations
+// - provider_clearing: fonds détenus chez les fournisseurs de paiement (opérateurs)
+// - platform_fees: commissions de la plateforme
+// - artist_escrow: part de l'artiste retenue jusqu'à l'achèvement de la prestation
+// - artist_payable: part de l'artiste libérée, due à l'artiste jusqu'à son retrait
+const ACCOUNTS = ['booker_wallet', 'provider_clearing', 'platform_fees', 'artist_escrow', 'artist_payable'];
+
+// Nature des écritures
+const KINDS = ['payment', 'escrow_release', 'refund', 'payout', 'payout_reversal'];
+
+const ledgerEntrySchema = new mongoose.Schema({
+  // Identifiant de l'écriture (ex: "payment:<id>"), commun à toutes ses lignes
+  journal: {
+    type: String,
+    required: true
+  },
+  // Rang de la ligne dans l'écriture
+  line: {
+    type: Number,
+    required: true
+  },
+  kind: {
+    type: String,
+    enum: KINDS,
+    required: true
+  },
+
+  // Compte mouvementé et, pour les comptes de tiers, son titulaire
+  account: {
+    type: String,
+    enum: ACCOUNTS,
+    required: true
+  },
+  owner: {
+    type: mongoose.Schema.Types.ObjectId,
+    refPath: 'ownerModel'
+  },
+  ownerModel: {
+    type: String,
+    enum: ['Artist', 'Booker']
+  },
+
+  // Montants en FCFA (une ligne est soit au débit, soit au crédit)
+  debit: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  credit: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  currency: {
+    type: String,
+    default: 'XOF'
+  },
+
+  // Opérations à l'origine de l'écriture
+  payment: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Payment'
+  },
+  reservation: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Reservation'
+  },
+  payout: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Payout'
+  },
+
+  description: {
+    type: String,
+    default: ''
+  },
+
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// Le grand livre est en ajout seul: une écriture erronée se corrige par une contre-écriture
+const rejectMutation = function(next) {
+  next(new Error('Les écritures du grand livre ne peuvent pas être modifiées ni supprimées'));
+};
+
+ledgerEntrySchema.pre('save', function(next) {
+  if (!this.isNew) {
+    return rejectMutation(next);
+  }
+  next();
+});
+ledgerEntrySchema.pre(
+  ['updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne', 'deleteOne', 'deleteMany', 'findOneAndDelete', 'findOneAndReplace'],
+  rejectMutation
+);
+
+// Une écriture n'est passée qu'une seule fois
+ledgerEntrySchema.index({ journal: 1, line: 1 }, { unique: true });
+ledgerEntrySchema.index({ account: 1, owner: 1, createdAt: 1 });
+ledgerEntrySchema.index({ payment: 1 });
+
+const LedgerEntry = mongoose.model('LedgerEntry', ledgerEntrySchema);
+
+LedgerEntry.ACCOUNTS = ACCOUNTS;
+LedgerEntry.KINDS = KINDS;
+
+module.exports = LedgerEntry;
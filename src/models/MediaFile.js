@@ -0,0 +1,77 @@
+const mongoose = require('mongoose');
+
+// Fichier public envoyé par un artiste (photo de profil, galerie, photo de service)
+// Permet de retrouver le fichier derrière une URL pour le supprimer et de décompter le quota de l'artiste
+const mediaFileSchema = new mongoose.Schema({
+  owner: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Artist',
+    required: true
+  },
+
+  kind: {
+    type: String,
+    enum: ['profile_photo', 'gallery', 'service_photo'],
+    required: true
+  },
+  // Service concerné (photos de service)
+  service: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Service'
+  },
+
+  // Clé dans le stockage public et URL enregistrée sur l'artiste ou le service (image d'origine nettoyée)
+  key: {
+    type: String,
+    required: true
+  },
+  url: {
+    type: String,
+    required: true
+  },
+
+  mimeType: {
+    type: String,
+    required: true
+  },
+  width: Number,
+  height: Number,
+  // Espace occupé par l'image et toutes ses variantes
+  size: {
+    type: Number,
+    required: true
+  },
+
+  // Tailles dérivées et versions WebP (clé et URL de chaque fichier)
+  variants: [{
+    name: String,
+    format: {
+      type: String,
+      enum: ['fallback', 'webp']
+    },
+    key: String,
+    url: String,
+    mimeType: String,
+    width: Number,
+    height: Number,
+    size: Number,
+    _id: false
+  }],
+  originalName: {
+    type: String,
+    default: ''
+  },
+
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// Créer des index pour améliorer les performances
+mediaFileSchema.index({ owner: 1, url: 1 });
+mediaFileSchema.index({ service: 1 });
+
+const MediaFile = mongoose.model('MediaFile', mediaFileSchema);
+
+module.exports = MediaFile;
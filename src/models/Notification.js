@@ -1,5 +1,25 @@
 const mongoose = require('mongoose');
 
+// Types de notification
+const NOTIFICATION_TYPES = [
+  'new_reservation',         // Nouvelle réservation créée
+  'reservation_confirmed',   // Réservation confirmée par l'artiste
+  'reservation_completed',   // Réservation terminée
+  'reservation_cancelled',   // Réservation annulée
+  'payment_received',        // Paiement reçu
+  'payment_confirmed',       // Paiement confirmé
+  'payment_refunded',        // Paiement remboursé
+  'payment_failed',          // Échec du paiement
+  'payment_reminder',        // Rappel d'échéance de paiement
+  'payout_completed',        // Retrait versé à l'artiste
+  'payout_failed',           // Échec du retrait
+  'verification_approved',   // Profil d'artiste vérifié
+  'verification_rejected',   // Vérification du profil refusée
+  'message_received',        // Message reçu
+  'review_received',         // Avis reçu
+  'service_booked'           // Service réservé
+];
+
 const notificationSchema = new mongoose.Schema({
   // Utilisateur destinataire (artiste ou booker)
   recipient: {
@@ -43,19 +63,7 @@ const notificationSchema = new mongoose.Schema({
   type: {
     type: String,
     required: true,
-    enum: [
-      'new_reservation',         // Nouvelle réservation créée
-      'reservation_confirmed',   // Réservation confirmée par l'artiste
-      'reservation_completed',   // Réservation terminée
-      'reservation_cancelled',   // Réservation annulée
-      'payment_received',        // Paiement reçu
-      'payment_confirmed',       // Paiement confirmé
-      'payment_refunded',        // Paiement remboursé
-      'payment_failed',          // Échec du paiement
-      'message_received',        // Message reçu
-      'review_received',         // Avis reçu
-      'service_booked'           // Service réservé
-    ]
+    enum: NOTIFICATION_TYPES
   },
   
   // Titre de la notification
@@ -70,6 +78,11 @@ const notificationSchema = new mongoose.Schema({
     required: true
   },
   
+  // Modèle dont sont issus le titre et le message (utils/notificationTemplates)
+  template: {
+    type: String
+  },
+
   // Données supplémentaires spécifiques au type de notification
   data: {
     type: mongoose.Schema.Types.Mixed
@@ -99,4 +112,6 @@ notificationSchema.index({ createdAt: 1 });
 
 const Notification = mongoose.model('Notification', notificationSchema);
 
+Notification.TYPES = NOTIFICATION_TYPES;
+
 module.exports = Notification; 
\ No newline at end of file
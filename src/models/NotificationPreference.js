@@ -0,0 +1,59 @@
+const mongoose = require('mongoose');
+const Notification = require('./Notification');
+
+// Heure au format HH:MM (00:00 à 23:59)
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+// Préférences d'un utilisateur pour un type de notification
+// Un canal non renseigné suit la valeur par défaut du type (config/notifications)
+const notificationPreferenceSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  type: {
+    type: String,
+    enum: Notification.TYPES,
+    required: true
+  },
+
+  // Canaux activés
+  channels: {
+    inApp: Boolean,
+    sms: Boolean,
+    email: Boolean,
+    push: Boolean
+  },
+
+  // Heures calmes: pas de SMS ni de notification push entre start et end (plage possible sur minuit)
+  quietHours: {
+    enabled: {
+      type: Boolean,
+      default: false
+    },
+    start: {
+      type: String,
+      match: [TIME_PATTERN, 'L\'heure de début des heures calmes doit être au format HH:MM']
+    },
+    end: {
+      type: String,
+      match: [TIME_PATTERN, 'L\'heure de fin des heures calmes doit être au format HH:MM']
+    },
+    // Fuseau horaire IANA (ex: Africa/Abidjan)
+    timezone: String
+  },
+
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+notificationPreferenceSchema.index({ user: 1, type: 1 }, { unique: true });
+
+const NotificationPreference = mongoose.model('NotificationPreference', notificationPreferenceSchema);
+
+NotificationPreference.TIME_PATTERN = TIME_PATTERN;
+
+module.exports = NotificationPreference;
@@ -0,0 +1,48 @@
+const mongoose = require('mongoose');
+const notificationsConfig = require('../config/notifications');
+
+// Modèle de notification modifié par un administrateur
+// Remplace, pour un canal et une langue, le texte par défaut défini dans le code (utils/notificationTemplates)
+const notificationTemplateSchema = new mongoose.Schema({
+  // Modèle remplacé (ex: payment_received.artist)
+  key: {
+    type: String,
+    required: true
+  },
+  channel: {
+    type: String,
+    enum: notificationsConfig.CHANNELS,
+    required: true
+  },
+  locale: {
+    type: String,
+    enum: notificationsConfig.LOCALES,
+    required: true
+  },
+
+  // Titre (objet de l'e-mail, titre de la notification push) et texte, avec des variables {{montant|currency}}
+  title: {
+    type: String,
+    trim: true
+  },
+  body: {
+    type: String,
+    required: true,
+    trim: true
+  },
+
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+notificationTemplateSchema.index({ key: 1, channel: 1, locale: 1 }, { unique: true });
+
+const NotificationTemplate = mongoose.model('NotificationTemplate', notificationTemplateSchema);
+
+module.exports = NotificationTemplate;
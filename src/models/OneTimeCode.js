@@ -0,0 +1,67 @@
+const mongoose = require('mongoose');
+
+// Usages d'un code: un code émis pour un usage ne peut servir à aucun autre
+const PURPOSES = ['verify_phone', 'reset_password', 'change_phone', 'login'];
+
+const oneTimeCodeSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+
+  purpose: {
+    type: String,
+    enum: PURPOSES,
+    required: true
+  },
+
+  // Canal d'envoi et destinataire (numéro de téléphone, email)
+  channel: {
+    type: String,
+    enum: ['sms', 'email'],
+    default: 'sms'
+  },
+  destination: {
+    type: String,
+    required: true
+  },
+
+  // Empreinte HMAC du code (le code lui-même n'est jamais stocké)
+  codeHash: {
+    type: String,
+    required: true,
+    select: false
+  },
+
+  // Essais de saisie (le code est refusé au-delà du plafond)
+  attempts: {
+    type: Number,
+    default: 0
+  },
+
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  // Utilisation ou remplacement par un code plus récent
+  consumedAt: {
+    type: Date,
+    default: null
+  },
+
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// Créer des index pour améliorer les performances
+oneTimeCodeSchema.index({ user: 1, purpose: 1, consumedAt: 1 });
+oneTimeCodeSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 24 * 60 * 60 });
+
+const OneTimeCode = mongoose.model('OneTimeCode', oneTimeCodeSchema);
+
+OneTimeCode.PURPOSES = PURPOSES;
+
+module.exports = OneTimeCode;
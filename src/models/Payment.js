@@ -57,16 +57,46 @@ const paymentSchema = new mongoose.Schema({
   // Statut du paiement
   status: {
     type: String,
-    enum: ['pending', 'processing', 'completed', 'failed', 'refunded'],
+    enum: ['pending', 'processing', 'completed', 'failed', 'partially_refunded', 'refunded'],
     default: 'pending'
   },
 
+  // Montant engagé dans des remboursements en cours ou effectués
+  refundedAmount: {
+    type: Number,
+    default: 0
+  },
+
   // ID de transaction externe (fourni par le service de paiement)
   transactionId: {
     type: String,
     default: ''
   },
 
+  // Fournisseur ayant traité le paiement (orange, mtn, moov, wave, simulator)
+  provider: {
+    type: String,
+    default: ''
+  },
+
+  // Référence complémentaire du fournisseur (jeton de paiement, session...)
+  providerReference: {
+    type: String,
+    default: ''
+  },
+
+  // URL de paiement à ouvrir par le booker, si le fournisseur en fournit une
+  checkoutUrl: {
+    type: String,
+    default: ''
+  },
+
+  // Motif d'échec renvoyé par le fournisseur
+  failureReason: {
+    type: String,
+    default: ''
+  },
+
   // Référence unique du paiement
   reference: {
     type: String,
@@ -79,7 +109,9 @@ const paymentSchema = new mongoose.Schema({
     phoneNumber: String,
     operator: String,
     
-    // Pour carte de crédit
+    // Pour carte de crédit (jeton du coffre uniquement)
+    cardToken: String,
+    cardBrand: String,
     cardLast4: String,
     expiryDate: String,
     cardholderName: String
@@ -142,6 +174,7 @@ paymentSchema.index({ payee: 1 });
 paymentSchema.index({ status: 1 });
 paymentSchema.index({ createdAt: 1 });
 paymentSchema.index({ paymentMethod: 1 });
+paymentSchema.index({ provider: 1, transactionId: 1 });
 paymentSchema.index({ reference: 1 }, { unique: true });
 
 const Payment = mongoose.model('Payment', paymentSchema);
@@ -30,8 +30,10 @@ const paymentMethodSchema = new mongoose.Schema({
   
   // Détails spécifiques selon le type
   details: {
-    // Pour cartes de crédit
-    cardNumber: String, // Stocké de manière sécurisée ou seulement les derniers chiffres
+    // Pour cartes de crédit (jeton du coffre uniquement, jamais le numéro complet ni le cryptogramme)
+    cardToken: String,
+    cardBrand: String,
+    cardLast4: String,
     cardholderName: String,
     expiryDate: String,
     
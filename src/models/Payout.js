@@ -0,0 +1,112 @@
+const mongoose = require('mongoose');
+
+const payoutSchema = new mongoose.Schema({
+  // Artiste qui demande le retrait
+  artist: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Artist',
+    required: true
+  },
+
+  // Moyen de paiement enregistré vers lequel les fonds sont versés
+  paymentMethod: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'PaymentMethod',
+    required: true
+  },
+
+  // Copie de la destination au moment de la demande
+  destination: {
+    type: {
+      type: String
+    },
+    phoneNumber: String,
+    operator: String
+  },
+
+  // Montant versé
+  amount: {
+    type: Number,
+    required: true,
+    min: [1, 'Le montant du retrait doit être positif']
+  },
+  currency: {
+    type: String,
+    default: 'XOF'
+  },
+
+  // Statut du versement
+  status: {
+    type: String,
+    enum: ['requested', 'processing', 'completed', 'failed'],
+    default: 'requested'
+  },
+
+  // Traitement par le fournisseur
+  provider: {
+    type: String,
+    default: ''
+  },
+  transactionId: {
+    type: String,
+    default: ''
+  },
+  failureReason: {
+    type: String,
+    default: ''
+  },
+
+  // Référence unique du retrait
+  reference: {
+    type: String,
+    unique: true
+  },
+
+  // Dates
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  },
+  completedAt: Date
+}, {
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+// Mettre à jour les timestamps avant de sauvegarder
+payoutSchema.pre('save', function(next) {
+  this.updatedAt = Date.now();
+
+  if (this.isModified('status') && this.status === 'completed' && !this.completedAt) {
+    this.completedAt = Date.now();
+  }
+
+  next();
+});
+
+// Générer une référence unique au format POUT-YYYYMMDD-XXXXX
+payoutSchema.pre('save', function(next) {
+  if (!this.reference) {
+    const date = new Date();
+    const dateStr = date.getFullYear() +
+                   ('0' + (date.getMonth() + 1)).slice(-2) +
+                   ('0' + date.getDate()).slice(-2);
+    const randomStr = Math.floor(10000 + Math.random() * 90000).toString();
+
+    this.reference = `POUT-${dateStr}-${randomStr}`;
+  }
+  next();
+});
+
+// Créer des index pour améliorer les performances
+payoutSchema.index({ artist: 1, createdAt: -1 });
+payoutSchema.index({ provider: 1, transactionId: 1 });
+payoutSchema.index({ status: 1 });
+
+const Payout = mongoose.model('Payout', payoutSchema);
+
+module.exports = Payout;
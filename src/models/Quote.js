@@ -0,0 +1,110 @@
+const mongoose = require('mongoose');
+
+const quoteSchema = new mongoose.Schema({
+  // Booker pour lequel le devis a été établi
+  booker: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Booker',
+    required: true
+  },
+
+  // Service et artiste concernés
+  service: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Service',
+    required: true
+  },
+  artist: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Artist',
+    required: true
+  },
+
+  // Créneau demandé
+  date: {
+    type: String, // Format YYYY-MM-DD
+    required: true
+  },
+  startTime: {
+    type: String, // Format HH:MM
+    required: true
+  },
+  endTime: {
+    type: String, // Format HH:MM
+    required: true
+  },
+
+  // Détail du calcul
+  pricingType: {
+    type: String,
+    enum: ['flat', 'hourly'],
+    required: true
+  },
+  unitPrice: {
+    type: Number,
+    required: true
+  },
+  hours: {
+    type: Number,
+    required: true
+  },
+  commissionRate: {
+    type: Number,
+    required: true
+  },
+
+  // Montants calculés par le serveur
+  amount: {
+    type: Number,
+    required: true
+  },
+  serviceFee: {
+    type: Number,
+    required: true
+  },
+  totalAmount: {
+    type: Number,
+    required: true
+  },
+  currency: {
+    type: String,
+    default: 'XOF'
+  },
+
+  // Signature HMAC des éléments du devis
+  signature: {
+    type: String,
+    required: true
+  },
+
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+
+  // Utilisation du devis (un devis ne peut servir qu'à une seule réservation)
+  usedAt: {
+    type: Date,
+    default: null
+  },
+  reservation: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Reservation'
+  },
+
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+// Créer des index pour améliorer les performances
+quoteSchema.index({ booker: 1 });
+quoteSchema.index({ reservation: 1 });
+
+const Quote = mongoose.model('Quote', quoteSchema);
+
+module.exports = Quote;
@@ -0,0 +1,42 @@
+const mongoose = require('mongoose');
+
+// Compteur de tentatives pour une clé (ex: login:account:<email>, login:ip:<ip>)
+const rateLimitCounterSchema = new mongoose.Schema({
+  key: {
+    type: String,
+    required: true,
+    unique: true
+  },
+
+  // Tentatives comptées dans la fenêtre courante
+  count: {
+    type: Number,
+    default: 0
+  },
+  windowStartedAt: {
+    type: Date,
+    default: Date.now
+  },
+
+  // Verrouillage en cours et nombre de verrouillages déjà subis (verrouillage progressif)
+  lockedUntil: {
+    type: Date,
+    default: null
+  },
+  lockLevel: {
+    type: Number,
+    default: 0
+  },
+
+  // Purge automatique des compteurs inactifs
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+});
+
+rateLimitCounterSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const RateLimitCounter = mongoose.model('RateLimitCounter', rateLimitCounterSchema);
+
+module.exports = RateLimitCounter;
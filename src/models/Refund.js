@@ -0,0 +1,146 @@
+const mongoose = require('mongoose');
+
+const refundSchema = new mongoose.Schema({
+  // Paiement remboursé
+  payment: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Payment',
+    required: true
+  },
+
+  // Réservation concernée
+  reservation: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Reservation',
+    required: true
+  },
+
+  // Booker remboursé et artiste dont la part est reprise
+  booker: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Booker',
+    required: true
+  },
+  artist: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Artist',
+    required: true
+  },
+
+  // Montant remboursé au booker et sa ventilation
+  amount: {
+    type: Number,
+    required: true,
+    min: [1, 'Le montant du remboursement doit être positif']
+  },
+  artistAmount: {
+    type: Number,
+    required: true
+  },
+  feeAmount: {
+    type: Number,
+    required: true
+  },
+  currency: {
+    type: String,
+    default: 'XOF'
+  },
+
+  // Compte de l'artiste débité: séquestre si les fonds n'étaient pas encore libérés
+  artistAccount: {
+    type: String,
+    enum: ['artist_escrow', 'artist_payable'],
+    required: true
+  },
+
+  // Motif et origine du remboursement
+  reason: {
+    type: String,
+    default: ''
+  },
+  initiatedBy: {
+    actor: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    role: {
+      type: String,
+      enum: ['booker', 'artist', 'admin', 'system']
+    }
+  },
+
+  // Palier de la politique d'annulation appliqué (remboursement automatique)
+  policy: {
+    daysBefore: Number,
+    refundPercentage: Number
+  },
+
+  // Statut du remboursement chez le fournisseur
+  status: {
+    type: String,
+    enum: ['requested', 'processing', 'completed', 'failed'],
+    default: 'requested'
+  },
+  provider: {
+    type: String,
+    default: ''
+  },
+  transactionId: {
+    type: String,
+    default: ''
+  },
+  failureReason: {
+    type: String,
+    default: ''
+  },
+
+  // Référence unique du remboursement
+  reference: {
+    type: String,
+    unique: true
+  },
+
+  // Dates
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  },
+  completedAt: Date
+}, {
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+// Mettre à jour le timestamp updatedAt avant de sauvegarder
+refundSchema.pre('save', function(next) {
+  this.updatedAt = Date.now();
+  next();
+});
+
+// Générer une référence unique au format RFD-YYYYMMDD-XXXXX
+refundSchema.pre('save', function(next) {
+  if (!this.reference) {
+    const date = new Date();
+    const dateStr = date.getFullYear() +
+                   ('0' + (date.getMonth() + 1)).slice(-2) +
+                   ('0' + date.getDate()).slice(-2);
+    const randomStr = Math.floor(10000 + Math.random() * 90000).toString();
+
+    this.reference = `RFD-${dateStr}-${randomStr}`;
+  }
+  next();
+});
+
+// Créer des index pour améliorer les performances
+refundSchema.index({ payment: 1 });
+refundSchema.index({ reservation: 1 });
+refundSchema.index({ provider: 1, transactionId: 1 });
+refundSchema.index({ status: 1 });
+
+const Refund = mongoose.model('Refund', refundSchema);
+
+module.exports = Refund;
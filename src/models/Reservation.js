@@ -1,5 +1,71 @@
 const mongoose = require('mongoose');
 
+// Schéma d'une entrée de l'historique des statuts
+const statusHistorySchema = new mongoose.Schema({
+  // Statut précédent (null pour la création)
+  from: {
+    type: String,
+    default: null
+  },
+  to: {
+    type: String,
+    required: true
+  },
+  // Utilisateur à l'origine du changement (absent pour les changements automatiques)
+  actor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  role: {
+    type: String,
+    enum: ['booker', 'artist', 'admin', 'system'],
+    required: true
+  },
+  reason: {
+    type: String,
+    default: ''
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+}, { _id: false });
+
+// Schéma d'une échéance (acompte ou solde)
+const installmentSchema = new mongoose.Schema({
+  amount: {
+    type: Number,
+    required: true
+  },
+  serviceFee: {
+    type: Number,
+    required: true
+  },
+  dueAt: {
+    type: Date,
+    required: true
+  }
+}, { _id: false });
+
+// Schéma de l'échéancier de paiement fixé à la création de la réservation
+const paymentScheduleSchema = new mongoose.Schema({
+  depositPercentage: {
+    type: Number,
+    required: true
+  },
+  deposit: installmentSchema,
+  balance: installmentSchema,
+  // Rappels déjà envoyés au booker
+  depositReminderSentAt: {
+    type: Date,
+    default: null
+  },
+  balanceReminderSentAt: {
+    type: Date,
+    default: null
+  }
+}, { _id: false });
+
 const reservationSchema = new mongoose.Schema({
   // Relations avec d'autres collections
   booker: {
@@ -24,11 +90,14 @@ const reservationSchema = new mongoose.Schema({
     enum: ['pending', 'confirmed', 'completed', 'cancelled'],
     default: 'pending'
   },
-  
+
+  // Historique des changements de statut
+  statusHistory: [statusHistorySchema],
+
   // Statut du paiement
   paymentStatus: {
     type: String,
-    enum: ['pending', 'paid', 'failed', 'refunded', 'partial'],
+    enum: ['pending', 'paid', 'failed', 'partially_refunded', 'refunded', 'partial'],
     default: 'pending'
   },
   
@@ -64,6 +133,12 @@ const reservationSchema = new mongoose.Schema({
     default: ''
   },
   
+  // Devis ayant servi au calcul des montants
+  quote: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Quote'
+  },
+
   // Informations de prix
   amount: {
     type: Number,
@@ -73,6 +148,9 @@ const reservationSchema = new mongoose.Schema({
     type: Number,
     required: true
   },
+
+  // Échéancier: acompte puis solde avant la prestation
+  paymentSchedule: paymentScheduleSchema,
   
   // Informations de paiement
   paymentMethod: {
@@ -84,11 +162,17 @@ const reservationSchema = new mongoose.Schema({
   // Détails du paiement selon la méthode
   paymentNumber: String, // Pour mobile money
   
-  // Pour carte de crédit
-  cardNumber: String,
-  expiryDate: String,
-  cvv: String,
-  cardName: String,
+  // Pour carte de crédit: jeton du coffre, jamais le numéro complet ni le cryptogramme
+  cardToken: String,
+  cardBrand: String,
+  cardLast4: String,
+
+  // Verrou posé pendant la création d'un paiement: deux demandes simultanées
+  // ne peuvent pas calculer le même montant restant dû
+  paymentLockedUntil: {
+    type: Date,
+    select: false
+  },
   
   // Informations de suivi
   createdAt: {
@@ -118,6 +202,8 @@ reservationSchema.index({ status: 1 });
 reservationSchema.index({ date: 1 });
 reservationSchema.index({ paymentMethod: 1 });
 reservationSchema.index({ paymentStatus: 1 });
+reservationSchema.index({ 'paymentSchedule.deposit.dueAt': 1 });
+reservationSchema.index({ 'paymentSchedule.balance.dueAt': 1 });
 
 const Reservation = mongoose.model('Reservation', reservationSchema);
 
@@ -0,0 +1,33 @@
+const mongoose = require('mongoose');
+const mfaConfig = require('../config/mfa');
+
+// Politique de sécurité de la plateforme, modifiable par les administrateurs (document unique)
+const securityPolicySchema = new mongoose.Schema({
+  key: {
+    type: String,
+    default: 'default',
+    unique: true
+  },
+
+  // Rôles dont les comptes doivent activer la double authentification
+  twoFactorRequiredRoles: {
+    type: [{
+      type: String,
+      enum: mfaConfig.eligibleRoles
+    }],
+    default: []
+  },
+
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+const SecurityPolicy = mongoose.model('SecurityPolicy', securityPolicySchema);
+
+module.exports = SecurityPolicy;
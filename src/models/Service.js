@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const imageVariantSetSchema = require('./imageVariantSet');
 
 const serviceSchema = new mongoose.Schema({
   artist: {
@@ -36,6 +37,15 @@ const serviceSchema = new mongoose.Schema({
     required: [true, 'Le prix du service est requis'],
     min: [0, 'Le prix ne peut pas être négatif']
   },
+  // Mode de tarification: prix forfaitaire ou prix par heure réservée
+  pricingType: {
+    type: String,
+    enum: {
+      values: ['flat', 'hourly'],
+      message: 'Veuillez sélectionner un mode de tarification valide'
+    },
+    default: 'flat'
+  },
   active: {
     type: Boolean,
     default: true
@@ -48,6 +58,8 @@ const serviceSchema = new mongoose.Schema({
     type: String, // URL des images
     trim: true
   }],
+  // Tailles dérivées des photos envoyées sur la plateforme (original = URL dans photos)
+  photoVariants: [imageVariantSetSchema],
   videos: [{
     type: String, // URL des vidéos YouTube
     trim: true
@@ -0,0 +1,82 @@
+const mongoose = require('mongoose');
+
+// Motifs de révocation d'une session
+const REVOCATION_REASONS = ['logout', 'revoked', 'reuse_detected', 'password_changed', 'account_suspended'];
+
+// Une session correspond à une connexion sur un appareil et à une famille de refresh tokens:
+// chaque rafraîchissement remplace le jeton courant (jti) par un nouveau
+const sessionSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+
+  // Appareil à l'origine de la connexion
+  deviceLabel: {
+    type: String,
+    trim: true,
+    default: ''
+  },
+  ip: {
+    type: String,
+    default: ''
+  },
+  userAgent: {
+    type: String,
+    default: ''
+  },
+
+  // Identifiant du seul refresh token valide de la famille
+  jti: {
+    type: String,
+    required: true
+  },
+  // Nombre de rafraîchissements effectués
+  rotationCount: {
+    type: Number,
+    default: 0
+  },
+
+  // Connexion confirmée par un code de double authentification (ou 2FA activée depuis cette session)
+  twoFactorVerified: {
+    type: Boolean,
+    default: false
+  },
+
+  // Expiration du refresh token courant (purge automatique ensuite)
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+
+  // Révocation (déconnexion, révocation manuelle ou réutilisation détectée)
+  revokedAt: {
+    type: Date,
+    default: null
+  },
+  revokedReason: {
+    type: String,
+    enum: [...REVOCATION_REASONS, null],
+    default: null
+  },
+
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  lastUsedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// Créer des index pour améliorer les performances
+sessionSchema.index({ user: 1, revokedAt: 1 });
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const Session = mongoose.model('Session', sessionSchema);
+
+Session.REVOCATION_REASONS = REVOCATION_REASONS;
+
+module.exports = Session;
@@ -0,0 +1,95 @@
+const mongoose = require('mongoose');
+
+// File d'envoi des SMS: chaque message y est enregistré avant son envoi et suivi jusqu'à sa remise
+const smsOutboxSchema = new mongoose.Schema({
+  // Destinataire au format international (+225...)
+  to: {
+    type: String,
+    required: true
+  },
+  // Pays du destinataire (code ISO, déduit de l'indicatif)
+  country: {
+    type: String,
+    default: ''
+  },
+  // Expéditeur affiché
+  sender: {
+    type: String,
+    default: ''
+  },
+
+  // Contenu du message
+  // Les messages sensibles (codes) sont enregistrés masqués et ne sont envoyés qu'au moment de leur création
+  body: {
+    type: String,
+    required: true
+  },
+  sensitive: {
+    type: Boolean,
+    default: false
+  },
+
+  // Nature du message (code, rappel, notification...)
+  category: {
+    type: String,
+    enum: ['otp', 'reminder', 'notification'],
+    default: 'notification'
+  },
+
+  // Transport utilisé et identifiant du message chez ce transport
+  transport: {
+    type: String,
+    required: true
+  },
+  providerMessageId: {
+    type: String,
+    default: ''
+  },
+
+  status: {
+    type: String,
+    enum: ['queued', 'sending', 'sent', 'delivered', 'failed'],
+    default: 'queued'
+  },
+
+  // Tentatives d'envoi et prochaine tentative
+  attempts: {
+    type: Number,
+    default: 0
+  },
+  nextAttemptAt: {
+    type: Date,
+    default: Date.now
+  },
+  lastError: {
+    type: String,
+    default: ''
+  },
+
+  sentAt: Date,
+  deliveredAt: Date,
+  failedAt: Date,
+
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// Mettre à jour le timestamp updatedAt avant de sauvegarder
+smsOutboxSchema.pre('save', function(next) {
+  this.updatedAt = Date.now();
+  next();
+});
+
+// Créer des index pour améliorer les performances
+smsOutboxSchema.index({ status: 1, nextAttemptAt: 1 });
+smsOutboxSchema.index({ transport: 1, providerMessageId: 1 });
+
+const SmsOutbox = mongoose.model('SmsOutbox', smsOutboxSchema);
+
+module.exports = SmsOutbox;
@@ -1,10 +1,8 @@
 const mongoose = require('mongoose');
 const bcrypt = require('bcryptjs');
-const jwt = require('jsonwebtoken');
-
-// Clés secrètes par défaut (à utiliser si les variables d'environnement ne sont pas définies)
-const DEFAULT_JWT_SECRET = 'bookmi_default_jwt_secret_key';
-const DEFAULT_REFRESH_SECRET = 'bookmi_default_refresh_secret_key';
+const jwtKeyring = require('../utils/jwtKeyring');
+const phone = require('../utils/phone');
+const notificationsConfig = require('../config/notifications');
 
 // Schéma de base pour tous les utilisateurs
 const UserSchema = new mongoose.Schema({
@@ -25,7 +23,9 @@ const UserSchema = new mongoose.Schema({
   phone: {
     type: String,
     required: [true, 'Le numéro de téléphone est requis'],
-    trim: true
+    trim: true,
+    // Stocké au format E.164: 0700954748 et +2250700954748 désignent le même numéro
+    set: value => phone.normalize(value) || value
   },
   firstName: {
     type: String,
@@ -50,11 +50,63 @@ const UserSchema = new mongoose.Schema({
     type: Boolean,
     default: false
   },
-  verificationCode: {
-    type: String
+  // Langue des notifications (in-app, SMS, e-mail, push)
+  locale: {
+    type: String,
+    enum: {
+      values: notificationsConfig.LOCALES,
+      message: `Langue non prise en charge (langues: ${notificationsConfig.LOCALES.join(', ')})`
+    },
+    default: notificationsConfig.defaultLocale
   },
-  verificationCodeExpires: {
-    type: Date
+  // Double authentification par application (TOTP)
+  twoFactor: {
+    enabled: {
+      type: Boolean,
+      default: false
+    },
+    enabledAt: {
+      type: Date
+    },
+    // Secret chiffré (AES-256-GCM), jamais renvoyé au client après l'activation
+    secret: {
+      type: String,
+      select: false
+    },
+    // Secret généré par l'enrôlement, en attente de la confirmation d'un premier code
+    pendingSecret: {
+      type: String,
+      select: false
+    },
+    // Empreintes des codes de secours non utilisés
+    backupCodes: {
+      type: [String],
+      select: false
+    },
+    // Dernier pas de temps accepté: un code ne peut pas être rejoué
+    lastUsedStep: {
+      type: Number,
+      select: false
+    }
+  },
+  // Appareils inscrits aux notifications push (jetons Firebase Cloud Messaging)
+  pushTokens: {
+    type: [{
+      token: {
+        type: String,
+        required: true
+      },
+      platform: {
+        type: String,
+        enum: ['android', 'ios', 'web']
+      },
+      createdAt: {
+        type: Date,
+        default: Date.now
+      },
+      _id: false
+    }],
+    select: false
   },
   createdAt: {
     type: Date,
@@ -63,9 +115,6 @@ const UserSchema = new mongoose.Schema({
   updatedAt: {
     type: Date,
     default: Date.now
-  },
-  refreshToken: {
-    type: String
   }
 }, {
   // Active les timestamps automatiques
@@ -91,10 +140,10 @@ UserSchema.pre('save', async function(next) {
   }
 });
 
-// Méthode pour générer un token JWT
-UserSchema.methods.generateAuthToken = function() {
+// Méthode pour générer un token JWT rattaché à une session
+UserSchema.methods.generateAuthToken = function(sessionId) {
   // Créer le payload de base
-  const payload = { id: this._id, role: this.role, email: this.email };
+  const payload = { id: this._id, role: this.role, email: this.email, sid: sessionId };
   
   // Ajouter l'ID du booker si l'utilisateur est un booker
   if (this.role === 'booker') {
@@ -106,26 +155,8 @@ UserSchema.methods.generateAuthToken = function() {
     payload.artist = this._id;
   }
   
-  // Utilisation directe de la clé par défaut, plus simple et plus fiable
-  return jwt.sign(
-    payload,
-    DEFAULT_JWT_SECRET,
-    { expiresIn: '1h' }
-  );
-};
-
-// Méthode pour générer un refresh token
-UserSchema.methods.generateRefreshToken = function() {
-  // Utilisation directe de la clé par défaut, plus simple et plus fiable
-  const refreshToken = jwt.sign(
-    { id: this._id },
-    DEFAULT_REFRESH_SECRET,
-    { expiresIn: '7d' }
-  );
-  
-  // Stocker le token dans la base de données
-  this.refreshToken = refreshToken;
-  return refreshToken;
+  // Signé avec la clé active du trousseau (kid dans l'en-tête)
+  return jwtKeyring.sign(payload, 'access');
 };
 
 // Méthode pour comparer les mots de passe
@@ -133,17 +164,8 @@ UserSchema.methods.comparePassword = async function(enteredPassword) {
   return await bcrypt.compare(enteredPassword, this.password);
 };
 
-// Méthode pour générer un code de vérification
-UserSchema.methods.generateVerificationCode = function() {
-  // Générer un code à 6 chiffres
-  const code = Math.floor(100000 + Math.random() * 900000).toString();
-  
-  // Définir le code et sa date d'expiration (1 heure)
-  this.verificationCode = code;
-  this.verificationCodeExpires = Date.now() + 3600000; // 1 heure
-  
-  return code;
-};
+// Index pour la connexion par téléphone
+UserSchema.index({ phone: 1 });
 
 const User = mongoose.model('User', UserSchema);
 
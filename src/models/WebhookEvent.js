@@ -0,0 +1,81 @@
+const mongoose = require('mongoose');
+
+const webhookEventSchema = new mongoose.Schema({
+  // Fournisseur à l'origine de la livraison
+  provider: {
+    type: String,
+    required: true
+  },
+
+  // Identifiant de l'événement chez le fournisseur (clé de dédoublonnage)
+  eventId: {
+    type: String
+  },
+
+  // Paiement concerné, si identifié
+  payment: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Payment'
+  },
+  // Remboursement concerné, le cas échéant
+  refund: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Refund'
+  },
+  // Retrait concerné, pour les notifications de versement
+  payout: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Payout'
+  },
+  transactionId: {
+    type: String
+  },
+
+  // Statut annoncé par le fournisseur
+  status: {
+    type: String
+  },
+
+  // Résultat du traitement de la livraison
+  // (failed: l'application du statut a échoué, la livraison suivante sera traitée)
+  outcome: {
+    type: String,
+    enum: ['processed', 'duplicate', 'rejected', 'failed'],
+    required: true
+  },
+
+  // Code HTTP renvoyé et motif du rejet le cas échéant
+  statusCode: {
+    type: Number
+  },
+  reason: {
+    type: String,
+    default: ''
+  },
+
+  // Informations de la requête reçue
+  payload: {
+    type: mongoose.Schema.Types.Mixed
+  },
+  ip: {
+    type: String
+  },
+
+  receivedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// Un événement d'un fournisseur n'est traité qu'une seule fois
+webhookEventSchema.index(
+  { provider: 1, eventId: 1 },
+  { unique: true, partialFilterExpression: { outcome: 'processed' } }
+);
+webhookEventSchema.index({ payment: 1 });
+webhookEventSchema.index({ payout: 1 });
+webhookEventSchema.index({ receivedAt: 1 });
+
+const WebhookEvent = mongoose.model('WebhookEvent', webhookEventSchema);
+
+module.exports = WebhookEvent;
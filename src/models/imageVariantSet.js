@@ -0,0 +1,24 @@
+const mongoose = require('mongoose');
+const uploadsConfig = require('../config/uploads');
+
+// URL de chaque taille générée (thumbnail, medium, large...)
+const sizeFields = () => Object.fromEntries(
+  Object.keys(uploadsConfig.media.variants).map(name => [name, { type: String }])
+);
+
+// Schéma des URL d'une photo envoyée: image d'origine nettoyée, tailles dérivées et leurs versions WebP
+// (schéma partagé par Artist et Service, ce n'est pas un modèle)
+const imageVariantSetSchema = new mongoose.Schema({
+  // URL de l'image d'origine, telle qu'enregistrée dans profilePhoto, gallery ou photos
+  original: {
+    type: String,
+    required: true
+  },
+  ...sizeFields(),
+  webp: {
+    original: { type: String },
+    ...sizeFields()
+  }
+}, { _id: false });
+
+module.exports = imageVariantSetSchema;
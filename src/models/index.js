@@ -6,6 +6,23 @@ const Reservation = require('./Reservation');
 const Notification = require('./Notification');
 const Payment = require('./Payment');
 const PaymentMethod = require('./PaymentMethod');
+const Quote = require('./Quote');
+const WebhookEvent = require('./WebhookEvent');
+const Escrow = require('./Escrow');
+const Payout = require('./Payout');
+const LedgerEntry = require('./LedgerEntry');
+const Refund = require('./Refund');
+const Session = require('./Session');
+const RateLimitCounter = require('./RateLimitCounter');
+const OneTimeCode = require('./OneTimeCode');
+const SmsOutbox = require('./SmsOutbox');
+const SecurityPolicy = require('./SecurityPolicy');
+const AuditLog = require('./AuditLog');
+const ArtistVerification = require('./ArtistVerification');
+const MediaFile = require('./MediaFile');
+const NotificationPreference = require('./NotificationPreference');
+const NotificationTemplate = require('./NotificationTemplate');
+const ArtistCalendar = require('./ArtistCalendar');
 
 module.exports = {
   User,
@@ -15,5 +32,22 @@ module.exports = {
   Reservation,
   Notification,
   Payment,
-  PaymentMethod
+  PaymentMethod,
+  Quote,
+  WebhookEvent,
+  Escrow,
+  Payout,
+  LedgerEntry,
+  Refund,
+  Session,
+  RateLimitCounter,
+  OneTimeCode,
+  SmsOutbox,
+  SecurityPolicy,
+  AuditLog,
+  ArtistVerification,
+  MediaFile,
+  NotificationPreference,
+  NotificationTemplate,
+  ArtistCalendar
 }; 
\ No newline at end of file
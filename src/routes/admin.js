@@ -0,0 +1,82 @@
+const express = require('express');
+const router = express.Router();
+const {
+  getUsers,
+  getUser,
+  suspendUser,
+  reactivateUser,
+  getReservations,
+  getReservation,
+  forceReservationStatus,
+  getPayments,
+  getPayment,
+  forcePaymentStatus,
+  getVerifications,
+  getVerification,
+  getVerificationDocument,
+  getVerificationDocumentUrl,
+  reviewVerification,
+  getNotificationTemplates,
+  updateNotificationTemplate,
+  resetNotificationTemplate,
+  getStats,
+  getAuditLogs
+} = require('../controllers/adminController');
+const { authorize, protect } = require('../middleware/auth');
+
+/**
+ * Routes du back-office d'administration
+ *
+ * GET   /api/admin/users - Lister et rechercher les utilisateurs (search, role, isActive, isVerified)
+ * GET   /api/admin/users/:id - Consulter un utilisateur et ses sessions
+ * PATCH /api/admin/users/:id/suspend - Suspendre un utilisateur (reason requis)
+ * PATCH /api/admin/users/:id/reactivate - Réactiver un utilisateur (reason requis)
+ * GET   /api/admin/reservations - Lister les réservations
+ * GET   /api/admin/reservations/:id - Consulter une réservation et ses paiements
+ * PATCH /api/admin/reservations/:id/status - Forcer le statut d'une réservation (reason requis)
+ * GET   /api/admin/payments - Lister les paiements
+ * GET   /api/admin/payments/:id - Consulter un paiement et ses remboursements
+ * PATCH /api/admin/payments/:id/status - Forcer le statut d'un paiement (reason requis)
+ * GET   /api/admin/verifications - Lister les demandes de vérification des artistes (status, artist)
+ * GET   /api/admin/verifications/:id - Consulter une demande de vérification
+ * GET   /api/admin/verifications/:id/documents/:documentId - Télécharger une pièce justificative
+ * GET   /api/admin/verifications/:id/documents/:documentId/url - URL signée et temporaire vers une pièce justificative
+ * PATCH /api/admin/verifications/:id - Approuver ou refuser une demande (decision, notes)
+ * GET   /api/admin/notification-templates - Modèles de notification et leurs textes par canal et par langue
+ * PUT   /api/admin/notification-templates/:key/:channel/:locale - Modifier un texte (title, body)
+ * DELETE /api/admin/notification-templates/:key/:channel/:locale - Rétablir le texte par défaut
+ * GET   /api/admin/stats - Totaux de la plateforme
+ * GET   /api/admin/audit-logs - Journal d'audit des actions d'administration
+ */
+
+// Toutes les routes sont réservées aux administrateurs
+router.use(protect);
+router.use(authorize(['admin']));
+
+router.get('/users', getUsers);
+router.get('/users/:id', getUser);
+router.patch('/users/:id/suspend', suspendUser);
+router.patch('/users/:id/reactivate', reactivateUser);
+
+router.get('/reservations', getReservations);
+router.get('/reservations/:id', getReservation);
+router.patch('/reservations/:id/status', forceReservationStatus);
+
+router.get('/payments', getPayments);
+router.get('/payments/:id', getPayment);
+router.patch('/payments/:id/status', forcePaymentStatus);
+
+router.get('/verifications', getVerifications);
+router.get('/verifications/:id', getVerification);
+router.get('/verifications/:id/documents/:documentId', getVerificationDocument);
+router.get('/verifications/:id/documents/:documentId/url', getVerificationDocumentUrl);
+router.patch('/verifications/:id', reviewVerification);
+
+router.get('/notification-templates', getNotificationTemplates);
+router.put('/notification-templates/:key/:channel/:locale', updateNotificationTemplate);
+router.delete('/notification-templates/:key/:channel/:locale', resetNotificationTemplate);
+
+router.get('/stats', getStats);
+router.get('/audit-logs', getAuditLogs);
+
+module.exports = router;
@@ -14,18 +14,101 @@ const {
   getMyStats,
   getMyReviews,
   getDashboardStats,
-  respondToReview
+  respondToReview,
+  getMyAvailability,
+  updateMyAvailability,
+  getArtistAvailability,
+  getMyCancellationPolicy,
+  updateMyCancellationPolicy,
+  getMyPaymentTerms,
+  updateMyPaymentTerms,
+  submitMyVerification,
+  getMyVerification,
+  updateMyProfilePhoto,
+  deleteMyProfilePhoto,
+  addGalleryPhotos,
+  removeGalleryPhoto
 } = require('../controllers/artistController');
 
+const {
+  getMyPayouts,
+  requestPayout,
+  getMyPayout
+} = require('../controllers/payoutController');
+
 const { protect, authorize } = require('../middleware/auth');
+const { uploadFields } = require('../middleware/upload');
+const uploadsConfig = require('../config/uploads');
 
 // Re-router vers d'autres routeurs pour les services
 router.use('/:artistId/services', serviceRouter);
 
+// Routes de disponibilités de l'artiste connecté
+// (déclarées avant /:id/availability pour que "me" ne soit pas pris pour un id)
+router
+  .route('/me/availability')
+  .get(protect, authorize('artist'), getMyAvailability)
+  .put(protect, authorize('artist'), updateMyAvailability);
+
+// Routes de la politique d'annulation de l'artiste connecté
+router
+  .route('/me/cancellation-policy')
+  .get(protect, authorize('artist'), getMyCancellationPolicy)
+  .put(protect, authorize('artist'), updateMyCancellationPolicy);
+
+// Routes des conditions de paiement (acompte, échéance du solde) de l'artiste connecté
+router
+  .route('/me/payment-terms')
+  .get(protect, authorize('artist'), getMyPaymentTerms)
+  .put(protect, authorize('artist'), updateMyPaymentTerms);
+
+// Routes de retrait des fonds de l'artiste connecté
+router
+  .route('/me/payouts')
+  .get(protect, authorize('artist'), getMyPayouts)
+  .post(protect, authorize('artist'), requestPayout);
+router.get('/me/payouts/:id', protect, authorize('artist'), getMyPayout);
+
+// Routes de la vérification du profil (pièces justificatives en multipart: identity, professionalCard)
+router
+  .route('/me/verification')
+  .get(protect, authorize('artist'), getMyVerification)
+  .post(
+    protect,
+    authorize('artist'),
+    uploadFields([{ name: 'identity', maxCount: 1 }, { name: 'professionalCard', maxCount: 1 }], {
+      maxFileSize: uploadsConfig.kyc.maxFileSize
+    }),
+    submitMyVerification
+  );
+
+// Routes des photos de l'artiste connecté (multipart: photo pour le profil, photos pour la galerie)
+router
+  .route('/me/profile-photo')
+  .put(
+    protect,
+    authorize('artist'),
+    uploadFields([{ name: 'photo', maxCount: 1 }], { maxFileSize: uploadsConfig.media.maxFileSize }),
+    updateMyProfilePhoto
+  )
+  .delete(protect, authorize('artist'), deleteMyProfilePhoto);
+router
+  .route('/me/gallery')
+  .post(
+    protect,
+    authorize('artist'),
+    uploadFields([{ name: 'photos', maxCount: uploadsConfig.media.maxFilesPerRequest }], {
+      maxFileSize: uploadsConfig.media.maxFileSize
+    }),
+    addGalleryPhotos
+  )
+  .delete(protect, authorize('artist'), removeGalleryPhoto);
+
 // Routes publiques pour les artistes
 router.get('/', getArtists);
 router.get('/:id', getArtist);
 router.get('/:id/services', getArtistServices);
+router.get('/:id/availability', getArtistAvailability);
 
 // Routes protégées pour le profil de l'artiste connecté
 router
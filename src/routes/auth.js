@@ -3,36 +3,74 @@ const {
   registerBooker,
   registerArtist,
   login,
+  requestLoginCode,
+  verifyLoginCode,
   logout,
   getMe,
   updateDetails,
   updatePassword,
+  requestPhoneChange,
+  verifyPhoneChange,
   verifyAccount,
   resendVerificationCode,
   forgotPassword,
   resetPassword,
-  refreshToken
+  refreshToken,
+  getSessions,
+  revokeSession,
+  revokeOtherSessions,
+  verifyTwoFactor,
+  getTwoFactorStatus,
+  setupTwoFactor,
+  enableTwoFactor,
+  regenerateBackupCodes,
+  disableTwoFactor,
+  getTwoFactorPolicy,
+  updateTwoFactorPolicy
 } = require('../controllers/authController');
 
 const router = express.Router();
 
 // Importer le middleware d'authentification
-const { protect } = require('../middleware/auth');
+const { protect, authorize, allowTwoFactorEnrollment } = require('../middleware/auth');
+const mfaConfig = require('../config/mfa');
 
 // Routes publiques
 router.post('/register/booker', registerBooker);
 router.post('/register/artist', registerArtist);
 router.post('/login', login);
+router.post('/otp/request', requestLoginCode);
+router.post('/otp/verify', verifyLoginCode);
 router.post('/verify', verifyAccount);
 router.post('/resend-verification', resendVerificationCode);
 router.post('/forgot-password', forgotPassword);
 router.put('/reset-password', resetPassword);
 router.post('/refresh-token', refreshToken);
+router.post('/2fa/verify', verifyTwoFactor);
 
 // Routes protégées
-router.get('/logout', protect, logout);
-router.get('/me', protect, getMe);
+router.get('/logout', allowTwoFactorEnrollment, protect, logout);
+router.get('/me', allowTwoFactorEnrollment, protect, getMe);
 router.put('/updatedetails', protect, updateDetails);
 router.put('/updatepassword', protect, updatePassword);
+router.post('/phone/request', protect, requestPhoneChange);
+router.post('/phone/verify', protect, verifyPhoneChange);
+
+// Sessions (appareils connectés)
+router.route('/sessions')
+  .get(protect, getSessions)
+  .delete(protect, revokeOtherSessions);
+router.delete('/sessions/:id', protect, revokeSession);
+
+// Double authentification (TOTP); l'enrôlement reste accessible lorsqu'elle est obligatoire
+const twoFactorRoles = authorize(mfaConfig.eligibleRoles);
+router.get('/2fa', allowTwoFactorEnrollment, protect, twoFactorRoles, getTwoFactorStatus);
+router.post('/2fa/setup', allowTwoFactorEnrollment, protect, twoFactorRoles, setupTwoFactor);
+router.post('/2fa/enable', allowTwoFactorEnrollment, protect, twoFactorRoles, enableTwoFactor);
+router.post('/2fa/backup-codes', protect, twoFactorRoles, regenerateBackupCodes);
+router.post('/2fa/disable', protect, twoFactorRoles, disableTwoFactor);
+router.route('/2fa/policy')
+  .get(protect, authorize('admin'), getTwoFactorPolicy)
+  .put(protect, authorize('admin'), updateTwoFactorPolicy);
 
 module.exports = router; 
\ No newline at end of file
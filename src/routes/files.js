@@ -0,0 +1,16 @@
+const express = require('express');
+const router = express.Router();
+const { getPrivateFile } = require('../controllers/fileController');
+
+/**
+ * Routes des fichiers du stockage local
+ *
+ * GET /api/files/private/* - Lire un fichier privé (pièce justificative) par URL signée (expires, signature)
+ *
+ * Les fichiers publics sont servis sous /uploads; avec le stockage S3, ils le sont par le bucket public
+ */
+
+// Authenticité vérifiée par la signature de l'URL, qui expire
+router.get('/private/*', getPrivateFile);
+
+module.exports = router;
@@ -10,6 +10,10 @@ const reservationRoutes = require('./reservations');
 const notificationRoutes = require('./notifications');
 const paymentRoutes = require('./payments');
 const paymentMethodRoutes = require('./payment-methods');
+const ledgerRoutes = require('./ledger');
+const smsRoutes = require('./sms');
+const adminRoutes = require('./admin');
+const fileRoutes = require('./files');
 
 // Monter les routes
 router.use('/auth', authRoutes);
@@ -20,5 +24,9 @@ router.use('/reservations', reservationRoutes);
 router.use('/notifications', notificationRoutes);
 router.use('/payments', paymentRoutes);
 router.use('/payment-methods', paymentMethodRoutes);
+router.use('/ledger', ledgerRoutes);
+router.use('/sms', smsRoutes);
+router.use('/admin', adminRoutes);
+router.use('/files', fileRoutes);
 
 module.exports = router;
\ No newline at end of file
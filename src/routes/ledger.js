@@ -0,0 +1,23 @@
+const express = require('express');
+const router = express.Router();
+const {
+  getLedgerEntries,
+  getReconciliation
+} = require('../controllers/ledgerController');
+const { authorize, protect } = require('../middleware/auth');
+
+/**
+ * Routes pour le grand livre
+ *
+ * GET /api/ledger/entries - Consulter les écritures (filtrables par compte, journal, titulaire...)
+ * GET /api/ledger/reconciliation - Signaler les écarts entre le grand livre et les opérations
+ */
+
+// Toutes les routes sont réservées aux administrateurs
+router.use(protect);
+router.use(authorize(['admin']));
+
+router.get('/entries', getLedgerEntries);
+router.get('/reconciliation', getReconciliation);
+
+module.exports = router;
@@ -3,6 +3,11 @@ const router = express.Router();
 
 const {
   getMyNotifications,
+  streamNotifications,
+  getPreferences,
+  updatePreferences,
+  registerPushToken,
+  removePushToken,
   markAsRead,
   markAllAsRead,
   deleteNotification
@@ -15,6 +20,13 @@ router.use(protect);
 
 // Routes pour la gestion des notifications
 router.get('/', getMyNotifications);
+router.get('/stream', streamNotifications);
+router.route('/preferences')
+  .get(getPreferences)
+  .put(updatePreferences);
+router.route('/push-tokens')
+  .post(registerPushToken)
+  .delete(removePushToken);
 router.patch('/read-all', markAllAsRead);
 router.patch('/:id/read', markAsRead);
 router.delete('/:id', deleteNotification);
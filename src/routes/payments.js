@@ -5,9 +5,12 @@ const {
   getMyPayments,
   getReceivedPayments,
   getPayment,
+  getPaymentStatus,
   paymentWebhook,
   generateReceipt,
-  getPaymentStats
+  getPaymentStats,
+  createRefund,
+  getPaymentRefunds
 } = require('../controllers/paymentController');
 const { authorize, protect } = require('../middleware/auth');
 
@@ -19,8 +22,11 @@ const { authorize, protect } = require('../middleware/auth');
  * GET /api/payments/stats - Obtenir les statistiques de paiement du booker
  * GET /api/payments/received - Obtenir les paiements reçus par un artiste
  * GET /api/payments/:id - Obtenir un paiement spécifique
- * POST /api/payments/:id/webhook - Simuler un webhook de confirmation de paiement
+ * GET /api/payments/:id/status - Obtenir le statut d'un paiement auprès de son fournisseur
+ * POST /api/payments/webhooks/:provider - Recevoir les notifications signées des fournisseurs
  * GET /api/payments/:id/receipt - Générer un reçu de paiement
+ * POST /api/payments/:id/refunds - Rembourser tout ou partie d'un paiement
+ * GET /api/payments/:id/refunds - Obtenir les remboursements d'un paiement
  */
 
 // Routes pour les paiements du booker
@@ -37,12 +43,17 @@ router.get('/received', protect, authorize(['artist']), getReceivedPayments);
 
 // Route pour accéder à un paiement spécifique (booker ou artiste)
 router.get('/:id', protect, authorize(['booker', 'artist']), getPayment);
+router.get('/:id/status', protect, authorize(['booker', 'artist']), getPaymentStatus);
 
-// Route webhook pour les confirmations de paiement
-// Note: En production, cet endpoint devrait être sécurisé avec une clé API ou une signature
-router.post('/:id/webhook', paymentWebhook);
+// Route webhook pour les confirmations de paiement (signature HMAC vérifiée dans le contrôleur)
+router.post('/webhooks/:provider', paymentWebhook);
 
 // Route pour générer un reçu de paiement
 router.get('/:id/receipt', protect, authorize(['booker', 'artist']), generateReceipt);
 
+// Routes pour les remboursements d'un paiement
+router.route('/:id/refunds')
+  .post(protect, authorize(['artist', 'admin']), createRefund)
+  .get(protect, authorize(['booker', 'artist', 'admin']), getPaymentRefunds);
+
 module.exports = router; 
\ No newline at end of file
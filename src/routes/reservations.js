@@ -2,13 +2,16 @@ const express = require('express');
 const router = express.Router();
 
 const {
+  createQuote,
   createReservation,
   getMyReservations,
   getReservation,
   updateReservationStatus,
   getArtistReservations,
   updatePaymentStatus,
-  deleteReservation
+  deleteReservation,
+  getReservationHistory,
+  getReservationOutstanding
 } = require('../controllers/reservationController');
 
 const { protect, authorize } = require('../middleware/auth');
@@ -22,6 +25,9 @@ router
   .post(authorize(['booker']), createReservation)
   .get(authorize(['booker']), getMyReservations);
 
+// Route pour obtenir un devis signé avant de réserver
+router.post('/quote', authorize(['booker']), createQuote);
+
 // Routes pour les artistes
 router.get('/artist', authorize(['artist']), getArtistReservations);
 // Route pour qu'un artiste puisse accéder à une réservation spécifique
@@ -30,6 +36,8 @@ router.get('/artist/:id', authorize(['artist']), getReservation);
 router.patch('/artist/:id/status', authorize(['artist']), updateReservationStatus);
 
 // Routes communes avec vérification d'autorisation dans le contrôleur
+router.get('/:id/history', authorize(['booker', 'artist', 'admin']), getReservationHistory);
+router.get('/:id/outstanding', authorize(['booker', 'artist', 'admin']), getReservationOutstanding);
 router.get('/:id', authorize(['booker']), getReservation);
 router.patch('/:id/status', authorize(['booker']), updateReservationStatus);
 router.patch('/:id/payment', authorize(['booker']), updatePaymentStatus);
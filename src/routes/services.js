@@ -7,10 +7,14 @@ const {
   getService,
   updateService,
   deleteService,
-  toggleServiceStatus
+  toggleServiceStatus,
+  addServicePhotos,
+  removeServicePhoto
 } = require('../controllers/serviceController');
 
 const { protect, authorize } = require('../middleware/auth');
+const { uploadFields } = require('../middleware/upload');
+const uploadsConfig = require('../config/uploads');
 
 // Routes pour les services
 router
@@ -28,4 +32,17 @@ router
   .route('/:id/toggle-status')
   .patch(protect, authorize('artist'), toggleServiceStatus);
 
+// Photos du service (multipart, champ photos)
+router
+  .route('/:id/photos')
+  .post(
+    protect,
+    authorize('artist'),
+    uploadFields([{ name: 'photos', maxCount: uploadsConfig.media.maxFilesPerRequest }], {
+      maxFileSize: uploadsConfig.media.maxFileSize
+    }),
+    addServicePhotos
+  )
+  .delete(protect, authorize('artist'), removeServicePhoto);
+
 module.exports = router; 
\ No newline at end of file
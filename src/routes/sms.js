@@ -0,0 +1,14 @@
+const express = require('express');
+const router = express.Router();
+const { deliveryReport } = require('../controllers/smsController');
+
+/**
+ * Routes SMS
+ *
+ * POST /api/sms/delivery/:transport - Recevoir les accusés de réception des fournisseurs SMS
+ */
+
+// Accusés de réception (authenticité vérifiée par le transport: signature ou jeton)
+router.post('/delivery/:transport', deliveryReport);
+
+module.exports = router;
@@ -0,0 +1,177 @@
+const { Artist, ArtistVerification } = require('../models');
+const ErrorResponse = require('./errorResponse');
+const fileStore = require('./fileStore');
+const fileType = require('./fileType');
+const notificationService = require('./notificationService');
+const uploadsConfig = require('../config/uploads');
+
+// Champs multipart reçus => type de pièce justificative
+const DOCUMENT_FIELDS = {
+  identity: 'identity',
+  professionalCard: 'professional_card'
+};
+
+/**
+ * Service de vérification des artistes (KYC): dépôt des pièces justificatives et examen par un administrateur
+ */
+const artistVerificationService = {
+  DOCUMENT_FIELDS,
+
+  /**
+   * Soumettre une demande de vérification
+   * @param {Object} artist - Document de l'artiste
+   * @param {Object} files - Fichiers reçus par multer, par champ (identity, professionalCard)
+   * @returns {Promise<Object>} - La demande créée
+   * @throws {ErrorResponse} - 400 si une pièce manque, 409 si une demande est en cours ou déjà approuvée,
+   *                           415 si un fichier n'est pas d'un type accepté
+   */
+  async submit(artist, files = {}) {
+    const status = artist.verification && artist.verification.status;
+    if (status === 'pending') {
+      throw new ErrorResponse('Une demande de vérification est déjà en cours d\'examen', 409);
+    }
+    if (status === 'approved') {
+      throw new ErrorResponse('Votre profil est déjà vérifié', 409);
+    }
+
+    const received = Object.keys(DOCUMENT_FIELDS).filter(field => files[field] && files[field].length > 0);
+    if (!received.includes('identity')) {
+      throw new ErrorResponse('Une pièce d\'identité (identity) est requise', 400);
+    }
+    if (artist.hasProfessionalCard && !received.includes('professionalCard')) {
+      throw new ErrorResponse('Votre carte professionnelle (professionalCard) est requise', 400);
+    }
+
+    // Contrôler tous les fichiers avant d'en écrire un seul
+    const checked = received.map(field => {
+      const file = files[field][0];
+      return { field, file, detected: fileType.assertAllowed(file, uploadsConfig.kyc.allowedTypes) };
+    });
+
+    const documents = [];
+    try {
+      for (const { field, file, detected } of checked) {
+        const { key } = await fileStore.save(file.buffer, {
+          directory: `kyc/${artist._id}`,
+          extension: detected.extension,
+          contentType: detected.mimeType,
+          visibility: 'private'
+        });
+        documents.push({
+          type: DOCUMENT_FIELDS[field],
+          fileKey: key,
+          originalName: file.originalname,
+          mimeType: detected.mimeType,
+          size: file.size
+        });
+      }
+
+      // Une seule demande en cours par artiste, même pour deux envois simultanés
+      const claimed = await Artist.findOneAndUpdate(
+        { _id: artist._id, 'verification.status': { $nin: ['pending', 'approved'] } },
+        { 'verification.status': 'pending' }
+      );
+      if (!claimed) {
+        throw new ErrorResponse('Une demande de vérification est déjà en cours d\'examen', 409);
+      }
+
+      return await ArtistVerification.create({ artist: artist._id, documents });
+    } catch (error) {
+      await Promise.all(documents.map(document => fileStore.remove(document.fileKey, 'private')));
+      throw error;
+    }
+  },
+
+  /**
+   * Examiner une demande de vérification
+   * @param {String} verificationId - ID de la demande
+   * @param {Object} review - { decision: approved ou rejected, notes, reviewer }
+   * @returns {Promise<Object>} - La demande examinée
+   * @throws {ErrorResponse} - 400 si la décision est invalide ou un refus non motivé, 404 si la demande
+   *                           n'existe pas, 409 si elle a déjà été examinée
+   */
+  async review(verificationId, { decision, notes = '', reviewer }) {
+    if (!['approved', 'rejected'].includes(decision)) {
+      throw new ErrorResponse('La décision doit être approved ou rejected', 400);
+    }
+    if (decision === 'rejected' && !String(notes).trim()) {
+      throw new ErrorResponse('Un refus doit être motivé (notes)', 400);
+    }
+
+    const verification = await ArtistVerification.findOneAndUpdate(
+      { _id: verificationId, status: 'pending' },
+      { status: decision, reviewerNotes: notes, reviewedBy: reviewer, reviewedAt: new Date() },
+      { new: true }
+    );
+
+    if (!verification) {
+      const exists = await ArtistVerification.exists({ _id: verificationId });
+      throw exists
+        ? new ErrorResponse('Cette demande de vérification a déjà été examinée', 409)
+        : new ErrorResponse(`Demande de vérification non trouvée avec l'id ${verificationId}`, 404);
+    }
+
+    const approved = decision === 'approved';
+    await Artist.updateOne({ _id: verification.artist }, {
+      'verification.status': decision,
+      'verification.verifiedAt': approved ? verification.reviewedAt : null,
+      'verification.professionalCardVerified': approved &&
+        verification.documents.some(document => document.type === 'professional_card')
+    });
+
+    try {
+      await notificationService.notifyVerification(verification);
+    } catch (error) {
+      console.error('Erreur lors de la notification de la décision de vérification:', error);
+    }
+
+    return verification;
+  },
+
+  /**
+   * Trouver une pièce justificative d'une demande
+   * @param {Object} verification - Document de la demande
+   * @param {String} documentId - ID de la pièce
+   * @returns {Object} - La pièce
+   * @throws {ErrorResponse} - 404 si la pièce n'existe pas
+   */
+  findDocument(verification, documentId) {
+    const document = verification.documents.id(documentId);
+    if (!document) {
+      throw new ErrorResponse(`Pièce justificative non trouvée avec l'id ${documentId}`, 404);
+    }
+    return document;
+  },
+
+  /**
+   * Ouvrir une pièce justificative
+   * @param {Object} verification - Document de la demande
+   * @param {String} documentId - ID de la pièce
+   * @returns {Promise<Object>} - { document, stream }
+   * @throws {ErrorResponse} - 404 si la pièce n'existe pas
+   */
+  async openDocument(verification, documentId) {
+    const document = this.findDocument(verification, documentId);
+    return { document, stream: await fileStore.createReadStream(document.fileKey, 'private') };
+  },
+
+  /**
+   * URL signée et temporaire d'une pièce justificative
+   * @param {Object} verification - Document de la demande
+   * @param {String} documentId - ID de la pièce
+   * @returns {Promise<Object>} - { document, url, expiresAt }
+   * @throws {ErrorResponse} - 404 si la pièce n'existe pas
+   */
+  async getDocumentUrl(verification, documentId) {
+    const document = this.findDocument(verification, documentId);
+    const expiresIn = uploadsConfig.signedUrlExpiresSeconds;
+    const url = await fileStore.signedUrl(document.fileKey, {
+      expiresIn,
+      filename: `${document.type}.${document.fileKey.split('.').pop()}`,
+      contentType: document.mimeType
+    });
+    return { document, url, expiresAt: new Date(Date.now() + expiresIn * 1000) };
+  }
+};
+
+module.exports = artistVerificationService;
@@ -0,0 +1,29 @@
+const { AuditLog } = require('../models');
+
+/**
+ * Journal d'audit des actions d'administration
+ */
+const auditTrail = {
+  /**
+   * Enregistrer une action d'un administrateur
+   * @param {Object} req - Requête HTTP (administrateur authentifié, IP, User-Agent)
+   * @param {Object} entry - { action, targetModel, targetId, reason, filters (consultation de liste), before, after }
+   * @returns {Promise<Object>} - L'entrée créée
+   */
+  async record(req, { action, targetModel, targetId, reason = '', filters, before, after }) {
+    return await AuditLog.create({
+      actor: req.user._id,
+      actorEmail: req.user.email,
+      action,
+      targetModel,
+      targetId,
+      reason: reason || '',
+      filters,
+      changes: before === undefined && after === undefined ? undefined : { before, after },
+      ip: req.ip || '',
+      userAgent: req.get('user-agent') || ''
+    });
+  }
+};
+
+module.exports = auditTrail;
@@ -0,0 +1,306 @@
+const { Reservation, ArtistCalendar } = require('../models');
+const ErrorResponse = require('./errorResponse');
+
+// Statuts de réservation qui bloquent un créneau
+const BLOCKING_STATUSES = ['pending', 'confirmed'];
+
+// Nombre maximum de jours retournés par une recherche de créneaux
+const MAX_RANGE_DAYS = 62;
+
+const DATE_REGEX = /^\d{4}-\d{2}-\d{2}$/;
+const TIME_REGEX = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+/**
+ * Convertir une heure HH:MM en minutes depuis minuit
+ * @param {String} time - Heure au format HH:MM
+ * @returns {Number} - Nombre de minutes
+ */
+const timeToMinutes = (time) => {
+  const [hours, minutes] = time.split(':').map(Number);
+  return hours * 60 + minutes;
+};
+
+/**
+ * Convertir un nombre de minutes depuis minuit en heure HH:MM
+ * @param {Number} minutes - Nombre de minutes
+ * @returns {String} - Heure au format HH:MM
+ */
+const minutesToTime = (minutes) => {
+  const hours = Math.floor(minutes / 60);
+  const mins = minutes % 60;
+  return `${('0' + hours).slice(-2)}:${('0' + mins).slice(-2)}`;
+};
+
+/**
+ * Obtenir le jour de la semaine d'une date YYYY-MM-DD (0 = dimanche)
+ * @param {String} date - Date au format YYYY-MM-DD
+ * @returns {Number} - Jour de la semaine
+ */
+const getDayOfWeek = (date) => new Date(`${date}T00:00:00Z`).getUTCDay();
+
+/**
+ * Obtenir les plages horaires déclarées pour une date, en minutes
+ * Un artiste sans horaires hebdomadaires déclarés est considéré disponible toute la journée
+ * @param {Object} availability - Disponibilités de l'artiste
+ * @param {String} date - Date au format YYYY-MM-DD
+ * @returns {Array} - Plages [{ start, end }] triées
+ */
+const getDeclaredRanges = (availability, date) => {
+  const weeklyHours = (availability && availability.weeklyHours) || [];
+  const blackoutDates = (availability && availability.blackoutDates) || [];
+
+  if (blackoutDates.some(blackout => blackout.date === date)) {
+    return [];
+  }
+
+  if (weeklyHours.length === 0) {
+    return [{ start: 0, end: 24 * 60 }];
+  }
+
+  const dayOfWeek = getDayOfWeek(date);
+
+  return weeklyHours
+    .filter(slot => slot.dayOfWeek === dayOfWeek)
+    .map(slot => ({ start: timeToMinutes(slot.startTime), end: timeToMinutes(slot.endTime) }))
+    .filter(range => range.end > range.start)
+    .sort((a, b) => a.start - b.start);
+};
+
+/**
+ * Retirer des plages horaires les intervalles déjà réservés
+ * @param {Array} ranges - Plages disponibles [{ start, end }]
+ * @param {Array} busy - Intervalles occupés [{ start, end }]
+ * @returns {Array} - Plages libres restantes
+ */
+const subtractRanges = (ranges, busy) => {
+  return busy.reduce((free, interval) => {
+    const result = [];
+    free.forEach(range => {
+      // Pas de chevauchement: conserver la plage telle quelle
+      if (interval.end <= range.start || interval.start >= range.end) {
+        result.push(range);
+        return;
+      }
+      if (interval.start > range.start) {
+        result.push({ start: range.start, end: interval.start });
+      }
+      if (interval.end < range.end) {
+        result.push({ start: interval.end, end: range.end });
+      }
+    });
+    return result;
+  }, ranges);
+};
+
+/**
+ * Service de gestion des disponibilités des artistes
+ */
+const availabilityService = {
+  timeToMinutes,
+  minutesToTime,
+  subtractRanges,
+
+  /**
+   * Valider les disponibilités soumises par un artiste
+   * @param {Object} availability - { weeklyHours, blackoutDates }
+   * @throws {ErrorResponse} - 400 si les données sont invalides
+   */
+  validateAvailability(availability) {
+    const { weeklyHours = [], blackoutDates = [] } = availability || {};
+
+    if (!Array.isArray(weeklyHours) || !Array.isArray(blackoutDates)) {
+      throw new ErrorResponse('Les horaires et les dates d\'indisponibilité doivent être des listes', 400);
+    }
+
+    weeklyHours.forEach(slot => {
+      if (!TIME_REGEX.test(slot.startTime) || !TIME_REGEX.test(slot.endTime)) {
+        throw new ErrorResponse('Les horaires doivent être au format HH:MM', 400);
+      }
+      if (timeToMinutes(slot.endTime) <= timeToMinutes(slot.startTime)) {
+        throw new ErrorResponse(`L'heure de fin doit être postérieure à l'heure de début (${slot.startTime} - ${slot.endTime})`, 400);
+      }
+    });
+
+    // Refuser les plages qui se chevauchent pour un même jour
+    for (let day = 0; day <= 6; day++) {
+      const daySlots = weeklyHours
+        .filter(slot => Number(slot.dayOfWeek) === day)
+        .sort((a, b) => timeToMinutes(a.startTime) - timeToMinutes(b.startTime));
+
+      for (let i = 1; i < daySlots.length; i++) {
+        if (timeToMinutes(daySlots[i].startTime) < timeToMinutes(daySlots[i - 1].endTime)) {
+          throw new ErrorResponse('Les plages horaires d\'un même jour ne doivent pas se chevaucher', 400);
+        }
+      }
+    }
+
+    blackoutDates.forEach(blackout => {
+      if (!DATE_REGEX.test(blackout.date)) {
+        throw new ErrorResponse('Les dates d\'indisponibilité doivent être au format YYYY-MM-DD', 400);
+      }
+    });
+  },
+
+  /**
+   * Vérifier qu'un créneau est inclus dans les horaires déclarés par l'artiste
+   * @param {Object} availability - Disponibilités de l'artiste
+   * @param {String} date - Date au format YYYY-MM-DD
+   * @param {String} startTime - Heure de début HH:MM
+   * @param {String} endTime - Heure de fin HH:MM
+   * @returns {Boolean} - True si le créneau est couvert par une plage déclarée
+   */
+  isWithinDeclaredHours(availability, date, startTime, endTime) {
+    const start = timeToMinutes(startTime);
+    const end = timeToMinutes(endTime);
+
+    return getDeclaredRanges(availability, date)
+      .some(range => range.start <= start && range.end >= end);
+  },
+
+  /**
+   * Rechercher une réservation en attente ou confirmée qui chevauche le créneau
+   * @param {String} artistId - ID de l'artiste
+   * @param {String} date - Date au format YYYY-MM-DD
+   * @param {String} startTime - Heure de début HH:MM
+   * @param {String} endTime - Heure de fin HH:MM
+   * @param {String} excludeId - ID de réservation à ignorer (optionnel)
+   * @returns {Promise<Object|null>} - La réservation en conflit le cas échéant
+   */
+  async findConflictingReservation(artistId, date, startTime, endTime, excludeId = null) {
+    const query = {
+      artistId,
+      date,
+      status: { $in: BLOCKING_STATUSES },
+      // Comparaison lexicographique valable pour le format HH:MM
+      startTime: { $lt: endTime },
+      endTime: { $gt: startTime }
+    };
+
+    if (excludeId) {
+      query._id = { $ne: excludeId };
+    }
+
+    return await Reservation.findOne(query);
+  },
+
+  /**
+   * Vérifier qu'un créneau peut être réservé auprès d'un artiste
+   * @param {Object} artist - Document de l'artiste
+   * @param {Object} slot - { date, startTime, endTime }
+   * @throws {ErrorResponse} - 400 si le créneau est mal formé, 409 s'il n'est pas disponible
+   */
+  async assertSlotAvailable(artist, { date, startTime, endTime }) {
+    if (!DATE_REGEX.test(date || '') || !TIME_REGEX.test(startTime || '') || !TIME_REGEX.test(endTime || '')) {
+      throw new ErrorResponse('La date (YYYY-MM-DD) et les horaires (HH:MM) de la réservation sont requis', 400);
+    }
+
+    if (timeToMinutes(endTime) <= timeToMinutes(startTime)) {
+      throw new ErrorResponse('L\'heure de fin doit être postérieure à l\'heure de début', 400);
+    }
+
+    if (!this.isWithinDeclaredHours(artist.availability, date, startTime, endTime)) {
+      throw new ErrorResponse('L\'artiste n\'est pas disponible sur ce créneau', 409);
+    }
+
+    const conflict = await this.findConflictingReservation(artist._id, date, startTime, endTime);
+    if (conflict) {
+      throw new ErrorResponse('Ce créneau chevauche une réservation existante de l\'artiste', 409);
+    }
+  },
+
+  /**
+   * Retenir le créneau d'une réservation dans le calendrier de l'artiste, de façon atomique
+   * Le créneau n'est ajouté que s'il ne chevauche aucun créneau retenu: si la journée contient un créneau
+   * en conflit, le filtre échoue, l'upsert tente d'insérer un second document pour la journée
+   * et l'index unique (artiste, date) le refuse
+   * @param {Object} reservation - Document de la réservation créée
+   * @param {Boolean} retry - Nouvelle tentative après une création concurrente du document de la journée
+   * @returns {Promise<Boolean>} - False si le créneau a été pris entre-temps
+   */
+  async claimSlot(reservation, retry = true) {
+    const { artistId, date, startTime, endTime } = reservation;
+
+    try {
+      await ArtistCalendar.findOneAndUpdate(
+        {
+          artist: artistId,
+          date,
+          // Comparaison lexicographique valable pour le format HH:MM
+          slots: { $not: { $elemMatch: { startTime: { $lt: endTime }, endTime: { $gt: startTime } } } }
+        },
+        { $push: { slots: { reservation: reservation._id, startTime, endTime } } },
+        { upsert: true }
+      );
+      return true;
+    } catch (error) {
+      if (error.code !== 11000) {
+        throw error;
+      }
+      // Deux premières réservations de la journée: le document existe désormais,
+      // la nouvelle tentative ne réussit que si les créneaux ne se chevauchent pas
+      return retry ? this.claimSlot(reservation, false) : false;
+    }
+  },
+
+  /**
+   * Libérer le créneau d'une réservation annulée ou supprimée
+   * @param {Object} reservation - Document de la réservation
+   */
+  async releaseSlot(reservation) {
+    await ArtistCalendar.updateOne(
+      { artist: reservation.artistId, date: reservation.date },
+      { $pull: { slots: { reservation: reservation._id } } }
+    );
+  },
+
+  /**
+   * Calculer les créneaux libres d'un artiste sur une période
+   * @param {Object} artist - Document de l'artiste
+   * @param {String} from - Date de début YYYY-MM-DD (incluse)
+   * @param {String} to - Date de fin YYYY-MM-DD (incluse)
+   * @returns {Promise<Array>} - [{ date, slots: [{ startTime, endTime }] }]
+   */
+  async getFreeSlots(artist, from, to) {
+    if (!DATE_REGEX.test(from || '') || !DATE_REGEX.test(to || '')) {
+      throw new ErrorResponse('Les paramètres from et to sont requis au format YYYY-MM-DD', 400);
+    }
+
+    const fromDate = new Date(`${from}T00:00:00Z`);
+    const toDate = new Date(`${to}T00:00:00Z`);
+    const days = Math.round((toDate - fromDate) / (24 * 60 * 60 * 1000)) + 1;
+
+    if (days < 1) {
+      throw new ErrorResponse('La date de fin doit être postérieure ou égale à la date de début', 400);
+    }
+
+    if (days > MAX_RANGE_DAYS) {
+      throw new ErrorResponse(`La période demandée ne peut pas dépasser ${MAX_RANGE_DAYS} jours`, 400);
+    }
+
+    // Récupérer en une seule requête les réservations qui bloquent la période
+    const reservations = await Reservation.find({
+      artistId: artist._id,
+      status: { $in: BLOCKING_STATUSES },
+      date: { $gte: from, $lte: to }
+    }).select('date startTime endTime');
+
+    const result = [];
+
+    for (let i = 0; i < days; i++) {
+      const date = new Date(fromDate.getTime() + i * 24 * 60 * 60 * 1000).toISOString().split('T')[0];
+
+      const busy = reservations
+        .filter(r => r.date === date)
+        .map(r => ({ start: timeToMinutes(r.startTime), end: timeToMinutes(r.endTime) }));
+
+      const slots = subtractRanges(getDeclaredRanges(artist.availability, date), busy)
+        .map(range => ({ startTime: minutesToTime(range.start), endTime: minutesToTime(range.end) }));
+
+      result.push({ date, slots });
+    }
+
+    return result;
+  }
+};
+
+module.exports = availabilityService;
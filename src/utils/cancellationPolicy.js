@@ -0,0 +1,76 @@
+const ErrorResponse = require('./errorResponse');
+
+// Nombre maximum de paliers dans une politique d'annulation
+const MAX_TIERS = 10;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Politique d'annulation des artistes: part du paiement remboursée au booker
+ * selon le nombre de jours restant avant la prestation
+ */
+const cancellationPolicy = {
+  /**
+   * Valider et normaliser les paliers d'une politique d'annulation
+   * @param {Array} tiers - [{ minDaysBefore, refundPercentage }]
+   * @returns {Array} - Paliers triés du plus éloigné au plus proche de la prestation
+   * @throws {ErrorResponse} - 400 si un palier est invalide
+   */
+  validateTiers(tiers) {
+    if (!Array.isArray(tiers) || tiers.length === 0) {
+      throw new ErrorResponse('La politique d\'annulation doit contenir au moins un palier', 400);
+    }
+
+    if (tiers.length > MAX_TIERS) {
+      throw new ErrorResponse(`La politique d'annulation ne peut pas contenir plus de ${MAX_TIERS} paliers`, 400);
+    }
+
+    const normalized = tiers.map(tier => {
+      const minDaysBefore = Number(tier && tier.minDaysBefore);
+      const refundPercentage = Number(tier && tier.refundPercentage);
+
+      if (!Number.isInteger(minDaysBefore) || minDaysBefore < 0) {
+        throw new ErrorResponse('Le nombre de jours d\'un palier doit être un entier positif ou nul', 400);
+      }
+      if (!Number.isFinite(refundPercentage) || refundPercentage < 0 || refundPercentage > 100) {
+        throw new ErrorResponse('Le pourcentage de remboursement doit être compris entre 0 et 100', 400);
+      }
+
+      return { minDaysBefore, refundPercentage };
+    });
+
+    const days = new Set(normalized.map(tier => tier.minDaysBefore));
+    if (days.size !== normalized.length) {
+      throw new ErrorResponse('Deux paliers ne peuvent pas avoir le même nombre de jours', 400);
+    }
+
+    return normalized.sort((a, b) => b.minDaysBefore - a.minDaysBefore);
+  },
+
+  /**
+   * Calculer le nombre de jours entiers restant avant le début d'une réservation
+   * @param {Object} reservation - Réservation (date YYYY-MM-DD, startTime HH:MM)
+   * @param {Date} now - Date de l'annulation
+   * @returns {Number} - Nombre de jours (négatif si la prestation a commencé)
+   */
+  daysBefore(reservation, now = new Date()) {
+    const start = new Date(`${reservation.date}T${reservation.startTime || '00:00'}:00Z`);
+    return Math.floor((start.getTime() - now.getTime()) / DAY_MS);
+  },
+
+  /**
+   * Obtenir le pourcentage remboursé pour une annulation
+   * @param {Array} tiers - Paliers de la politique de l'artiste
+   * @param {Number} daysBefore - Nombre de jours restant avant la prestation
+   * @returns {Number} - Pourcentage remboursé (0 si aucun palier ne s'applique)
+   */
+  getRefundPercentage(tiers, daysBefore) {
+    const tier = [...(tiers || [])]
+      .sort((a, b) => b.minDaysBefore - a.minDaysBefore)
+      .find(t => daysBefore >= t.minDaysBefore);
+
+    return tier ? tier.refundPercentage : 0;
+  }
+};
+
+module.exports = cancellationPolicy;
@@ -0,0 +1,175 @@
+const crypto = require('crypto');
+const ErrorResponse = require('./errorResponse');
+const config = require('../config/cardVault');
+
+// Champs contenant des données de carte sensibles, à ne jamais persister ni journaliser
+const SENSITIVE_FIELDS = ['cardNumber', 'cvv', 'cvc', 'securityCode'];
+
+// Préfixes (IIN) des principaux réseaux de cartes
+const BRANDS = [
+  { brand: 'visa', pattern: /^4/ },
+  { brand: 'mastercard', pattern: /^(5[1-5]|2(2[2-9]|[3-6]\d|7[01]|720))/ },
+  { brand: 'amex', pattern: /^3[47]/ },
+  { brand: 'discover', pattern: /^(6011|65|64[4-9])/ }
+];
+
+/**
+ * Coffre de cartes bancaires: les données de carte sont transformées en jeton dès leur réception
+ * Seuls le jeton, le réseau et les 4 derniers chiffres sont conservés; le numéro complet et le
+ * cryptogramme ne sont jamais écrits dans MongoDB
+ */
+const cardVault = {
+  SENSITIVE_FIELDS,
+
+  /**
+   * Retirer les espaces et tirets d'un numéro de carte
+   * @param {String} cardNumber - Numéro saisi
+   * @returns {String} - Numéro composé uniquement de chiffres
+   */
+  normalizeNumber(cardNumber) {
+    return String(cardNumber || '').replace(/[\s-]/g, '');
+  },
+
+  /**
+   * Vérifier un numéro de carte (longueur et clé de Luhn)
+   * @param {String} cardNumber - Numéro normalisé
+   * @returns {Boolean} - True si le numéro est valide
+   */
+  isValidNumber(cardNumber) {
+    if (!/^\d{12,19}$/.test(cardNumber)) {
+      return false;
+    }
+
+    let sum = 0;
+    for (let i = 0; i < cardNumber.length; i++) {
+      let digit = Number(cardNumber[cardNumber.length - 1 - i]);
+      if (i % 2 === 1) {
+        digit *= 2;
+        if (digit > 9) {
+          digit -= 9;
+        }
+      }
+      sum += digit;
+    }
+    return sum % 10 === 0;
+  },
+
+  /**
+   * Déterminer le réseau d'une carte à partir de son numéro
+   * @param {String} cardNumber - Numéro normalisé
+   * @returns {String} - visa, mastercard, amex, discover ou other
+   */
+  detectBrand(cardNumber) {
+    const match = BRANDS.find(({ pattern }) => pattern.test(cardNumber));
+    return match ? match.brand : 'other';
+  },
+
+  /**
+   * Dériver le jeton d'un numéro de carte
+   * Le jeton est stable pour une même carte (détection des doublons) mais ne permet pas
+   * de retrouver le numéro sans la clé du coffre
+   * @param {String} cardNumber - Numéro normalisé
+   * @returns {String} - Jeton de la carte
+   */
+  tokenFor(cardNumber) {
+    if (!config.tokenSecret) {
+      throw new ErrorResponse('Le coffre de cartes n\'est pas configuré (CARD_VAULT_SECRET)', 500);
+    }
+
+    const digest = crypto
+      .createHmac('sha256', config.tokenSecret)
+      .update(cardNumber)
+      .digest('hex');
+    return `${config.tokenPrefix}${digest.slice(0, 32)}`;
+  },
+
+  /**
+   * Valider et normaliser une date d'expiration
+   * @param {String} expiryDate - Date au format MM/AA ou MM/AAAA
+   * @param {Date} now - Date de référence
+   * @returns {String} - Date au format MM/AA
+   * @throws {ErrorResponse} - 400 si la date est invalide ou dépassée
+   */
+  normalizeExpiry(expiryDate, now = new Date()) {
+    const match = /^(0[1-9]|1[0-2])\s*\/\s*(\d{2}|\d{4})$/.exec(String(expiryDate || '').trim());
+    if (!match) {
+      throw new ErrorResponse('La date d\'expiration doit être au format MM/AA', 400);
+    }
+
+    const month = Number(match[1]);
+    const year = match[2].length === 2 ? 2000 + Number(match[2]) : Number(match[2]);
+
+    // La carte reste valable jusqu'à la fin du mois indiqué
+    if (year * 12 + month < now.getUTCFullYear() * 12 + now.getUTCMonth() + 1) {
+      throw new ErrorResponse('Cette carte a expiré', 400);
+    }
+
+    return `${match[1]}/${String(year).slice(-2)}`;
+  },
+
+  /**
+   * Transformer les données de carte reçues en jeton
+   * @param {Object} card - { cardNumber, expiryDate, cvv, cardholderName }
+   * @returns {Object} - { cardToken, cardBrand, cardLast4, expiryDate, cardholderName }
+   * @throws {ErrorResponse} - 400 si les données de carte sont invalides
+   */
+  tokenize({ cardNumber, expiryDate, cvv, cardholderName } = {}) {
+    const number = this.normalizeNumber(cardNumber);
+    if (!this.isValidNumber(number)) {
+      throw new ErrorResponse('Numéro de carte invalide', 400);
+    }
+
+    // Le cryptogramme est contrôlé à la saisie puis oublié
+    if (cvv !== undefined && cvv !== null && cvv !== '' && !/^\d{3,4}$/.test(String(cvv))) {
+      throw new ErrorResponse('Le cryptogramme de la carte est invalide', 400);
+    }
+
+    const card = {
+      cardToken: this.tokenFor(number),
+      cardBrand: this.detectBrand(number),
+      cardLast4: number.slice(-4)
+    };
+
+    if (expiryDate) {
+      card.expiryDate = this.normalizeExpiry(expiryDate);
+    }
+    if (cardholderName) {
+      card.cardholderName = String(cardholderName).trim();
+    }
+
+    return card;
+  },
+
+  /**
+   * Remplacer les données de carte d'un objet de détails par leur jeton
+   * Les détails sans numéro de carte (mobile money) sont renvoyés sans les champs sensibles
+   * @param {Object} details - Détails reçus du client
+   * @returns {Object} - Détails sans numéro complet ni cryptogramme
+   */
+  secureDetails(details = {}) {
+    const safe = this.redact(details);
+    if (!details.cardNumber) {
+      return safe;
+    }
+
+    return {
+      ...safe,
+      ...this.tokenize(details)
+    };
+  },
+
+  /**
+   * Retirer les champs sensibles d'un objet (journaux, copies de la requête)
+   * @param {Object} data - Objet à nettoyer
+   * @returns {Object} - Copie sans les champs sensibles
+   */
+  redact(data = {}) {
+    const copy = { ...data };
+    SENSITIVE_FIELDS.forEach(field => {
+      delete copy[field];
+    });
+    return copy;
+  }
+};
+
+module.exports = cardVault;
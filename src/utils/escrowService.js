@@ -0,0 +1,134 @@
+const { Escrow } = require('../models');
+const ledger = require('./ledger');
+
+/**
+ * Service de séquestre: la part de l'artiste d'un paiement est retenue
+ * jusqu'à ce que la réservation soit terminée ('completed'), puis libérée
+ * sur son solde disponible pour un retrait.
+ * Les mouvements correspondants sont passés au grand livre (comptes
+ * artist_escrow et artist_payable).
+ */
+const escrowService = {
+  /**
+   * Placer sous séquestre la part de l'artiste d'un paiement confirmé
+   * Sans effet si le paiement est déjà séquestré (notifications répétées)
+   * @param {Object} payment - Document du paiement (status 'completed')
+   * @param {Object} options - { session } transaction de l'appelant (optionnelle)
+   * @returns {Promise<Object|null>} - Le séquestre créé, ou null s'il existait déjà
+   */
+  async hold(payment, { session = null } = {}) {
+    const result = await Escrow.updateOne(
+      { payment: payment._id },
+      {
+        $setOnInsert: {
+          reservation: payment.reservation,
+          artist: payment.payee,
+          amount: payment.amount,
+          status: 'held',
+          heldAt: new Date()
+        }
+      },
+      { upsert: true, session }
+    );
+
+    if (!result.upsertedCount) {
+      return null;
+    }
+
+    return Escrow.findOne({ payment: payment._id }).session(session);
+  },
+
+  /**
+   * Libérer les fonds séquestrés d'une réservation vers le solde disponible de l'artiste
+   * (réservation terminée, ou part conservée par l'artiste après une annulation)
+   * La part affectée à des remboursements reste au séquestre jusqu'à leur dénouement.
+   * @param {Object} reservation - Document de la réservation (status 'completed' ou 'cancelled')
+   * @param {Object} options - { session } transaction de l'appelant (optionnelle)
+   * @returns {Promise<Number>} - Montant libéré
+   */
+  async releaseForReservation(reservation, { session = null } = {}) {
+    const escrows = await Escrow.find({ reservation: reservation._id, status: 'held' }).session(session);
+    let released = 0;
+
+    for (const escrow of escrows) {
+      // Passage atomique held -> released pour ne jamais créditer deux fois
+      const releasable = { $subtract: ['$amount', { $ifNull: ['$refundedAmount', 0] }] };
+      const updated = await Escrow.findOneAndUpdate(
+        { _id: escrow._id, status: 'held' },
+        [{
+          $set: {
+            status: { $cond: [{ $gt: [releasable, 0] }, 'released', 'refunded'] },
+            releasedAmount: releasable,
+            releasedAt: '$$NOW'
+          }
+        }],
+        { new: true, session }
+      );
+      if (!updated) {
+        continue;
+      }
+
+      await ledger.recordEscrowRelease(updated, updated.releasedAmount, '', { session });
+      released += updated.releasedAmount;
+    }
+
+    return released;
+  },
+
+  /**
+   * Affecter la part de l'artiste d'un remboursement au séquestre du paiement, s'il est encore retenu
+   * @param {Object} payment - Document du paiement remboursé
+   * @param {Number} artistAmount - Part de l'artiste à rembourser
+   * @returns {Promise<String>} - Compte à débiter: 'artist_escrow' ou 'artist_payable' (fonds déjà libérés)
+   */
+  async reserveRefund(payment, artistAmount) {
+    const reserved = await Escrow.findOneAndUpdate(
+      {
+        payment: payment._id,
+        status: 'held',
+        $expr: { $gte: [{ $subtract: ['$amount', { $ifNull: ['$refundedAmount', 0] }] }, artistAmount] }
+      },
+      { $inc: { refundedAmount: artistAmount } }
+    );
+
+    return reserved ? 'artist_escrow' : 'artist_payable';
+  },
+
+  /**
+   * Rendre au séquestre la part d'un remboursement échoué
+   * Si le séquestre a été libéré entre-temps, cette part est libérée à son tour vers l'artiste.
+   * @param {Object} refund - Document du remboursement (status 'failed', artistAccount 'artist_escrow')
+   */
+  async cancelRefund(refund) {
+    const restored = await Escrow.findOneAndUpdate(
+      { payment: refund.payment, status: 'held' },
+      { $inc: { refundedAmount: -refund.artistAmount } }
+    );
+    if (restored) {
+      return;
+    }
+
+    const escrow = await Escrow.findOneAndUpdate(
+      { payment: refund.payment },
+      {
+        status: 'released',
+        $inc: { refundedAmount: -refund.artistAmount, releasedAmount: refund.artistAmount }
+      },
+      { new: true }
+    );
+    if (escrow) {
+      await ledger.recordEscrowRelease(escrow, refund.artistAmount, `refund:${refund._id}`);
+    }
+  },
+
+  /**
+   * Obtenir le solde d'un artiste (dérivé du grand livre)
+   * @param {String} artistId - ID de l'artiste
+   * @returns {Promise<Object>} - { held, available, paidOut }
+   */
+  getBalance(artistId) {
+    return ledger.getArtistBalance(artistId);
+  }
+};
+
+module.exports = escrowService;
@@ -0,0 +1,72 @@
+const crypto = require('crypto');
+const path = require('path');
+const { getDriver } = require('./storageDrivers');
+
+/**
+ * Stockage des fichiers envoyés par les utilisateurs, sur le stockage configuré (disque local ou S3)
+ * Les noms sont générés aléatoirement: le nom d'origine n'est jamais utilisé comme chemin.
+ * Les URL enregistrées sur les documents sont toujours produites ici (URL canoniques du stockage)
+ */
+const fileStore = {
+  /**
+   * Enregistrer un fichier
+   * @param {Buffer} buffer - Contenu du fichier
+   * @param {Object} options - { directory, extension, contentType, visibility, name (aléatoire par défaut) }
+   * @returns {Promise<Object>} - { key, url } (url null pour un fichier privé)
+   */
+  async save(buffer, { directory, extension, contentType, visibility = 'public', name = this.randomName() }) {
+    const key = path.posix.join(directory, `${name}.${extension}`);
+
+    await getDriver().put(key, buffer, { visibility, contentType });
+
+    return { key, url: visibility === 'public' ? this.publicUrl(key) : null };
+  },
+
+  /**
+   * Générer un nom de fichier aléatoire
+   * @returns {String} - 32 caractères hexadécimaux
+   */
+  randomName() {
+    return crypto.randomBytes(16).toString('hex');
+  },
+
+  /**
+   * URL canonique d'un fichier public
+   * @param {String} key - Clé du fichier
+   * @returns {String} - URL
+   */
+  publicUrl(key) {
+    return getDriver().publicUrl(key);
+  },
+
+  /**
+   * URL signée et temporaire d'un fichier privé
+   * @param {String} key - Clé du fichier
+   * @param {Object} options - { expiresIn (secondes), filename, contentType }
+   * @returns {Promise<String>} - URL signée
+   */
+  async signedUrl(key, options = {}) {
+    return getDriver().signedUrl(key, options);
+  },
+
+  /**
+   * Ouvrir un fichier en lecture
+   * @param {String} key - Clé du fichier
+   * @param {String} visibility - public ou private
+   * @returns {Promise<Readable>} - Flux du contenu
+   */
+  async createReadStream(key, visibility = 'public') {
+    return getDriver().createReadStream(key, visibility);
+  },
+
+  /**
+   * Supprimer un fichier (sans erreur s'il n'existe plus)
+   * @param {String} key - Clé du fichier
+   * @param {String} visibility - public ou private
+   */
+  async remove(key, visibility = 'public') {
+    await getDriver().remove(key, visibility);
+  }
+};
+
+module.exports = fileStore;
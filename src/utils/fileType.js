@@ -0,0 +1,46 @@
+const ErrorResponse = require('./errorResponse');
+
+// Signatures (premiers octets) des formats acceptés
+const SIGNATURES = [
+  { mimeType: 'image/jpeg', extension: 'jpg', matches: buffer => buffer.subarray(0, 3).equals(Buffer.from([0xff, 0xd8, 0xff])) },
+  { mimeType: 'image/png', extension: 'png', matches: buffer => buffer.subarray(0, 8).equals(Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a])) },
+  { mimeType: 'image/gif', extension: 'gif', matches: buffer => ['GIF87a', 'GIF89a'].includes(buffer.subarray(0, 6).toString('latin1')) },
+  { mimeType: 'image/webp', extension: 'webp', matches: buffer => buffer.subarray(0, 4).toString('latin1') === 'RIFF' && buffer.subarray(8, 12).toString('latin1') === 'WEBP' },
+  { mimeType: 'application/pdf', extension: 'pdf', matches: buffer => buffer.subarray(0, 5).toString('latin1') === '%PDF-' }
+];
+
+/**
+ * Identification du type des fichiers reçus d'après leur contenu
+ * (le type MIME et l'extension annoncés par le client ne sont pas fiables)
+ */
+const fileType = {
+  /**
+   * Déterminer le type d'un fichier à partir de ses premiers octets
+   * @param {Buffer} buffer - Contenu du fichier
+   * @returns {Object|null} - { mimeType, extension }, null si le format n'est pas reconnu
+   */
+  detect(buffer) {
+    if (!Buffer.isBuffer(buffer) || buffer.length < 12) {
+      return null;
+    }
+    const signature = SIGNATURES.find(({ matches }) => matches(buffer));
+    return signature ? { mimeType: signature.mimeType, extension: signature.extension } : null;
+  },
+
+  /**
+   * Vérifier qu'un fichier reçu est d'un type accepté
+   * @param {Object} file - Fichier reçu par multer (buffer, originalname)
+   * @param {Array} allowedTypes - Types MIME acceptés
+   * @returns {Object} - { mimeType, extension } détectés
+   * @throws {ErrorResponse} - 415 si le contenu n'est pas d'un type accepté
+   */
+  assertAllowed(file, allowedTypes) {
+    const detected = this.detect(file.buffer);
+    if (!detected || !allowedTypes.includes(detected.mimeType)) {
+      throw new ErrorResponse(`Type de fichier non accepté pour ${file.originalname} (formats acceptés: ${allowedTypes.join(', ')})`, 415);
+    }
+    return detected;
+  }
+};
+
+module.exports = fileType;
@@ -0,0 +1,67 @@
+const sharp = require('sharp');
+const ErrorResponse = require('./errorResponse');
+const config = require('../config/uploads');
+
+// Encodages de sortie
+const FORMATS = {
+  jpeg: { extension: 'jpg', mimeType: 'image/jpeg', options: { quality: 82, mozjpeg: true } },
+  png: { extension: 'png', mimeType: 'image/png', options: { compressionLevel: 9 } },
+  webp: { extension: 'webp', mimeType: 'image/webp', options: { quality: 80 } }
+};
+
+/**
+ * Traitement des photos envoyées: image réencodée sans métadonnées et tailles dérivées en WebP
+ * et dans un format lu par tous les navigateurs (JPEG, ou PNG pour les images transparentes)
+ */
+const imageProcessor = {
+  /**
+   * Produire l'image nettoyée et ses variantes
+   * Sharp n'écrit aucune métadonnée en sortie: les données EXIF (position GPS, appareil...) sont retirées,
+   * après application de l'orientation qu'elles indiquent
+   * @param {Buffer} buffer - Image reçue
+   * @returns {Promise<Array>} - [{ name, format, extension, mimeType, buffer, width, height }]
+   *                             name vaut original ou l'une des tailles de config.media.variants
+   * @throws {ErrorResponse} - 415 si l'image ne peut pas être décodée ou dépasse la taille maximale
+   */
+  async derive(buffer) {
+    const open = () => sharp(buffer, { limitInputPixels: config.media.maxInputPixels }).rotate();
+
+    let metadata;
+    try {
+      metadata = await open().metadata();
+    } catch (error) {
+      throw new ErrorResponse('Image illisible ou trop grande', 415);
+    }
+
+    const fallbackFormat = metadata.hasAlpha ? 'png' : 'jpeg';
+    const sizes = [['original', null], ...Object.entries(config.media.variants)];
+
+    const outputs = [];
+    for (const [name, maxSize] of sizes) {
+      for (const format of [fallbackFormat, 'webp']) {
+        let pipeline = open();
+        if (maxSize) {
+          pipeline = pipeline.resize({ width: maxSize, height: maxSize, fit: 'inside', withoutEnlargement: true });
+        }
+
+        const { data, info } = await pipeline
+          .toFormat(format, FORMATS[format].options)
+          .toBuffer({ resolveWithObject: true });
+
+        outputs.push({
+          name,
+          format: format === 'webp' ? 'webp' : 'fallback',
+          extension: FORMATS[format].extension,
+          mimeType: FORMATS[format].mimeType,
+          buffer: data,
+          width: info.width,
+          height: info.height
+        });
+      }
+    }
+
+    return outputs;
+  }
+};
+
+module.exports = imageProcessor;
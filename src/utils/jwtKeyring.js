@@ -0,0 +1,83 @@
+const jwt = require('jsonwebtoken');
+const authConfig = require('../config/auth');
+
+// Algorithme unique accepté: un jeton annonçant un autre algorithme est rejeté
+const ALGORITHM = 'HS256';
+
+/**
+ * Obtenir le trousseau d'un type de jeton
+ * @param {String} type - access, refresh ou mfa
+ * @returns {Object} - { activeKid, keys, expiresIn }
+ */
+const getKeyring = (type) => {
+  const keyring = authConfig[type];
+  if (!keyring) {
+    throw new Error(`Type de jeton inconnu: ${type}`);
+  }
+  return keyring;
+};
+
+/**
+ * Trousseau de clés JWT
+ * Chaque jeton porte dans son en-tête l'identifiant (kid) de la clé qui l'a signé. Pour changer de clé
+ * sans déconnecter les utilisateurs, ajouter la nouvelle clé en tête de JWT_KEYS et conserver l'ancienne
+ * derrière elle jusqu'à l'expiration des jetons qu'elle a signés
+ */
+const jwtKeyring = {
+  /**
+   * Signer un jeton avec la clé active
+   * @param {Object} payload - Contenu du jeton
+   * @param {String} type - access, refresh ou mfa
+   * @param {Object} options - { expiresIn }
+   * @returns {String} - Le jeton signé
+   */
+  sign(payload, type = 'access', { expiresIn } = {}) {
+    const { activeKid, keys, expiresIn: defaultExpiresIn } = getKeyring(type);
+    const secret = keys[activeKid];
+    if (!secret) {
+      throw new Error(`Clé de signature ${activeKid} introuvable pour les jetons ${type}`);
+    }
+
+    return jwt.sign(payload, secret, {
+      algorithm: ALGORITHM,
+      keyid: activeKid,
+      expiresIn: expiresIn || defaultExpiresIn
+    });
+  },
+
+  /**
+   * Vérifier un jeton avec la clé désignée par son en-tête (clé active ou retirée)
+   * @param {String} token - Jeton à vérifier
+   * @param {String} type - access, refresh ou mfa
+   * @returns {Object} - Contenu du jeton
+   * @throws {JsonWebTokenError|TokenExpiredError} - Si le jeton est invalide, expiré ou signé par une clé inconnue
+   */
+  verify(token, type = 'access') {
+    const { keys } = getKeyring(type);
+    const decoded = jwt.decode(token, { complete: true });
+    const kid = decoded && decoded.header && decoded.header.kid;
+
+    // Les jetons sans kid ont été signés avec l'ancienne clé publique du dépôt: ils sont refusés
+    if (!kid || !Object.prototype.hasOwnProperty.call(keys, kid)) {
+      throw new jwt.JsonWebTokenError('Clé de signature du jeton inconnue');
+    }
+
+    return jwt.verify(token, keys[kid], { algorithms: [ALGORITHM] });
+  },
+
+  /**
+   * Lister les clés inutilisables en production (secret par défaut, publié ou trop court)
+   * @returns {Array} - Libellés des clés concernées (ex: access:primary)
+   */
+  insecureKeys() {
+    return ['access', 'refresh', 'mfa'].flatMap(type =>
+      Object.entries(getKeyring(type).keys)
+        .filter(([, secret]) =>
+          authConfig.KNOWN_DEFAULT_SECRETS.includes(secret) || secret.length < authConfig.minSecretLength
+        )
+        .map(([kid]) => `${type}:${kid}`)
+    );
+  }
+};
+
+module.exports = jwtKeyring;
@@ -0,0 +1,484 @@
+const mongoose = require('mongoose');
+const { LedgerEntry, Payment, Payout, Escrow, Reservation, Refund } = require('../models');
+const pricingConfig = require('../config/pricing');
+const transactions = require('./transactions');
+
+/**
+ * Somme (crédit - débit) des lignes correspondant à un filtre, par compte et par nature
+ * @param {Object} match - Filtre MongoDB
+ * @returns {Promise<Object>} - { [account]: { [kind]: { debit, credit } } }
+ */
+const sumByAccountAndKind = async (match) => {
+  const rows = await LedgerEntry.aggregate([
+    { $match: match },
+    {
+      $group: {
+        _id: { account: '$account', kind: '$kind' },
+        debit: { $sum: '$debit' },
+        credit: { $sum: '$credit' }
+      }
+    }
+  ]);
+
+  return rows.reduce((totals, row) => {
+    totals[row._id.account] = totals[row._id.account] || {};
+    totals[row._id.account][row._id.kind] = { debit: row.debit, credit: row.credit };
+    return totals;
+  }, {});
+};
+
+/**
+ * Lire un total dans le résultat de sumByAccountAndKind
+ * @param {Object} totals - Résultat de sumByAccountAndKind
+ * @param {String} account - Compte
+ * @param {String|null} kind - Nature de l'écriture (toutes si null)
+ * @param {String} side - debit ou credit
+ * @returns {Number} - Total
+ */
+const pick = (totals, account, kind, side) => {
+  const byKind = totals[account] || {};
+  const kinds = kind ? [kind] : Object.keys(byKind);
+  return kinds.reduce((sum, k) => sum + ((byKind[k] && byKind[k][side]) || 0), 0);
+};
+
+/**
+ * Grand livre en partie double: chaque mouvement d'argent (paiement, remboursement,
+ * commission, séquestre, retrait) est enregistré par une écriture équilibrée.
+ * Les soldes des artistes et les montants des tableaux de bord en sont dérivés.
+ */
+const ledger = {
+  ACCOUNTS: LedgerEntry.ACCOUNTS,
+
+  /**
+   * Passer une écriture équilibrée
+   * @param {String} journal - Identifiant unique de l'écriture (ex: "payment:<id>")
+   * @param {String} kind - Nature de l'écriture
+   * @param {Array} lines - [{ account, owner, ownerModel, debit, credit }]
+   * @param {Object} refs - { payment, reservation, payout, description }
+   * @param {Object} options - { session } transaction de l'appelant (optionnelle)
+   * @returns {Promise<Boolean>} - False si l'écriture avait déjà été passée
+   * @throws {Error} - Si l'écriture n'est pas équilibrée
+   */
+  async post(journal, kind, lines, refs = {}, { session = null } = {}) {
+    const docs = lines
+      .filter(line => (line.debit || 0) > 0 || (line.credit || 0) > 0)
+      .map((line, index) => ({
+        journal,
+        line: index,
+        kind,
+        currency: pricingConfig.currency,
+        ...refs,
+        ...line
+      }));
+
+    const debit = docs.reduce((sum, doc) => sum + (doc.debit || 0), 0);
+    const credit = docs.reduce((sum, doc) => sum + (doc.credit || 0), 0);
+    if (debit !== credit) {
+      throw new Error(`Écriture ${journal} déséquilibrée: débit ${debit}, crédit ${credit}`);
+    }
+
+    if (docs.length === 0) {
+      return false;
+    }
+
+    // Dans la transaction de l'appelant, une clé en double annulerait toute la transaction:
+    // l'écriture déjà passée est détectée avant l'insertion
+    if (session && await LedgerEntry.exists({ journal }).session(session)) {
+      return false;
+    }
+
+    try {
+      if (session) {
+        await LedgerEntry.insertMany(docs, { session });
+      } else {
+        await transactions.run(own => LedgerEntry.insertMany(docs, { session: own, ordered: true }));
+      }
+    } catch (error) {
+      // Écriture déjà passée (notification répétée d'un fournisseur)
+      // Dans une transaction, l'erreur la fait rejouer: l'écriture est alors trouvée ci-dessus
+      if (error.code === 11000 && !session) {
+        return false;
+      }
+      throw error;
+    }
+
+    return true;
+  },
+
+  /**
+   * Enregistrer l'encaissement d'un paiement confirmé
+   * Les fonds reçus par l'opérateur sont affectés à la part de l'artiste (séquestrée)
+   * et à la commission de la plateforme.
+   * @param {Object} payment - Document du paiement (status 'completed')
+   * @param {Object} options - { session }
+   * @returns {Promise<Boolean>} - False si l'écriture existait déjà
+   */
+  async recordPayment(payment, options = {}) {
+    const booker = { owner: payment.payer, ownerModel: 'Booker' };
+
+    return this.post(`payment:${payment._id}`, 'payment', [
+      { account: 'provider_clearing', debit: payment.totalAmount },
+      { account: 'booker_wallet', ...booker, credit: payment.totalAmount },
+      { account: 'booker_wallet', ...booker, debit: payment.totalAmount },
+      { account: 'artist_escrow', owner: payment.payee, ownerModel: 'Artist', credit: payment.amount },
+      { account: 'platform_fees', credit: payment.serviceFee }
+    ], {
+      payment: payment._id,
+      reservation: payment.reservation,
+      description: `Paiement ${payment.reference}`
+    }, options);
+  },
+
+  /**
+   * Enregistrer la libération d'un séquestre vers le solde disponible de l'artiste
+   * @param {Object} escrow - Document du séquestre
+   * @param {Number} amount - Montant libéré
+   * @param {String} key - Suffixe distinguant une libération complémentaire (optionnel)
+   * @param {Object} options - { session }
+   * @returns {Promise<Boolean>} - False si l'écriture existait déjà
+   */
+  async recordEscrowRelease(escrow, amount, key = '', options = {}) {
+    const artist = { owner: escrow.artist, ownerModel: 'Artist' };
+    const journal = key ? `escrow_release:${escrow._id}:${key}` : `escrow_release:${escrow._id}`;
+
+    return this.post(journal, 'escrow_release', [
+      { account: 'artist_escrow', ...artist, debit: amount },
+      { account: 'artist_payable', ...artist, credit: amount }
+    ], {
+      payment: escrow.payment,
+      reservation: escrow.reservation,
+      description: 'Libération des fonds séquestrés'
+    }, options);
+  },
+
+  /**
+   * Enregistrer un remboursement effectué: la part de l'artiste et la commission
+   * sont reprises et le montant retourne au booker par l'opérateur
+   * @param {Object} refund - Document du remboursement (status 'completed')
+   * @returns {Promise<Boolean>} - False si l'écriture existait déjà
+   */
+  async recordRefund(refund) {
+    const booker = { owner: refund.booker, ownerModel: 'Booker' };
+
+    return this.post(`refund:${refund._id}`, 'refund', [
+      { account: refund.artistAccount, owner: refund.artist, ownerModel: 'Artist', debit: refund.artistAmount },
+      { account: 'platform_fees', debit: refund.feeAmount },
+      { account: 'booker_wallet', ...booker, credit: refund.amount },
+      { account: 'booker_wallet', ...booker, debit: refund.amount },
+      { account: 'provider_clearing', credit: refund.amount }
+    ], {
+      payment: refund.payment,
+      reservation: refund.reservation,
+      description: `Remboursement ${refund.reference}`
+    });
+  },
+
+  /**
+   * Enregistrer un retrait: le montant dû à l'artiste sort vers l'opérateur
+   * @param {Object} payout - Document du retrait
+   * @returns {Promise<Boolean>} - False si l'écriture existait déjà
+   */
+  async recordPayout(payout) {
+    return this.post(`payout:${payout._id}`, 'payout', [
+      { account: 'artist_payable', owner: payout.artist, ownerModel: 'Artist', debit: payout.amount },
+      { account: 'provider_clearing', credit: payout.amount }
+    ], {
+      payout: payout._id,
+      description: `Retrait ${payout.reference}`
+    });
+  },
+
+  /**
+   * Contre-passer un retrait échoué: le montant redevient dû à l'artiste
+   * @param {Object} payout - Document du retrait (status 'failed')
+   * @returns {Promise<Boolean>} - False si l'écriture existait déjà
+   */
+  async recordPayoutReversal(payout) {
+    return this.post(`payout_reversal:${payout._id}`, 'payout_reversal', [
+      { account: 'provider_clearing', debit: payout.amount },
+      { account: 'artist_payable', owner: payout.artist, ownerModel: 'Artist', credit: payout.amount }
+    ], {
+      payout: payout._id,
+      description: `Annulation du retrait ${payout.reference}`
+    });
+  },
+
+  /**
+   * Indiquer si une écriture a été passée
+   * @param {String} journal - Identifiant de l'écriture (ex: "payment:<id>")
+   * @returns {Promise<Boolean>} - True si l'écriture existe
+   */
+  async hasJournal(journal) {
+    return Boolean(await LedgerEntry.exists({ journal }));
+  },
+
+  /**
+   * Solde d'un artiste dérivé du grand livre
+   * @param {String} artistId - ID de l'artiste
+   * @returns {Promise<Object>} - { held, available, paidOut }
+   */
+  async getArtistBalance(artistId) {
+    const totals = await sumByAccountAndKind({
+      owner: new mongoose.Types.ObjectId(artistId),
+      account: { $in: ['artist_escrow', 'artist_payable'] }
+    });
+
+    return {
+      held: pick(totals, 'artist_escrow', null, 'credit') - pick(totals, 'artist_escrow', null, 'debit'),
+      available: pick(totals, 'artist_payable', null, 'credit') - pick(totals, 'artist_payable', null, 'debit'),
+      paidOut: pick(totals, 'artist_payable', 'payout', 'debit') - pick(totals, 'artist_payable', 'payout_reversal', 'credit')
+    };
+  },
+
+  /**
+   * Revenus d'un artiste sur une période (parts encaissées moins remboursements)
+   * @param {String} artistId - ID de l'artiste
+   * @param {Date} from - Début de la période
+   * @param {Date} to - Fin de la période
+   * @returns {Promise<Number>} - Revenus nets en FCFA
+   */
+  async getArtistRevenue(artistId, from, to) {
+    const totals = await sumByAccountAndKind({
+      owner: new mongoose.Types.ObjectId(artistId),
+      account: { $in: ['artist_escrow', 'artist_payable'] },
+      kind: { $in: ['payment', 'refund'] },
+      createdAt: { $gte: from, $lte: to }
+    });
+
+    return pick(totals, 'artist_escrow', 'payment', 'credit') -
+      pick(totals, 'artist_escrow', 'refund', 'debit') -
+      pick(totals, 'artist_payable', 'refund', 'debit');
+  },
+
+  /**
+   * Dépenses d'un booker (paiements affectés moins remboursements reçus)
+   * @param {String} bookerId - ID du booker
+   * @param {Date} from - Début de la période (optionnel)
+   * @param {Date} to - Fin de la période (optionnelle)
+   * @returns {Promise<Number>} - Dépenses nettes en FCFA
+   */
+  async getBookerExpenses(bookerId, from, to) {
+    const match = {
+      owner: new mongoose.Types.ObjectId(bookerId),
+      account: 'booker_wallet'
+    };
+    if (from && to) {
+      match.createdAt = { $gte: from, $lte: to };
+    }
+
+    const totals = await sumByAccountAndKind(match);
+
+    return pick(totals, 'booker_wallet', 'payment', 'debit') - pick(totals, 'booker_wallet', 'refund', 'credit');
+  },
+
+  /**
+   * Totaux de la plateforme dérivés du grand livre
+   * @returns {Promise<Object>} - { collected, refunded, platformFees, artistRevenue, held, payable, paidOut }
+   */
+  async getPlatformTotals() {
+    const totals = await sumByAccountAndKind({});
+
+    return {
+      collected: pick(totals, 'provider_clearing', 'payment', 'debit'),
+      refunded: pick(totals, 'provider_clearing', 'refund', 'credit'),
+      platformFees: pick(totals, 'platform_fees', 'payment', 'credit') - pick(totals, 'platform_fees', 'refund', 'debit'),
+      artistRevenue: pick(totals, 'artist_escrow', 'payment', 'credit') -
+        pick(totals, 'artist_escrow', 'refund', 'debit') -
+        pick(totals, 'artist_payable', 'refund', 'debit'),
+      held: pick(totals, 'artist_escrow', null, 'credit') - pick(totals, 'artist_escrow', null, 'debit'),
+      payable: pick(totals, 'artist_payable', null, 'credit') - pick(totals, 'artist_payable', null, 'debit'),
+      paidOut: pick(totals, 'artist_payable', 'payout', 'debit') - pick(totals, 'artist_payable', 'payout_reversal', 'credit')
+    };
+  },
+
+  /**
+   * Rapprocher le grand livre des paiements, séquestres, retraits et réservations
+   * @returns {Promise<Object>} - { balanced, checkedAt, totals, issues }
+   */
+  async reconcile() {
+    const issues = [];
+
+    // 1. Balance générale par compte
+    const accountRows = await LedgerEntry.aggregate([
+      { $group: { _id: '$account', debit: { $sum: '$debit' }, credit: { $sum: '$credit' } } }
+    ]);
+    const totals = {};
+    let totalDebit = 0;
+    let totalCredit = 0;
+    accountRows.forEach(row => {
+      totals[row._id] = { debit: row.debit, credit: row.credit, balance: row.credit - row.debit };
+      totalDebit += row.debit;
+      totalCredit += row.credit;
+    });
+    if (totalDebit !== totalCredit) {
+      issues.push({
+        type: 'trial_balance',
+        message: `Le total des débits (${totalDebit}) diffère du total des crédits (${totalCredit})`
+      });
+    }
+
+    // 2. Écritures déséquilibrées (lignes manquantes)
+    const unbalanced = await LedgerEntry.aggregate([
+      { $group: { _id: '$journal', debit: { $sum: '$debit' }, credit: { $sum: '$credit' } } },
+      { $match: { $expr: { $ne: ['$debit', '$credit'] } } }
+    ]);
+    unbalanced.forEach(row => issues.push({
+      type: 'unbalanced_journal',
+      journal: row._id,
+      message: `Écriture ${row._id} déséquilibrée: débit ${row.debit}, crédit ${row.credit}`
+    }));
+
+    // 3. Paiements encaissés sans écriture ou dont l'écriture diffère du montant
+    const collected = await LedgerEntry.aggregate([
+      { $match: { kind: 'payment', account: 'provider_clearing' } },
+      { $group: { _id: '$payment', amount: { $sum: '$debit' } } }
+    ]);
+    const collectedByPayment = new Map(collected.map(row => [String(row._id), row.amount]));
+    const settledPayments = await Payment.find({ status: { $in: ['completed', 'partially_refunded', 'refunded'] } })
+      .select('reference totalAmount reservation');
+    settledPayments.forEach(payment => {
+      const amount = collectedByPayment.get(String(payment._id));
+      if (amount === undefined) {
+        issues.push({
+          type: 'missing_payment_entry',
+          payment: payment._id,
+          message: `Le paiement ${payment.reference} n'a aucune écriture d'encaissement`
+        });
+      } else if (amount !== payment.totalAmount) {
+        issues.push({
+          type: 'payment_amount_mismatch',
+          payment: payment._id,
+          message: `Le paiement ${payment.reference} (${payment.totalAmount}) a été encaissé pour ${amount}`
+        });
+      }
+      collectedByPayment.delete(String(payment._id));
+    });
+    collectedByPayment.forEach((amount, paymentId) => issues.push({
+      type: 'unexpected_payment_entry',
+      payment: paymentId,
+      message: `Un encaissement de ${amount} est enregistré pour un paiement non confirmé`
+    }));
+
+    // 4. Séquestres: le compte artist_escrow doit égaler les fonds non libérés,
+    //    déduction faite des remboursements effectués sur le séquestre
+    const heldEscrows = await Escrow.aggregate([
+      { $group: { _id: '$artist', amount: { $sum: { $subtract: ['$amount', '$releasedAmount'] } } } }
+    ]);
+    const escrowRefunds = await Refund.aggregate([
+      { $match: { status: 'completed', artistAccount: 'artist_escrow' } },
+      { $group: { _id: '$artist', amount: { $sum: '$artistAmount' } } }
+    ]);
+    const escrowAccounts = await LedgerEntry.aggregate([
+      { $match: { account: 'artist_escrow' } },
+      { $group: { _id: '$owner', balance: { $sum: { $subtract: ['$credit', '$debit'] } } } }
+    ]);
+    const heldByArtist = new Map(heldEscrows.map(row => [String(row._id), row.amount]));
+    escrowRefunds.forEach(row => {
+      heldByArtist.set(String(row._id), (heldByArtist.get(String(row._id)) || 0) - row.amount);
+    });
+    escrowAccounts.forEach(row => {
+      const held = heldByArtist.get(String(row._id)) || 0;
+      if (held !== row.balance) {
+        issues.push({
+          type: 'escrow_mismatch',
+          artist: row._id,
+          message: `Séquestre de l'artiste ${row._id}: ${held} retenus, ${row.balance} au grand livre`
+        });
+      }
+      heldByArtist.delete(String(row._id));
+    });
+    heldByArtist.forEach((held, artistId) => {
+      if (held !== 0) {
+        issues.push({
+          type: 'escrow_mismatch',
+          artist: artistId,
+          message: `Séquestre de l'artiste ${artistId}: ${held} retenus, aucune écriture au grand livre`
+        });
+      }
+    });
+
+    // 5. Remboursements effectués sans écriture
+    const refundJournals = new Set(await LedgerEntry.distinct('journal', { kind: 'refund' }));
+    const completedRefunds = await Refund.find({ status: 'completed' }).select('reference');
+    completedRefunds.forEach(refund => {
+      if (!refundJournals.has(`refund:${refund._id}`)) {
+        issues.push({
+          type: 'missing_refund_entry',
+          refund: refund._id,
+          message: `Le remboursement ${refund.reference} n'a aucune écriture au grand livre`
+        });
+      }
+    });
+
+    // 6. Retraits: un retrait engagé doit être débité, un retrait échoué contre-passé
+    const payoutJournals = new Set(await LedgerEntry.distinct('journal', { kind: { $in: ['payout', 'payout_reversal'] } }));
+    const payouts = await Payout.find({}).select('reference status');
+    payouts.forEach(payout => {
+      const debited = payoutJournals.has(`payout:${payout._id}`);
+      const reversed = payoutJournals.has(`payout_reversal:${payout._id}`);
+      if (!debited) {
+        issues.push({
+          type: 'missing_payout_entry',
+          payout: payout._id,
+          message: `Le retrait ${payout.reference} n'a pas été débité du solde de l'artiste`
+        });
+      } else if (payout.status === 'failed' && !reversed) {
+        issues.push({
+          type: 'missing_payout_reversal',
+          payout: payout._id,
+          message: `Le retrait échoué ${payout.reference} n'a pas été recrédité à l'artiste`
+        });
+      } else if (payout.status !== 'failed' && reversed) {
+        issues.push({
+          type: 'unexpected_payout_reversal',
+          payout: payout._id,
+          message: `Le retrait ${payout.reference} (${payout.status}) a été recrédité à l'artiste`
+        });
+      }
+    });
+
+    // 7. Statut de paiement des réservations face aux montants encaissés
+    const netByReservation = await LedgerEntry.aggregate([
+      { $match: { account: 'booker_wallet', kind: { $in: ['payment', 'refund'] } } },
+      {
+        $group: {
+          _id: '$reservation',
+          paid: { $sum: { $cond: [{ $eq: ['$kind', 'payment'] }, '$debit', 0] } },
+          refunded: { $sum: { $cond: [{ $eq: ['$kind', 'refund'] }, '$credit', 0] } }
+        }
+      }
+    ]);
+    const netMap = new Map(netByReservation.map(row => [String(row._id), row]));
+    const reservations = await Reservation.find({ paymentStatus: { $ne: 'pending' } })
+      .select('paymentStatus amount serviceFee');
+    reservations.forEach(reservation => {
+      const row = netMap.get(String(reservation._id)) || { paid: 0, refunded: 0 };
+      const total = reservation.amount + reservation.serviceFee;
+      const net = row.paid - row.refunded;
+      const expected = {
+        paid: net === total,
+        partial: net > 0 && net < total,
+        failed: row.paid === 0,
+        partially_refunded: row.refunded > 0 && net > 0,
+        refunded: row.paid > 0 && net === 0
+      }[reservation.paymentStatus];
+
+      if (expected === false) {
+        issues.push({
+          type: 'reservation_status_mismatch',
+          reservation: reservation._id,
+          message: `Réservation ${reservation._id} "${reservation.paymentStatus}" alors que ${net} sur ${total} ont été encaissés`
+        });
+      }
+    });
+
+    return {
+      balanced: issues.length === 0,
+      checkedAt: new Date(),
+      totals,
+      issues
+    };
+  }
+};
+
+module.exports = ledger;
@@ -0,0 +1,167 @@
+const { Artist, MediaFile } = require('../models');
+const ErrorResponse = require('./errorResponse');
+const fileStore = require('./fileStore');
+const fileType = require('./fileType');
+const imageProcessor = require('./imageProcessor');
+const config = require('../config/uploads');
+
+/**
+ * Service des photos publiques des artistes: contrôle du contenu, tailles dérivées, quota de stockage,
+ * enregistrement et suppression des fichiers derrière les URL de l'artiste et de ses services
+ */
+const mediaService = {
+  /**
+   * Enregistrer des photos envoyées par un artiste, avec leurs tailles dérivées et versions WebP
+   * L'espace occupé par l'ensemble des fichiers est réservé sur le quota de l'artiste avant toute écriture
+   * @param {String} artistId - ID de l'artiste
+   * @param {Array} files - Fichiers reçus par multer
+   * @param {Object} options - { kind: profile_photo, gallery ou service_photo, service }
+   * @returns {Promise<Array>} - Documents MediaFile créés, dans l'ordre des fichiers
+   * @throws {ErrorResponse} - 400 si aucun fichier n'est fourni, 413 si le quota est dépassé,
+   *                           415 si un fichier n'est pas une image acceptée
+   */
+  async upload(artistId, files = [], { kind, service } = {}) {
+    if (files.length === 0) {
+      throw new ErrorResponse('Veuillez fournir au moins une image', 400);
+    }
+
+    files.forEach(file => fileType.assertAllowed(file, config.media.allowedTypes));
+
+    // Réencoder avant d'écrire: seules les images nettoyées de leurs métadonnées sont conservées
+    const processed = [];
+    for (const file of files) {
+      processed.push({ file, outputs: await imageProcessor.derive(file.buffer) });
+    }
+    const totalBytes = processed.reduce((total, { outputs }) =>
+      total + outputs.reduce((sum, output) => sum + output.buffer.length, 0), 0);
+
+    // Réserver l'espace de façon atomique
+    const reserved = await Artist.findOneAndUpdate(
+      {
+        _id: artistId,
+        $or: [
+          { 'mediaUsage.bytes': { $exists: false } },
+          { 'mediaUsage.bytes': { $lte: config.media.maxBytesPerArtist - totalBytes } }
+        ]
+      },
+      { $inc: { 'mediaUsage.bytes': totalBytes } }
+    );
+    if (!reserved) {
+      throw new ErrorResponse(`Espace de stockage insuffisant (quota de ${Math.floor(config.media.maxBytesPerArtist / (1024 * 1024))} Mo par artiste)`, 413);
+    }
+
+    const mediaFiles = [];
+    const writtenKeys = [];
+    try {
+      for (const { file, outputs } of processed) {
+        const name = fileStore.randomName();
+        const variants = [];
+        for (const output of outputs) {
+          const { key, url } = await fileStore.save(output.buffer, {
+            directory: `artists/${artistId}`,
+            extension: output.extension,
+            contentType: output.mimeType,
+            name: output.name === 'original' ? name : `${name}-${output.name}`
+          });
+          writtenKeys.push(key);
+          variants.push({
+            name: output.name,
+            format: output.format,
+            key,
+            url,
+            mimeType: output.mimeType,
+            width: output.width,
+            height: output.height,
+            size: output.buffer.length
+          });
+        }
+
+        const original = variants.find(variant => variant.name === 'original' && variant.format === 'fallback');
+        mediaFiles.push(await MediaFile.create({
+          owner: artistId,
+          kind,
+          service,
+          key: original.key,
+          url: original.url,
+          mimeType: original.mimeType,
+          width: original.width,
+          height: original.height,
+          size: variants.reduce((total, variant) => total + variant.size, 0),
+          originalName: file.originalname,
+          variants: variants.filter(variant => variant !== original)
+        }));
+      }
+    } catch (error) {
+      await Promise.all(writtenKeys.map(key => fileStore.remove(key)));
+      await MediaFile.deleteMany({ _id: { $in: mediaFiles.map(media => media._id) } });
+      await Artist.updateOne({ _id: artistId }, { $inc: { 'mediaUsage.bytes': -totalBytes } });
+      throw error;
+    }
+
+    return mediaFiles;
+  },
+
+  /**
+   * URL d'une photo et de ses variantes, au format enregistré sur l'artiste ou le service
+   * @param {Object} media - Document MediaFile
+   * @returns {Object} - { original, thumbnail, medium, large, webp: { original, thumbnail, ... } }
+   */
+  variantSet(media) {
+    const set = { original: media.url, webp: {} };
+    media.variants.forEach(variant => {
+      if (variant.format === 'webp') {
+        set.webp[variant.name] = variant.url;
+      } else {
+        set[variant.name] = variant.url;
+      }
+    });
+    return set;
+  },
+
+  /**
+   * Annuler un envoi qui n'a pas pu être rattaché à l'artiste ou au service, ou supprimer des photos retirées
+   * @param {String} artistId - ID de l'artiste
+   * @param {Array} mediaFiles - Documents MediaFile
+   */
+  async discard(artistId, mediaFiles) {
+    const keys = mediaFiles.flatMap(media => [media.key, ...media.variants.map(variant => variant.key)]);
+    const bytes = mediaFiles.reduce((total, media) => total + media.size, 0);
+
+    await Promise.all(keys.map(key => fileStore.remove(key)));
+    await MediaFile.deleteMany({ _id: { $in: mediaFiles.map(media => media._id) } });
+    await Artist.updateOne({ _id: artistId }, { $inc: { 'mediaUsage.bytes': -bytes } });
+  },
+
+  /**
+   * Supprimer les fichiers envoyés derrière des URL retirées par l'artiste
+   * Les URL externes (saisies par le client) sont ignorées
+   * @param {String} artistId - ID de l'artiste
+   * @param {Array} urls - URL retirées
+   * @returns {Promise<Number>} - Nombre de fichiers supprimés
+   */
+  async removeByUrls(artistId, urls = []) {
+    if (urls.length === 0) {
+      return 0;
+    }
+    const mediaFiles = await MediaFile.find({ owner: artistId, url: { $in: urls } });
+    if (mediaFiles.length > 0) {
+      await this.discard(artistId, mediaFiles);
+    }
+    return mediaFiles.length;
+  },
+
+  /**
+   * Supprimer les photos d'un service supprimé
+   * @param {Object} service - Document du service
+   * @returns {Promise<Number>} - Nombre de fichiers supprimés
+   */
+  async removeForService(service) {
+    const mediaFiles = await MediaFile.find({ service: service._id });
+    if (mediaFiles.length > 0) {
+      await this.discard(service.artist, mediaFiles);
+    }
+    return mediaFiles.length;
+  }
+};
+
+module.exports = mediaService;
@@ -0,0 +1,191 @@
+const mongoose = require('mongoose');
+const { Notification } = require('../models');
+const config = require('../config/notifications');
+
+// Connexions ouvertes par destinataire: "Artist:<id>" => Set de fonctions d'envoi
+const subscribers = new Map();
+
+// Mises à jour du compteur de non lues en attente, par destinataire
+const pendingUnreadCounts = new Map();
+
+// Change stream sur la collection des notifications (null en mode local)
+let changeStream = null;
+let retryTimer = null;
+
+/**
+ * Clé d'un destinataire
+ * @param {Object} recipient - { recipientId, recipientModel }
+ * @returns {String} - Clé
+ */
+const keyOf = ({ recipientId, recipientModel }) => `${recipientModel}:${recipientId}`;
+
+/**
+ * Indiquer si le serveur MongoDB permet les change streams (replica set ou cluster)
+ * @returns {Promise<Boolean>} - True si les change streams sont disponibles
+ */
+const supportsChangeStreams = async () => {
+  await mongoose.connection.asPromise();
+  const hello = await mongoose.connection.db.admin().command({ hello: 1 });
+  return Boolean(hello.setName) || hello.msg === 'isdbgrid';
+};
+
+/**
+ * Diffusion des notifications aux connexions temps réel ouvertes sur cette instance
+ *
+ * Avec un change stream MongoDB, chaque instance reçoit les notifications créées par toutes les autres
+ * et les pousse à ses propres connexions. Sans replica set, l'instance ne pousse que les notifications
+ * qu'elle crée elle-même (mode local).
+ */
+const notificationHub = {
+  /**
+   * Démarrer le suivi des notifications (change stream si disponible, sinon mode local)
+   */
+  async start() {
+    if (!config.stream.changeStream || changeStream) {
+      return;
+    }
+
+    try {
+      if (!(await supportsChangeStreams())) {
+        console.log('Notifications temps réel: change streams indisponibles (serveur MongoDB autonome), mode local');
+        return;
+      }
+
+      changeStream = Notification.watch(
+        [{ $match: { operationType: { $in: ['insert', 'update', 'replace'] } } }],
+        { fullDocument: 'updateLookup' }
+      );
+
+      changeStream.on('change', (change) => {
+        if (!change.fullDocument) {
+          return;
+        }
+        if (change.operationType === 'insert') {
+          this.deliver(Notification.hydrate(change.fullDocument));
+        } else {
+          this.unreadCountChanged({
+            recipientId: change.fullDocument.recipient,
+            recipientModel: change.fullDocument.recipientModel
+          });
+        }
+      });
+
+      changeStream.on('error', (error) => {
+        console.error('Notifications temps réel: erreur du change stream, retour au mode local:', error.message);
+        this.stop();
+        retryTimer = setTimeout(() => this.start(), config.stream.changeStreamRetrySeconds * 1000);
+      });
+
+      console.log('Notifications temps réel: change stream MongoDB ouvert');
+    } catch (error) {
+      console.error('Notifications temps réel: impossible d\'ouvrir le change stream, mode local:', error.message);
+      this.stop();
+    }
+  },
+
+  /**
+   * Fermer le change stream
+   */
+  stop() {
+    clearTimeout(retryTimer);
+    retryTimer = null;
+    if (changeStream) {
+      const stream = changeStream;
+      changeStream = null;
+      Promise.resolve(stream.close()).catch(() => {});
+    }
+  },
+
+  /**
+   * Indiquer si les notifications sont suivies par un change stream
+   * @returns {Boolean} - True avec un change stream, false en mode local
+   */
+  usesChangeStream() {
+    return changeStream !== null;
+  },
+
+  /**
+   * Ouvrir un abonnement aux événements d'un destinataire
+   * @param {Object} recipient - { recipientId, recipientModel }
+   * @param {Function} send - Appelée avec { event, data, id } à chaque événement
+   * @returns {Function} - Fonction de désabonnement
+   */
+  subscribe(recipient, send) {
+    const key = keyOf(recipient);
+    if (!subscribers.has(key)) {
+      subscribers.set(key, new Set());
+    }
+    subscribers.get(key).add(send);
+
+    return () => {
+      const listeners = subscribers.get(key);
+      if (listeners) {
+        listeners.delete(send);
+        if (listeners.size === 0) {
+          subscribers.delete(key);
+        }
+      }
+    };
+  },
+
+  /**
+   * Envoyer un événement aux connexions d'un destinataire
+   * @param {Object} recipient - { recipientId, recipientModel }
+   * @param {Object} event - { event, data, id }
+   */
+  dispatch(recipient, event) {
+    const listeners = subscribers.get(keyOf(recipient));
+    if (listeners) {
+      listeners.forEach(send => send(event));
+    }
+  },
+
+  /**
+   * Signaler une notification créée par cette instance
+   * Avec un change stream, la notification sera poussée à sa lecture dans le flux (une seule fois)
+   * @param {Object} notification - Document de la notification
+   */
+  notificationCreated(notification) {
+    if (!this.usesChangeStream()) {
+      this.deliver(notification);
+    }
+  },
+
+  /**
+   * Pousser une notification et le nouveau compteur de non lues à son destinataire
+   * @param {Object} notification - Document de la notification
+   */
+  deliver(notification) {
+    const recipient = { recipientId: notification.recipient, recipientModel: notification.recipientModel };
+    this.dispatch(recipient, { event: 'notification', data: notification.toJSON(), id: String(notification._id) });
+    this.unreadCountChanged(recipient);
+  },
+
+  /**
+   * Pousser le compteur de non lues d'un destinataire (les changements rapprochés sont regroupés)
+   * Le compteur est relu en base: l'envoyer plusieurs fois est sans effet pour le client
+   * @param {Object} recipient - { recipientId, recipientModel }
+   */
+  unreadCountChanged(recipient) {
+    const key = keyOf(recipient);
+    if (!subscribers.has(key) || pendingUnreadCounts.has(key)) {
+      return;
+    }
+
+    pendingUnreadCounts.set(key, setTimeout(async () => {
+      pendingUnreadCounts.delete(key);
+      try {
+        const count = await Notification.countDocuments({
+          recipient: recipient.recipientId,
+          recipientModel: recipient.recipientModel,
+          isRead: false
+        });
+        this.dispatch(recipient, { event: 'unread_count', data: { count } });
+      } catch (error) {
+        console.error('Erreur lors du calcul du nombre de notifications non lues:', error);
+      }
+    }, config.stream.unreadCountDebounceMs));
+  }
+};
+
+module.exports = notificationHub;
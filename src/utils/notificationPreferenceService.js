@@ -0,0 +1,200 @@
+const { Notification, NotificationPreference } = require('../models');
+const ErrorResponse = require('./errorResponse');
+const config = require('../config/notifications');
+
+/**
+ * Convertir une heure HH:MM en minutes depuis minuit
+ * @param {String} time - Heure HH:MM
+ * @returns {Number} - Minutes
+ */
+const toMinutes = (time) => {
+  const [hours, minutes] = time.split(':').map(Number);
+  return hours * 60 + minutes;
+};
+
+/**
+ * Indiquer si un fuseau horaire IANA est connu
+ * @param {String} timezone - Fuseau (ex: Africa/Abidjan)
+ * @returns {Boolean} - True si le fuseau est valide
+ */
+const isValidTimezone = (timezone) => {
+  try {
+    new Intl.DateTimeFormat('fr-FR', { timeZone: timezone });
+    return true;
+  } catch (error) {
+    return false;
+  }
+};
+
+/**
+ * Service des préférences de notification: canaux activés par type et heures calmes
+ */
+const notificationPreferenceService = {
+  /**
+   * Préférences effectives à partir du document enregistré et des valeurs par défaut du type
+   * @param {String} type - Type de notification
+   * @param {Object} preference - Document NotificationPreference (absent si rien n'a été choisi)
+   * @returns {Object} - { type, channels, quietHours, customized }
+   */
+  resolve(type, preference) {
+    const channels = config.defaultChannels(type);
+    const stored = (preference && preference.channels) || {};
+    config.CHANNELS.forEach(channel => {
+      if (typeof stored[channel] === 'boolean') {
+        channels[channel] = stored[channel];
+      }
+    });
+
+    const quietHours = (preference && preference.quietHours) || {};
+
+    return {
+      type,
+      channels,
+      quietHours: {
+        enabled: Boolean(quietHours.enabled),
+        start: quietHours.start || null,
+        end: quietHours.end || null,
+        timezone: quietHours.timezone || config.defaultTimezone
+      },
+      customized: Boolean(preference)
+    };
+  },
+
+  /**
+   * Préférences effectives d'un utilisateur pour un type
+   * @param {String} userId - ID de l'utilisateur
+   * @param {String} type - Type de notification
+   * @returns {Promise<Object>} - { type, channels, quietHours, customized }
+   */
+  async getEffective(userId, type) {
+    const preference = await NotificationPreference.findOne({ user: userId, type }).lean();
+    return this.resolve(type, preference);
+  },
+
+  /**
+   * Préférences effectives d'un utilisateur pour tous les types
+   * @param {String} userId - ID de l'utilisateur
+   * @returns {Promise<Array>} - Une entrée par type de notification
+   */
+  async list(userId) {
+    const preferences = await NotificationPreference.find({ user: userId }).lean();
+    const byType = new Map(preferences.map(preference => [preference.type, preference]));
+    return Notification.TYPES.map(type => this.resolve(type, byType.get(type)));
+  },
+
+  /**
+   * Modifier les préférences d'un utilisateur
+   * @param {String} userId - ID de l'utilisateur
+   * @param {Array} entries - [{ type (ou "all" pour tous les types), channels: { sms: false... }, quietHours }]
+   * @returns {Promise<Array>} - Préférences effectives après modification
+   * @throws {ErrorResponse} - 400 si une entrée est invalide
+   */
+  async update(userId, entries) {
+    if (!Array.isArray(entries) || entries.length === 0) {
+      throw new ErrorResponse('Veuillez fournir au moins une préférence (preferences)', 400);
+    }
+
+    // Valider toutes les entrées avant d'en enregistrer une seule
+    const operations = entries.flatMap((entry) => {
+      const { type, channels, quietHours } = entry || {};
+      if (type !== 'all' && !Notification.TYPES.includes(type)) {
+        throw new ErrorResponse(`Type de notification inconnu: ${type}`, 400);
+      }
+
+      const changes = {};
+      if (channels !== undefined) {
+        if (!channels || typeof channels !== 'object') {
+          throw new ErrorResponse('Les canaux doivent être un objet (ex: { "sms": false })', 400);
+        }
+        Object.entries(channels).forEach(([channel, enabled]) => {
+          if (!config.CHANNELS.includes(channel)) {
+            throw new ErrorResponse(`Canal inconnu: ${channel} (canaux: ${config.CHANNELS.join(', ')})`, 400);
+          }
+          if (typeof enabled !== 'boolean') {
+            throw new ErrorResponse(`Le canal ${channel} doit être activé (true) ou désactivé (false)`, 400);
+          }
+          changes[`channels.${channel}`] = enabled;
+        });
+      }
+
+      if (quietHours !== undefined) {
+        const { enabled, start, end, timezone } = quietHours || {};
+        if (typeof enabled !== 'boolean') {
+          throw new ErrorResponse('Les heures calmes doivent être activées ou désactivées (quietHours.enabled)', 400);
+        }
+        if (enabled && (!NotificationPreference.TIME_PATTERN.test(start || '') || !NotificationPreference.TIME_PATTERN.test(end || ''))) {
+          throw new ErrorResponse('Les heures calmes doivent préciser un début et une fin au format HH:MM', 400);
+        }
+        if (timezone !== undefined && !isValidTimezone(timezone)) {
+          throw new ErrorResponse(`Fuseau horaire inconnu: ${timezone}`, 400);
+        }
+        changes['quietHours.enabled'] = enabled;
+        if (start !== undefined) {
+          changes['quietHours.start'] = start;
+        }
+        if (end !== undefined) {
+          changes['quietHours.end'] = end;
+        }
+        if (timezone !== undefined) {
+          changes['quietHours.timezone'] = timezone;
+        }
+      }
+
+      if (Object.keys(changes).length === 0) {
+        throw new ErrorResponse('Chaque préférence doit modifier des canaux (channels) ou les heures calmes (quietHours)', 400);
+      }
+
+      const types = type === 'all' ? Notification.TYPES : [type];
+      return types.map(target => ({
+        updateOne: {
+          filter: { user: userId, type: target },
+          update: { $set: { ...changes, updatedAt: new Date() } },
+          upsert: true
+        }
+      }));
+    });
+
+    await NotificationPreference.bulkWrite(operations, { ordered: true });
+
+    return this.list(userId);
+  },
+
+  /**
+   * Fin des heures calmes en cours
+   * @param {Object} quietHours - { enabled, start, end, timezone }
+   * @param {Date} now - Date de référence
+   * @returns {Date|null} - Date de fin des heures calmes, null en dehors des heures calmes
+   */
+  quietUntil(quietHours, now = new Date()) {
+    if (!quietHours || !quietHours.enabled || !quietHours.start || !quietHours.end) {
+      return null;
+    }
+
+    // Heure locale du destinataire
+    const parts = new Intl.DateTimeFormat('en-GB', {
+      timeZone: quietHours.timezone || config.defaultTimezone,
+      hour: '2-digit',
+      minute: '2-digit',
+      hourCycle: 'h23'
+    }).formatToParts(now);
+    const part = (name) => Number(parts.find(item => item.type === name).value);
+    const current = part('hour') * 60 + part('minute');
+
+    const start = toMinutes(quietHours.start);
+    const end = toMinutes(quietHours.end);
+    // Une plage dont la fin précède le début passe minuit (ex: 22:00 - 07:00)
+    const quiet = start <= end
+      ? current >= start && current < end
+      : current >= start || current < end;
+    if (!quiet) {
+      return null;
+    }
+
+    const remaining = (end - current + 24 * 60) % (24 * 60);
+    const until = new Date(now.getTime() + remaining * 60 * 1000);
+    until.setSeconds(0, 0);
+    return until;
+  }
+};
+
+module.exports = notificationPreferenceService;
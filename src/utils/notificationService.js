@@ -1,17 +1,61 @@
-const { Notification } = require('../models');
+const { Notification, User } = require('../models');
+const notificationHub = require('./notificationHub');
+const notificationPreferenceService = require('./notificationPreferenceService');
+const notificationTransports = require('./notificationTransports');
+const notificationTemplates = require('./notificationTemplates');
+const notificationsConfig = require('../config/notifications');
+
+// Canaux desservis par un transport (le canal in-app est la notification enregistrée)
+const EXTERNAL_CHANNELS = ['sms', 'email', 'push'];
+
+// Modèle des notifications de paiement selon l'action
+const PAYMENT_TEMPLATES = {
+  created: 'payment_received',
+  confirmed: 'payment_confirmed',
+  refunded: 'payment_refunded',
+  failed: 'payment_failed'
+};
 
 /**
  * Service de gestion des notifications
  */
 const notificationService = {
   /**
-   * Créer une nouvelle notification
-   * @param {Object} notificationData - Données de la notification
+   * Créer une nouvelle notification et la diffuser sur les canaux choisis par le destinataire
+   * Avec un modèle (template), le titre et le message sont rendus dans la langue du destinataire
+   * Si le destinataire a désactivé le canal in-app pour ce type, la notification n'est pas enregistrée
+   * @param {Object} notificationData - Données de la notification ({ template, variables } ou { title, message })
    * @returns {Promise<Object>} - La notification créée
    */
   async createNotification(notificationData) {
     try {
-      const notification = await Notification.create(notificationData);
+      const { variables, ...fields } = notificationData;
+
+      const [preference, user] = await Promise.all([
+        notificationPreferenceService.getEffective(fields.recipient, fields.type),
+        User.findById(fields.recipient).select('email phone locale isActive +pushTokens')
+      ]);
+      const locale = (user && user.locale) || notificationsConfig.defaultLocale;
+
+      if (fields.template) {
+        const content = await notificationTemplates.render(fields.template, 'inApp', locale, variables);
+        fields.title = content.title;
+        fields.message = content.body;
+      }
+
+      let notification;
+      if (preference.channels.inApp) {
+        notification = await Notification.create(fields);
+
+        // Pousser la notification aux connexions temps réel du destinataire
+        notificationHub.notificationCreated(notification);
+      } else {
+        notification = new Notification(fields);
+        await notification.validate();
+      }
+
+      await this.dispatch(notification, preference, { user, locale, variables });
+
       return notification;
     } catch (error) {
       console.error('Erreur lors de la création de la notification:', error);
@@ -19,6 +63,63 @@ const notificationService = {
     }
   },
 
+  /**
+   * Titre et texte d'une notification pour un canal externe
+   * @param {Object} notification - Document de la notification
+   * @param {String} channel - Canal (sms, email, push)
+   * @param {String} locale - Langue du destinataire
+   * @param {Object} variables - Valeurs des variables du modèle
+   * @returns {Promise<Object>} - { title, body }
+   */
+  async renderContent(notification, channel, locale, variables) {
+    if (notification.template) {
+      return notificationTemplates.render(notification.template, channel, locale, variables);
+    }
+    // Notification sans modèle: le titre et le message enregistrés sont repris tels quels
+    return {
+      title: channel === 'sms' ? null : notification.title,
+      body: channel === 'sms' ? `BookMi: ${notification.message}` : notification.message
+    };
+  },
+
+  /**
+   * Envoyer une notification sur les canaux externes activés (SMS, e-mail, push)
+   * L'échec d'un canal n'empêche pas les autres et n'annule pas la notification
+   * @param {Object} notification - Document de la notification
+   * @param {Object} preference - Préférences effectives du destinataire pour ce type
+   * @param {Object} context - { user (avec email, phone, pushTokens), locale, variables du modèle }
+   */
+  async dispatch(notification, preference, { user, locale, variables } = {}) {
+    const channels = EXTERNAL_CHANNELS.filter(channel => preference.channels[channel]);
+    if (channels.length === 0) {
+      return;
+    }
+
+    if (!user || user.isActive === false) {
+      return;
+    }
+
+    const quietUntil = notificationPreferenceService.quietUntil(preference.quietHours);
+
+    for (const channel of channels) {
+      const policy = quietUntil ? notificationsConfig.quietHoursPolicy[channel] : 'send';
+      if (policy === 'skip') {
+        continue;
+      }
+
+      try {
+        await notificationTransports.getTransport(channel).send({
+          user,
+          notification,
+          content: await this.renderContent(notification, channel, locale, variables),
+          sendAt: policy === 'defer' ? quietUntil : null
+        });
+      } catch (error) {
+        console.error(`Erreur lors de l'envoi de la notification ${notification.type} par ${channel}:`, error.message);
+      }
+    }
+  },
+
   /**
    * Créer une notification pour une nouvelle réservation
    * @param {Object} reservation - La réservation créée
@@ -35,8 +136,13 @@ const notificationService = {
         relatedId: reservation._id,
         relatedModel: 'Reservation',
         type: 'new_reservation',
-        title: 'Nouvelle réservation',
-        message: `Vous avez une nouvelle réservation pour le ${reservation.date}`,
+        template: 'new_reservation',
+        variables: {
+          date: reservation.date,
+          startTime: reservation.startTime,
+          endTime: reservation.endTime,
+          location: reservation.location
+        },
         data: {
           reservationId: reservation._id,
           serviceId: reservation.serviceId,
@@ -62,27 +168,11 @@ const notificationService = {
    */
   async notifyReservationStatusChange(reservation, previousStatus) {
     try {
-      let type, title, message;
-
-      switch (reservation.status) {
-        case 'confirmed':
-          type = 'reservation_confirmed';
-          title = 'Réservation confirmée';
-          message = `Votre réservation pour le ${reservation.date} a été confirmée par l'artiste`;
-          break;
-        case 'completed':
-          type = 'reservation_completed';
-          title = 'Réservation terminée';
-          message = `Votre réservation pour le ${reservation.date} est maintenant terminée`;
-          break;
-        case 'cancelled':
-          type = 'reservation_cancelled';
-          title = 'Réservation annulée';
-          message = `Votre réservation pour le ${reservation.date} a été annulée`;
-          break;
-        default:
-          return null; // Ne pas créer de notification pour les autres statuts
+      // Ne pas créer de notification pour les autres statuts
+      if (!['confirmed', 'completed', 'cancelled'].includes(reservation.status)) {
+        return null;
       }
+      const type = `reservation_${reservation.status}`;
 
       // Notification pour le booker
       const bookerNotification = {
@@ -93,8 +183,12 @@ const notificationService = {
         relatedId: reservation._id,
         relatedModel: 'Reservation',
         type,
-        title,
-        message,
+        template: type,
+        variables: {
+          date: reservation.date,
+          startTime: reservation.startTime,
+          endTime: reservation.endTime
+        },
         data: {
           reservationId: reservation._id,
           serviceId: reservation.serviceId,
@@ -113,6 +207,43 @@ const notificationService = {
     }
   },
 
+  /**
+   * Destinataire des notifications d'un utilisateur connecté
+   * @param {Object} user - Utilisateur (req.user)
+   * @returns {Object|null} - { recipientId, recipientModel }, null pour un rôle sans notifications
+   */
+  getRecipient(user) {
+    if (user.role === 'artist') {
+      return { recipientId: user.artist || user.id, recipientModel: 'Artist' };
+    }
+    if (user.role === 'booker') {
+      return { recipientId: user.booker || user.id, recipientModel: 'Booker' };
+    }
+    return null;
+  },
+
+  /**
+   * Compter les notifications non lues d'un destinataire
+   * @param {Object} recipient - { recipientId, recipientModel }
+   * @returns {Promise<Number>} - Nombre de notifications non lues
+   */
+  async countUnread({ recipientId, recipientModel }) {
+    return Notification.countDocuments({ recipient: recipientId, recipientModel, isRead: false });
+  },
+
+  /**
+   * Notifications créées après une notification donnée (rattrapage à la reconnexion)
+   * @param {Object} recipient - { recipientId, recipientModel }
+   * @param {String} lastSeenId - ID de la dernière notification reçue par le client
+   * @param {Number} limit - Nombre maximum de notifications
+   * @returns {Promise<Array>} - Notifications, de la plus ancienne à la plus récente
+   */
+  async getNotificationsSince({ recipientId, recipientModel }, lastSeenId, limit) {
+    return Notification.find({ recipient: recipientId, recipientModel, _id: { $gt: lastSeenId } })
+      .sort({ _id: 1 })
+      .limit(limit);
+  },
+
   /**
    * Récupérer les notifications d'un utilisateur
    * @param {String} recipientId - ID du destinataire
@@ -191,86 +322,37 @@ const notificationService = {
    * Créer des notifications pour un paiement
    * @param {Object} payment - Le paiement effectué
    * @param {Object} reservation - La réservation associée au paiement
-   * @param {String} action - L'action de paiement ('created', 'confirmed', 'refunded', etc.)
+   * @param {String} action - L'action de paiement ('created', 'confirmed', 'refunded' ou 'failed')
+   * @param {Object} options - { amount } montant à annoncer s'il diffère du paiement (remboursement partiel)
    * @returns {Promise<Array>} - Les notifications créées
    */
-  async notifyPayment(payment, reservation, action = 'created') {
+  async notifyPayment(payment, reservation, action = 'created', options = {}) {
     try {
       const notifications = [];
-      const isAdvancePayment = payment.paymentType === 'advance';
-      const formattedAmount = payment.amount.toLocaleString();
-      let artistTitle, artistMessage, bookerTitle, bookerMessage;
-      
-      // Déterminer les messages en fonction de l'action et du type de paiement
-      switch (action) {
-        case 'created':
-          artistTitle = 'Paiement reçu';
-          artistMessage = isAdvancePayment 
-            ? `Un acompte de ${formattedAmount} FCFA a été reçu pour la réservation du ${reservation.date}`
-            : `Un paiement de ${formattedAmount} FCFA a été reçu pour la réservation du ${reservation.date}`;
-            
-          bookerTitle = 'Paiement effectué';
-          bookerMessage = isAdvancePayment
-            ? `Votre acompte de ${formattedAmount} FCFA pour la réservation du ${reservation.date} a été traité avec succès`
-            : `Votre paiement de ${formattedAmount} FCFA pour la réservation du ${reservation.date} a été traité avec succès`;
-          break;
-          
-        case 'confirmed':
-          artistTitle = 'Paiement confirmé';
-          artistMessage = isAdvancePayment
-            ? `Un acompte de ${formattedAmount} FCFA a été confirmé pour la réservation du ${reservation.date}`
-            : `Un paiement de ${formattedAmount} FCFA a été confirmé pour la réservation du ${reservation.date}`;
-            
-          bookerTitle = 'Paiement confirmé';
-          bookerMessage = isAdvancePayment
-            ? `Votre acompte de ${formattedAmount} FCFA pour la réservation du ${reservation.date} a été confirmé`
-            : `Votre paiement de ${formattedAmount} FCFA pour la réservation du ${reservation.date} a été confirmé`;
-          break;
-          
-        case 'refunded':
-          artistTitle = 'Paiement remboursé';
-          artistMessage = isAdvancePayment
-            ? `Un acompte de ${formattedAmount} FCFA a été remboursé pour la réservation du ${reservation.date}`
-            : `Un paiement de ${formattedAmount} FCFA a été remboursé pour la réservation du ${reservation.date}`;
-            
-          bookerTitle = 'Paiement remboursé';
-          bookerMessage = isAdvancePayment
-            ? `Votre acompte de ${formattedAmount} FCFA pour la réservation du ${reservation.date} a été remboursé`
-            : `Votre paiement de ${formattedAmount} FCFA pour la réservation du ${reservation.date} a été remboursé`;
-          break;
-          
-        default:
-          artistTitle = 'Mise à jour de paiement';
-          artistMessage = `Le paiement pour la réservation du ${reservation.date} a été mis à jour`;
-          bookerTitle = 'Mise à jour de paiement';
-          bookerMessage = `Le paiement pour votre réservation du ${reservation.date} a été mis à jour`;
+      const template = PAYMENT_TEMPLATES[action];
+      if (!template) {
+        throw new Error(`Action de paiement inconnue: ${action}`);
       }
-      
+      const amount = options.amount !== undefined ? options.amount : payment.amount;
+
+      // Variables communes aux messages de l'artiste et du booker
+      const variables = {
+        amount,
+        date: reservation.date,
+        isAdvance: payment.paymentType === 'advance'
+      };
+
       // Données communes pour les notifications
       const paymentData = {
         paymentId: payment._id,
         reservationId: reservation._id,
-        amount: payment.amount,
+        amount,
         paymentType: payment.paymentType,
         paymentMethod: payment.paymentMethod,
         action,
         date: new Date()
       };
       
-      // Déterminer le type de notification en fonction de l'action
-      let notificationType = 'payment_received';
-      switch (action) {
-        case 'confirmed':
-          notificationType = 'payment_confirmed';
-          break;
-        case 'refunded':
-          notificationType = 'payment_refunded';
-          break;
-        case 'failed':
-          notificationType = 'payment_failed';
-          break;
-      }
-      
       // Créer la notification pour l'artiste
       const artistNotification = {
         recipient: reservation.artistId,
@@ -279,9 +361,9 @@ const notificationService = {
         senderModel: 'Booker',
         relatedId: reservation._id,
         relatedModel: 'Reservation',
-        type: notificationType,
-        title: artistTitle,
-        message: artistMessage,
+        type: template,
+        template: `${template}.artist`,
+        variables,
         data: paymentData
       };
       
@@ -293,9 +375,9 @@ const notificationService = {
         senderModel: 'Artist',
         relatedId: reservation._id,
         relatedModel: 'Reservation',
-        type: notificationType,
-        title: bookerTitle,
-        message: bookerMessage,
+        type: template,
+        template: `${template}.booker`,
+        variables,
         data: paymentData
       };
       
@@ -309,6 +391,94 @@ const notificationService = {
       console.error('Erreur lors de la création des notifications de paiement:', error);
       throw error;
     }
+  },
+
+  /**
+   * Rappeler au booker une échéance de paiement à venir
+   * @param {Object} reservation - La réservation concernée
+   * @param {String} installment - deposit (acompte) ou balance (solde)
+   * @param {Number} amountDue - Montant restant à verser pour cette échéance
+   * @param {Date} dueAt - Date limite de l'échéance
+   * @returns {Promise<Object>} - La notification créée
+   */
+  async notifyPaymentReminder(reservation, installment, amountDue, dueAt) {
+    // Doublé par SMS selon les préférences du booker (activé par défaut pour les rappels)
+    return await this.createNotification({
+      recipient: reservation.booker,
+      recipientModel: 'Booker',
+      sender: reservation.artistId,
+      senderModel: 'Artist',
+      relatedId: reservation._id,
+      relatedModel: 'Reservation',
+      type: 'payment_reminder',
+      template: 'payment_reminder',
+      variables: {
+        amount: amountDue,
+        date: reservation.date,
+        dueAt,
+        isDeposit: installment === 'deposit'
+      },
+      data: {
+        reservationId: reservation._id,
+        installment,
+        amountDue,
+        dueAt
+      }
+    });
+  },
+
+  /**
+   * Créer une notification pour l'artiste lorsqu'un retrait aboutit ou échoue
+   * @param {Object} payout - Document du retrait
+   * @param {String} status - completed ou failed
+   * @returns {Promise<Object>} - La notification créée
+   */
+  async notifyPayout(payout, status) {
+    const type = status === 'completed' ? 'payout_completed' : 'payout_failed';
+
+    return await this.createNotification({
+      recipient: payout.artist,
+      recipientModel: 'Artist',
+      type,
+      template: type,
+      variables: {
+        amount: payout.amount,
+        phoneNumber: payout.destination.phoneNumber,
+        reference: payout.reference,
+        reason: payout.failureReason
+      },
+      data: {
+        payoutId: payout._id,
+        reference: payout.reference,
+        amount: payout.amount,
+        status,
+        reason: payout.failureReason
+      }
+    });
+  },
+
+  /**
+   * Créer une notification pour l'artiste lorsque sa demande de vérification a été examinée
+   * @param {Object} verification - Document de la demande de vérification
+   * @returns {Promise<Object>} - La notification créée
+   */
+  async notifyVerification(verification) {
+    const type = verification.status === 'approved' ? 'verification_approved' : 'verification_rejected';
+
+    return await this.createNotification({
+      recipient: verification.artist,
+      recipientModel: 'Artist',
+      type,
+      template: type,
+      variables: {
+        reviewerNotes: verification.reviewerNotes
+      },
+      data: {
+        verificationId: verification._id,
+        status: verification.status,
+        reviewerNotes: verification.reviewerNotes
+      }
+    });
   }
 };
 
@@ -0,0 +1,403 @@
+/**
+ * Modèles de notification par défaut
+ *
+ * Un modèle par événement: type de la notification enregistrée, destinataire, variables disponibles,
+ * exemple de valeurs (aperçu et validation des modifications), puis les textes de chaque langue.
+ * Seul le canal in-app est obligatoire: les SMS, e-mails et notifications push reprennent son texte
+ * (précédé de « BookMi: » pour les SMS) tant qu'aucun texte propre au canal n'est défini.
+ *
+ * Syntaxe: {{variable}}, {{montant|currency}} (francs CFA), {{date|date}} (date en toutes lettres),
+ * {{#variable}}...{{/variable}} (si la variable est renseignée) et {{^variable}}...{{/variable}} (sinon).
+ * Les administrateurs peuvent remplacer chaque texte (NotificationTemplate, /api/admin/notification-templates).
+ */
+
+// Créneau d'une réservation, pour les exemples
+const SAMPLE_RESERVATION = { date: '2026-12-19', startTime: '20:00', endTime: '23:00', location: 'Cocody, Abidjan' };
+
+module.exports = {
+  new_reservation: {
+    type: 'new_reservation',
+    recipient: 'Artist',
+    description: 'Nouvelle réservation reçue par l\'artiste',
+    variables: ['date', 'startTime', 'endTime', 'location'],
+    sample: SAMPLE_RESERVATION,
+    fr: {
+      inApp: {
+        title: 'Nouvelle réservation',
+        body: 'Vous avez une nouvelle réservation pour le {{date|date}}'
+      },
+      sms: {
+        body: 'BookMi: nouvelle réservation le {{date|date}} de {{startTime}} à {{endTime}}{{#location}} ({{location}}){{/location}}'
+      }
+    },
+    en: {
+      inApp: {
+        title: 'New booking',
+        body: 'You have a new booking on {{date|date}}'
+      },
+      sms: {
+        body: 'BookMi: new booking on {{date|date}} from {{startTime}} to {{endTime}}{{#location}} ({{location}}){{/location}}'
+      }
+    }
+  },
+
+  reservation_confirmed: {
+    type: 'reservation_confirmed',
+    recipient: 'Booker',
+    description: 'Réservation confirmée par l\'artiste',
+    variables: ['date', 'startTime', 'endTime'],
+    sample: SAMPLE_RESERVATION,
+    fr: {
+      inApp: {
+        title: 'Réservation confirmée',
+        body: 'Votre réservation pour le {{date|date}} a été confirmée par l\'artiste'
+      }
+    },
+    en: {
+      inApp: {
+        title: 'Booking confirmed',
+        body: 'Your booking on {{date|date}} has been confirmed by the artist'
+      }
+    }
+  },
+
+  reservation_completed: {
+    type: 'reservation_completed',
+    recipient: 'Booker',
+    description: 'Réservation terminée',
+    variables: ['date', 'startTime', 'endTime'],
+    sample: SAMPLE_RESERVATION,
+    fr: {
+      inApp: {
+        title: 'Réservation terminée',
+        body: 'Votre réservation pour le {{date|date}} est maintenant terminée'
+      }
+    },
+    en: {
+      inApp: {
+        title: 'Booking completed',
+        body: 'Your booking on {{date|date}} is now completed'
+      }
+    }
+  },
+
+  reservation_cancelled: {
+    type: 'reservation_cancelled',
+    recipient: 'Booker',
+    description: 'Réservation du client annulée',
+    variables: ['date', 'startTime', 'endTime'],
+    sample: SAMPLE_RESERVATION,
+    fr: {
+      inApp: {
+        title: 'Réservation annulée',
+        body: 'Votre réservation pour le {{date|date}} a été annulée'
+      }
+    },
+    en: {
+      inApp: {
+        title: 'Booking cancelled',
+        body: 'Your booking on {{date|date}} has been cancelled'
+      }
+    }
+  },
+
+  'reservation_cancelled.by_booker': {
+    type: 'reservation_cancelled',
+    recipient: 'Artist',
+    description: 'Réservation annulée par le client, annoncée à l\'artiste',
+    variables: ['date'],
+    sample: SAMPLE_RESERVATION,
+    fr: {
+      inApp: {
+        title: 'Réservation annulée',
+        body: 'La réservation pour le {{date|date}} a été annulée par le client'
+      }
+    },
+    en: {
+      inApp: {
+        title: 'Booking cancelled',
+        body: 'The booking on {{date|date}} has been cancelled by the client'
+      }
+    }
+  },
+
+  'reservation_cancelled.automatic': {
+    type: 'reservation_cancelled',
+    recipient: 'Artist',
+    description: 'Réservation annulée automatiquement faute de paiement, annoncée à l\'artiste',
+    variables: ['date', 'isDeposit'],
+    sample: { ...SAMPLE_RESERVATION, isDeposit: true },
+    fr: {
+      inApp: {
+        title: 'Réservation annulée',
+        body: 'La réservation du {{date|date}} a été annulée automatiquement: {{#isDeposit}}acompte{{/isDeposit}}{{^isDeposit}}paiement{{/isDeposit}} non versé avant l\'échéance'
+      }
+    },
+    en: {
+      inApp: {
+        title: 'Booking cancelled',
+        body: 'The booking on {{date|date}} was cancelled automatically: the {{#isDeposit}}deposit{{/isDeposit}}{{^isDeposit}}payment{{/isDeposit}} was not made before the deadline'
+      }
+    }
+  },
+
+  'payment_received.artist': {
+    type: 'payment_received',
+    recipient: 'Artist',
+    description: 'Paiement reçu pour une réservation de l\'artiste',
+    variables: ['amount', 'date', 'isAdvance'],
+    sample: { amount: 50000, date: SAMPLE_RESERVATION.date, isAdvance: true },
+    fr: {
+      inApp: {
+        title: 'Paiement reçu',
+        body: '{{#isAdvance}}Un acompte{{/isAdvance}}{{^isAdvance}}Un paiement{{/isAdvance}} de {{amount|currency}} a été reçu pour la réservation du {{date|date}}'
+      }
+    },
+    en: {
+      inApp: {
+        title: 'Payment received',
+        body: '{{#isAdvance}}A deposit{{/isAdvance}}{{^isAdvance}}A payment{{/isAdvance}} of {{amount|currency}} has been received for the booking on {{date|date}}'
+      }
+    }
+  },
+
+  'payment_received.booker': {
+    type: 'payment_received',
+    recipient: 'Booker',
+    description: 'Paiement du client traité',
+    variables: ['amount', 'date', 'isAdvance'],
+    sample: { amount: 50000, date: SAMPLE_RESERVATION.date, isAdvance: true },
+    fr: {
+      inApp: {
+        title: 'Paiement effectué',
+        body: 'Votre {{#isAdvance}}acompte{{/isAdvance}}{{^isAdvance}}paiement{{/isAdvance}} de {{amount|currency}} pour la réservation du {{date|date}} a été traité avec succès'
+      }
+    },
+    en: {
+      inApp: {
+        title: 'Payment made',
+        body: 'Your {{#isAdvance}}deposit{{/isAdvance}}{{^isAdvance}}payment{{/isAdvance}} of {{amount|currency}} for the booking on {{date|date}} has been processed successfully'
+      }
+    }
+  },
+
+  'payment_confirmed.artist': {
+    type: 'payment_confirmed',
+    recipient: 'Artist',
+    description: 'Paiement confirmé pour une réservation de l\'artiste',
+    variables: ['amount', 'date', 'isAdvance'],
+    sample: { amount: 50000, date: SAMPLE_RESERVATION.date, isAdvance: true },
+    fr: {
+      inApp: {
+        title: 'Paiement confirmé',
+        body: '{{#isAdvance}}Un acompte{{/isAdvance}}{{^isAdvance}}Un paiement{{/isAdvance}} de {{amount|currency}} a été confirmé pour la réservation du {{date|date}}'
+      }
+    },
+    en: {
+      inApp: {
+        title: 'Payment confirmed',
+        body: '{{#isAdvance}}A deposit{{/isAdvance}}{{^isAdvance}}A payment{{/isAdvance}} of {{amount|currency}} has been confirmed for the booking on {{date|date}}'
+      }
+    }
+  },
+
+  'payment_confirmed.booker': {
+    type: 'payment_confirmed',
+    recipient: 'Booker',
+    description: 'Paiement du client confirmé',
+    variables: ['amount', 'date', 'isAdvance'],
+    sample: { amount: 50000, date: SAMPLE_RESERVATION.date, isAdvance: true },
+    fr: {
+      inApp: {
+        title: 'Paiement confirmé',
+        body: 'Votre {{#isAdvance}}acompte{{/isAdvance}}{{^isAdvance}}paiement{{/isAdvance}} de {{amount|currency}} pour la réservation du {{date|date}} a été confirmé'
+      }
+    },
+    en: {
+      inApp: {
+        title: 'Payment confirmed',
+        body: 'Your {{#isAdvance}}deposit{{/isAdvance}}{{^isAdvance}}payment{{/isAdvance}} of {{amount|currency}} for the booking on {{date|date}} has been confirmed'
+      }
+    }
+  },
+
+  'payment_refunded.artist': {
+    type: 'payment_refunded',
+    recipient: 'Artist',
+    description: 'Remboursement versé au client d\'une réservation de l\'artiste',
+    variables: ['amount', 'date'],
+    sample: { amount: 25000, date: SAMPLE_RESERVATION.date },
+    fr: {
+      inApp: {
+        title: 'Paiement remboursé',
+        body: 'Un remboursement de {{amount|currency}} a été versé au client pour la réservation du {{date|date}}'
+      }
+    },
+    en: {
+      inApp: {
+        title: 'Payment refunded',
+        body: 'A refund of {{amount|currency}} has been paid to the client for the booking on {{date|date}}'
+      }
+    }
+  },
+
+  'payment_refunded.booker': {
+    type: 'payment_refunded',
+    recipient: 'Booker',
+    description: 'Remboursement versé au client',
+    variables: ['amount', 'date'],
+    sample: { amount: 25000, date: SAMPLE_RESERVATION.date },
+    fr: {
+      inApp: {
+        title: 'Paiement remboursé',
+        body: 'Un remboursement de {{amount|currency}} vous a été versé pour la réservation du {{date|date}}'
+      }
+    },
+    en: {
+      inApp: {
+        title: 'Payment refunded',
+        body: 'A refund of {{amount|currency}} has been paid to you for the booking on {{date|date}}'
+      }
+    }
+  },
+
+  'payment_failed.artist': {
+    type: 'payment_failed',
+    recipient: 'Artist',
+    description: 'Échec d\'un paiement pour une réservation de l\'artiste',
+    variables: ['amount', 'date', 'isAdvance'],
+    sample: { amount: 50000, date: SAMPLE_RESERVATION.date, isAdvance: true },
+    fr: {
+      inApp: {
+        title: 'Échec du paiement',
+        body: '{{#isAdvance}}L\'acompte{{/isAdvance}}{{^isAdvance}}Le paiement{{/isAdvance}} de {{amount|currency}} pour la réservation du {{date|date}} n\'a pas abouti'
+      }
+    },
+    en: {
+      inApp: {
+        title: 'Payment failed',
+        body: 'The {{#isAdvance}}deposit{{/isAdvance}}{{^isAdvance}}payment{{/isAdvance}} of {{amount|currency}} for the booking on {{date|date}} did not go through'
+      }
+    }
+  },
+
+  'payment_failed.booker': {
+    type: 'payment_failed',
+    recipient: 'Booker',
+    description: 'Échec d\'un paiement du client',
+    variables: ['amount', 'date', 'isAdvance'],
+    sample: { amount: 50000, date: SAMPLE_RESERVATION.date, isAdvance: true },
+    fr: {
+      inApp: {
+        title: 'Échec du paiement',
+        body: 'Votre {{#isAdvance}}acompte{{/isAdvance}}{{^isAdvance}}paiement{{/isAdvance}} de {{amount|currency}} pour la réservation du {{date|date}} n\'a pas abouti. Vous pouvez réessayer depuis l\'application'
+      }
+    },
+    en: {
+      inApp: {
+        title: 'Payment failed',
+        body: 'Your {{#isAdvance}}deposit{{/isAdvance}}{{^isAdvance}}payment{{/isAdvance}} of {{amount|currency}} for the booking on {{date|date}} did not go through. You can try again from the app'
+      }
+    }
+  },
+
+  payment_reminder: {
+    type: 'payment_reminder',
+    recipient: 'Booker',
+    description: 'Rappel d\'une échéance de paiement (acompte ou solde)',
+    variables: ['amount', 'date', 'dueAt', 'isDeposit'],
+    sample: { amount: 50000, date: SAMPLE_RESERVATION.date, dueAt: '2026-12-12', isDeposit: true },
+    fr: {
+      inApp: {
+        title: '{{#isDeposit}}Acompte à verser{{/isDeposit}}{{^isDeposit}}Solde à régler{{/isDeposit}}',
+        body: '{{#isDeposit}}Votre acompte de {{amount|currency}} pour la réservation du {{date|date}} est à verser avant le {{dueAt|date}}, faute de quoi la réservation sera annulée{{/isDeposit}}{{^isDeposit}}Le solde de {{amount|currency}} pour la réservation du {{date|date}} est à régler avant le {{dueAt|date}}{{/isDeposit}}'
+      }
+    },
+    en: {
+      inApp: {
+        title: '{{#isDeposit}}Deposit due{{/isDeposit}}{{^isDeposit}}Balance due{{/isDeposit}}',
+        body: '{{#isDeposit}}Your deposit of {{amount|currency}} for the booking on {{date|date}} must be paid before {{dueAt|date}}, otherwise the booking will be cancelled{{/isDeposit}}{{^isDeposit}}The balance of {{amount|currency}} for the booking on {{date|date}} must be paid before {{dueAt|date}}{{/isDeposit}}'
+      }
+    }
+  },
+
+  payout_completed: {
+    type: 'payout_completed',
+    recipient: 'Artist',
+    description: 'Retrait versé à l\'artiste',
+    variables: ['amount', 'phoneNumber', 'reference'],
+    sample: { amount: 120000, phoneNumber: '+2250700000000', reference: 'PO-2026-0001' },
+    fr: {
+      inApp: {
+        title: 'Retrait effectué',
+        body: 'Votre retrait de {{amount|currency}} a été versé sur votre compte {{phoneNumber}}'
+      }
+    },
+    en: {
+      inApp: {
+        title: 'Withdrawal completed',
+        body: 'Your withdrawal of {{amount|currency}} has been paid to your account {{phoneNumber}}'
+      }
+    }
+  },
+
+  payout_failed: {
+    type: 'payout_failed',
+    recipient: 'Artist',
+    description: 'Échec d\'un retrait de l\'artiste',
+    variables: ['amount', 'phoneNumber', 'reference', 'reason'],
+    sample: { amount: 120000, phoneNumber: '+2250700000000', reference: 'PO-2026-0001', reason: 'Compte introuvable' },
+    fr: {
+      inApp: {
+        title: 'Échec du retrait',
+        body: 'Votre retrait de {{amount|currency}} n\'a pas pu être versé. Le montant a été recrédité sur votre solde'
+      }
+    },
+    en: {
+      inApp: {
+        title: 'Withdrawal failed',
+        body: 'Your withdrawal of {{amount|currency}} could not be paid. The amount has been credited back to your balance'
+      }
+    }
+  },
+
+  verification_approved: {
+    type: 'verification_approved',
+    recipient: 'Artist',
+    description: 'Pièces justificatives de l\'artiste validées',
+    variables: [],
+    sample: {},
+    fr: {
+      inApp: {
+        title: 'Profil vérifié',
+        body: 'Vos pièces justificatives ont été validées: le badge « artiste vérifié » est désormais affiché sur votre profil'
+      }
+    },
+    en: {
+      inApp: {
+        title: 'Profile verified',
+        body: 'Your supporting documents have been approved: the "verified artist" badge is now shown on your profile'
+      }
+    }
+  },
+
+  verification_rejected: {
+    type: 'verification_rejected',
+    recipient: 'Artist',
+    description: 'Pièces justificatives de l\'artiste refusées',
+    variables: ['reviewerNotes'],
+    sample: { reviewerNotes: 'La pièce d\'identité est illisible' },
+    fr: {
+      inApp: {
+        title: 'Vérification refusée',
+        body: 'Vos pièces justificatives n\'ont pas pu être validées{{#reviewerNotes}}: {{reviewerNotes}}{{/reviewerNotes}}. Vous pouvez soumettre une nouvelle demande'
+      }
+    },
+    en: {
+      inApp: {
+        title: 'Verification declined',
+        body: 'Your supporting documents could not be approved{{#reviewerNotes}}: {{reviewerNotes}}{{/reviewerNotes}}. You can submit a new request'
+      }
+    }
+  }
+};
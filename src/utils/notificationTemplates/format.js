@@ -0,0 +1,148 @@
+const config = require('../../config/notifications');
+
+// Conventions d'écriture des nombres et des dates de chaque langue
+const INTL_LOCALES = {
+  fr: 'fr-FR',
+  en: 'en-GB'
+};
+
+// Date seule (YYYY-MM-DD, ex: Reservation.date): affichée telle quelle, sans conversion de fuseau
+const DATE_ONLY = /^\d{4}-\d{2}-\d{2}$/;
+
+// Balises: {{variable}}, {{variable|filtre}}, sections {{#variable}}...{{/variable}} et {{^variable}}...{{/variable}}
+const SECTION = /\{\{([#^])(\w+)\}\}([\s\S]*?)\{\{\/\2\}\}/g;
+const VARIABLE = /\{\{(\w+)(?:\|(\w+))?\}\}/g;
+
+/**
+ * Convention Intl d'une langue
+ * @param {String} locale - Langue (fr, en)
+ * @returns {String} - Locale Intl
+ */
+const intlLocale = (locale) => INTL_LOCALES[locale] || INTL_LOCALES[config.defaultLocale];
+
+/**
+ * Filtres applicables aux variables d'un modèle
+ */
+const filters = {
+  /**
+   * Montant en francs CFA (ex: 25 000 FCFA, 25,000 FCFA)
+   * Les séparateurs insécables de fr-FR sont remplacés par des espaces: ils ne font pas partie
+   * de l'alphabet GSM des SMS et imposeraient un encodage deux fois plus long
+   * @param {Number} value - Montant (le franc CFA n'a pas de subdivision)
+   * @param {String} locale - Langue
+   * @returns {String} - Montant formaté
+   */
+  currency(value, locale) {
+    const amount = Number(value);
+    if (value === null || value === undefined || value === '' || Number.isNaN(amount)) {
+      return '';
+    }
+    const formatted = new Intl.NumberFormat(intlLocale(locale), { maximumFractionDigits: 0 }).format(amount);
+    return `${formatted.replace(/[\u202f\u00a0]/g, ' ')} FCFA`;
+  },
+
+  /**
+   * Date en toutes lettres (ex: 24 octobre 2026, 24 October 2026)
+   * @param {String|Date} value - Date seule (YYYY-MM-DD) ou date complète
+   * @param {String} locale - Langue
+   * @returns {String} - Date formatée
+   */
+  date(value, locale) {
+    if (!value) {
+      return '';
+    }
+    const dateOnly = typeof value === 'string' && DATE_ONLY.test(value);
+    const date = new Date(value);
+    if (Number.isNaN(date.getTime())) {
+      return String(value);
+    }
+    return new Intl.DateTimeFormat(intlLocale(locale), {
+      day: 'numeric',
+      month: 'long',
+      year: 'numeric',
+      timeZone: dateOnly ? 'UTC' : config.defaultTimezone
+    }).format(date);
+  }
+};
+
+/**
+ * Indiquer si une variable ouvre une section {{#variable}}
+ * @param {*} value - Valeur de la variable
+ * @returns {Boolean} - True pour une valeur renseignée
+ */
+const isTruthy = (value) => Boolean(value) && !(Array.isArray(value) && value.length === 0);
+
+/**
+ * Moteur des modèles de notification
+ */
+const templateFormat = {
+  filters,
+
+  /**
+   * Remplacer les balises d'un texte
+   * Une variable absente est remplacée par une chaîne vide
+   * @param {String} text - Texte du modèle
+   * @param {Object} variables - Valeurs des variables
+   * @param {String} locale - Langue (formats des montants et des dates)
+   * @returns {String} - Texte rendu
+   */
+  render(text, variables = {}, locale = config.defaultLocale) {
+    if (!text) {
+      return '';
+    }
+
+    // Les sections peuvent en contenir d'autres: les résoudre jusqu'à ce qu'il n'en reste plus
+    let output = text;
+    let previous;
+    do {
+      previous = output;
+      output = output.replace(SECTION, (match, kind, name, content) => (
+        (kind === '#') === isTruthy(variables[name]) ? content : ''
+      ));
+    } while (output !== previous);
+
+    return output.replace(VARIABLE, (match, name, filter) => {
+      const value = variables[name];
+      if (filter) {
+        return filters[filter] ? filters[filter](value, locale) : '';
+      }
+      return value === null || value === undefined ? '' : String(value);
+    });
+  },
+
+  /**
+   * Analyser un texte saisi par un administrateur
+   * @param {String} text - Texte du modèle
+   * @returns {Object} - { variables: noms utilisés, errors: messages des balises invalides }
+   */
+  analyze(text) {
+    const variables = new Set();
+    const errors = [];
+
+    let remaining = text || '';
+    let previous;
+    do {
+      previous = remaining;
+      remaining = remaining.replace(SECTION, (match, kind, name, content) => {
+        variables.add(name);
+        return content;
+      });
+    } while (remaining !== previous);
+
+    remaining = remaining.replace(VARIABLE, (match, name, filter) => {
+      variables.add(name);
+      if (filter && !filters[filter]) {
+        errors.push(`Filtre inconnu: ${filter} (filtres: ${Object.keys(filters).join(', ')})`);
+      }
+      return '';
+    });
+
+    if (remaining.includes('{{') || remaining.includes('}}')) {
+      errors.push('Balise mal formée ou section non fermée ({{variable}}, {{#variable}}...{{/variable}})');
+    }
+
+    return { variables: [...variables], errors };
+  }
+};
+
+module.exports = templateFormat;
@@ -0,0 +1,261 @@
+const { NotificationTemplate } = require('../../models');
+const ErrorResponse = require('../errorResponse');
+const config = require('../../config/notifications');
+const templateFormat = require('./format');
+const DEFAULT_TEMPLATES = require('./defaults');
+
+// Préfixe des SMS dont le texte est repris du canal in-app
+const SMS_PREFIX = 'BookMi: ';
+
+// Canaux sans titre
+const UNTITLED_CHANNELS = ['sms'];
+
+// Longueurs maximales des textes saisis par les administrateurs
+const MAX_TITLE_LENGTH = 150;
+const MAX_BODY_LENGTH = 1000;
+
+// Textes modifiés par les administrateurs, relus en base à l'expiration du cache
+let cache = null;
+
+/**
+ * Clé d'un texte dans le cache
+ * @param {String} key - Modèle
+ * @param {String} channel - Canal
+ * @param {String} locale - Langue
+ * @returns {String} - Clé
+ */
+const textKey = (key, channel, locale) => `${key}|${channel}|${locale}`;
+
+/**
+ * Langue prise en charge la plus proche de celle demandée
+ * @param {String} locale - Langue du destinataire
+ * @returns {String} - Langue des notifications
+ */
+const normalizeLocale = (locale) => (config.LOCALES.includes(locale) ? locale : config.defaultLocale);
+
+/**
+ * Textes modifiés par les administrateurs
+ * @returns {Promise<Map>} - "modèle|canal|langue" => document NotificationTemplate
+ */
+const loadOverrides = async () => {
+  if (cache && cache.expiresAt > Date.now()) {
+    return cache.overrides;
+  }
+
+  const templates = await NotificationTemplate.find().lean();
+  cache = {
+    expiresAt: Date.now() + config.templateCacheSeconds * 1000,
+    overrides: new Map(templates.map(template => [textKey(template.key, template.channel, template.locale), template]))
+  };
+  return cache.overrides;
+};
+
+/**
+ * Texte effectif d'un canal: texte modifié par un administrateur, sinon texte par défaut du canal,
+ * sinon texte du canal in-app
+ * @param {Map} overrides - Textes modifiés
+ * @param {String} key - Modèle
+ * @param {String} channel - Canal
+ * @param {String} locale - Langue
+ * @returns {Object} - { title, body, source: custom, default ou inApp }
+ */
+const resolveText = (overrides, key, channel, locale) => {
+  const override = overrides.get(textKey(key, channel, locale));
+  if (override) {
+    return { title: override.title || null, body: override.body, source: 'custom' };
+  }
+
+  const text = DEFAULT_TEMPLATES[key][locale][channel];
+  if (text) {
+    return { title: text.title || null, body: text.body, source: 'default' };
+  }
+
+  const inApp = resolveText(overrides, key, 'inApp', locale);
+  return {
+    title: UNTITLED_CHANNELS.includes(channel) ? null : inApp.title,
+    body: channel === 'sms' ? `${SMS_PREFIX}${inApp.body}` : inApp.body,
+    source: 'inApp'
+  };
+};
+
+/**
+ * Vérifier qu'un texte peut être modifié
+ * @param {String} key - Modèle
+ * @param {String} channel - Canal
+ * @param {String} locale - Langue
+ * @returns {Object} - Définition du modèle
+ * @throws {ErrorResponse} - 404 si le modèle n'existe pas, 400 si le canal ou la langue est inconnu
+ */
+const requireText = (key, channel, locale) => {
+  const definition = DEFAULT_TEMPLATES[key];
+  if (!definition) {
+    throw new ErrorResponse(`Modèle de notification introuvable: ${key}`, 404);
+  }
+  if (!config.CHANNELS.includes(channel)) {
+    throw new ErrorResponse(`Canal inconnu: ${channel} (canaux: ${config.CHANNELS.join(', ')})`, 400);
+  }
+  if (!config.LOCALES.includes(locale)) {
+    throw new ErrorResponse(`Langue non prise en charge: ${locale} (langues: ${config.LOCALES.join(', ')})`, 400);
+  }
+  return definition;
+};
+
+/**
+ * Registre des modèles de notification: textes par type, canal et langue
+ */
+const notificationTemplates = {
+  /**
+   * Indiquer si un modèle existe
+   * @param {String} key - Modèle (ex: payment_received.artist)
+   * @returns {Boolean} - True si le modèle existe
+   */
+  has(key) {
+    return Object.prototype.hasOwnProperty.call(DEFAULT_TEMPLATES, key);
+  },
+
+  /**
+   * Rendre le titre et le texte d'un modèle pour un canal
+   * @param {String} key - Modèle
+   * @param {String} channel - Canal (inApp, sms, email, push)
+   * @param {String} locale - Langue du destinataire
+   * @param {Object} variables - Valeurs des variables
+   * @returns {Promise<Object>} - { title, body }
+   */
+  async render(key, channel, locale, variables = {}) {
+    if (!this.has(key)) {
+      throw new Error(`Modèle de notification inconnu: ${key}`);
+    }
+
+    let overrides;
+    try {
+      overrides = await loadOverrides();
+    } catch (error) {
+      // Les textes par défaut restent utilisables si les modifications ne peuvent pas être relues
+      console.error('Erreur lors du chargement des modèles de notification modifiés:', error.message);
+      overrides = new Map();
+    }
+
+    const language = normalizeLocale(locale);
+    const text = resolveText(overrides, key, channel, language);
+    return {
+      title: text.title ? templateFormat.render(text.title, variables, language) : null,
+      body: templateFormat.render(text.body, variables, language)
+    };
+  },
+
+  /**
+   * Lister les modèles et leurs textes effectifs pour chaque canal et chaque langue
+   * @returns {Promise<Array>} - [{ key, type, recipient, description, variables, sample, texts }]
+   */
+  async list() {
+    const overrides = await loadOverrides();
+
+    return Object.entries(DEFAULT_TEMPLATES).map(([key, definition]) => ({
+      key,
+      type: definition.type,
+      recipient: definition.recipient,
+      description: definition.description,
+      variables: definition.variables,
+      sample: definition.sample,
+      texts: config.LOCALES.flatMap(locale => config.CHANNELS.map(channel => {
+        const override = overrides.get(textKey(key, channel, locale));
+        return {
+          channel,
+          locale,
+          ...resolveText(overrides, key, channel, locale),
+          updatedBy: override ? override.updatedBy : null,
+          updatedAt: override ? override.updatedAt : null
+        };
+      }))
+    }));
+  },
+
+  /**
+   * Remplacer le texte d'un modèle pour un canal et une langue
+   * @param {String} key - Modèle
+   * @param {String} channel - Canal
+   * @param {String} locale - Langue
+   * @param {Object} text - { title, body }
+   * @param {String} updatedBy - ID de l'administrateur
+   * @returns {Promise<Object>} - { before, template, preview } texte précédent, texte enregistré et rendu de l'exemple
+   * @throws {ErrorResponse} - 400 si le texte est invalide
+   */
+  async update(key, channel, locale, { title, body } = {}, updatedBy) {
+    const definition = requireText(key, channel, locale);
+
+    if (typeof body !== 'string' || !body.trim()) {
+      throw new ErrorResponse('Le texte de la notification (body) est requis', 400);
+    }
+    if (body.length > MAX_BODY_LENGTH) {
+      throw new ErrorResponse(`Le texte de la notification ne peut pas dépasser ${MAX_BODY_LENGTH} caractères`, 400);
+    }
+    if (UNTITLED_CHANNELS.includes(channel)) {
+      if (title) {
+        throw new ErrorResponse(`Les notifications du canal ${channel} n'ont pas de titre`, 400);
+      }
+    } else if (typeof title !== 'string' || !title.trim()) {
+      throw new ErrorResponse('Le titre de la notification (title) est requis', 400);
+    } else if (title.length > MAX_TITLE_LENGTH) {
+      throw new ErrorResponse(`Le titre de la notification ne peut pas dépasser ${MAX_TITLE_LENGTH} caractères`, 400);
+    }
+
+    [title, body].filter(Boolean).forEach(text => {
+      const { variables, errors } = templateFormat.analyze(text);
+      if (errors.length > 0) {
+        throw new ErrorResponse(errors.join('. '), 400);
+      }
+      const unknown = variables.filter(name => !definition.variables.includes(name));
+      if (unknown.length > 0) {
+        throw new ErrorResponse(
+          `Variable(s) inconnue(s) pour ce modèle: ${unknown.join(', ')} (variables: ${definition.variables.join(', ') || 'aucune'})`,
+          400
+        );
+      }
+    });
+
+    const before = resolveText(await loadOverrides(), key, channel, locale);
+    const template = await NotificationTemplate.findOneAndUpdate(
+      { key, channel, locale },
+      {
+        $set: { title: title ? title.trim() : null, body: body.trim(), updatedBy, updatedAt: new Date() }
+      },
+      { new: true, upsert: true, runValidators: true }
+    );
+    this.clearCache();
+
+    return {
+      before,
+      template,
+      preview: await this.render(key, channel, locale, definition.sample)
+    };
+  },
+
+  /**
+   * Rétablir le texte par défaut d'un modèle pour un canal et une langue
+   * @param {String} key - Modèle
+   * @param {String} channel - Canal
+   * @param {String} locale - Langue
+   * @returns {Promise<Object>} - Document NotificationTemplate supprimé
+   * @throws {ErrorResponse} - 404 si le texte n'a pas été modifié
+   */
+  async reset(key, channel, locale) {
+    requireText(key, channel, locale);
+
+    const template = await NotificationTemplate.findOneAndDelete({ key, channel, locale });
+    if (!template) {
+      throw new ErrorResponse('Ce texte n\'a pas été modifié: le texte par défaut est déjà utilisé', 404);
+    }
+    this.clearCache();
+
+    return template;
+  },
+
+  /**
+   * Oublier les textes modifiés en cache (relus en base au prochain rendu)
+   */
+  clearCache() {
+    cache = null;
+  }
+};
+
+module.exports = notificationTemplates;
@@ -0,0 +1,28 @@
+/**
+ * Interface commune des transports de notifications vers un canal externe (SMS, e-mail, push)
+ *
+ * Le canal in-app n'a pas de transport: c'est le document Notification lui-même,
+ * poussé aux connexions temps réel par notificationHub.
+ */
+class NotificationTransport {
+  /**
+   * @param {String} channel - Canal desservi (sms, email, push)
+   * @param {String} name - Nom du transport
+   */
+  constructor(channel, name) {
+    this.channel = channel;
+    this.name = name;
+  }
+
+  /**
+   * Envoyer une notification à un utilisateur
+   * @param {Object} params - { user, notification, content ({ title, body } rendus pour le canal dans la langue
+   *                           de l'utilisateur), sendAt (fin des heures calmes, pour un envoi différé) }
+   * @returns {Promise<Boolean>} - False si l'utilisateur ne peut pas être joint sur ce canal
+   */
+  async send(params) {
+    throw new Error(`send() n'est pas implémenté pour le transport ${this.name}`);
+  }
+}
+
+module.exports = NotificationTransport;
@@ -0,0 +1,20 @@
+const NotificationTransport = require('./NotificationTransport');
+
+/**
+ * Transport de développement: affiche les e-mails dans la console
+ */
+class ConsoleEmailTransport extends NotificationTransport {
+  constructor() {
+    super('email', 'console');
+  }
+
+  async send({ user, content }) {
+    if (!user.email) {
+      return false;
+    }
+    console.log(`E-mail simulé à ${user.email}: ${content.title} - ${content.body}`);
+    return true;
+  }
+}
+
+module.exports = ConsoleEmailTransport;
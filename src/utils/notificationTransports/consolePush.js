@@ -0,0 +1,20 @@
+const NotificationTransport = require('./NotificationTransport');
+
+/**
+ * Transport de développement: affiche les notifications push dans la console
+ */
+class ConsolePushTransport extends NotificationTransport {
+  constructor() {
+    super('push', 'console');
+  }
+
+  async send({ user, content }) {
+    if (!user.pushTokens || user.pushTokens.length === 0) {
+      return false;
+    }
+    console.log(`Notification push simulée vers ${user.pushTokens.length} appareil(s) de ${user._id}: ${content.title}`);
+    return true;
+  }
+}
+
+module.exports = ConsolePushTransport;
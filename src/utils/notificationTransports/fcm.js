@@ -0,0 +1,97 @@
+const axios = require('axios');
+const jwt = require('jsonwebtoken');
+const NotificationTransport = require('./NotificationTransport');
+const { User } = require('../../models');
+const config = require('../../config/notifications');
+
+// Codes d'erreur FCM signalant un jeton d'appareil qui ne sera plus jamais valable
+const STALE_TOKEN_ERRORS = ['UNREGISTERED', 'INVALID_ARGUMENT'];
+
+/**
+ * Adaptateur Firebase Cloud Messaging (API HTTP v1, authentifiée par compte de service)
+ * Les jetons d'appareils refusés définitivement sont retirés du compte
+ */
+class FcmTransport extends NotificationTransport {
+  constructor(options = config.push.fcm) {
+    super('push', 'fcm');
+    this.options = options;
+    // Jeton OAuth en cache: { value, expiresAt }
+    this.accessToken = null;
+  }
+
+  /**
+   * Obtenir un jeton d'accès OAuth pour l'API FCM (renouvelé avant son expiration)
+   * @returns {Promise<String>} - Jeton d'accès
+   */
+  async getAccessToken() {
+    if (this.accessToken && this.accessToken.expiresAt > Date.now() + 60 * 1000) {
+      return this.accessToken.value;
+    }
+    if (!this.options.projectId || !this.options.clientEmail || !this.options.privateKey) {
+      throw new Error('Firebase Cloud Messaging n\'est pas configuré (FCM_PROJECT_ID, FCM_CLIENT_EMAIL, FCM_PRIVATE_KEY)');
+    }
+
+    const assertion = jwt.sign(
+      { scope: 'https://www.googleapis.com/auth/firebase.messaging' },
+      this.options.privateKey,
+      {
+        algorithm: 'RS256',
+        issuer: this.options.clientEmail,
+        audience: 'https://oauth2.googleapis.com/token',
+        expiresIn: 3600
+      }
+    );
+
+    const response = await axios.post(
+      'https://oauth2.googleapis.com/token',
+      new URLSearchParams({ grant_type: 'urn:ietf:params:oauth:grant-type:jwt-bearer', assertion }).toString(),
+      { headers: { 'Content-Type': 'application/x-www-form-urlencoded' } }
+    );
+
+    this.accessToken = {
+      value: response.data.access_token,
+      expiresAt: Date.now() + response.data.expires_in * 1000
+    };
+    return this.accessToken.value;
+  }
+
+  async send({ user, notification, content }) {
+    if (!user.pushTokens || user.pushTokens.length === 0) {
+      return false;
+    }
+
+    const accessToken = await this.getAccessToken();
+    const staleTokens = [];
+
+    await Promise.all(user.pushTokens.map(async ({ token }) => {
+      try {
+        await axios.post(
+          `https://fcm.googleapis.com/v1/projects/${this.options.projectId}/messages:send`,
+          {
+            message: {
+              token,
+              notification: { title: content.title, body: content.body },
+              data: { notificationId: String(notification._id), type: notification.type }
+            }
+          },
+          { headers: { Authorization: `Bearer ${accessToken}` } }
+        );
+      } catch (error) {
+        const details = (error.response && error.response.data && error.response.data.error) || {};
+        const errorCode = ((details.details || []).find(detail => detail.errorCode) || {}).errorCode || details.status;
+        if (STALE_TOKEN_ERRORS.includes(errorCode)) {
+          staleTokens.push(token);
+        } else {
+          console.error(`Échec de l'envoi push FCM pour l'utilisateur ${user._id}:`, details.message || error.message);
+        }
+      }
+    }));
+
+    if (staleTokens.length > 0) {
+      await User.updateOne({ _id: user._id }, { $pull: { pushTokens: { token: { $in: staleTokens } } } });
+    }
+    return true;
+  }
+}
+
+module.exports = FcmTransport;
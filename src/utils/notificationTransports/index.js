@@ -0,0 +1,55 @@
+const config = require('../../config/notifications');
+const SmsNotificationTransport = require('./sms');
+const ConsoleEmailTransport = require('./consoleEmail');
+const SendGridTransport = require('./sendgrid');
+const ConsolePushTransport = require('./consolePush');
+const FcmTransport = require('./fcm');
+
+// Transports disponibles par canal
+const TRANSPORTS = {
+  sms: {
+    sms: SmsNotificationTransport
+  },
+  email: {
+    console: ConsoleEmailTransport,
+    sendgrid: SendGridTransport
+  },
+  push: {
+    console: ConsolePushTransport,
+    fcm: FcmTransport
+  }
+};
+
+// Instances créées à la demande, partagées par toute l'application (ou enregistrées par register)
+const instances = {};
+
+/**
+ * Obtenir (ou créer) le transport configuré pour un canal
+ * @param {String} channel - sms, email ou push
+ * @returns {NotificationTransport} - L'instance du transport
+ */
+const getTransport = (channel) => {
+  if (!instances[channel]) {
+    const name = channel === 'sms' ? 'sms' : config.transports[channel];
+    const Transport = TRANSPORTS[channel] && TRANSPORTS[channel][name];
+    if (!Transport) {
+      throw new Error(`Transport de notification inconnu pour le canal ${channel}: ${name}`);
+    }
+    instances[channel] = new Transport();
+  }
+  return instances[channel];
+};
+
+/**
+ * Remplacer le transport d'un canal (autre fournisseur, environnement de test)
+ * @param {String} channel - sms, email ou push
+ * @param {NotificationTransport} transport - Instance du transport
+ */
+const register = (channel, transport) => {
+  instances[channel] = transport;
+};
+
+module.exports = {
+  getTransport,
+  register
+};
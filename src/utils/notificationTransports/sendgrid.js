@@ -0,0 +1,42 @@
+const axios = require('axios');
+const NotificationTransport = require('./NotificationTransport');
+const config = require('../../config/notifications');
+
+/**
+ * Adaptateur SendGrid (API Mail Send v3)
+ */
+class SendGridTransport extends NotificationTransport {
+  constructor(options = config.email) {
+    super('email', 'sendgrid');
+    this.options = options;
+  }
+
+  async send({ user, notification, content }) {
+    if (!this.options.sendgrid.apiKey) {
+      throw new Error('SendGrid n\'est pas configuré (SENDGRID_API_KEY)');
+    }
+    if (!user.email) {
+      return false;
+    }
+
+    await axios.post(
+      'https://api.sendgrid.com/v3/mail/send',
+      {
+        personalizations: [{ to: [{ email: user.email }] }],
+        from: { email: this.options.from, name: this.options.fromName },
+        subject: content.title,
+        content: [{ type: 'text/plain', value: content.body }],
+        custom_args: { notificationId: String(notification._id), type: notification.type }
+      },
+      {
+        headers: {
+          Authorization: `Bearer ${this.options.sendgrid.apiKey}`,
+          'Content-Type': 'application/json'
+        }
+      }
+    );
+    return true;
+  }
+}
+
+module.exports = SendGridTransport;
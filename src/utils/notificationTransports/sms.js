@@ -0,0 +1,25 @@
+const NotificationTransport = require('./NotificationTransport');
+const smsService = require('../smsService');
+
+/**
+ * Notifications par SMS, via la file d'envoi (transport du pays du destinataire, nouvelles tentatives)
+ */
+class SmsNotificationTransport extends NotificationTransport {
+  constructor() {
+    super('sms', 'sms');
+  }
+
+  async send({ user, notification, content, sendAt }) {
+    if (!user.phone) {
+      return false;
+    }
+
+    await smsService.send(user.phone, content.body, {
+      category: notification.type === 'payment_reminder' ? 'reminder' : 'notification',
+      sendAt
+    });
+    return true;
+  }
+}
+
+module.exports = SmsNotificationTransport;
@@ -0,0 +1,124 @@
+const crypto = require('crypto');
+const { OneTimeCode } = require('../models');
+const config = require('../config/oneTimeCodes');
+const rateLimitConfig = require('../config/rateLimit');
+
+/**
+ * Codes à usage unique: chaque code est rattaché à un utilisateur et à un usage
+ * (verify_phone, reset_password, change_phone, login) et n'est stocké que sous forme d'empreinte
+ */
+const oneTimeCodes = {
+  /**
+   * Calculer l'empreinte d'un code
+   * L'usage et l'utilisateur entrent dans l'empreinte: un code ne vaut que pour eux
+   * @param {String} code - Code en clair
+   * @param {String} userId - ID de l'utilisateur
+   * @param {String} purpose - Usage du code
+   * @returns {String} - HMAC-SHA256 hexadécimal
+   */
+  hash(code, userId, purpose) {
+    return crypto
+      .createHmac('sha256', config.secret)
+      .update(`${userId}:${purpose}:${code}`)
+      .digest('hex');
+  },
+
+  /**
+   * Émettre un nouveau code pour un usage; les codes précédents du même usage sont invalidés
+   * @param {Object} user - Document de l'utilisateur
+   * @param {String} purpose - Usage du code
+   * @param {Object} options - { channel, destination }
+   * @returns {Promise<Object>} - { code, oneTimeCode } (le code en clair n'est renvoyé qu'ici)
+   */
+  async issue(user, purpose, { channel = 'sms', destination } = {}) {
+    if (!OneTimeCode.PURPOSES.includes(purpose)) {
+      throw new Error(`Usage de code inconnu: ${purpose}`);
+    }
+
+    const now = new Date();
+    await OneTimeCode.updateMany(
+      { user: user._id, purpose, consumedAt: null },
+      { consumedAt: now }
+    );
+
+    const code = crypto.randomInt(10 ** (config.length - 1), 10 ** config.length).toString();
+    const oneTimeCode = await OneTimeCode.create({
+      user: user._id,
+      purpose,
+      channel,
+      destination: destination || user.phone,
+      codeHash: this.hash(code, user._id, purpose),
+      expiresAt: new Date(now.getTime() + config.ttlMinutes[purpose] * 60 * 1000)
+    });
+
+    return { code, oneTimeCode };
+  },
+
+  /**
+   * Contrôler un code saisi et le consommer s'il est valide
+   * Chaque essai est compté avant la comparaison, de façon atomique
+   * @param {Object} user - Document de l'utilisateur
+   * @param {String} purpose - Usage attendu
+   * @param {String} code - Code saisi
+   * @returns {Promise<String>} - 'valid', 'invalid', 'expired' ou 'exhausted'
+   */
+  async verify(user, purpose, code) {
+    const { result } = await this.check(user, purpose, code);
+    return result;
+  },
+
+  /**
+   * Contrôler un code saisi et le consommer s'il est valide, en retournant la destination du code
+   * (nouveau numéro pour un changement de numéro)
+   * @param {Object} user - Document de l'utilisateur
+   * @param {String} purpose - Usage attendu
+   * @param {String} code - Code saisi
+   * @returns {Promise<Object>} - { result: 'valid', 'invalid', 'expired' ou 'exhausted', destination }
+   */
+  async check(user, purpose, code) {
+    const now = new Date();
+    const current = await OneTimeCode.findOne({ user: user._id, purpose, consumedAt: null })
+      .sort('-createdAt');
+
+    if (!current || current.expiresAt <= now) {
+      return { result: 'expired' };
+    }
+
+    // Réserver un essai: des requêtes simultanées ne peuvent pas dépasser le plafond
+    const reserved = await OneTimeCode.findOneAndUpdate(
+      { _id: current._id, consumedAt: null, attempts: { $lt: rateLimitConfig.maxCodeAttempts } },
+      { $inc: { attempts: 1 } },
+      { new: true }
+    ).select('+codeHash');
+    if (!reserved) {
+      return { result: 'exhausted' };
+    }
+
+    const expected = Buffer.from(reserved.codeHash, 'hex');
+    const actual = Buffer.from(this.hash(String(code || ''), user._id, purpose), 'hex');
+    if (!crypto.timingSafeEqual(expected, actual)) {
+      return { result: reserved.attempts >= rateLimitConfig.maxCodeAttempts ? 'exhausted' : 'invalid' };
+    }
+
+    // Un code ne sert qu'une fois, même saisi deux fois en parallèle
+    const consumed = await OneTimeCode.findOneAndUpdate(
+      { _id: reserved._id, consumedAt: null },
+      { consumedAt: now }
+    );
+    return consumed ? { result: 'valid', destination: consumed.destination } : { result: 'expired' };
+  },
+
+  /**
+   * Invalider les codes en cours d'un utilisateur pour un usage
+   * @param {String} userId - ID de l'utilisateur
+   * @param {String} purpose - Usage des codes
+   */
+  async revoke(userId, purpose) {
+    await OneTimeCode.updateMany(
+      { user: userId, purpose, consumedAt: null },
+      { consumedAt: new Date() }
+    );
+  }
+};
+
+module.exports = oneTimeCodes;
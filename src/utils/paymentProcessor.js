@@ -0,0 +1,244 @@
+const { Payment, Reservation } = require('../models');
+const paymentProviders = require('./paymentProviders');
+const notificationService = require('./notificationService');
+const escrowService = require('./escrowService');
+const ledger = require('./ledger');
+const paymentSchedule = require('./paymentSchedule');
+const reservationStateMachine = require('./reservationStateMachine');
+const paymentStateMachine = require('./paymentStateMachine');
+const transactions = require('./transactions');
+const pricingConfig = require('../config/pricing');
+
+/**
+ * Service de traitement des paiements auprès des fournisseurs
+ */
+const paymentProcessor = {
+  /**
+   * Initier la collecte d'un paiement auprès du fournisseur de sa méthode
+   * Le paiement passe à 'processing' jusqu'à ce que le fournisseur rende compte du résultat
+   * @param {Object} payment - Document du paiement (status 'pending')
+   * @param {Object} options - { phoneNumber, description }
+   * @returns {Promise<Object>} - Le paiement mis à jour
+   */
+  async initiate(payment, { phoneNumber, description } = {}) {
+    const provider = paymentProviders.getProvider(payment.paymentMethod);
+
+    try {
+      const result = await provider.initiate({
+        reference: payment.reference,
+        amount: payment.totalAmount,
+        currency: pricingConfig.currency,
+        phoneNumber,
+        description: description || `BookMi ${payment.reference}`
+      });
+
+      payment.provider = provider.name;
+      payment.transactionId = result.transactionId;
+      payment.providerReference = result.providerReference || '';
+      payment.checkoutUrl = result.checkoutUrl || '';
+      payment.status = 'processing';
+      await payment.save();
+
+      // Certains fournisseurs confirment immédiatement
+      if (result.status && result.status !== 'processing') {
+        return await this.applyStatus(payment, result.status);
+      }
+    } catch (error) {
+      console.error(`Erreur lors de l'initiation du paiement ${payment.reference} auprès de ${provider.name}:`, error.message);
+      payment.provider = provider.name;
+      return await this.applyStatus(payment, 'failed', { reason: error.message });
+    }
+
+    return payment;
+  },
+
+  /**
+   * Appliquer le statut rapporté par un fournisseur à un paiement et à sa réservation
+   * @param {Object} payment - Document du paiement
+   * @param {String} status - Nouveau statut (completed, failed...)
+   * @param {Object} options - { transactionId, reason }
+   * @returns {Promise<Object>} - Le paiement mis à jour
+   * @throws {ErrorResponse} - 409 si la transition de statut est interdite
+   */
+  async applyStatus(payment, status, { transactionId, reason } = {}) {
+    if (payment.status === status) {
+      // Paiement confirmé sans écriture au grand livre (effets interrompus sans transaction):
+      // la confirmation répétée du fournisseur les reprend
+      if (status === 'completed' && !(await ledger.hasJournal(`payment:${payment._id}`))) {
+        return this.settle(payment, status, { updatedAt: Date.now() });
+      }
+      // Statut déjà appliqué: rien à faire
+      return payment;
+    }
+
+    // Refuser les transitions interdites (409)
+    paymentStateMachine.assertTransition(payment.status, status);
+
+    const update = { status, provider: payment.provider, updatedAt: Date.now() };
+    if (transactionId) {
+      update.transactionId = transactionId;
+    }
+    if (status === 'failed') {
+      update.failureReason = reason || '';
+    }
+    if (status === 'completed' && !payment.completedAt) {
+      update.completedAt = Date.now();
+    }
+
+    return this.settle(payment, status, update);
+  },
+
+  /**
+   * Enregistrer un statut de paiement et ses effets (réservation, grand livre, séquestre)
+   * dans une même transaction, puis envoyer les notifications
+   * La mise à jour est conditionnée au statut lu: si un autre appel (webhook, synchronisation,
+   * autre instance) a déjà changé le statut, les effets ne sont pas appliqués une seconde fois.
+   * @param {Object} payment - Document du paiement tel qu'il a été lu
+   * @param {String} status - Statut appliqué
+   * @param {Object} update - Champs du paiement à mettre à jour
+   * @returns {Promise<Object>} - Le paiement mis à jour
+   */
+  async settle(payment, status, update) {
+    let updated = null;
+    let reservation = null;
+    let previousStatus = null;
+
+    await transactions.run(async (session) => {
+      updated = await Payment.findOneAndUpdate(
+        { _id: payment._id, status: payment.status },
+        update,
+        { new: true, session }
+      );
+      reservation = updated ? await Reservation.findById(updated.reservation).session(session) : null;
+      if (!reservation) {
+        return;
+      }
+
+      if (status === 'completed') {
+        previousStatus = await this.handleCompleted(updated, reservation, session);
+      } else if (status === 'failed') {
+        await this.handleFailed(updated, reservation, session);
+      }
+    });
+
+    if (!updated) {
+      return Payment.findById(payment._id);
+    }
+    if (!reservation) {
+      return updated;
+    }
+
+    // Notifications envoyées une fois les écritures validées
+    try {
+      if (status === 'completed') {
+        await notificationService.notifyPayment(updated, reservation, 'confirmed');
+        if (previousStatus) {
+          await notificationService.notifyReservationStatusChange(reservation, previousStatus);
+        }
+      } else if (status === 'failed') {
+        await notificationService.notifyPayment(updated, reservation, 'failed');
+      }
+    } catch (error) {
+      console.error('Erreur lors de l\'envoi des notifications de paiement:', error);
+    }
+
+    return updated;
+  },
+
+  /**
+   * Mettre à jour la réservation, le grand livre et le séquestre après un paiement réussi
+   * Chaque écriture peut être rejouée sans effet en double
+   * @param {Object} payment - Document du paiement
+   * @param {Object} reservation - Document de la réservation
+   * @param {Object} session - Transaction en cours (null sans transactions)
+   * @returns {Promise<String|null>} - Statut précédent de la réservation si elle a été confirmée
+   */
+  async handleCompleted(payment, reservation, session = null) {
+    // Soldée ou partiellement payée selon les montants encaissés au regard de l'échéancier
+    const payments = await Payment.find({ reservation: reservation._id }).select('status totalAmount').session(session);
+    reservation.paymentStatus = paymentSchedule.getPaymentStatus(reservation, payments);
+    reservation.transactionId = payment.transactionId;
+
+    // Si la réservation était en attente, la confirmer
+    let previousStatus = null;
+    if (reservationStateMachine.canTransition(reservation.status, 'confirmed', 'system')) {
+      previousStatus = reservationStateMachine.transition(reservation, 'confirmed', {
+        role: 'system',
+        reason: `Paiement ${payment.reference} confirmé`
+      });
+    }
+
+    await reservation.save({ session });
+
+    // Passer l'encaissement au grand livre et retenir la part de l'artiste
+    // jusqu'à l'achèvement de la prestation
+    await ledger.recordPayment(payment, { session });
+    await escrowService.hold(payment, { session });
+    if (reservation.status === 'completed') {
+      await escrowService.releaseForReservation(reservation, { session });
+    }
+
+    return previousStatus;
+  },
+
+  /**
+   * Mettre à jour la réservation après un paiement échoué
+   * @param {Object} payment - Document du paiement
+   * @param {Object} reservation - Document de la réservation
+   * @param {Object} session - Transaction en cours (null sans transactions)
+   */
+  async handleFailed(payment, reservation, session = null) {
+    // Ne pas écraser le statut si un autre paiement de la réservation a abouti
+    const completedCount = await Payment.countDocuments({
+      reservation: reservation._id,
+      status: 'completed'
+    }).session(session);
+
+    if (completedCount === 0) {
+      reservation.paymentStatus = 'failed';
+      await reservation.save({ session });
+    }
+  },
+
+  /**
+   * Interroger le fournisseur et appliquer le statut obtenu
+   * @param {Object} payment - Document du paiement
+   * @returns {Promise<Object>} - Le paiement mis à jour
+   */
+  async syncStatus(payment) {
+    if (payment.status !== 'processing' || !payment.provider || !payment.transactionId) {
+      return payment;
+    }
+
+    const provider = paymentProviders.getProviderByName(payment.provider);
+    const { status, reason } = await provider.checkStatus(payment.transactionId, {
+      amount: payment.totalAmount,
+      providerReference: payment.providerReference
+    });
+
+    if (status === 'processing') {
+      return payment;
+    }
+
+    return await this.applyStatus(payment, status, { reason });
+  },
+
+  /**
+   * Écouter les changements de statut émis directement par les fournisseurs (simulateur)
+   */
+  init() {
+    paymentProviders.onStatus(async ({ provider, transactionId, status, reason }) => {
+      try {
+        const payment = await Payment.findOne({ provider, transactionId });
+        if (!payment) {
+          return;
+        }
+        await this.applyStatus(payment, status, { reason });
+      } catch (error) {
+        console.error(`Erreur lors de la mise à jour du paiement ${transactionId}:`, error);
+      }
+    });
+  }
+};
+
+module.exports = paymentProcessor;
@@ -0,0 +1,102 @@
+const EventEmitter = require('events');
+const webhookSignature = require('../webhookSignature');
+const config = require('../../config/paymentProviders');
+
+/**
+ * Interface commune des fournisseurs de paiement (collecte, remboursement et versement)
+ *
+ * Chaque adaptateur normalise les statuts de l'opérateur vers ceux de Payment:
+ * 'processing' (en attente de confirmation), 'completed' ou 'failed'.
+ *
+ * Les adaptateurs peuvent émettre l'événement 'status' avec
+ * { provider, transactionId, status, reason } lorsqu'ils apprennent un changement de statut
+ * sans passer par un webhook (cas du simulateur).
+ *
+ * Les webhooks sont signés en HMAC-SHA256 avec le secret propre au fournisseur
+ * (en-tête `signatureHeader` au format "t=<horodatage>,v1=<hmac>").
+ */
+class PaymentProvider extends EventEmitter {
+  /**
+   * @param {String} name - Nom du fournisseur enregistré sur Payment.provider
+   */
+  constructor(name) {
+    super();
+    this.name = name;
+    // Indique si l'opérateur accepte les remboursements partiels
+    this.supportsPartialRefund = true;
+    // En-tête HTTP portant la signature des webhooks
+    this.signatureHeader = 'x-bookmi-signature';
+  }
+
+  /**
+   * Vérifier la signature et l'horodatage d'une livraison de webhook
+   * @param {Object} req - Requête Express (req.rawBody doit contenir le corps brut)
+   * @returns {Object} - { valid, reason }
+   */
+  verifyWebhook(req) {
+    return webhookSignature.verify({
+      secret: this.options && this.options.webhookSecret,
+      header: req.headers[this.signatureHeader],
+      rawBody: req.rawBody,
+      toleranceSeconds: config.webhookToleranceSeconds
+    });
+  }
+
+  /**
+   * Extraire l'événement normalisé d'une livraison de webhook
+   * @param {Object} body - Corps JSON de la requête
+   * @param {Object} headers - En-têtes de la requête
+   * @returns {Object} - { eventId, transactionId, status, reason }
+   */
+  parseWebhook(body, headers) {
+    throw new Error(`parseWebhook() n'est pas implémenté pour le fournisseur ${this.name}`);
+  }
+
+  /**
+   * Initier une collecte auprès de l'opérateur
+   * @param {Object} params - { reference, amount, currency, phoneNumber, description }
+   * @returns {Promise<Object>} - { transactionId, status, checkoutUrl, providerReference }
+   */
+  async initiate(params) {
+    throw new Error(`initiate() n'est pas implémenté pour le fournisseur ${this.name}`);
+  }
+
+  /**
+   * Interroger l'opérateur sur le statut d'une transaction
+   * @param {String} transactionId - ID de transaction de l'opérateur
+   * @returns {Promise<Object>} - { status, reason }
+   */
+  async checkStatus(transactionId) {
+    throw new Error(`checkStatus() n'est pas implémenté pour le fournisseur ${this.name}`);
+  }
+
+  /**
+   * Rembourser tout ou partie d'une transaction
+   * @param {Object} params - { transactionId, reference, amount, currency, phoneNumber, reason }
+   * @returns {Promise<Object>} - { transactionId, status }
+   */
+  async refund(params) {
+    throw new Error(`refund() n'est pas implémenté pour le fournisseur ${this.name}`);
+  }
+
+  /**
+   * Verser des fonds vers le compte mobile money d'un bénéficiaire (retrait d'un artiste)
+   * @param {Object} params - { reference, amount, currency, phoneNumber, description }
+   * @returns {Promise<Object>} - { transactionId, status }
+   */
+  async payout(params) {
+    throw new Error(`payout() n'est pas implémenté pour le fournisseur ${this.name}`);
+  }
+
+  /**
+   * Interroger l'opérateur sur le statut d'un versement
+   * Par défaut, les versements partagent l'API de statut des collectes
+   * @param {String} transactionId - ID de transaction de l'opérateur
+   * @returns {Promise<Object>} - { status, reason }
+   */
+  async checkPayoutStatus(transactionId) {
+    return this.checkStatus(transactionId);
+  }
+}
+
+module.exports = PaymentProvider;
@@ -0,0 +1,67 @@
+const config = require('../../config/paymentProviders');
+const ErrorResponse = require('../errorResponse');
+const OrangeMoneyProvider = require('./orange');
+const MtnMomoProvider = require('./mtn');
+const MoovMoneyProvider = require('./moov');
+const WaveProvider = require('./wave');
+const SimulatorProvider = require('./simulator');
+
+// Adaptateurs disponibles pour chaque méthode de paiement en mode 'live'
+const LIVE_PROVIDERS = {
+  orange: OrangeMoneyProvider,
+  mtn: MtnMomoProvider,
+  moov: MoovMoneyProvider,
+  wave: WaveProvider
+};
+
+// Instances créées à la demande, partagées par toute l'application
+const instances = {};
+
+/**
+ * Obtenir (ou créer) l'instance d'un fournisseur par son nom
+ * @param {String} name - orange, mtn, moov, wave ou simulator
+ * @returns {PaymentProvider} - L'instance du fournisseur
+ */
+const getProviderByName = (name) => {
+  if (!instances[name]) {
+    const Provider = name === 'simulator' ? SimulatorProvider : LIVE_PROVIDERS[name];
+    if (!Provider) {
+      throw new ErrorResponse(`Fournisseur de paiement inconnu: ${name}`, 400);
+    }
+    instances[name] = new Provider();
+  }
+  return instances[name];
+};
+
+/**
+ * Obtenir le fournisseur à utiliser pour une méthode de paiement
+ * @param {String} paymentMethod - Valeur de Payment.paymentMethod
+ * @returns {PaymentProvider} - Le fournisseur configuré
+ */
+const getProvider = (paymentMethod) => {
+  if (config.mode === 'simulator') {
+    return getProviderByName('simulator');
+  }
+
+  if (!LIVE_PROVIDERS[paymentMethod]) {
+    throw new ErrorResponse(`Aucun fournisseur de paiement configuré pour la méthode ${paymentMethod}`, 400);
+  }
+
+  return getProviderByName(paymentMethod);
+};
+
+/**
+ * S'abonner aux changements de statut émis par tous les fournisseurs
+ * @param {Function} handler - Fonction appelée avec { provider, transactionId, status, reason }
+ */
+const onStatus = (handler) => {
+  ['simulator', ...Object.keys(LIVE_PROVIDERS)].forEach(name => {
+    getProviderByName(name).on('status', handler);
+  });
+};
+
+module.exports = {
+  getProvider,
+  getProviderByName,
+  onStatus
+};
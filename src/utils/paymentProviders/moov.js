@@ -0,0 +1,103 @@
+const axios = require('axios');
+const PaymentProvider = require('./PaymentProvider');
+const config = require('../../config/paymentProviders');
+
+// Correspondance des statuts Moov Money vers les statuts de Payment
+const STATUS_MAP = {
+  PENDING: 'processing',
+  SUCCESS: 'completed',
+  SUCCESSFUL: 'completed',
+  FAILED: 'failed',
+  CANCELLED: 'failed'
+};
+
+/**
+ * Adaptateur Moov Money (API marchand via agrégateur)
+ */
+class MoovMoneyProvider extends PaymentProvider {
+  constructor(options = config.moov) {
+    super('moov');
+    this.options = options;
+    this.client = axios.create({
+      baseURL: options.baseUrl,
+      headers: { 'X-API-KEY': options.apiKey }
+    });
+  }
+
+  async initiate({ reference, amount, currency, phoneNumber, description }) {
+    const response = await this.client.post('/v1/payments', {
+      merchantId: this.options.merchantId,
+      reference,
+      amount,
+      currency,
+      msisdn: phoneNumber.replace(/^\+/, ''),
+      description,
+      callbackUrl: `${config.callbackBaseUrl}/api/payments/webhooks/moov`
+    });
+
+    return {
+      transactionId: response.data.transactionId,
+      status: STATUS_MAP[response.data.status] || 'processing'
+    };
+  }
+
+  async checkStatus(transactionId) {
+    const response = await this.client.get(`/v1/payments/${transactionId}`);
+
+    return {
+      status: STATUS_MAP[response.data.status] || 'processing',
+      reason: response.data.message
+    };
+  }
+
+  parseWebhook(body) {
+    return {
+      eventId: body.eventId,
+      transactionId: body.transactionId,
+      status: STATUS_MAP[body.status] || 'processing',
+      reason: body.message
+    };
+  }
+
+  async refund({ transactionId, reference, amount, currency, reason }) {
+    const response = await this.client.post(`/v1/payments/${transactionId}/refunds`, {
+      reference,
+      amount,
+      currency,
+      reason
+    });
+
+    return {
+      transactionId: response.data.transactionId,
+      status: STATUS_MAP[response.data.status] || 'processing'
+    };
+  }
+
+  async payout({ reference, amount, currency, phoneNumber, description }) {
+    const response = await this.client.post('/v1/transfers', {
+      merchantId: this.options.merchantId,
+      reference,
+      amount,
+      currency,
+      msisdn: phoneNumber.replace(/^\+/, ''),
+      description,
+      callbackUrl: `${config.callbackBaseUrl}/api/payments/webhooks/moov`
+    });
+
+    return {
+      transactionId: response.data.transactionId,
+      status: STATUS_MAP[response.data.status] || 'processing'
+    };
+  }
+
+  async checkPayoutStatus(transactionId) {
+    const response = await this.client.get(`/v1/transfers/${transactionId}`);
+
+    return {
+      status: STATUS_MAP[response.data.status] || 'processing',
+      reason: response.data.message
+    };
+  }
+}
+
+module.exports = MoovMoneyProvider;
@@ -0,0 +1,169 @@
+const axios = require('axios');
+const crypto = require('crypto');
+const PaymentProvider = require('./PaymentProvider');
+const config = require('../../config/paymentProviders');
+
+// Correspondance des statuts MTN MoMo vers les statuts de Payment
+const STATUS_MAP = {
+  PENDING: 'processing',
+  SUCCESSFUL: 'completed',
+  FAILED: 'failed',
+  REJECTED: 'failed',
+  TIMEOUT: 'failed'
+};
+
+/**
+ * Adaptateur MTN Mobile Money (API Collection / Disbursement)
+ */
+class MtnMomoProvider extends PaymentProvider {
+  constructor(options = config.mtn) {
+    super('mtn');
+    this.options = options;
+    this.tokens = {};
+  }
+
+  /**
+   * Obtenir un jeton d'accès pour un produit MoMo (collection ou disbursement)
+   * @param {String} product - collection | disbursement
+   * @returns {Promise<String>} - Jeton d'accès
+   */
+  async getAccessToken(product = 'collection') {
+    const cached = this.tokens[product];
+    if (cached && Date.now() < cached.expiresAt) {
+      return cached.token;
+    }
+
+    const credentials = Buffer.from(`${this.options.apiUser}:${this.options.apiKey}`).toString('base64');
+    const response = await axios.post(`${this.options.baseUrl}/${product}/token/`, null, {
+      headers: {
+        Authorization: `Basic ${credentials}`,
+        'Ocp-Apim-Subscription-Key': this.options.subscriptionKey
+      }
+    });
+
+    this.tokens[product] = {
+      token: response.data.access_token,
+      expiresAt: Date.now() + (response.data.expires_in - 60) * 1000
+    };
+    return response.data.access_token;
+  }
+
+  /**
+   * En-têtes communs aux appels MoMo
+   * @param {String} token - Jeton d'accès
+   * @returns {Object} - En-têtes HTTP
+   */
+  headers(token) {
+    return {
+      Authorization: `Bearer ${token}`,
+      'X-Target-Environment': this.options.targetEnvironment,
+      'Ocp-Apim-Subscription-Key': this.options.subscriptionKey
+    };
+  }
+
+  async initiate({ reference, amount, currency, phoneNumber, description }) {
+    const token = await this.getAccessToken('collection');
+    // MTN identifie la transaction par un UUID choisi par le marchand
+    const transactionId = crypto.randomUUID();
+
+    await axios.post(
+      `${this.options.baseUrl}/collection/v1_0/requesttopay`,
+      {
+        amount: String(amount),
+        currency,
+        externalId: reference,
+        payer: { partyIdType: 'MSISDN', partyId: phoneNumber.replace(/^\+/, '') },
+        payerMessage: description,
+        payeeNote: reference
+      },
+      {
+        headers: {
+          ...this.headers(token),
+          'X-Reference-Id': transactionId,
+          'X-Callback-Url': `${config.callbackBaseUrl}/api/payments/webhooks/mtn`
+        }
+      }
+    );
+
+    return { transactionId, status: 'processing' };
+  }
+
+  async checkStatus(transactionId) {
+    const token = await this.getAccessToken('collection');
+    const response = await axios.get(
+      `${this.options.baseUrl}/collection/v1_0/requesttopay/${transactionId}`,
+      { headers: this.headers(token) }
+    );
+
+    return {
+      status: STATUS_MAP[response.data.status] || 'processing',
+      reason: response.data.reason
+    };
+  }
+
+  parseWebhook(body, headers) {
+    const transactionId = body.referenceId || headers['x-reference-id'];
+
+    return {
+      eventId: `${body.financialTransactionId || transactionId}:${body.status}`,
+      transactionId,
+      status: STATUS_MAP[body.status] || 'processing',
+      reason: body.reason && (body.reason.message || body.reason)
+    };
+  }
+
+  /**
+   * Transférer des fonds vers un numéro MoMo (API Disbursement)
+   * @param {Object} params - { reference, amount, currency, phoneNumber, message }
+   * @returns {Promise<Object>} - { transactionId, status }
+   */
+  async transfer({ reference, amount, currency, phoneNumber, message }) {
+    const token = await this.getAccessToken('disbursement');
+    const transactionId = crypto.randomUUID();
+
+    await axios.post(
+      `${this.options.baseUrl}/disbursement/v1_0/transfer`,
+      {
+        amount: String(amount),
+        currency,
+        externalId: reference,
+        payee: { partyIdType: 'MSISDN', partyId: phoneNumber.replace(/^\+/, '') },
+        payerMessage: message,
+        payeeNote: reference
+      },
+      {
+        headers: {
+          ...this.headers(token),
+          'X-Reference-Id': transactionId,
+          'X-Callback-Url': `${config.callbackBaseUrl}/api/payments/webhooks/mtn`
+        }
+      }
+    );
+
+    return { transactionId, status: 'processing' };
+  }
+
+  async refund({ reference, amount, currency, phoneNumber, reason }) {
+    // Le remboursement est un transfert (disbursement) vers le payeur
+    return this.transfer({ reference, amount, currency, phoneNumber, message: reason });
+  }
+
+  async payout({ reference, amount, currency, phoneNumber, description }) {
+    return this.transfer({ reference, amount, currency, phoneNumber, message: description });
+  }
+
+  async checkPayoutStatus(transactionId) {
+    const token = await this.getAccessToken('disbursement');
+    const response = await axios.get(
+      `${this.options.baseUrl}/disbursement/v1_0/transfer/${transactionId}`,
+      { headers: this.headers(token) }
+    );
+
+    return {
+      status: STATUS_MAP[response.data.status] || 'processing',
+      reason: response.data.reason
+    };
+  }
+}
+
+module.exports = MtnMomoProvider;
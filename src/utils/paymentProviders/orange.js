@@ -0,0 +1,115 @@
+const axios = require('axios');
+const PaymentProvider = require('./PaymentProvider');
+const config = require('../../config/paymentProviders');
+
+// Correspondance des statuts Orange Money WebPay vers les statuts de Payment
+const STATUS_MAP = {
+  INITIATED: 'processing',
+  PENDING: 'processing',
+  SUCCESS: 'completed',
+  FAILED: 'failed',
+  EXPIRED: 'failed'
+};
+
+/**
+ * Adaptateur Orange Money (API WebPay)
+ */
+class OrangeMoneyProvider extends PaymentProvider {
+  constructor(options = config.orange) {
+    super('orange');
+    this.options = options;
+    this.accessToken = null;
+    this.accessTokenExpiresAt = 0;
+    // pay_token et notif_token de chaque transaction, nécessaires pour interroger le statut
+    this.tokens = new Map();
+  }
+
+  /**
+   * Obtenir un jeton OAuth (mis en cache jusqu'à son expiration)
+   * @returns {Promise<String>} - Jeton d'accès
+   */
+  async getAccessToken() {
+    if (this.accessToken && Date.now() < this.accessTokenExpiresAt) {
+      return this.accessToken;
+    }
+
+    const credentials = Buffer.from(`${this.options.clientId}:${this.options.clientSecret}`).toString('base64');
+    const response = await axios.post(
+      `${this.options.baseUrl}/oauth/v3/token`,
+      'grant_type=client_credentials',
+      { headers: { Authorization: `Basic ${credentials}`, 'Content-Type': 'application/x-www-form-urlencoded' } }
+    );
+
+    this.accessToken = response.data.access_token;
+    this.accessTokenExpiresAt = Date.now() + (response.data.expires_in - 60) * 1000;
+    return this.accessToken;
+  }
+
+  async initiate({ reference, amount, currency, description }) {
+    const token = await this.getAccessToken();
+    const response = await axios.post(
+      `${this.options.baseUrl}/orange-money-webpay/${this.options.country}/v1/webpayment`,
+      {
+        merchant_key: this.options.merchantKey,
+        currency: currency === 'XOF' ? 'OUV' : currency,
+        order_id: reference,
+        amount,
+        return_url: config.returnUrl,
+        cancel_url: config.returnUrl,
+        notif_url: `${config.callbackBaseUrl}/api/payments/webhooks/orange`,
+        lang: 'fr',
+        reference: description
+      },
+      { headers: { Authorization: `Bearer ${token}` } }
+    );
+
+    this.tokens.set(reference, response.data.pay_token);
+
+    return {
+      transactionId: reference,
+      providerReference: response.data.pay_token,
+      checkoutUrl: response.data.payment_url,
+      status: 'processing'
+    };
+  }
+
+  async checkStatus(transactionId, { amount, providerReference } = {}) {
+    const token = await this.getAccessToken();
+    const response = await axios.post(
+      `${this.options.baseUrl}/orange-money-webpay/${this.options.country}/v1/transactionstatus`,
+      {
+        order_id: transactionId,
+        amount,
+        pay_token: providerReference || this.tokens.get(transactionId)
+      },
+      { headers: { Authorization: `Bearer ${token}` } }
+    );
+
+    return {
+      status: STATUS_MAP[response.data.status] || 'processing',
+      reason: response.data.status
+    };
+  }
+
+  parseWebhook(body) {
+    return {
+      // Orange notifie une fois par changement de statut d'une transaction
+      eventId: `${body.txnid || body.notif_token}:${body.status}`,
+      transactionId: body.order_id,
+      status: STATUS_MAP[body.status] || 'processing',
+      reason: body.status
+    };
+  }
+
+  async refund() {
+    // L'API WebPay ne propose pas de remboursement: il est effectué par un transfert (cash-in)
+    throw new Error('Les remboursements Orange Money doivent être effectués par transfert marchand');
+  }
+
+  async payout() {
+    // Les versements (cash-in) nécessitent un contrat distinct de l'API WebPay
+    throw new Error('Les versements Orange Money ne sont pas disponibles avec l\'API WebPay');
+  }
+}
+
+module.exports = OrangeMoneyProvider;
@@ -0,0 +1,87 @@
+const crypto = require('crypto');
+const PaymentProvider = require('./PaymentProvider');
+const config = require('../../config/paymentProviders');
+
+/**
+ * Fournisseur local simulant une confirmation USSD asynchrone
+ *
+ * Chaque transaction reste 'processing' pendant `delayMs`, puis passe à 'completed'
+ * ou 'failed' selon `failureRate`, et l'événement 'status' est émis comme le ferait
+ * le webhook d'un opérateur. Les transactions sont conservées en mémoire uniquement.
+ */
+class SimulatorProvider extends PaymentProvider {
+  constructor(options = config.simulator) {
+    super('simulator');
+    this.options = options;
+    this.transactions = new Map();
+  }
+
+  /**
+   * Enregistrer une transaction simulée et planifier son dénouement
+   * @param {String} prefix - Préfixe de l'ID de transaction
+   * @returns {String} - ID de la transaction
+   */
+  schedule(prefix) {
+    const transactionId = `${prefix}_${crypto.randomBytes(8).toString('hex')}`;
+    this.transactions.set(transactionId, { status: 'processing', reason: null });
+
+    const timer = setTimeout(() => {
+      const failed = Math.random() < this.options.failureRate;
+      const outcome = {
+        status: failed ? 'failed' : 'completed',
+        reason: failed ? 'Transaction refusée par le simulateur' : null
+      };
+
+      this.transactions.set(transactionId, outcome);
+      this.emit('status', { provider: this.name, transactionId, ...outcome });
+    }, this.options.delayMs);
+
+    // Ne pas empêcher l'arrêt du processus
+    timer.unref();
+
+    return transactionId;
+  }
+
+  async initiate({ reference, amount, phoneNumber }) {
+    const transactionId = this.schedule('sim');
+    console.log(`Paiement simulé ${transactionId} (${reference}) de ${amount} pour ${phoneNumber || 'carte'}: confirmation dans ${this.options.delayMs} ms`);
+
+    return { transactionId, status: 'processing' };
+  }
+
+  async checkStatus(transactionId) {
+    const transaction = this.transactions.get(transactionId);
+
+    // Transaction perdue (redémarrage du serveur): la considérer comme échouée
+    if (!transaction) {
+      return { status: 'failed', reason: 'Transaction inconnue du simulateur' };
+    }
+
+    return { status: transaction.status, reason: transaction.reason };
+  }
+
+  parseWebhook(body) {
+    return {
+      eventId: body.eventId,
+      transactionId: body.transactionId,
+      status: body.status,
+      reason: body.reason
+    };
+  }
+
+  async refund({ reference, amount }) {
+    const transactionId = this.schedule('simref');
+    console.log(`Remboursement simulé ${transactionId} (${reference}) de ${amount}`);
+
+    return { transactionId, status: 'processing' };
+  }
+
+  async payout({ reference, amount, phoneNumber }) {
+    const transactionId = this.schedule('simpout');
+    console.log(`Versement simulé ${transactionId} (${reference}) de ${amount} vers ${phoneNumber}`);
+
+    return { transactionId, status: 'processing' };
+  }
+}
+
+module.exports = SimulatorProvider;
@@ -0,0 +1,118 @@
+const axios = require('axios');
+const PaymentProvider = require('./PaymentProvider');
+const config = require('../../config/paymentProviders');
+
+// Correspondance des statuts de session Wave vers les statuts de Payment
+const STATUS_MAP = {
+  processing: 'processing',
+  succeeded: 'completed',
+  failed: 'failed',
+  cancelled: 'failed',
+  expired: 'failed'
+};
+
+// Correspondance des statuts de versement Wave vers les statuts de Payout
+const PAYOUT_STATUS_MAP = {
+  processing: 'processing',
+  succeeded: 'completed',
+  failed: 'failed',
+  reversed: 'failed'
+};
+
+/**
+ * Adaptateur Wave (API Checkout et Payout)
+ */
+class WaveProvider extends PaymentProvider {
+  constructor(options = config.wave) {
+    super('wave');
+    this.options = options;
+    this.supportsPartialRefund = false;
+    this.signatureHeader = 'wave-signature';
+    this.client = axios.create({
+      baseURL: options.baseUrl,
+      headers: { Authorization: `Bearer ${options.apiKey}` }
+    });
+  }
+
+  async initiate({ reference, amount, currency }) {
+    const response = await this.client.post('/v1/checkout/sessions', {
+      amount: String(amount),
+      currency,
+      client_reference: reference,
+      success_url: config.returnUrl,
+      error_url: config.returnUrl
+    });
+
+    return {
+      transactionId: response.data.id,
+      checkoutUrl: response.data.wave_launch_url,
+      status: 'processing'
+    };
+  }
+
+  async checkStatus(transactionId) {
+    const response = await this.client.get(`/v1/checkout/sessions/${transactionId}`);
+    const session = response.data;
+
+    // Une session terminée sans paiement réussi est un échec
+    const status = session.checkout_status === 'complete'
+      ? STATUS_MAP[session.payment_status] || 'failed'
+      : STATUS_MAP[session.checkout_status] || 'processing';
+
+    return { status, reason: session.last_payment_error?.message };
+  }
+
+  parseWebhook(body) {
+    const session = body.data || {};
+    let status = 'processing';
+
+    if (body.type === 'checkout.session.completed') {
+      status = STATUS_MAP[session.payment_status] || 'failed';
+    } else if (body.type === 'checkout.session.payment_failed') {
+      status = 'failed';
+    }
+
+    return {
+      eventId: body.id,
+      transactionId: session.id,
+      status,
+      reason: session.last_payment_error && session.last_payment_error.message
+    };
+  }
+
+  async refund({ transactionId }) {
+    // Wave ne rembourse que la totalité d'une session de paiement
+    await this.client.post(`/v1/checkout/sessions/${transactionId}/refund`);
+
+    return { transactionId, status: 'completed' };
+  }
+
+  async payout({ reference, amount, currency, phoneNumber, description }) {
+    // La référence du retrait sert de clé d'idempotence: un nouvel essai ne verse pas deux fois
+    const response = await this.client.post('/v1/payout', {
+      currency,
+      receive_amount: String(amount),
+      mobile: phoneNumber,
+      client_reference: reference,
+      payment_reason: description
+    }, {
+      headers: { 'Idempotency-Key': reference }
+    });
+
+    return {
+      transactionId: response.data.id,
+      status: PAYOUT_STATUS_MAP[response.data.status] || 'processing'
+    };
+  }
+
+  async checkPayoutStatus(transactionId) {
+    const response = await this.client.get(`/v1/payout/${transactionId}`);
+
+    return {
+      status: PAYOUT_STATUS_MAP[response.data.status] || 'processing',
+      reason: response.data.payout_error && response.data.payout_error.error_message
+    };
+  }
+}
+
+module.exports = WaveProvider;
@@ -0,0 +1,201 @@
+const ErrorResponse = require('./errorResponse');
+const scheduleConfig = require('../config/paymentSchedule');
+const pricingConfig = require('../config/pricing');
+
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+
+// Statuts des paiements dont le montant a été encaissé
+const SETTLED_PAYMENT_STATUSES = ['completed', 'partially_refunded', 'refunded'];
+
+// Statuts des paiements en attente de confirmation du fournisseur
+const IN_FLIGHT_PAYMENT_STATUSES = ['pending', 'processing'];
+
+/**
+ * Arrondir un montant en FCFA (pas de décimales)
+ * @param {Number} value - Montant
+ * @returns {Number} - Montant arrondi
+ */
+const roundAmount = (value) => Math.round(value);
+
+/**
+ * Échéancier de paiement des réservations: un acompte à verser peu après la réservation,
+ * puis le solde dû quelques jours avant la prestation
+ */
+const paymentSchedule = {
+  SETTLED_PAYMENT_STATUSES,
+  IN_FLIGHT_PAYMENT_STATUSES,
+
+  /**
+   * Valider et normaliser les conditions de paiement d'un artiste
+   * @param {Object} terms - { depositPercentage, depositDueHours, balanceDueDaysBefore }
+   * @returns {Object} - Conditions normalisées
+   * @throws {ErrorResponse} - 400 si une valeur est invalide
+   */
+  validateTerms(terms = {}) {
+    const depositPercentage = Number(terms.depositPercentage);
+    const depositDueHours = Number(terms.depositDueHours);
+    const balanceDueDaysBefore = Number(terms.balanceDueDaysBefore);
+
+    if (!Number.isFinite(depositPercentage) || depositPercentage < 0 || depositPercentage > 100) {
+      throw new ErrorResponse('Le pourcentage d\'acompte doit être compris entre 0 et 100', 400);
+    }
+    if (!Number.isInteger(depositDueHours) || depositDueHours < 1) {
+      throw new ErrorResponse('Le délai de versement de l\'acompte doit être d\'au moins une heure', 400);
+    }
+    if (!Number.isInteger(balanceDueDaysBefore) || balanceDueDaysBefore < 0) {
+      throw new ErrorResponse('Le nombre de jours avant l\'échéance du solde doit être un entier positif ou nul', 400);
+    }
+
+    return { depositPercentage, depositDueHours, balanceDueDaysBefore };
+  },
+
+  /**
+   * Conditions de paiement effectives d'un artiste (valeurs par défaut pour les champs absents)
+   * @param {Object} artist - Document de l'artiste (paymentTerms)
+   * @returns {Object} - { depositPercentage, depositDueHours, balanceDueDaysBefore }
+   */
+  getTerms(artist) {
+    const terms = (artist && artist.paymentTerms) || {};
+    const defaults = scheduleConfig.defaultTerms;
+
+    return {
+      depositPercentage: terms.depositPercentage ?? defaults.depositPercentage,
+      depositDueHours: terms.depositDueHours ?? defaults.depositDueHours,
+      balanceDueDaysBefore: terms.balanceDueDaysBefore ?? defaults.balanceDueDaysBefore
+    };
+  },
+
+  /**
+   * Date et heure de début d'une prestation
+   * @param {Object} reservation - Réservation (date YYYY-MM-DD, startTime HH:MM)
+   * @returns {Date} - Début de la prestation
+   */
+  eventStart(reservation) {
+    return new Date(`${reservation.date}T${reservation.startTime || '00:00'}:00Z`);
+  },
+
+  /**
+   * Établir l'échéancier d'une réservation
+   * Les échéances ne dépassent jamais le début de la prestation.
+   * @param {Object} reservation - { amount, serviceFee, date, startTime }
+   * @param {Object} terms - Conditions de paiement de l'artiste
+   * @param {Date} now - Date de la réservation
+   * @returns {Object} - { depositPercentage, deposit, balance }
+   */
+  build(reservation, terms, now = new Date()) {
+    const start = this.eventStart(reservation);
+    const rate = terms.depositPercentage / 100;
+
+    const depositAmount = roundAmount(reservation.amount * rate);
+    const depositFee = roundAmount(reservation.serviceFee * rate);
+
+    const depositDueAt = new Date(Math.min(now.getTime() + terms.depositDueHours * HOUR_MS, start.getTime()));
+    const balanceDueAt = new Date(Math.min(
+      Math.max(start.getTime() - terms.balanceDueDaysBefore * DAY_MS, depositDueAt.getTime()),
+      start.getTime()
+    ));
+
+    return {
+      depositPercentage: terms.depositPercentage,
+      deposit: { amount: depositAmount, serviceFee: depositFee, dueAt: depositDueAt },
+      balance: {
+        amount: reservation.amount - depositAmount,
+        serviceFee: reservation.serviceFee - depositFee,
+        dueAt: balanceDueAt
+      }
+    };
+  },
+
+  /**
+   * Échéancier d'une réservation (recalculé avec les conditions par défaut
+   * pour les réservations créées avant l'introduction des échéanciers)
+   * @param {Object} reservation - Document de la réservation
+   * @returns {Object} - { depositPercentage, deposit, balance }
+   */
+  forReservation(reservation) {
+    const schedule = reservation.paymentSchedule;
+    if (schedule && schedule.deposit && schedule.balance) {
+      return schedule;
+    }
+
+    return this.build(reservation, this.getTerms(null), reservation.createdAt || new Date());
+  },
+
+  /**
+   * Calculer les montants restant dus d'une réservation
+   * @param {Object} reservation - Document de la réservation
+   * @param {Array} payments - Paiements de la réservation
+   * @param {Date} now - Date de référence
+   * @returns {Object} - { total, paid, processing, remaining, depositPercentage, installments, nextDue }
+   */
+  getOutstanding(reservation, payments = [], now = new Date()) {
+    const schedule = this.forReservation(reservation);
+    const total = reservation.amount + reservation.serviceFee;
+
+    const paid = payments
+      .filter(p => SETTLED_PAYMENT_STATUSES.includes(p.status))
+      .reduce((sum, p) => sum + p.totalAmount, 0);
+    const processing = payments
+      .filter(p => IN_FLIGHT_PAYMENT_STATUSES.includes(p.status))
+      .reduce((sum, p) => sum + p.totalAmount, 0);
+
+    const depositTotal = schedule.deposit.amount + schedule.deposit.serviceFee;
+    const thresholds = [
+      { type: 'deposit', paymentType: 'advance', installment: schedule.deposit, cumulative: depositTotal },
+      { type: 'balance', paymentType: 'balance', installment: schedule.balance, cumulative: total }
+    ];
+
+    const installments = thresholds
+      .filter(({ installment }) => installment.amount + installment.serviceFee > 0)
+      .map(({ type, paymentType, installment, cumulative }) => {
+        const amountDue = Math.max(0, Math.min(cumulative - paid, installment.amount + installment.serviceFee));
+        let status = 'due';
+        if (amountDue === 0) {
+          status = 'paid';
+        } else if (new Date(installment.dueAt) < now) {
+          status = 'overdue';
+        }
+
+        return {
+          type,
+          paymentType,
+          amount: installment.amount,
+          serviceFee: installment.serviceFee,
+          total: installment.amount + installment.serviceFee,
+          amountDue,
+          dueAt: installment.dueAt,
+          status
+        };
+      });
+
+    const next = installments.find(i => i.status !== 'paid');
+
+    return {
+      currency: pricingConfig.currency,
+      total,
+      paid,
+      processing,
+      remaining: Math.max(0, total - paid),
+      depositPercentage: schedule.depositPercentage,
+      installments,
+      nextDue: next ? { type: next.type, paymentType: next.paymentType, amountDue: next.amountDue, dueAt: next.dueAt } : null
+    };
+  },
+
+  /**
+   * Statut de paiement d'une réservation d'après les montants encaissés
+   * @param {Object} reservation - Document de la réservation
+   * @param {Array} payments - Paiements de la réservation
+   * @returns {String} - 'paid', 'partial' ou 'pending'
+   */
+  getPaymentStatus(reservation, payments = []) {
+    const { paid, remaining } = this.getOutstanding(reservation, payments);
+    if (paid === 0) {
+      return 'pending';
+    }
+    return remaining === 0 ? 'paid' : 'partial';
+  }
+};
+
+module.exports = paymentSchedule;
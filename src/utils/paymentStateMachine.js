@@ -0,0 +1,51 @@
+const ErrorResponse = require('./errorResponse');
+
+/**
+ * Table des transitions autorisées pour Payment.status
+ */
+const TRANSITIONS = {
+  pending: ['processing', 'completed', 'failed'],
+  processing: ['completed', 'failed'],
+  completed: ['partially_refunded', 'refunded'],
+  failed: [],
+  partially_refunded: ['refunded'],
+  refunded: []
+};
+
+const STATUSES = Object.keys(TRANSITIONS);
+
+/**
+ * Machine à états des paiements
+ */
+const paymentStateMachine = {
+  TRANSITIONS,
+  STATUSES,
+
+  /**
+   * Vérifier si une transition est autorisée
+   * @param {String} from - Statut actuel
+   * @param {String} to - Statut demandé
+   * @returns {Boolean} - True si la transition est autorisée
+   */
+  canTransition(from, to) {
+    return (TRANSITIONS[from] || []).includes(to);
+  },
+
+  /**
+   * Vérifier une transition et lever une erreur si elle est interdite
+   * @param {String} from - Statut actuel
+   * @param {String} to - Statut demandé
+   * @throws {ErrorResponse} - 400 si le statut est inconnu, 409 si la transition est interdite
+   */
+  assertTransition(from, to) {
+    if (!STATUSES.includes(to)) {
+      throw new ErrorResponse(`Statut de paiement invalide: ${to}`, 400);
+    }
+
+    if (!this.canTransition(from, to)) {
+      throw new ErrorResponse(`Transition de statut de paiement impossible: ${from} → ${to}`, 409);
+    }
+  }
+};
+
+module.exports = paymentStateMachine;
@@ -0,0 +1,235 @@
+const { Payout, PaymentMethod, Artist } = require('../models');
+const ErrorResponse = require('./errorResponse');
+const paymentProviders = require('./paymentProviders');
+const notificationService = require('./notificationService');
+const ledger = require('./ledger');
+const pricingConfig = require('../config/pricing');
+
+// Moyens de paiement vers lesquels un artiste peut retirer ses fonds
+const PAYOUT_METHOD_TYPES = ['orange', 'mtn', 'moov', 'wave', 'mobile_money'];
+
+// Durée maximale du verrou de retrait d'un artiste
+const PAYOUT_LOCK_MS = 30 * 1000;
+
+// Transitions autorisées entre statuts de retrait
+const TRANSITIONS = {
+  requested: ['processing', 'completed', 'failed'],
+  processing: ['completed', 'failed'],
+  completed: [],
+  failed: []
+};
+
+/**
+ * Service de retrait des fonds disponibles des artistes vers leurs comptes mobile money
+ *
+ * Le montant est débité du solde disponible (grand livre) dès la demande, puis
+ * recrédité par une contre-écriture si le versement échoue chez le fournisseur.
+ */
+const payoutService = {
+  /**
+   * Vérifier si un retrait peut passer d'un statut à un autre
+   * @param {String} from - Statut actuel
+   * @param {String} to - Statut demandé
+   * @returns {Boolean} - True si la transition est autorisée
+   */
+  canTransition(from, to) {
+    return (TRANSITIONS[from] || []).includes(to);
+  },
+
+  /**
+   * Demander le retrait d'une partie du solde disponible vers un moyen de paiement enregistré
+   * @param {String} artistId - ID de l'artiste
+   * @param {Object} params - { amount, paymentMethodId }
+   * @returns {Promise<Object>} - Le retrait créé
+   * @throws {ErrorResponse} - 400/404 si la demande est invalide ou le solde insuffisant
+   */
+  async requestPayout(artistId, { amount, paymentMethodId }) {
+    amount = Number(amount);
+    if (!Number.isInteger(amount) || amount < pricingConfig.minPayoutAmount) {
+      throw new ErrorResponse(`Le montant du retrait doit être un nombre entier d'au moins ${pricingConfig.minPayoutAmount} FCFA`, 400);
+    }
+
+    if (!paymentMethodId) {
+      throw new ErrorResponse('Un moyen de paiement (paymentMethodId) est requis', 400);
+    }
+
+    const paymentMethod = await PaymentMethod.findOne({
+      _id: paymentMethodId,
+      user: artistId,
+      userModel: 'Artist'
+    });
+    if (!paymentMethod) {
+      throw new ErrorResponse(`Moyen de paiement non trouvé avec l'id ${paymentMethodId}`, 404);
+    }
+
+    const phoneNumber = paymentMethod.details && paymentMethod.details.phoneNumber;
+    if (!PAYOUT_METHOD_TYPES.includes(paymentMethod.type) || !phoneNumber) {
+      throw new ErrorResponse('Les retraits ne sont possibles que vers un compte mobile money', 400);
+    }
+
+    // Verrouiller l'artiste: deux demandes simultanées ne peuvent pas lire le même solde
+    const now = new Date();
+    const locked = await Artist.findOneAndUpdate(
+      {
+        _id: artistId,
+        $or: [{ payoutLockedUntil: null }, { payoutLockedUntil: { $lt: now } }]
+      },
+      { payoutLockedUntil: new Date(now.getTime() + PAYOUT_LOCK_MS) }
+    );
+    if (!locked) {
+      throw new ErrorResponse('Une demande de retrait est déjà en cours de traitement', 409);
+    }
+
+    let payout;
+    try {
+      const { available } = await ledger.getArtistBalance(artistId);
+      if (available < amount) {
+        throw new ErrorResponse('Solde disponible insuffisant pour ce retrait', 400);
+      }
+
+      payout = await Payout.create({
+        artist: artistId,
+        paymentMethod: paymentMethod._id,
+        destination: {
+          type: paymentMethod.type,
+          phoneNumber,
+          operator: paymentMethod.type === 'mobile_money' ? paymentMethod.details.operator : paymentMethod.type
+        },
+        amount,
+        currency: pricingConfig.currency
+      });
+
+      await ledger.recordPayout(payout);
+    } finally {
+      await Artist.updateOne({ _id: artistId }, { $unset: { payoutLockedUntil: 1 } });
+    }
+
+    return this.initiate(payout);
+  },
+
+  /**
+   * Transmettre un retrait au fournisseur de l'opérateur de destination
+   * @param {Object} payout - Document du retrait (status 'requested')
+   * @returns {Promise<Object>} - Le retrait mis à jour
+   */
+  async initiate(payout) {
+    let provider;
+
+    try {
+      provider = paymentProviders.getProvider(payout.destination.operator);
+
+      const result = await provider.payout({
+        reference: payout.reference,
+        amount: payout.amount,
+        currency: payout.currency,
+        phoneNumber: payout.destination.phoneNumber,
+        description: `Retrait BookMi ${payout.reference}`
+      });
+
+      payout.provider = provider.name;
+      payout.transactionId = result.transactionId;
+      payout.status = 'processing';
+      await payout.save();
+
+      if (result.status && result.status !== 'processing') {
+        return await this.applyStatus(payout, result.status);
+      }
+    } catch (error) {
+      console.error(`Erreur lors de l'initiation du retrait ${payout.reference}:`, error.message);
+      payout.provider = provider ? provider.name : '';
+      return await this.applyStatus(payout, 'failed', { reason: error.message });
+    }
+
+    return payout;
+  },
+
+  /**
+   * Appliquer le statut rapporté par un fournisseur à un retrait
+   * Un retrait échoué est recrédité sur le solde disponible de l'artiste
+   * @param {Object} payout - Document du retrait
+   * @param {String} status - Nouveau statut (completed, failed...)
+   * @param {Object} options - { reason }
+   * @returns {Promise<Object>} - Le retrait mis à jour
+   * @throws {ErrorResponse} - 409 si la transition de statut est interdite
+   */
+  async applyStatus(payout, status, { reason } = {}) {
+    if (payout.status === status) {
+      return payout;
+    }
+
+    if (!this.canTransition(payout.status, status)) {
+      throw new ErrorResponse(`Transition de statut impossible: ${payout.status} → ${status}`, 409);
+    }
+
+    // Mise à jour conditionnée au statut lu pour ne recréditer qu'une seule fois
+    const update = { status, provider: payout.provider, updatedAt: Date.now() };
+    if (status === 'failed') {
+      update.failureReason = reason || '';
+    }
+    if (status === 'completed') {
+      update.completedAt = Date.now();
+    }
+
+    const updated = await Payout.findOneAndUpdate(
+      { _id: payout._id, status: payout.status },
+      update,
+      { new: true }
+    );
+    if (!updated) {
+      return Payout.findById(payout._id);
+    }
+
+    if (status === 'failed') {
+      await ledger.recordPayoutReversal(updated);
+    }
+
+    if (status === 'completed' || status === 'failed') {
+      try {
+        await notificationService.notifyPayout(updated, status);
+      } catch (error) {
+        console.error('Erreur lors de l\'envoi de la notification de retrait:', error);
+      }
+    }
+
+    return updated;
+  },
+
+  /**
+   * Interroger le fournisseur et appliquer le statut obtenu
+   * @param {Object} payout - Document du retrait
+   * @returns {Promise<Object>} - Le retrait mis à jour
+   */
+  async syncStatus(payout) {
+    if (payout.status !== 'processing' || !payout.provider || !payout.transactionId) {
+      return payout;
+    }
+
+    const provider = paymentProviders.getProviderByName(payout.provider);
+    const { status, reason } = await provider.checkPayoutStatus(payout.transactionId);
+
+    if (status === 'processing') {
+      return payout;
+    }
+
+    return await this.applyStatus(payout, status, { reason });
+  },
+
+  /**
+   * Écouter les changements de statut émis directement par les fournisseurs (simulateur)
+   */
+  init() {
+    paymentProviders.onStatus(async ({ provider, transactionId, status, reason }) => {
+      try {
+        const payout = await Payout.findOne({ provider, transactionId });
+        if (!payout) {
+          return;
+        }
+        await this.applyStatus(payout, status, { reason });
+      } catch (error) {
+        console.error(`Erreur lors de la mise à jour du retrait ${transactionId}:`, error);
+      }
+    });
+  }
+};
+
+module.exports = payoutService;
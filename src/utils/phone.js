@@ -0,0 +1,109 @@
+const config = require('../config/phone');
+const ErrorResponse = require('./errorResponse');
+
+// Indicatifs internationaux des pays desservis (code ISO du pays)
+const DIAL_CODES = {
+  225: 'CI',
+  221: 'SN',
+  223: 'ML',
+  226: 'BF',
+  227: 'NE',
+  228: 'TG',
+  229: 'BJ',
+  224: 'GN',
+  237: 'CM',
+  241: 'GA',
+  242: 'CG',
+  243: 'CD',
+  233: 'GH',
+  234: 'NG',
+  33: 'FR'
+};
+
+// Côte d'Ivoire: numéros nationaux à 10 chiffres depuis le 31 janvier 2021. Les anciens numéros
+// mobiles à 8 chiffres reçoivent le préfixe de leur opérateur, déterminé par leur deuxième chiffre
+const CI_DIAL_CODE = '225';
+const CI_MOBILE_PREFIXES = ['01', '01', '01', '01', '05', '05', '05', '07', '07', '07'];
+
+/**
+ * Convertir un ancien numéro mobile ivoirien à 8 chiffres au plan de numérotation à 10 chiffres
+ * Les anciens numéros fixes (2x, 3x) ne sont pas convertis: ils restent invalides
+ * @param {String} e164 - Numéro au format E.164
+ * @returns {String} - Numéro converti, ou inchangé
+ */
+const migrateIvorianNumber = (e164) => {
+  const national = e164.slice(CI_DIAL_CODE.length + 1);
+  if (!e164.startsWith(`+${CI_DIAL_CODE}`) || !/^[04-9]\d{7}$/.test(national)) {
+    return e164;
+  }
+  return `+${CI_DIAL_CODE}${CI_MOBILE_PREFIXES[Number(national[1])]}${national}`;
+};
+
+/**
+ * Utilitaires des numéros de téléphone (format international E.164)
+ */
+const phone = {
+  /**
+   * Mettre un numéro au format E.164 (+<indicatif><numéro>)
+   * Les numéros saisis sans indicatif reçoivent l'indicatif par défaut; les anciens numéros mobiles
+   * ivoiriens à 8 chiffres sont convertis au plan à 10 chiffres (07095474 devient +2250707095474)
+   * @param {String} phoneNumber - Numéro saisi (espaces, tirets, points et parenthèses acceptés)
+   * @returns {String} - Numéro normalisé ('' si aucun chiffre)
+   */
+  normalize(phoneNumber) {
+    const value = String(phoneNumber || '').trim().replace(/[\s().-]/g, '');
+    if (!/\d/.test(value)) {
+      return '';
+    }
+    if (value.startsWith('+')) {
+      return migrateIvorianNumber(`+${value.slice(1).replace(/\D/g, '')}`);
+    }
+
+    const digits = value.replace(/\D/g, '');
+    if (digits.startsWith('00')) {
+      return migrateIvorianNumber(`+${digits.slice(2)}`);
+    }
+    return migrateIvorianNumber(`+${config.defaultDialCode}${digits}`);
+  },
+
+  /**
+   * Vérifier qu'un numéro normalisé respecte le format E.164
+   * Les numéros ivoiriens doivent compter 10 chiffres après l'indicatif
+   * @param {String} e164 - Numéro normalisé
+   * @returns {Boolean} - True si le numéro est valide
+   */
+  isValid(e164) {
+    if (!/^\+[1-9]\d{7,14}$/.test(e164)) {
+      return false;
+    }
+    return !e164.startsWith(`+${CI_DIAL_CODE}`) || /^\d{10}$/.test(e164.slice(CI_DIAL_CODE.length + 1));
+  },
+
+  /**
+   * Déterminer le pays d'un numéro normalisé à partir de son indicatif
+   * @param {String} e164 - Numéro normalisé
+   * @returns {String} - Code ISO du pays ('' si inconnu)
+   */
+  getCountry(e164) {
+    const dialCode = Object.keys(DIAL_CODES)
+      .sort((a, b) => b.length - a.length)
+      .find(code => e164.startsWith(`+${code}`));
+    return dialCode ? DIAL_CODES[dialCode] : '';
+  },
+
+  /**
+   * Refuser un changement de numéro dans une mise à jour de profil
+   * Le numéro ne change que par POST /api/auth/phone/request puis /api/auth/phone/verify,
+   * avec un code reçu sur le nouveau numéro
+   * @param {String} current - Numéro du compte
+   * @param {String} submitted - Numéro envoyé avec la mise à jour (absent si inchangé)
+   * @throws {ErrorResponse} - 400 si le numéro envoyé diffère de celui du compte
+   */
+  assertUnchanged(current, submitted) {
+    if (submitted !== undefined && this.normalize(submitted) !== current) {
+      throw new ErrorResponse('Le changement de numéro doit être confirmé par un code envoyé par SMS (POST /api/auth/phone/request)', 400);
+    }
+  }
+};
+
+module.exports = phone;
@@ -0,0 +1,258 @@
+const crypto = require('crypto');
+const { Quote } = require('../models');
+const ErrorResponse = require('./errorResponse');
+const pricingConfig = require('../config/pricing');
+const availabilityService = require('./availabilityService');
+const paymentSchedule = require('./paymentSchedule');
+
+// Statuts de paiement qui engagent une partie du montant d'une réservation:
+// en attente du fournisseur ou encaissés, y compris après un remboursement
+const ENGAGED_PAYMENT_STATUSES = [
+  ...paymentSchedule.IN_FLIGHT_PAYMENT_STATUSES,
+  ...paymentSchedule.SETTLED_PAYMENT_STATUSES
+];
+
+/**
+ * Arrondir un montant en FCFA (pas de décimales)
+ * @param {Number} value - Montant
+ * @returns {Number} - Montant arrondi
+ */
+const roundAmount = (value) => Math.round(value);
+
+/**
+ * Part d'un paiement qui reste acquise après ses remboursements
+ * Un remboursement porte sur le total: il est réparti entre le montant et la commission
+ * au prorata, comme le fait refundService
+ * @param {Object} payment - Document du paiement
+ * @returns {Object} - { amount, serviceFee }
+ */
+const netOfRefunds = (payment) => {
+  const refunded = payment.refundedAmount || 0;
+  const refundedFee = payment.totalAmount ? roundAmount(refunded * payment.serviceFee / payment.totalAmount) : 0;
+  return {
+    amount: payment.amount - (refunded - refundedFee),
+    serviceFee: payment.serviceFee - refundedFee
+  };
+};
+
+/**
+ * Construire la chaîne canonique signée pour un devis
+ * @param {Object} quote - Document du devis
+ * @returns {String} - Chaîne canonique
+ */
+const canonicalQuote = (quote) => [
+  quote._id,
+  quote.booker,
+  quote.service,
+  quote.artist,
+  quote.date,
+  quote.startTime,
+  quote.endTime,
+  quote.amount,
+  quote.serviceFee,
+  quote.totalAmount,
+  new Date(quote.expiresAt).toISOString()
+].map(String).join('|');
+
+/**
+ * Service de tarification: calcule les montants côté serveur à partir du service réservé
+ */
+const pricing = {
+  /**
+   * Calculer le montant, la commission et le total pour un créneau
+   * @param {Object} service - Document du service
+   * @param {String} startTime - Heure de début HH:MM
+   * @param {String} endTime - Heure de fin HH:MM
+   * @param {Number} commissionRate - Taux de commission de la plateforme
+   * @returns {Object} - { pricingType, unitPrice, hours, amount, serviceFee, totalAmount, commissionRate }
+   */
+  computeAmounts(service, startTime, endTime, commissionRate = pricingConfig.commissionRate) {
+    const minutes = availabilityService.timeToMinutes(endTime) - availabilityService.timeToMinutes(startTime);
+    const hours = Math.round((minutes / 60) * 100) / 100;
+    const pricingType = service.pricingType || 'flat';
+
+    const amount = pricingType === 'hourly'
+      ? roundAmount(service.price * hours)
+      : roundAmount(service.price);
+    const serviceFee = roundAmount(amount * commissionRate);
+
+    return {
+      pricingType,
+      unitPrice: service.price,
+      hours,
+      amount,
+      serviceFee,
+      totalAmount: amount + serviceFee,
+      commissionRate
+    };
+  },
+
+  /**
+   * Signer un devis
+   * @param {Object} quote - Document du devis
+   * @returns {String} - Signature HMAC-SHA256 en hexadécimal
+   */
+  signQuote(quote) {
+    return crypto
+      .createHmac('sha256', pricingConfig.quoteSigningSecret)
+      .update(canonicalQuote(quote))
+      .digest('hex');
+  },
+
+  /**
+   * Vérifier la signature d'un devis
+   * @param {Object} quote - Document du devis
+   * @returns {Boolean} - True si la signature correspond au contenu
+   */
+  verifyQuoteSignature(quote) {
+    const expected = Buffer.from(this.signQuote(quote), 'hex');
+    const actual = Buffer.from(quote.signature || '', 'hex');
+    return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+  },
+
+  /**
+   * Établir et enregistrer un devis signé pour un créneau
+   * @param {Object} params - { bookerId, service, date, startTime, endTime }
+   * @returns {Promise<Object>} - Le devis créé
+   */
+  async createQuote({ bookerId, service, date, startTime, endTime }) {
+    const quote = new Quote({
+      booker: bookerId,
+      service: service._id,
+      artist: service.artist,
+      date,
+      startTime,
+      endTime,
+      ...this.computeAmounts(service, startTime, endTime),
+      currency: pricingConfig.currency,
+      expiresAt: new Date(Date.now() + pricingConfig.quoteTtlMinutes * 60 * 1000)
+    });
+
+    quote.signature = this.signQuote(quote);
+    await quote.save();
+
+    return quote;
+  },
+
+  /**
+   * Charger un devis et vérifier qu'il peut servir à créer une réservation
+   * @param {String} quoteId - ID du devis
+   * @param {String} bookerId - ID du booker qui réserve
+   * @returns {Promise<Object>} - Le devis valide
+   * @throws {ErrorResponse} - 400/403/404/409 selon l'anomalie détectée
+   */
+  async getUsableQuote(quoteId, bookerId) {
+    if (!quoteId) {
+      throw new ErrorResponse('Un devis (quoteId) est requis', 400);
+    }
+
+    const quote = await Quote.findById(quoteId);
+    if (!quote) {
+      throw new ErrorResponse(`Devis non trouvé avec l'id ${quoteId}`, 404);
+    }
+
+    if (quote.booker.toString() !== bookerId.toString()) {
+      throw new ErrorResponse('Ce devis ne vous appartient pas', 403);
+    }
+
+    if (!this.verifyQuoteSignature(quote)) {
+      throw new ErrorResponse('La signature du devis est invalide', 400);
+    }
+
+    if (quote.usedAt) {
+      throw new ErrorResponse('Ce devis a déjà été utilisé', 409);
+    }
+
+    if (quote.expiresAt < new Date()) {
+      throw new ErrorResponse('Ce devis a expiré, veuillez en demander un nouveau', 400);
+    }
+
+    return quote;
+  },
+
+  /**
+   * Réserver un devis pour une réservation de façon atomique
+   * @param {Object} quote - Document du devis
+   * @param {String} reservationId - ID de la réservation créée
+   * @returns {Promise<Boolean>} - False si le devis a été utilisé entre-temps
+   */
+  async claimQuote(quote, reservationId) {
+    const claimed = await Quote.findOneAndUpdate(
+      { _id: quote._id, usedAt: null },
+      { usedAt: new Date(), reservation: reservationId },
+      { new: true }
+    );
+    return !!claimed;
+  },
+
+  /**
+   * Rejeter toute valeur envoyée par le client qui diffère des montants calculés
+   * @param {Object} submitted - Valeurs reçues (amount, serviceFee, totalAmount)
+   * @param {Object} expected - Valeurs calculées par le serveur
+   * @throws {ErrorResponse} - 400 si un montant a été modifié
+   */
+  assertUntampered(submitted, expected) {
+    ['amount', 'serviceFee', 'totalAmount'].forEach(field => {
+      if (submitted[field] !== undefined && submitted[field] !== null &&
+          Number(submitted[field]) !== Number(expected[field])) {
+        throw new ErrorResponse(`Le montant ${field} ne correspond pas au devis`, 400);
+      }
+    });
+  },
+
+  /**
+   * Calculer les montants d'un paiement à partir du devis de la réservation
+   * @param {Object} quote - Devis de la réservation
+   * @param {String} paymentType - full, advance ou balance
+   * @param {Array} previousPayments - Paiements de la réservation (les montants remboursés sont déduits)
+   * @param {Object} schedule - Échéancier de la réservation (montants de l'acompte)
+   * @returns {Object} - { amount, serviceFee, totalAmount }
+   * @throws {ErrorResponse} - 400/409 si le paiement demandé n'est pas cohérent
+   */
+  computePaymentAmounts(quote, paymentType, previousPayments = [], schedule) {
+    const engaged = previousPayments.filter(p => ENGAGED_PAYMENT_STATUSES.includes(p.status));
+    const paidAmount = engaged.reduce((total, p) => total + netOfRefunds(p).amount, 0);
+    const paidFee = engaged.reduce((total, p) => total + netOfRefunds(p).serviceFee, 0);
+
+    let amount, serviceFee;
+
+    switch (paymentType) {
+      case 'full':
+        if (engaged.length > 0) {
+          throw new ErrorResponse('Un paiement a déjà été effectué pour cette réservation', 409);
+        }
+        amount = quote.amount;
+        serviceFee = quote.serviceFee;
+        break;
+
+      case 'advance':
+        if (engaged.length > 0) {
+          throw new ErrorResponse('Un acompte a déjà été versé pour cette réservation', 409);
+        }
+        if (!schedule || schedule.deposit.amount + schedule.deposit.serviceFee === 0) {
+          throw new ErrorResponse('Cette réservation ne prévoit pas d\'acompte', 400);
+        }
+        amount = schedule.deposit.amount;
+        serviceFee = schedule.deposit.serviceFee;
+        break;
+
+      case 'balance':
+        if (engaged.length === 0) {
+          throw new ErrorResponse('Aucun acompte n\'a été versé pour cette réservation', 400);
+        }
+        amount = quote.amount - paidAmount;
+        serviceFee = quote.serviceFee - paidFee;
+        if (amount + serviceFee <= 0) {
+          throw new ErrorResponse('Cette réservation est déjà entièrement réglée', 409);
+        }
+        break;
+
+      default:
+        throw new ErrorResponse(`Type de paiement invalide: ${paymentType}`, 400);
+    }
+
+    return { amount, serviceFee, totalAmount: amount + serviceFee };
+  }
+};
+
+module.exports = pricing;
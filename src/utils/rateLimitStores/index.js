@@ -0,0 +1,40 @@
+const config = require('../../config/rateLimit');
+const MongoStore = require('./mongo');
+const MemoryStore = require('./memory');
+
+const STORES = {
+  mongo: MongoStore,
+  memory: MemoryStore
+};
+
+let instance = null;
+
+/**
+ * Obtenir le stockage des compteurs configuré (instance partagée)
+ * @returns {MongoStore|MemoryStore} - Le stockage
+ */
+const getStore = () => {
+  if (!instance) {
+    const Store = STORES[config.store];
+    if (!Store) {
+      throw new Error(`Stockage de compteurs inconnu: ${config.store}`);
+    }
+    instance = new Store();
+  }
+  return instance;
+};
+
+/**
+ * Remplacer le stockage utilisé (tests)
+ * @param {Object} store - Instance respectant l'interface get/hit/lock/reset
+ */
+const setStore = (store) => {
+  instance = store;
+};
+
+module.exports = {
+  getStore,
+  setStore,
+  MongoStore,
+  MemoryStore
+};
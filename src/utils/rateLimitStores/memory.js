@@ -0,0 +1,73 @@
+/**
+ * Stockage des compteurs de tentatives en mémoire
+ * Réservé aux tests et aux déploiements à processus unique: les compteurs sont perdus au redémarrage
+ * et ne sont pas partagés entre instances
+ */
+class MemoryStore {
+  constructor() {
+    this.counters = new Map();
+  }
+
+  /**
+   * Lire le compteur d'une clé (null s'il n'existe pas ou a expiré)
+   * @param {String} key - Clé du compteur
+   * @param {Date} now - Date de référence
+   * @returns {Promise<Object|null>} - { count, windowStartedAt, lockedUntil, lockLevel }
+   */
+  async get(key, now = new Date()) {
+    const counter = this.counters.get(key);
+    if (!counter) {
+      return null;
+    }
+    if (counter.expiresAt <= now) {
+      this.counters.delete(key);
+      return null;
+    }
+    return { ...counter };
+  }
+
+  /**
+   * Compter une tentative dans la fenêtre courante (une nouvelle fenêtre s'ouvre si la précédente est écoulée)
+   * @param {String} key - Clé du compteur
+   * @param {Object} options - { windowMs, retentionMs, now }
+   * @returns {Promise<Object>} - Le compteur mis à jour
+   */
+  async hit(key, { windowMs, retentionMs, now = new Date() }) {
+    const counter = (await this.get(key, now)) || { count: 0, windowStartedAt: now, lockedUntil: null, lockLevel: 0 };
+
+    if (counter.windowStartedAt.getTime() + windowMs <= now.getTime()) {
+      counter.count = 0;
+      counter.windowStartedAt = now;
+    }
+    counter.count += 1;
+    counter.expiresAt = new Date(Math.max(now.getTime() + retentionMs, counter.lockedUntil ? counter.lockedUntil.getTime() : 0));
+
+    this.counters.set(key, counter);
+    return { ...counter };
+  }
+
+  /**
+   * Verrouiller une clé et remettre son compteur à zéro
+   * @param {String} key - Clé du compteur
+   * @param {Object} options - { lockedUntil, lockLevel, retentionMs, now }
+   */
+  async lock(key, { lockedUntil, lockLevel, retentionMs, now = new Date() }) {
+    this.counters.set(key, {
+      count: 0,
+      windowStartedAt: now,
+      lockedUntil,
+      lockLevel,
+      expiresAt: new Date(lockedUntil.getTime() + retentionMs)
+    });
+  }
+
+  /**
+   * Supprimer le compteur d'une clé
+   * @param {String} key - Clé du compteur
+   */
+  async reset(key) {
+    this.counters.delete(key);
+  }
+}
+
+module.exports = MemoryStore;
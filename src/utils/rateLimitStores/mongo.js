@@ -0,0 +1,92 @@
+const { RateLimitCounter } = require('../../models');
+
+/**
+ * Stockage des compteurs de tentatives dans MongoDB (partagé entre instances)
+ * Les compteurs inactifs sont purgés par l'index TTL de RateLimitCounter.expiresAt
+ */
+class MongoStore {
+  /**
+   * Lire le compteur d'une clé (null s'il n'existe pas ou a expiré)
+   * @param {String} key - Clé du compteur
+   * @param {Date} now - Date de référence
+   * @returns {Promise<Object|null>} - { count, windowStartedAt, lockedUntil, lockLevel }
+   */
+  async get(key, now = new Date()) {
+    return await RateLimitCounter.findOne({ key, expiresAt: { $gt: now } }).lean();
+  }
+
+  /**
+   * Compter une tentative dans la fenêtre courante (une nouvelle fenêtre s'ouvre si la précédente est écoulée)
+   * L'incrément est atomique: des requêtes simultanées ne peuvent pas contourner la limite
+   * @param {String} key - Clé du compteur
+   * @param {Object} options - { windowMs, retentionMs, now }
+   * @returns {Promise<Object>} - Le compteur mis à jour
+   */
+  async hit(key, { windowMs, retentionMs, now = new Date() }) {
+    // Compteur absent ou expiré (pas encore purgé par l'index TTL)
+    const expired = { $lte: [{ $ifNull: ['$expiresAt', new Date(0)] }, now] };
+    const windowExpired = {
+      $or: [
+        expired,
+        { $lte: [{ $ifNull: ['$windowStartedAt', new Date(0)] }, new Date(now.getTime() - windowMs)] }
+      ]
+    };
+
+    const update = [
+      {
+        $set: {
+          count: { $cond: [windowExpired, 1, { $add: ['$count', 1] }] },
+          windowStartedAt: { $cond: [windowExpired, now, '$windowStartedAt'] },
+          lockedUntil: { $cond: [expired, null, '$lockedUntil'] },
+          lockLevel: { $cond: [expired, 0, '$lockLevel'] }
+        }
+      },
+      {
+        $set: {
+          expiresAt: {
+            $max: [new Date(now.getTime() + retentionMs), { $ifNull: ['$lockedUntil', new Date(0)] }]
+          }
+        }
+      }
+    ];
+
+    try {
+      return await RateLimitCounter.findOneAndUpdate({ key }, update, { upsert: true, new: true }).lean();
+    } catch (error) {
+      // Deux premières tentatives simultanées: l'une des insertions échoue, la rejouer en mise à jour
+      if (error.code === 11000) {
+        return await RateLimitCounter.findOneAndUpdate({ key }, update, { new: true }).lean();
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Verrouiller une clé et remettre son compteur à zéro
+   * @param {String} key - Clé du compteur
+   * @param {Object} options - { lockedUntil, lockLevel, retentionMs, now }
+   */
+  async lock(key, { lockedUntil, lockLevel, retentionMs, now = new Date() }) {
+    await RateLimitCounter.updateOne(
+      { key },
+      {
+        count: 0,
+        windowStartedAt: now,
+        lockedUntil,
+        lockLevel,
+        expiresAt: new Date(lockedUntil.getTime() + retentionMs)
+      },
+      { upsert: true }
+    );
+  }
+
+  /**
+   * Supprimer le compteur d'une clé
+   * @param {String} key - Clé du compteur
+   */
+  async reset(key) {
+    await RateLimitCounter.deleteOne({ key });
+  }
+}
+
+module.exports = MongoStore;
@@ -0,0 +1,153 @@
+const ErrorResponse = require('./errorResponse');
+const config = require('../config/rateLimit');
+const { getStore } = require('./rateLimitStores');
+
+/**
+ * Normaliser un identifiant de compte (email, téléphone normalisé) pour en faire une clé de compteur
+ * @param {String} identifier - Identifiant saisi
+ * @returns {String} - Identifiant en minuscules sans espaces
+ */
+const normalizeIdentifier = (identifier) => String(identifier || '').trim().toLowerCase();
+
+/**
+ * Construire l'erreur 429 renvoyée pendant un verrouillage ou un dépassement de quota
+ * @param {Number} retryAfterMs - Délai avant la prochaine tentative autorisée
+ * @returns {ErrorResponse} - Erreur portant retryAfter (en secondes)
+ */
+const tooManyAttempts = (retryAfterMs) => {
+  const retryAfter = Math.max(1, Math.ceil(retryAfterMs / 1000));
+  const minutes = Math.ceil(retryAfter / 60);
+  const error = new ErrorResponse(`Trop de tentatives. Veuillez réessayer dans ${minutes} minute(s)`, 429);
+  error.retryAfter = retryAfter;
+  return error;
+};
+
+/**
+ * Protection contre les tentatives répétées: compteurs d'échecs avec verrouillage progressif
+ * et quotas d'envoi, par compte et par adresse IP
+ * Une limite est un objet { key, policy } où policy provient de config/rateLimit
+ */
+const rateLimiter = {
+  /**
+   * Limites d'une tentative de connexion
+   * @param {String} email - Email saisi
+   * @param {String} ip - Adresse IP du client
+   * @returns {Array} - [limite du compte, limite de l'IP]
+   */
+  forLogin(email, ip) {
+    return [
+      { key: `login:account:${normalizeIdentifier(email)}`, policy: config.lockout.loginAccount },
+      { key: `login:ip:${ip}`, policy: config.lockout.loginIp }
+    ];
+  },
+
+  /**
+   * Limites de la saisie d'un code reçu par SMS (vérification, réinitialisation)
+   * Le nombre d'essais par code est en outre plafonné sur l'utilisateur (OneTimeCode.attempts)
+   * @param {String} ip - Adresse IP du client
+   * @returns {Array} - [limite de l'IP]
+   */
+  forCodeEntry(ip) {
+    return [
+      { key: `code:ip:${ip}`, policy: config.lockout.codeIp }
+    ];
+  },
+
+  /**
+   * Limites de la saisie d'un code de double authentification (TOTP ou code de secours)
+   * @param {String} userId - ID de l'utilisateur
+   * @param {String} ip - Adresse IP du client
+   * @returns {Array} - [limite du compte, limite de l'IP]
+   */
+  forTwoFactor(userId, ip) {
+    return [
+      { key: `2fa:account:${userId}`, policy: config.lockout.twoFactorAccount },
+      { key: `code:ip:${ip}`, policy: config.lockout.codeIp }
+    ];
+  },
+
+  /**
+   * Quotas d'envoi de codes par SMS
+   * @param {String} identifier - Email ou téléphone (E.164) du compte
+   * @param {String} ip - Adresse IP du client
+   * @returns {Array} - [quota du compte, quota de l'IP]
+   */
+  forCodeSending(identifier, ip) {
+    return [
+      { key: `send:account:${normalizeIdentifier(identifier)}`, policy: config.throttle.codeAccount },
+      { key: `send:ip:${ip}`, policy: config.throttle.codeIp }
+    ];
+  },
+
+  /**
+   * Refuser la tentative si l'une des limites est verrouillée
+   * @param {Array} limits - Limites à contrôler
+   * @param {Date} now - Date de référence
+   * @throws {ErrorResponse} - 429 avec retryAfter pendant le verrouillage
+   */
+  async assertNotLocked(limits, now = new Date()) {
+    const store = getStore();
+    for (const { key } of limits) {
+      const counter = await store.get(key, now);
+      if (counter && counter.lockedUntil && counter.lockedUntil > now) {
+        throw tooManyAttempts(counter.lockedUntil - now);
+      }
+    }
+  },
+
+  /**
+   * Compter un échec; au-delà du seuil, verrouiller la clé pour une durée qui double à chaque récidive
+   * @param {Array} limits - Limites concernées
+   * @param {Date} now - Date de référence
+   * @returns {Promise<Boolean>} - True si l'une des limites vient d'être verrouillée
+   */
+  async registerFailure(limits, now = new Date()) {
+    const store = getStore();
+    let locked = false;
+
+    for (const { key, policy } of limits) {
+      const counter = await store.hit(key, { windowMs: policy.windowMs, retentionMs: config.retentionMs, now });
+      if (counter.count >= policy.maxFailures) {
+        const lockMs = Math.min(policy.baseLockMs * 2 ** (counter.lockLevel || 0), policy.maxLockMs);
+        await store.lock(key, {
+          lockedUntil: new Date(now.getTime() + lockMs),
+          lockLevel: (counter.lockLevel || 0) + 1,
+          retentionMs: config.retentionMs,
+          now
+        });
+        locked = true;
+      }
+    }
+
+    return locked;
+  },
+
+  /**
+   * Effacer les compteurs après une tentative réussie
+   * @param {Array} limits - Limites à remettre à zéro
+   */
+  async registerSuccess(limits) {
+    const store = getStore();
+    for (const { key } of limits) {
+      await store.reset(key);
+    }
+  },
+
+  /**
+   * Compter un envoi et refuser ceux qui dépassent le quota de la fenêtre
+   * @param {Array} limits - Quotas concernés
+   * @param {Date} now - Date de référence
+   * @throws {ErrorResponse} - 429 avec retryAfter si un quota est dépassé
+   */
+  async throttle(limits, now = new Date()) {
+    const store = getStore();
+    for (const { key, policy } of limits) {
+      const counter = await store.hit(key, { windowMs: policy.windowMs, retentionMs: policy.windowMs, now });
+      if (counter.count > policy.max) {
+        throw tooManyAttempts(new Date(counter.windowStartedAt).getTime() + policy.windowMs - now.getTime());
+      }
+    }
+  }
+};
+
+module.exports = rateLimiter;
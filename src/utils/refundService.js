@@ -0,0 +1,321 @@
+const { Refund, Payment, Reservation, Artist } = require('../models');
+const ErrorResponse = require('./errorResponse');
+const paymentProviders = require('./paymentProviders');
+const paymentStateMachine = require('./paymentStateMachine');
+const notificationService = require('./notificationService');
+const escrowService = require('./escrowService');
+const cancellationPolicy = require('./cancellationPolicy');
+const ledger = require('./ledger');
+const pricingConfig = require('../config/pricing');
+
+// Statuts de paiement pouvant faire l'objet d'un remboursement
+const REFUNDABLE_STATUSES = ['completed', 'partially_refunded'];
+
+// Transitions autorisées entre statuts de remboursement
+const TRANSITIONS = {
+  requested: ['processing', 'completed', 'failed'],
+  processing: ['completed', 'failed'],
+  completed: [],
+  failed: []
+};
+
+/**
+ * Service de remboursement des paiements auprès des fournisseurs
+ *
+ * Le montant est réservé sur le paiement (Payment.refundedAmount) dès la demande,
+ * puis passé au grand livre lorsque le fournisseur confirme le remboursement.
+ */
+const refundService = {
+  /**
+   * Vérifier si un remboursement peut passer d'un statut à un autre
+   * @param {String} from - Statut actuel
+   * @param {String} to - Statut demandé
+   * @returns {Boolean} - True si la transition est autorisée
+   */
+  canTransition(from, to) {
+    return (TRANSITIONS[from] || []).includes(to);
+  },
+
+  /**
+   * Ventiler un montant remboursé entre la part de l'artiste et la commission,
+   * au prorata du paiement d'origine
+   * @param {Object} payment - Document du paiement
+   * @param {Number} amount - Montant remboursé
+   * @returns {Object} - { artistAmount, feeAmount }
+   */
+  splitAmount(payment, amount) {
+    const feeAmount = Math.round(amount * payment.serviceFee / payment.totalAmount);
+    return { artistAmount: amount - feeAmount, feeAmount };
+  },
+
+  /**
+   * Rembourser tout ou partie d'un paiement
+   * @param {Object} payment - Document du paiement
+   * @param {Object} params - { amount (total restant par défaut), reason, actor, role, policy }
+   * @returns {Promise<Object>} - Le remboursement créé
+   * @throws {ErrorResponse} - 400/409 si le remboursement est impossible
+   */
+  async createRefund(payment, { amount, reason, actor, role, policy } = {}) {
+    if (!REFUNDABLE_STATUSES.includes(payment.status)) {
+      throw new ErrorResponse('Seul un paiement confirmé peut être remboursé', 400);
+    }
+
+    const refundable = payment.totalAmount - (payment.refundedAmount || 0);
+    amount = amount === undefined || amount === null || amount === '' ? refundable : Number(amount);
+
+    if (!Number.isInteger(amount) || amount <= 0) {
+      throw new ErrorResponse('Le montant du remboursement doit être un nombre entier positif', 400);
+    }
+    if (amount > refundable) {
+      throw new ErrorResponse(`Le montant maximal remboursable est de ${refundable} FCFA`, 400);
+    }
+
+    if (!payment.provider) {
+      throw new ErrorResponse('Ce paiement n\'a pas été traité par un fournisseur et ne peut pas être remboursé', 400);
+    }
+    const provider = paymentProviders.getProviderByName(payment.provider);
+    if (!provider.supportsPartialRefund && amount !== payment.totalAmount) {
+      throw new ErrorResponse(`Le fournisseur ${provider.name} ne permet que le remboursement intégral du paiement`, 400);
+    }
+
+    // Réserver le montant de façon atomique: deux demandes simultanées ne peuvent pas dépasser le total
+    const reserved = await Payment.findOneAndUpdate(
+      {
+        _id: payment._id,
+        $expr: { $lte: [{ $add: ['$refundedAmount', amount] }, '$totalAmount'] }
+      },
+      { $inc: { refundedAmount: amount } },
+      { new: true }
+    );
+    if (!reserved) {
+      throw new ErrorResponse('Le montant remboursable a changé, veuillez réessayer', 409);
+    }
+    payment.refundedAmount = reserved.refundedAmount;
+
+    const { artistAmount, feeAmount } = this.splitAmount(payment, amount);
+    const artistAccount = await escrowService.reserveRefund(payment, artistAmount);
+
+    const refund = await Refund.create({
+      payment: payment._id,
+      reservation: payment.reservation,
+      booker: payment.payer,
+      artist: payment.payee,
+      amount,
+      artistAmount,
+      feeAmount,
+      currency: pricingConfig.currency,
+      artistAccount,
+      reason: reason || '',
+      initiatedBy: { actor, role: role || 'system' },
+      policy
+    });
+
+    return this.initiate(refund, payment);
+  },
+
+  /**
+   * Transmettre un remboursement au fournisseur du paiement
+   * @param {Object} refund - Document du remboursement (status 'requested')
+   * @param {Object} payment - Document du paiement remboursé
+   * @returns {Promise<Object>} - Le remboursement mis à jour
+   */
+  async initiate(refund, payment) {
+    const provider = paymentProviders.getProviderByName(payment.provider);
+
+    try {
+      const reservation = await Reservation.findById(payment.reservation).select('paymentNumber');
+
+      const result = await provider.refund({
+        transactionId: payment.transactionId,
+        reference: refund.reference,
+        amount: refund.amount,
+        currency: refund.currency,
+        phoneNumber: (payment.paymentDetails && payment.paymentDetails.phoneNumber) ||
+          (reservation && reservation.paymentNumber),
+        reason: refund.reason || `Remboursement BookMi ${payment.reference}`
+      });
+
+      refund.provider = provider.name;
+      refund.transactionId = result.transactionId;
+      refund.status = 'processing';
+      await refund.save();
+
+      if (result.status && result.status !== 'processing') {
+        return await this.applyStatus(refund, result.status);
+      }
+    } catch (error) {
+      console.error(`Erreur lors de l'initiation du remboursement ${refund.reference} auprès de ${provider.name}:`, error.message);
+      refund.provider = provider.name;
+      return await this.applyStatus(refund, 'failed', { reason: error.message });
+    }
+
+    return refund;
+  },
+
+  /**
+   * Appliquer le statut rapporté par un fournisseur à un remboursement
+   * @param {Object} refund - Document du remboursement
+   * @param {String} status - Nouveau statut (completed, failed...)
+   * @param {Object} options - { reason }
+   * @returns {Promise<Object>} - Le remboursement mis à jour
+   * @throws {ErrorResponse} - 409 si la transition de statut est interdite
+   */
+  async applyStatus(refund, status, { reason } = {}) {
+    if (refund.status === status) {
+      return refund;
+    }
+
+    if (!this.canTransition(refund.status, status)) {
+      throw new ErrorResponse(`Transition de statut impossible: ${refund.status} → ${status}`, 409);
+    }
+
+    // Mise à jour conditionnée au statut lu pour n'appliquer les effets qu'une seule fois
+    const update = { status, provider: refund.provider, updatedAt: Date.now() };
+    if (status === 'failed') {
+      update.failureReason = reason || '';
+    }
+    if (status === 'completed') {
+      update.completedAt = Date.now();
+    }
+
+    const updated = await Refund.findOneAndUpdate(
+      { _id: refund._id, status: refund.status },
+      update,
+      { new: true }
+    );
+    if (!updated) {
+      return Refund.findById(refund._id);
+    }
+
+    if (status === 'completed') {
+      await this.handleCompleted(updated);
+    } else if (status === 'failed') {
+      await this.handleFailed(updated);
+    }
+
+    return updated;
+  },
+
+  /**
+   * Passer un remboursement effectué au grand livre et mettre à jour le paiement et la réservation
+   * @param {Object} refund - Document du remboursement (status 'completed')
+   */
+  async handleCompleted(refund) {
+    await ledger.recordRefund(refund);
+
+    const payment = await Payment.findById(refund.payment);
+    const completedRefunds = await Refund.find({ payment: refund.payment, status: 'completed' }).select('amount');
+    const refundedTotal = completedRefunds.reduce((total, r) => total + r.amount, 0);
+
+    const paymentStatus = refundedTotal >= payment.totalAmount ? 'refunded' : 'partially_refunded';
+    if (payment.status !== paymentStatus) {
+      paymentStateMachine.assertTransition(payment.status, paymentStatus);
+      payment.status = paymentStatus;
+      await payment.save();
+    }
+
+    const reservation = await Reservation.findById(refund.reservation);
+    if (!reservation) {
+      return;
+    }
+
+    // La réservation n'est remboursée que si tous ses paiements encaissés le sont intégralement
+    const settledPayments = await Payment.find({
+      reservation: reservation._id,
+      status: { $in: ['completed', 'partially_refunded', 'refunded'] }
+    }).select('status');
+    reservation.paymentStatus = settledPayments.every(p => p.status === 'refunded')
+      ? 'refunded'
+      : 'partially_refunded';
+    await reservation.save();
+
+    try {
+      await notificationService.notifyPayment(payment, reservation, 'refunded', { amount: refund.amount });
+    } catch (error) {
+      console.error('Erreur lors de l\'envoi des notifications de remboursement:', error);
+    }
+  },
+
+  /**
+   * Libérer le montant réservé par un remboursement échoué
+   * @param {Object} refund - Document du remboursement (status 'failed')
+   */
+  async handleFailed(refund) {
+    await Payment.updateOne({ _id: refund.payment }, { $inc: { refundedAmount: -refund.amount } });
+
+    if (refund.artistAccount === 'artist_escrow') {
+      await escrowService.cancelRefund(refund);
+    }
+  },
+
+  /**
+   * Rembourser automatiquement les paiements d'une réservation annulée
+   * Le montant suit la politique d'annulation de l'artiste lorsque le booker annule;
+   * une annulation par l'artiste ou un administrateur est remboursée intégralement.
+   * @param {Object} reservation - Document de la réservation (status 'cancelled')
+   * @param {Object} options - { actor, role, reason }
+   * @returns {Promise<Array>} - Les remboursements créés
+   */
+  async refundCancelledReservation(reservation, { actor, role = 'system', reason } = {}) {
+    const payments = await Payment.find({
+      reservation: reservation._id,
+      status: { $in: REFUNDABLE_STATUSES }
+    });
+    if (payments.length === 0) {
+      return [];
+    }
+
+    const daysBefore = cancellationPolicy.daysBefore(reservation);
+    let refundPercentage = 100;
+    if (role === 'booker' || role === 'system') {
+      const artist = await Artist.findById(reservation.artistId).select('cancellationPolicy');
+      const tiers = artist && artist.cancellationPolicy && artist.cancellationPolicy.tiers;
+      refundPercentage = cancellationPolicy.getRefundPercentage(
+        tiers && tiers.length ? tiers : Artist.DEFAULT_CANCELLATION_TIERS,
+        daysBefore
+      );
+    }
+
+    const refunds = [];
+    for (const payment of payments) {
+      const amount = Math.round(payment.totalAmount * refundPercentage / 100) - (payment.refundedAmount || 0);
+      if (amount <= 0) {
+        continue;
+      }
+
+      try {
+        refunds.push(await this.createRefund(payment, {
+          amount,
+          reason: reason || `Annulation de la réservation du ${reservation.date}`,
+          actor,
+          role,
+          policy: { daysBefore, refundPercentage }
+        }));
+      } catch (error) {
+        // Le remboursement reste possible manuellement (POST /api/payments/:id/refunds)
+        console.error(`Remboursement automatique impossible pour le paiement ${payment.reference}:`, error.message);
+      }
+    }
+
+    return refunds;
+  },
+
+  /**
+   * Écouter les changements de statut émis directement par les fournisseurs (simulateur)
+   */
+  init() {
+    paymentProviders.onStatus(async ({ provider, transactionId, status, reason }) => {
+      try {
+        const refund = await Refund.findOne({ provider, transactionId });
+        if (!refund) {
+          return;
+        }
+        await this.applyStatus(refund, status, { reason });
+      } catch (error) {
+        console.error(`Erreur lors de la mise à jour du remboursement ${transactionId}:`, error);
+      }
+    });
+  }
+};
+
+module.exports = refundService;
@@ -0,0 +1,95 @@
+const ErrorResponse = require('./errorResponse');
+
+/**
+ * Table des transitions autorisées pour Reservation.status
+ * Pour chaque statut de départ: statut d'arrivée => rôles autorisés à effectuer la transition
+ * Le rôle 'system' correspond aux changements automatiques (paiement confirmé, tâches planifiées...)
+ */
+const TRANSITIONS = {
+  pending: {
+    confirmed: ['artist', 'admin', 'system'],
+    cancelled: ['booker', 'artist', 'admin', 'system']
+  },
+  confirmed: {
+    completed: ['artist', 'admin', 'system'],
+    cancelled: ['booker', 'artist', 'admin', 'system']
+  },
+  completed: {},
+  cancelled: {}
+};
+
+const STATUSES = Object.keys(TRANSITIONS);
+
+/**
+ * Machine à états des réservations
+ */
+const reservationStateMachine = {
+  TRANSITIONS,
+  STATUSES,
+
+  /**
+   * Vérifier si une transition est autorisée
+   * @param {String} from - Statut actuel
+   * @param {String} to - Statut demandé
+   * @param {String} role - Rôle de l'acteur (booker, artist, admin, system). Si absent, seul le graphe est vérifié
+   * @returns {Boolean} - True si la transition est autorisée
+   */
+  canTransition(from, to, role) {
+    const allowedRoles = TRANSITIONS[from] && TRANSITIONS[from][to];
+    if (!allowedRoles) {
+      return false;
+    }
+    return role ? allowedRoles.includes(role) : true;
+  },
+
+  /**
+   * Obtenir les statuts accessibles depuis un statut pour un rôle
+   * @param {String} from - Statut actuel
+   * @param {String} role - Rôle de l'acteur
+   * @returns {Array} - Liste des statuts accessibles
+   */
+  getAllowedTransitions(from, role) {
+    return Object.keys(TRANSITIONS[from] || {})
+      .filter(to => this.canTransition(from, to, role));
+  },
+
+  /**
+   * Appliquer une transition de statut à une réservation et l'enregistrer dans l'historique
+   * La réservation n'est pas sauvegardée: c'est à l'appelant de le faire
+   * @param {Object} reservation - Document de la réservation
+   * @param {String} to - Statut demandé
+   * @param {Object} context - { actor, role, reason }
+   * @returns {String} - Le statut précédent
+   * @throws {ErrorResponse} - 400 si le statut est inconnu, 409 si la transition est interdite,
+   *                           403 si le rôle n'est pas autorisé à l'effectuer
+   */
+  transition(reservation, to, { actor = null, role = 'system', reason = '' } = {}) {
+    const from = reservation.status;
+
+    if (!STATUSES.includes(to)) {
+      throw new ErrorResponse(`Statut de réservation invalide: ${to}`, 400);
+    }
+
+    if (!this.canTransition(from, to)) {
+      throw new ErrorResponse(`Transition de statut impossible: ${from} → ${to}`, 409);
+    }
+
+    if (!this.canTransition(from, to, role)) {
+      throw new ErrorResponse(`Le rôle ${role} n'est pas autorisé à passer une réservation de ${from} à ${to}`, 403);
+    }
+
+    reservation.status = to;
+    reservation.statusHistory.push({
+      from,
+      to,
+      actor,
+      role,
+      reason,
+      createdAt: new Date()
+    });
+
+    return from;
+  }
+};
+
+module.exports = reservationStateMachine;
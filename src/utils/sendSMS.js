@@ -1,33 +1,21 @@
-// const twilio = require('twilio');
-
-// Configuration Twilio
-// const TWILIO_ACCOUNT_SID = '...';
-// const TWILIO_AUTH_TOKEN = '...';
-// const TWILIO_PHONE_NUMBER = '...';
-
-// Création du client Twilio
-// const client = twilio(TWILIO_ACCOUNT_SID, TWILIO_AUTH_TOKEN);
+const smsService = require('./smsService');
 
 /**
- * Envoie un code de vérification via SMS (simulation uniquement en développement)
- * @param {string} phoneNumber - Le numéro de téléphone du destinataire (format international)
+ * Envoyer un SMS par la file d'envoi (transport et expéditeur choisis selon le pays du destinataire)
+ * @param {string} phoneNumber - Le numéro de téléphone du destinataire
  * @param {string} message - Le message complet à envoyer
- * @returns {Promise<boolean>} - True si l'envoi est simulé avec succès
+ * @param {Object} options - { category: otp|reminder|notification, sensitive: true pour les codes }
+ * @returns {Promise<Object>} - Le message enregistré dans la file (envoyé ou en attente d'une nouvelle tentative)
+ * @throws {Error} - Si l'envoi a définitivement échoué
  */
-const sendSMS = async (phoneNumber, message) => {
-  // Extraire le code de vérification du message
-  const codeMatch = message.match(/(\d{6})/);
-  if (!codeMatch) {
-    console.error('Code de vérification non trouvé dans le message');
-    return false;
-  }
+const sendSMS = async (phoneNumber, message, options = {}) => {
+  const sms = await smsService.send(phoneNumber, message, options);
 
-  // Afficher le message dans la console (simulation)
-  console.log(`SMS simulé à ${phoneNumber}: ${message}`);
+  if (sms.status === 'failed') {
+    throw new Error(`Échec de l'envoi du SMS: ${sms.lastError}`);
+  }
 
-  // Toujours simuler l'envoi en développement
-  console.log('Mode simulation: SMS considéré comme envoyé avec succès');
-  return true;
+  return sms;
 };
 
-module.exports = sendSMS; 
\ No newline at end of file
+module.exports = sendSMS;
@@ -0,0 +1,193 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const { Session, User } = require('../models');
+const ErrorResponse = require('./errorResponse');
+const jwtKeyring = require('./jwtKeyring');
+
+// Familles de systèmes reconnues dans le User-Agent, pour nommer l'appareil par défaut
+const DEVICE_PATTERNS = [
+  { label: 'iPhone', pattern: /iPhone/ },
+  { label: 'iPad', pattern: /iPad/ },
+  { label: 'Android', pattern: /Android/ },
+  { label: 'Windows', pattern: /Windows/ },
+  { label: 'macOS', pattern: /Macintosh|Mac OS X/ },
+  { label: 'Linux', pattern: /Linux/ }
+];
+
+/**
+ * Nommer un appareil à partir de son User-Agent
+ * @param {String} userAgent - En-tête User-Agent
+ * @returns {String} - Libellé de l'appareil
+ */
+const describeDevice = (userAgent = '') => {
+  const match = DEVICE_PATTERNS.find(({ pattern }) => pattern.test(userAgent));
+  return match ? match.label : 'Appareil inconnu';
+};
+
+/**
+ * Service des sessions: une session par appareil connecté, avec rotation des refresh tokens
+ * et révocation de toute la famille lorsqu'un jeton déjà remplacé est présenté à nouveau
+ */
+const sessionService = {
+  /**
+   * Signer un refresh token pour l'état courant d'une session
+   * @param {Object} session - Document de la session (jti à jour)
+   * @returns {Object} - { refreshToken, expiresAt }
+   */
+  signRefreshToken(session) {
+    const refreshToken = jwtKeyring.sign(
+      { id: session.user, sid: session._id, jti: session.jti },
+      'refresh'
+    );
+    return { refreshToken, expiresAt: new Date(jwt.decode(refreshToken).exp * 1000) };
+  },
+
+  /**
+   * Ouvrir une session pour un utilisateur qui vient de s'authentifier
+   * @param {Object} user - Document de l'utilisateur
+   * @param {Object} req - Requête HTTP (appareil, IP, User-Agent)
+   * @param {Object} options - { twoFactorVerified: connexion confirmée par un code de double authentification }
+   * @returns {Promise<Object>} - { session, token, refreshToken }
+   */
+  async create(user, req, { twoFactorVerified = false } = {}) {
+    const userAgent = req.get('user-agent') || '';
+    const session = new Session({
+      user: user._id,
+      deviceLabel: (req.body && req.body.deviceLabel) || describeDevice(userAgent),
+      ip: req.ip || '',
+      userAgent,
+      jti: crypto.randomUUID(),
+      twoFactorVerified
+    });
+
+    const { refreshToken, expiresAt } = this.signRefreshToken(session);
+    session.expiresAt = expiresAt;
+    await session.save();
+
+    return { session, token: user.generateAuthToken(session._id), refreshToken };
+  },
+
+  /**
+   * Échanger un refresh token contre une nouvelle paire de jetons
+   * Le jeton présenté est invalidé; s'il avait déjà été remplacé, la session entière est révoquée
+   * @param {String} refreshToken - Refresh token présenté par le client
+   * @param {Object} req - Requête HTTP
+   * @returns {Promise<Object>} - { session, token, refreshToken }
+   * @throws {ErrorResponse} - 401 si le jeton est invalide, expiré, révoqué ou réutilisé
+   */
+  async rotate(refreshToken, req) {
+    let decoded;
+    try {
+      decoded = jwtKeyring.verify(refreshToken, 'refresh');
+    } catch (error) {
+      throw new ErrorResponse('Refresh token invalide ou expiré', 401);
+    }
+
+    // Jetons émis avant les sessions: plus acceptés
+    if (!decoded.sid || !decoded.jti) {
+      throw new ErrorResponse('Refresh token invalide', 401);
+    }
+
+    const nextJti = crypto.randomUUID();
+    const session = await Session.findOneAndUpdate(
+      { _id: decoded.sid, user: decoded.id, jti: decoded.jti, revokedAt: null },
+      {
+        jti: nextJti,
+        $inc: { rotationCount: 1 },
+        lastUsedAt: new Date(),
+        ip: req.ip || '',
+        userAgent: req.get('user-agent') || ''
+      },
+      { new: true }
+    );
+
+    if (!session) {
+      // Un jeton déjà remplacé a été présenté: il a pu être volé, révoquer toute la famille
+      const revoked = await Session.findOneAndUpdate(
+        { _id: decoded.sid, user: decoded.id, jti: { $ne: decoded.jti }, revokedAt: null },
+        { revokedAt: new Date(), revokedReason: 'reuse_detected' }
+      );
+      if (revoked) {
+        console.warn(`Réutilisation d'un refresh token détectée: session ${revoked._id} de l'utilisateur ${revoked.user} révoquée`);
+      }
+      throw new ErrorResponse('Refresh token invalide', 401);
+    }
+
+    const user = await User.findById(session.user);
+    if (!user || user.isActive === false) {
+      await this.revoke(session._id, 'revoked');
+      throw new ErrorResponse('Refresh token invalide', 401);
+    }
+
+    const { refreshToken: nextRefreshToken, expiresAt } = this.signRefreshToken(session);
+    await Session.updateOne({ _id: session._id }, { expiresAt });
+
+    return { session, token: user.generateAuthToken(session._id), refreshToken: nextRefreshToken };
+  },
+
+  /**
+   * Obtenir une session si elle est toujours active
+   * @param {String} sessionId - ID de la session
+   * @returns {Promise<Object|null>} - La session, null si elle est révoquée ou expirée
+   */
+  async getActive(sessionId) {
+    return await Session.findOne({ _id: sessionId, revokedAt: null, expiresAt: { $gt: new Date() } })
+      .select('-jti')
+      .lean();
+  },
+
+  /**
+   * Marquer une session comme confirmée par la double authentification
+   * @param {String} sessionId - ID de la session
+   */
+  async markTwoFactorVerified(sessionId) {
+    await Session.updateOne({ _id: sessionId }, { twoFactorVerified: true });
+  },
+
+  /**
+   * Lister les sessions actives d'un utilisateur
+   * @param {String} userId - ID de l'utilisateur
+   * @returns {Promise<Array>} - Sessions triées de la plus récemment utilisée à la plus ancienne
+   */
+  async listForUser(userId) {
+    return await Session.find({ user: userId, revokedAt: null, expiresAt: { $gt: new Date() } })
+      .select('-jti')
+      .sort('-lastUsedAt');
+  },
+
+  /**
+   * Révoquer une session
+   * @param {String} sessionId - ID de la session
+   * @param {String} reason - Motif (logout, revoked...)
+   * @param {String} userId - Propriétaire attendu, le cas échéant
+   * @returns {Promise<Boolean>} - True si une session active a été révoquée
+   */
+  async revoke(sessionId, reason = 'revoked', userId = null) {
+    const filter = { _id: sessionId, revokedAt: null };
+    if (userId) {
+      filter.user = userId;
+    }
+
+    const { modifiedCount } = await Session.updateOne(filter, { revokedAt: new Date(), revokedReason: reason });
+    return modifiedCount > 0;
+  },
+
+  /**
+   * Révoquer toutes les sessions d'un utilisateur
+   * @param {String} userId - ID de l'utilisateur
+   * @param {String} reason - Motif de la révocation
+   * @param {String} exceptSessionId - Session à conserver (session courante)
+   * @returns {Promise<Number>} - Nombre de sessions révoquées
+   */
+  async revokeAllForUser(userId, reason = 'revoked', exceptSessionId = null) {
+    const filter = { user: userId, revokedAt: null };
+    if (exceptSessionId) {
+      filter._id = { $ne: exceptSessionId };
+    }
+
+    const { modifiedCount } = await Session.updateMany(filter, { revokedAt: new Date(), revokedReason: reason });
+    return modifiedCount;
+  }
+};
+
+module.exports = sessionService;
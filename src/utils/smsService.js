@@ -0,0 +1,160 @@
+const { SmsOutbox } = require('../models');
+const smsTransports = require('./smsTransports');
+const config = require('../config/sms');
+
+// Délai au-delà duquel un envoi resté 'sending' (processus interrompu) est repris
+const STALE_SENDING_MS = 5 * 60 * 1000;
+
+// Ordre des statuts: un accusé de réception tardif ne fait pas reculer un message
+const STATUS_RANK = { queued: 0, sending: 1, sent: 2, delivered: 3, failed: 3 };
+
+/**
+ * Service d'envoi des SMS: chaque message passe par la file SmsOutbox, est envoyé par le transport
+ * du pays du destinataire et renvoyé plus tard en cas d'échec
+ */
+const smsService = {
+  /**
+   * Masquer les codes d'un message sensible avant de l'enregistrer
+   * @param {String} body - Contenu du message
+   * @returns {String} - Contenu sans les suites de chiffres
+   */
+  mask(body) {
+    return body.replace(/\d{4,}/g, match => '•'.repeat(match.length));
+  },
+
+  /**
+   * Enregistrer un message dans la file et tenter de l'envoyer immédiatement
+   * Un message sensible (code à usage unique) est enregistré masqué: il n'est envoyé qu'une fois,
+   * et l'utilisateur demande un nouveau code en cas d'échec
+   * Avec sendAt (heures calmes du destinataire), le message attend dans la file jusqu'à cette date
+   * @param {String} phoneNumber - Numéro du destinataire
+   * @param {String} body - Contenu du message
+   * @param {Object} options - { category, sensitive, sendAt }
+   * @returns {Promise<Object>} - Le message de la file après la tentative d'envoi
+   */
+  async send(phoneNumber, body, { category = 'notification', sensitive = false, sendAt = null } = {}) {
+    const { to, country, transport, sender } = smsTransports.resolveRoute(phoneNumber);
+    const deferred = !sensitive && sendAt && sendAt > new Date();
+
+    const message = await SmsOutbox.create({
+      to,
+      country,
+      sender,
+      transport,
+      body: sensitive ? this.mask(body) : body,
+      sensitive,
+      category,
+      status: deferred ? 'queued' : 'sending',
+      nextAttemptAt: deferred ? sendAt : new Date()
+    });
+
+    if (deferred) {
+      return message;
+    }
+    return await this.deliver(message, body);
+  },
+
+  /**
+   * Envoyer un message de la file par son transport et enregistrer le résultat
+   * @param {Object} message - Document SmsOutbox (statut 'sending')
+   * @param {String} body - Contenu à envoyer (non masqué)
+   * @returns {Promise<Object>} - Le message mis à jour
+   */
+  async deliver(message, body) {
+    message.attempts += 1;
+
+    try {
+      const transport = smsTransports.getTransportByName(message.transport);
+      const { providerMessageId, status } = await transport.send({
+        to: message.to,
+        body,
+        sender: message.sender,
+        messageId: message._id
+      });
+
+      message.status = status;
+      message.providerMessageId = providerMessageId || '';
+      message.sentAt = new Date();
+      if (status === 'delivered') {
+        message.deliveredAt = message.sentAt;
+      }
+      message.lastError = '';
+    } catch (error) {
+      console.error(`Erreur lors de l'envoi du SMS ${message._id} via ${message.transport}:`, error.message);
+      message.lastError = error.message;
+
+      if (message.sensitive || message.attempts >= config.maxAttempts) {
+        message.status = 'failed';
+        message.failedAt = new Date();
+      } else {
+        message.status = 'queued';
+        message.nextAttemptAt = new Date(Date.now() + config.retryBaseSeconds * 1000 * 2 ** (message.attempts - 1));
+      }
+    }
+
+    await message.save();
+    return message;
+  },
+
+  /**
+   * Envoyer les messages dont la prochaine tentative est échue
+   * @param {Date} now - Date de référence
+   * @param {Number} limit - Nombre maximal de messages traités
+   * @returns {Promise<Number>} - Nombre de messages traités
+   */
+  async processOutbox(now = new Date(), limit = 50) {
+    let processed = 0;
+
+    while (processed < limit) {
+      // Réserver le message de façon atomique: plusieurs instances peuvent traiter la file
+      const message = await SmsOutbox.findOneAndUpdate(
+        {
+          sensitive: false,
+          $or: [
+            { status: 'queued', nextAttemptAt: { $lte: now } },
+            { status: 'sending', updatedAt: { $lte: new Date(now.getTime() - STALE_SENDING_MS) } }
+          ]
+        },
+        { status: 'sending', updatedAt: now },
+        { sort: { nextAttemptAt: 1 }, new: true }
+      );
+      if (!message) {
+        break;
+      }
+
+      await this.deliver(message, message.body);
+      processed++;
+    }
+
+    return processed;
+  },
+
+  /**
+   * Appliquer un accusé de réception du fournisseur
+   * @param {String} transportName - Nom du transport
+   * @param {Object} report - { providerMessageId, status, reason }
+   * @returns {Promise<Object|null>} - Le message mis à jour, null s'il est inconnu
+   */
+  async applyDeliveryReport(transportName, { providerMessageId, status, reason }) {
+    const message = await SmsOutbox.findOne({ transport: transportName, providerMessageId });
+    if (!message) {
+      return null;
+    }
+
+    if (STATUS_RANK[status] <= STATUS_RANK[message.status]) {
+      return message;
+    }
+
+    message.status = status;
+    if (status === 'delivered') {
+      message.deliveredAt = new Date();
+    } else if (status === 'failed') {
+      message.failedAt = new Date();
+      message.lastError = reason || '';
+    }
+    await message.save();
+    return message;
+  }
+};
+
+module.exports = smsService;
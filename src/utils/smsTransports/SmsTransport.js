@@ -0,0 +1,45 @@
+/**
+ * Interface commune des transports SMS
+ *
+ * Chaque adaptateur normalise les statuts de son fournisseur vers ceux de SmsOutbox:
+ * 'sent' (accepté par le fournisseur), 'delivered' (remis au destinataire) ou 'failed'.
+ * Les transports qui reçoivent des accusés de réception implémentent verifyDeliveryReport()
+ * et parseDeliveryReport().
+ */
+class SmsTransport {
+  /**
+   * @param {String} name - Nom du transport enregistré sur SmsOutbox.transport
+   */
+  constructor(name) {
+    this.name = name;
+  }
+
+  /**
+   * Envoyer un message
+   * @param {Object} params - { to, body, sender, messageId }
+   * @returns {Promise<Object>} - { providerMessageId, status }
+   */
+  async send(params) {
+    throw new Error(`send() n'est pas implémenté pour le transport ${this.name}`);
+  }
+
+  /**
+   * Vérifier l'authenticité d'un accusé de réception
+   * @param {Object} req - Requête Express
+   * @returns {Boolean} - True si l'accusé provient bien du fournisseur
+   */
+  verifyDeliveryReport(req) {
+    return false;
+  }
+
+  /**
+   * Extraire le statut normalisé d'un accusé de réception
+   * @param {Object} req - Requête Express
+   * @returns {Object} - { providerMessageId, status, reason }
+   */
+  parseDeliveryReport(req) {
+    throw new Error(`Le transport ${this.name} ne reçoit pas d'accusés de réception`);
+  }
+}
+
+module.exports = SmsTransport;
@@ -0,0 +1,75 @@
+const axios = require('axios');
+const crypto = require('crypto');
+const SmsTransport = require('./SmsTransport');
+const config = require('../../config/sms');
+
+// Codes de statut d'envoi acceptés par Africa's Talking (100 traité, 101 envoyé, 102 en file)
+const ACCEPTED_STATUS_CODES = [100, 101, 102];
+
+// Correspondance des statuts des accusés de réception vers les statuts de SmsOutbox
+const DELIVERY_STATUS_MAP = {
+  Sent: 'sent',
+  Submitted: 'sent',
+  Buffered: 'sent',
+  Success: 'delivered',
+  Failed: 'failed',
+  Rejected: 'failed'
+};
+
+/**
+ * Adaptateur Africa's Talking (agrégateur SMS panafricain)
+ * Les accusés de réception ne sont pas signés: l'URL de rappel porte SMS_CALLBACK_TOKEN
+ */
+class AfricasTalkingTransport extends SmsTransport {
+  constructor(options = config.africastalking) {
+    super('africastalking');
+    this.options = options;
+  }
+
+  async send({ to, body, sender }) {
+    if (!this.options.username || !this.options.apiKey) {
+      throw new Error('Africa\'s Talking n\'est pas configuré (AFRICASTALKING_USERNAME, AFRICASTALKING_API_KEY)');
+    }
+
+    const params = new URLSearchParams({ username: this.options.username, to, message: body });
+    if (sender) {
+      params.append('from', sender);
+    }
+
+    const response = await axios.post(
+      `${this.options.baseUrl}/version1/messaging`,
+      params.toString(),
+      {
+        headers: {
+          apiKey: this.options.apiKey,
+          Accept: 'application/json',
+          'Content-Type': 'application/x-www-form-urlencoded'
+        }
+      }
+    );
+
+    const recipient = (response.data.SMSMessageData.Recipients || [])[0];
+    if (!recipient || !ACCEPTED_STATUS_CODES.includes(recipient.statusCode)) {
+      throw new Error(`Message refusé par Africa's Talking: ${recipient ? recipient.status : response.data.SMSMessageData.Message}`);
+    }
+
+    return { providerMessageId: recipient.messageId, status: 'sent' };
+  }
+
+  verifyDeliveryReport(req) {
+    const expected = Buffer.from(config.callbackToken || '');
+    const actual = Buffer.from(String(req.query.token || ''));
+    return expected.length > 0 && expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+  }
+
+  parseDeliveryReport(req) {
+    const { id, status, failureReason } = req.body || {};
+    return {
+      providerMessageId: id,
+      status: DELIVERY_STATUS_MAP[status] || 'sent',
+      reason: failureReason || ''
+    };
+  }
+}
+
+module.exports = AfricasTalkingTransport;
@@ -0,0 +1,18 @@
+const crypto = require('crypto');
+const SmsTransport = require('./SmsTransport');
+
+/**
+ * Transport de développement: affiche les messages dans la console
+ */
+class ConsoleTransport extends SmsTransport {
+  constructor() {
+    super('console');
+  }
+
+  async send({ to, body, sender }) {
+    console.log(`SMS simulé de ${sender} à ${to}: ${body}`);
+    return { providerMessageId: `console_${crypto.randomUUID()}`, status: 'delivered' };
+  }
+}
+
+module.exports = ConsoleTransport;
@@ -0,0 +1,27 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const SmsTransport = require('./SmsTransport');
+const config = require('../../config/sms');
+
+/**
+ * Transport de développement: ajoute chaque message à un fichier (une ligne JSON par message)
+ */
+class FileTransport extends SmsTransport {
+  constructor(options = config.file) {
+    super('file');
+    this.options = options;
+  }
+
+  async send({ to, body, sender }) {
+    const providerMessageId = `file_${crypto.randomUUID()}`;
+    const line = JSON.stringify({ id: providerMessageId, date: new Date().toISOString(), sender, to, body });
+
+    await fs.promises.mkdir(path.dirname(this.options.path), { recursive: true });
+    await fs.promises.appendFile(this.options.path, `${line}\n`);
+
+    return { providerMessageId, status: 'delivered' };
+  }
+}
+
+module.exports = FileTransport;
@@ -0,0 +1,57 @@
+const config = require('../../config/sms');
+const phone = require('../phone');
+const ConsoleTransport = require('./console');
+const FileTransport = require('./file');
+const TwilioTransport = require('./twilio');
+const OrangeSmsTransport = require('./orange');
+const AfricasTalkingTransport = require('./africastalking');
+
+// Transports disponibles
+const TRANSPORTS = {
+  console: ConsoleTransport,
+  file: FileTransport,
+  twilio: TwilioTransport,
+  orange: OrangeSmsTransport,
+  africastalking: AfricasTalkingTransport
+};
+
+// Instances créées à la demande, partagées par toute l'application
+const instances = {};
+
+/**
+ * Obtenir (ou créer) l'instance d'un transport par son nom
+ * @param {String} name - console, file, twilio, orange ou africastalking
+ * @returns {SmsTransport} - L'instance du transport
+ */
+const getTransportByName = (name) => {
+  if (!instances[name]) {
+    const Transport = TRANSPORTS[name];
+    if (!Transport) {
+      throw new Error(`Transport SMS inconnu: ${name}`);
+    }
+    instances[name] = new Transport();
+  }
+  return instances[name];
+};
+
+/**
+ * Déterminer comment acheminer un message vers un numéro (transport et expéditeur selon le pays)
+ * @param {String} phoneNumber - Numéro du destinataire
+ * @returns {Object} - { to, country, transport, sender }
+ */
+const resolveRoute = (phoneNumber) => {
+  const to = phone.normalize(phoneNumber);
+  const country = phone.getCountry(to);
+
+  return {
+    to,
+    country,
+    transport: config.countryTransports[country] || config.transport,
+    sender: config.countrySenders[country] || config.defaultSender
+  };
+};
+
+module.exports = {
+  getTransportByName,
+  resolveRoute
+};
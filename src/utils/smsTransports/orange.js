@@ -0,0 +1,64 @@
+const axios = require('axios');
+const SmsTransport = require('./SmsTransport');
+const config = require('../../config/sms');
+
+/**
+ * Adaptateur Orange SMS API (Afrique de l'Ouest et centrale)
+ * Les accusés de réception Orange passent par un abonnement séparé: les messages restent 'sent'
+ */
+class OrangeSmsTransport extends SmsTransport {
+  constructor(options = config.orange) {
+    super('orange');
+    this.options = options;
+    this.accessToken = null;
+    this.accessTokenExpiresAt = 0;
+  }
+
+  /**
+   * Obtenir un jeton OAuth (mis en cache jusqu'à son expiration)
+   * @returns {Promise<String>} - Jeton d'accès
+   */
+  async getAccessToken() {
+    if (this.accessToken && Date.now() < this.accessTokenExpiresAt) {
+      return this.accessToken;
+    }
+
+    const credentials = Buffer.from(`${this.options.clientId}:${this.options.clientSecret}`).toString('base64');
+    const response = await axios.post(
+      `${this.options.baseUrl}/oauth/v3/token`,
+      'grant_type=client_credentials',
+      { headers: { Authorization: `Basic ${credentials}`, 'Content-Type': 'application/x-www-form-urlencoded' } }
+    );
+
+    this.accessToken = response.data.access_token;
+    this.accessTokenExpiresAt = Date.now() + (response.data.expires_in - 60) * 1000;
+    return this.accessToken;
+  }
+
+  async send({ to, body, sender }) {
+    if (!this.options.senderAddress) {
+      throw new Error('Orange SMS n\'est pas configuré (ORANGE_SMS_SENDER_ADDRESS)');
+    }
+
+    const token = await this.getAccessToken();
+    const senderAddress = `tel:+${this.options.senderAddress}`;
+    const response = await axios.post(
+      `${this.options.baseUrl}/smsmessaging/v1/outbound/${encodeURIComponent(senderAddress)}/requests`,
+      {
+        outboundSMSMessageRequest: {
+          address: `tel:${to}`,
+          senderAddress,
+          senderName: sender,
+          outboundSMSTextMessage: { message: body }
+        }
+      },
+      { headers: { Authorization: `Bearer ${token}` } }
+    );
+
+    // L'identifiant du message est le dernier segment de resourceURL
+    const resourceUrl = response.data.outboundSMSMessageRequest.resourceURL || '';
+    return { providerMessageId: resourceUrl.split('/').pop(), status: 'sent' };
+  }
+}
+
+module.exports = OrangeSmsTransport;
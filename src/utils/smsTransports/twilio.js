@@ -0,0 +1,84 @@
+const twilio = require('twilio');
+const SmsTransport = require('./SmsTransport');
+const config = require('../../config/sms');
+const paymentConfig = require('../../config/paymentProviders');
+
+// Correspondance des statuts Twilio vers les statuts de SmsOutbox
+const STATUS_MAP = {
+  accepted: 'sent',
+  scheduled: 'sent',
+  queued: 'sent',
+  sending: 'sent',
+  sent: 'sent',
+  delivered: 'delivered',
+  undelivered: 'failed',
+  failed: 'failed',
+  canceled: 'failed'
+};
+
+/**
+ * Adaptateur Twilio (API Messages)
+ */
+class TwilioTransport extends SmsTransport {
+  constructor(options = config.twilio) {
+    super('twilio');
+    this.options = options;
+    this.client = null;
+  }
+
+  /**
+   * Obtenir le client Twilio (créé à la première utilisation)
+   * @returns {Object} - Client Twilio
+   */
+  getClient() {
+    if (!this.client) {
+      if (!this.options.accountSid || !this.options.authToken) {
+        throw new Error('Twilio n\'est pas configuré (TWILIO_ACCOUNT_SID, TWILIO_AUTH_TOKEN)');
+      }
+      this.client = twilio(this.options.accountSid, this.options.authToken);
+    }
+    return this.client;
+  }
+
+  /**
+   * URL publique des accusés de réception
+   * @returns {String} - URL de rappel
+   */
+  get statusCallbackUrl() {
+    return `${paymentConfig.callbackBaseUrl}/api/sms/delivery/twilio`;
+  }
+
+  async send({ to, body, sender }) {
+    const params = { to, body, statusCallback: this.statusCallbackUrl };
+
+    // Service de messagerie (expéditeur alphanumérique par pays) ou numéro expéditeur
+    if (this.options.messagingServiceSid) {
+      params.messagingServiceSid = this.options.messagingServiceSid;
+    } else {
+      params.from = this.options.fromNumber || sender;
+    }
+
+    const message = await this.getClient().messages.create(params);
+    return { providerMessageId: message.sid, status: STATUS_MAP[message.status] || 'sent' };
+  }
+
+  verifyDeliveryReport(req) {
+    return twilio.validateRequest(
+      this.options.authToken || '',
+      req.headers['x-twilio-signature'] || '',
+      this.statusCallbackUrl,
+      req.body || {}
+    );
+  }
+
+  parseDeliveryReport(req) {
+    const { MessageSid, MessageStatus, ErrorCode } = req.body || {};
+    return {
+      providerMessageId: MessageSid,
+      status: STATUS_MAP[MessageStatus] || 'sent',
+      reason: ErrorCode ? `Code d'erreur Twilio ${ErrorCode}` : ''
+    };
+  }
+}
+
+module.exports = TwilioTransport;
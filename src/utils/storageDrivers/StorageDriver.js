@@ -0,0 +1,84 @@
+/**
+ * Interface commune des stockages de fichiers
+ *
+ * Un fichier est identifié par sa clé (ex: artists/<artistId>/<nom>.jpg) et sa visibilité:
+ * 'public' (photos, servies telles quelles par une URL stable) ou 'private' (pièces justificatives,
+ * lisibles uniquement par une URL signée qui expire).
+ */
+class StorageDriver {
+  /**
+   * @param {String} name - Nom du stockage (local, s3)
+   */
+  constructor(name) {
+    this.name = name;
+  }
+
+  /**
+   * Enregistrer un fichier
+   * @param {String} key - Clé du fichier
+   * @param {Buffer} buffer - Contenu
+   * @param {Object} options - { visibility, contentType }
+   */
+  async put(key, buffer, options) {
+    throw new Error(`put() n'est pas implémenté pour le stockage ${this.name}`);
+  }
+
+  /**
+   * Ouvrir un fichier en lecture
+   * @param {String} key - Clé du fichier
+   * @param {String} visibility - public ou private
+   * @returns {Promise<Readable>} - Flux du contenu
+   */
+  async createReadStream(key, visibility) {
+    throw new Error(`createReadStream() n'est pas implémenté pour le stockage ${this.name}`);
+  }
+
+  /**
+   * Supprimer un fichier (sans erreur s'il n'existe plus)
+   * @param {String} key - Clé du fichier
+   * @param {String} visibility - public ou private
+   */
+  async remove(key, visibility) {
+    throw new Error(`remove() n'est pas implémenté pour le stockage ${this.name}`);
+  }
+
+  /**
+   * URL canonique d'un fichier public
+   * @param {String} key - Clé du fichier
+   * @returns {String} - URL à enregistrer sur les documents
+   */
+  publicUrl(key) {
+    throw new Error(`publicUrl() n'est pas implémenté pour le stockage ${this.name}`);
+  }
+
+  /**
+   * URL signée d'un fichier privé, valable expiresIn secondes
+   * @param {String} key - Clé du fichier
+   * @param {Object} options - { expiresIn, filename (nom proposé au téléchargement), contentType }
+   * @returns {Promise<String>} - URL signée
+   */
+  async signedUrl(key, options) {
+    throw new Error(`signedUrl() n'est pas implémenté pour le stockage ${this.name}`);
+  }
+
+  /**
+   * En-tête Content-Disposition d'un fichier servi sous un nom donné
+   * Un en-tête HTTP ne peut contenir que du latin-1: le nom est proposé en ASCII (accents retirés)
+   * et, pour les navigateurs qui le lisent, en UTF-8 (RFC 6266, filename*)
+   * @param {String} filename - Nom proposé au téléchargement
+   * @param {String} type - inline ou attachment
+   * @returns {String} - Valeur de l'en-tête
+   */
+  static contentDisposition(filename, type = 'inline') {
+    const name = String(filename).replace(/[\r\n]/g, '');
+    const fallback = name
+      .normalize('NFD')
+      .replace(/[\u0300-\u036f]/g, '')
+      .replace(/[^\x20-\x7e]|["\\]/g, '_');
+    const encoded = encodeURIComponent(name).replace(/['()*]/g, char => `%${char.charCodeAt(0).toString(16).toUpperCase()}`);
+
+    return `${type}; filename="${fallback}"; filename*=UTF-8''${encoded}`;
+  }
+}
+
+module.exports = StorageDriver;
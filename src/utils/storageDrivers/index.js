@@ -0,0 +1,34 @@
+const config = require('../../config/uploads');
+const StorageDriver = require('./StorageDriver');
+const LocalStorageDriver = require('./local');
+const S3StorageDriver = require('./s3');
+
+// Stockages disponibles
+const DRIVERS = {
+  local: LocalStorageDriver,
+  s3: S3StorageDriver
+};
+
+// Instances créées à la demande, partagées par toute l'application
+const instances = {};
+
+/**
+ * Obtenir (ou créer) l'instance d'un stockage par son nom
+ * @param {String} name - local ou s3 (par défaut, le stockage configuré)
+ * @returns {StorageDriver} - L'instance du stockage
+ */
+const getDriver = (name = config.driver) => {
+  if (!instances[name]) {
+    const Driver = DRIVERS[name];
+    if (!Driver) {
+      throw new Error(`Stockage de fichiers inconnu: ${name}`);
+    }
+    instances[name] = new Driver();
+  }
+  return instances[name];
+};
+
+module.exports = {
+  getDriver,
+  contentDisposition: StorageDriver.contentDisposition
+};
@@ -0,0 +1,112 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const StorageDriver = require('./StorageDriver');
+const config = require('../../config/uploads');
+
+/**
+ * Encoder une clé pour un chemin d'URL (chaque segment séparément)
+ * @param {String} key - Clé du fichier
+ * @returns {String} - Chemin encodé
+ */
+const encodeKey = (key) => key.split('/').map(encodeURIComponent).join('/');
+
+/**
+ * Stockage sur le disque du serveur
+ * Les fichiers publics sont servis statiquement sous /uploads; les fichiers privés ne sont lisibles
+ * que par /api/files/private/<clé>, avec une signature HMAC et une date d'expiration
+ */
+class LocalStorageDriver extends StorageDriver {
+  constructor(options = config) {
+    super('local');
+    this.options = options;
+    this.roots = {
+      public: options.publicDir,
+      private: options.privateDir
+    };
+  }
+
+  /**
+   * Résoudre le chemin disque d'une clé, sans permettre de sortir du dossier racine
+   * @param {String} key - Clé du fichier (ex: kyc/<artistId>/<nom>.pdf)
+   * @param {String} visibility - public ou private
+   * @returns {String} - Chemin absolu
+   */
+  resolvePath(key, visibility) {
+    const root = this.roots[visibility];
+    if (!root) {
+      throw new Error(`Visibilité de fichier inconnue: ${visibility}`);
+    }
+    const filePath = path.resolve(root, key);
+    if (!filePath.startsWith(path.resolve(root) + path.sep)) {
+      throw new Error(`Clé de fichier invalide: ${key}`);
+    }
+    return filePath;
+  }
+
+  async put(key, buffer, { visibility = 'public' } = {}) {
+    const filePath = this.resolvePath(key, visibility);
+
+    await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+    await fs.promises.writeFile(filePath, buffer, { flag: 'wx' });
+  }
+
+  async createReadStream(key, visibility = 'public') {
+    const filePath = this.resolvePath(key, visibility);
+
+    // Ouvrir le fichier avant de rendre le flux: une clé absente est signalée ici, pas pendant la copie
+    const handle = await fs.promises.open(filePath, 'r');
+    return handle.createReadStream();
+  }
+
+  async remove(key, visibility = 'public') {
+    await fs.promises.rm(this.resolvePath(key, visibility), { force: true });
+  }
+
+  publicUrl(key) {
+    return `${this.options.publicBaseUrl}/uploads/${encodeKey(key)}`;
+  }
+
+  /**
+   * Signature d'une URL privée
+   * @param {String} key - Clé du fichier
+   * @param {Number} expires - Expiration (secondes depuis l'epoch)
+   * @param {String} filename - Nom proposé au téléchargement
+   * @returns {String} - HMAC-SHA256 en hexadécimal
+   */
+  sign(key, expires, filename = '') {
+    return crypto.createHmac('sha256', this.options.signingSecret)
+      .update(`${key}\n${expires}\n${filename}`)
+      .digest('hex');
+  }
+
+  async signedUrl(key, { expiresIn = this.options.signedUrlExpiresSeconds, filename = '' } = {}) {
+    const expires = Math.floor(Date.now() / 1000) + expiresIn;
+    const query = new URLSearchParams({ expires: String(expires) });
+    if (filename) {
+      query.set('filename', filename);
+    }
+    query.set('signature', this.sign(key, expires, filename));
+
+    return `${this.options.apiBaseUrl}/api/files/private/${encodeKey(key)}?${query.toString()}`;
+  }
+
+  /**
+   * Vérifier une URL signée présentée par un client
+   * @param {String} key - Clé du fichier
+   * @param {Object} params - { expires, filename, signature } lus dans l'URL
+   * @returns {Boolean} - True si la signature est valide et n'a pas expiré
+   */
+  verifySignedUrl(key, { expires, filename = '', signature }) {
+    const expiresAt = Number(expires);
+    if (!Number.isInteger(expiresAt) || expiresAt < Math.floor(Date.now() / 1000)) {
+      return false;
+    }
+
+    const expected = Buffer.from(this.sign(key, expiresAt, filename));
+    const received = Buffer.from(String(signature || ''));
+    return received.length === expected.length && crypto.timingSafeEqual(received, expected);
+  }
+}
+
+module.exports = LocalStorageDriver;
@@ -0,0 +1,208 @@
+const axios = require('axios');
+const crypto = require('crypto');
+const StorageDriver = require('./StorageDriver');
+const config = require('../../config/uploads');
+
+// Durée maximale d'une URL présignée (signature AWS v4: 7 jours)
+const MAX_PRESIGNED_EXPIRES_SECONDS = 7 * 24 * 3600;
+
+const sha256 = (data) => crypto.createHash('sha256').update(data).digest('hex');
+const hmac = (key, data) => crypto.createHmac('sha256', key).update(data).digest();
+
+/**
+ * Encoder une valeur selon la RFC 3986, comme l'exige la signature AWS v4
+ * @param {String} value - Valeur à encoder
+ * @returns {String} - Valeur encodée
+ */
+const encodeRfc3986 = (value) => encodeURIComponent(value)
+  .replace(/[!'()*]/g, char => `%${char.charCodeAt(0).toString(16).toUpperCase()}`);
+
+/**
+ * Chaîne de requête canonique: paramètres triés et encodés
+ * @param {Object} params - Paramètres
+ * @returns {String} - Chaîne de requête
+ */
+const canonicalQuery = (params) => Object.keys(params)
+  .sort()
+  .map(name => `${encodeRfc3986(name)}=${encodeRfc3986(params[name])}`)
+  .join('&');
+
+/**
+ * Stockage compatible S3 (AWS S3, MinIO...), appelé en HTTP avec des requêtes signées (AWS Signature v4)
+ * Les fichiers publics et privés sont rangés dans deux buckets distincts
+ */
+class S3StorageDriver extends StorageDriver {
+  constructor(options = config) {
+    super('s3');
+    this.options = options;
+    this.s3 = options.s3;
+  }
+
+  /**
+   * Bucket d'une visibilité
+   * @param {String} visibility - public ou private
+   * @returns {String} - Nom du bucket
+   */
+  bucketFor(visibility) {
+    if (!this.s3.accessKeyId || !this.s3.secretAccessKey || !this.s3.publicBucket || !this.s3.privateBucket) {
+      throw new Error('Le stockage S3 n\'est pas configuré (S3_ACCESS_KEY_ID, S3_SECRET_ACCESS_KEY, S3_PUBLIC_BUCKET, S3_PRIVATE_BUCKET)');
+    }
+    if (visibility === 'public') {
+      return this.s3.publicBucket;
+    }
+    if (visibility === 'private') {
+      return this.s3.privateBucket;
+    }
+    throw new Error(`Visibilité de fichier inconnue: ${visibility}`);
+  }
+
+  /**
+   * Adresse d'un objet
+   * @param {String} bucket - Bucket
+   * @param {String} key - Clé du fichier
+   * @returns {Object} - { origin, host, path }
+   */
+  locate(bucket, key) {
+    const endpoint = new URL(this.s3.endpoint || `https://s3.${this.s3.region}.amazonaws.com`);
+    const objectPath = key.split('/').map(encodeRfc3986).join('/');
+
+    if (this.s3.forcePathStyle) {
+      return { origin: endpoint.origin, host: endpoint.host, path: `/${bucket}/${objectPath}` };
+    }
+    const host = `${bucket}.${endpoint.host}`;
+    return { origin: `${endpoint.protocol}//${host}`, host, path: `/${objectPath}` };
+  }
+
+  /**
+   * Signer une requête (AWS Signature v4)
+   * @param {Object} request - { method, path, query, headers (noms en minuscules), payloadHash, date }
+   * @returns {Object} - { signature, scope, signedHeaders }
+   */
+  sign({ method, path, query = {}, headers, payloadHash, date }) {
+    const amzDate = date.toISOString().replace(/[:-]|\.\d{3}/g, '');
+    const day = amzDate.slice(0, 8);
+    const scope = `${day}/${this.s3.region}/s3/aws4_request`;
+
+    const names = Object.keys(headers).sort();
+    const signedHeaders = names.join(';');
+    const canonicalHeaders = names.map(name => `${name}:${String(headers[name]).trim()}\n`).join('');
+
+    const canonicalRequest = [
+      method,
+      path,
+      canonicalQuery(query),
+      canonicalHeaders,
+      signedHeaders,
+      payloadHash
+    ].join('\n');
+    const stringToSign = ['AWS4-HMAC-SHA256', amzDate, scope, sha256(canonicalRequest)].join('\n');
+
+    const signingKey = ['s3', 'aws4_request'].reduce(
+      (key, part) => hmac(key, part),
+      hmac(hmac(`AWS4${this.s3.secretAccessKey}`, day), this.s3.region)
+    );
+
+    return {
+      signature: crypto.createHmac('sha256', signingKey).update(stringToSign).digest('hex'),
+      scope,
+      signedHeaders
+    };
+  }
+
+  /**
+   * Envoyer une requête signée sur un objet
+   * @param {String} method - Méthode HTTP
+   * @param {String} key - Clé du fichier
+   * @param {String} visibility - public ou private
+   * @param {Object} options - { body, contentType, responseType, validateStatus }
+   * @returns {Promise<Object>} - Réponse axios
+   */
+  async request(method, key, visibility, { body, contentType, responseType, validateStatus } = {}) {
+    const { origin, host, path } = this.locate(this.bucketFor(visibility), key);
+    const payloadHash = sha256(body || '');
+    const date = new Date();
+
+    const headers = {
+      host,
+      'x-amz-content-sha256': payloadHash,
+      'x-amz-date': date.toISOString().replace(/[:-]|\.\d{3}/g, '')
+    };
+    if (contentType) {
+      headers['content-type'] = contentType;
+    }
+
+    const { signature, scope, signedHeaders } = this.sign({ method, path, headers, payloadHash, date });
+
+    // L'en-tête Host est ajouté par le client HTTP
+    const sentHeaders = { ...headers };
+    delete sentHeaders.host;
+
+    return axios({
+      method,
+      url: `${origin}${path}`,
+      data: body,
+      responseType,
+      validateStatus,
+      maxBodyLength: Infinity,
+      headers: {
+        ...sentHeaders,
+        Authorization: `AWS4-HMAC-SHA256 Credential=${this.s3.accessKeyId}/${scope}, SignedHeaders=${signedHeaders}, Signature=${signature}`
+      }
+    });
+  }
+
+  async put(key, buffer, { visibility = 'public', contentType } = {}) {
+    await this.request('PUT', key, visibility, { body: buffer, contentType });
+  }
+
+  async createReadStream(key, visibility = 'public') {
+    const response = await this.request('GET', key, visibility, { responseType: 'stream' });
+    return response.data;
+  }
+
+  async remove(key, visibility = 'public') {
+    await this.request('DELETE', key, visibility, {
+      validateStatus: status => (status >= 200 && status < 300) || status === 404
+    });
+  }
+
+  publicUrl(key) {
+    if (this.options.publicBaseUrl) {
+      return `${this.options.publicBaseUrl}/${key.split('/').map(encodeRfc3986).join('/')}`;
+    }
+    const { origin, path } = this.locate(this.s3.publicBucket, key);
+    return `${origin}${path}`;
+  }
+
+  async signedUrl(key, { expiresIn = this.options.signedUrlExpiresSeconds, filename, contentType, date = new Date() } = {}) {
+    const { origin, host, path } = this.locate(this.bucketFor('private'), key);
+    const amzDate = date.toISOString().replace(/[:-]|\.\d{3}/g, '');
+
+    const query = {
+      'X-Amz-Algorithm': 'AWS4-HMAC-SHA256',
+      'X-Amz-Credential': `${this.s3.accessKeyId}/${amzDate.slice(0, 8)}/${this.s3.region}/s3/aws4_request`,
+      'X-Amz-Date': amzDate,
+      'X-Amz-Expires': String(Math.min(expiresIn, MAX_PRESIGNED_EXPIRES_SECONDS)),
+      'X-Amz-SignedHeaders': 'host'
+    };
+    if (filename) {
+      query['response-content-disposition'] = StorageDriver.contentDisposition(filename);
+    }
+    if (contentType) {
+      query['response-content-type'] = contentType;
+    }
+
+    const { signature } = this.sign({
+      method: 'GET',
+      path,
+      query,
+      headers: { host },
+      payloadHash: 'UNSIGNED-PAYLOAD',
+      date
+    });
+
+    return `${origin}${path}?${canonicalQuery({ ...query, 'X-Amz-Signature': signature })}`;
+  }
+}
+
+module.exports = S3StorageDriver;
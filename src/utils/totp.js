@@ -0,0 +1,137 @@
+const crypto = require('crypto');
+const config = require('../config/mfa');
+
+// Alphabet base32 (RFC 4648) utilisé par les applications d'authentification
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+/**
+ * Mots de passe à usage unique basés sur le temps (RFC 6238, HMAC-SHA1)
+ */
+const totp = {
+  /**
+   * Encoder des octets en base32 (sans remplissage)
+   * @param {Buffer} buffer - Octets à encoder
+   * @returns {String} - Chaîne base32
+   */
+  base32Encode(buffer) {
+    let bits = 0;
+    let value = 0;
+    let output = '';
+
+    for (const byte of buffer) {
+      value = (value << 8) | byte;
+      bits += 8;
+      while (bits >= 5) {
+        output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+        bits -= 5;
+      }
+    }
+    if (bits > 0) {
+      output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+    }
+    return output;
+  },
+
+  /**
+   * Décoder une chaîne base32 (espaces, tirets et remplissage ignorés)
+   * @param {String} input - Chaîne base32
+   * @returns {Buffer} - Octets décodés
+   */
+  base32Decode(input) {
+    const clean = String(input).toUpperCase().replace(/[\s=-]/g, '');
+    let bits = 0;
+    let value = 0;
+    const bytes = [];
+
+    for (const char of clean) {
+      const index = BASE32_ALPHABET.indexOf(char);
+      if (index === -1) {
+        throw new Error('Secret base32 invalide');
+      }
+      value = (value << 5) | index;
+      bits += 5;
+      if (bits >= 8) {
+        bytes.push((value >>> (bits - 8)) & 255);
+        bits -= 8;
+      }
+    }
+    return Buffer.from(bytes);
+  },
+
+  /**
+   * Générer un nouveau secret (160 bits)
+   * @returns {String} - Secret encodé en base32
+   */
+  generateSecret() {
+    return this.base32Encode(crypto.randomBytes(20));
+  },
+
+  /**
+   * Numéro du pas de temps d'une date
+   * @param {Date} now - Date de référence
+   * @returns {Number} - Pas de temps
+   */
+  stepAt(now = new Date()) {
+    return Math.floor(now.getTime() / 1000 / config.periodSeconds);
+  },
+
+  /**
+   * Calculer le code d'un pas de temps
+   * @param {String} secret - Secret base32
+   * @param {Number} step - Pas de temps
+   * @returns {String} - Code à config.digits chiffres
+   */
+  generate(secret, step = this.stepAt()) {
+    const counter = Buffer.alloc(8);
+    counter.writeBigUInt64BE(BigInt(step));
+
+    const hmac = crypto.createHmac('sha1', this.base32Decode(secret)).update(counter).digest();
+    const offset = hmac[hmac.length - 1] & 15;
+    const binary = hmac.readUInt32BE(offset) & 0x7fffffff;
+
+    return String(binary % 10 ** config.digits).padStart(config.digits, '0');
+  },
+
+  /**
+   * Vérifier un code en tolérant un léger décalage d'horloge
+   * @param {String} secret - Secret base32
+   * @param {String} code - Code saisi
+   * @param {Date} now - Date de référence
+   * @returns {Number|null} - Pas de temps du code reconnu, null si le code est invalide
+   */
+  verify(secret, code, now = new Date()) {
+    const candidate = String(code || '').replace(/\s/g, '');
+    if (!new RegExp(`^\\d{${config.digits}}$`).test(candidate)) {
+      return null;
+    }
+
+    const current = this.stepAt(now);
+    for (let delta = -config.window; delta <= config.window; delta++) {
+      const expected = Buffer.from(this.generate(secret, current + delta));
+      if (crypto.timingSafeEqual(expected, Buffer.from(candidate))) {
+        return current + delta;
+      }
+    }
+    return null;
+  },
+
+  /**
+   * Construire l'URI otpauth:// à scanner (QR code) dans une application d'authentification
+   * @param {String} secret - Secret base32
+   * @param {String} accountName - Nom du compte (email)
+   * @returns {String} - URI otpauth
+   */
+  otpauthUri(secret, accountName) {
+    const label = encodeURIComponent(`${config.issuer}:${accountName}`);
+    const params = new URLSearchParams({
+      secret,
+      issuer: config.issuer,
+      algorithm: 'SHA1',
+      digits: String(config.digits),
+      period: String(config.periodSeconds)
+    });
+    return `otpauth://totp/${label}?${params.toString()}`;
+  }
+};
+
+module.exports = totp;
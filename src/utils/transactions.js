@@ -0,0 +1,64 @@
+const mongoose = require('mongoose');
+
+/**
+ * Indiquer si une erreur signale un serveur MongoDB sans transactions (serveur autonome, sans replica set)
+ * @param {Error} error - Erreur MongoDB
+ * @returns {Boolean} - True si les transactions ne sont pas disponibles
+ */
+const isUnsupported = (error) => error.code === 20 || /Transaction numbers are only allowed/.test(error.message);
+
+/**
+ * Transactions MongoDB: plusieurs écritures appliquées ensemble ou pas du tout
+ */
+const transactions = {
+  // Disponibilité des transactions sur le serveur (null tant qu'elle n'est pas connue)
+  supported: null,
+
+  /**
+   * Vérifier que le serveur MongoDB connecté prend en charge les transactions
+   * (membre d'un replica set ou routeur d'un cluster shardé)
+   * @param {Object} connection - Connexion Mongoose établie
+   * @returns {Promise<Boolean>} - True si les transactions sont disponibles
+   */
+  async detect(connection) {
+    const hello = await connection.db.admin().command({ hello: 1 });
+    this.supported = Boolean(hello.setName) || hello.msg === 'isdbgrid';
+    return this.supported;
+  },
+
+  /**
+   * Exécuter des écritures dans une transaction
+   * Sans transactions (serveur autonome de développement), les écritures sont exécutées
+   * sans session: elles doivent alors pouvoir être rejouées sans effet en double.
+   * En production, le démarrage est refusé sans transactions (config/db).
+   * @param {Function} work - async (session) => résultat; session est null sans transactions
+   * @returns {Promise<*>} - Résultat de work
+   * @throws {Error} - En production, si le serveur ne prend pas en charge les transactions
+   */
+  async run(work) {
+    if (this.supported === false && process.env.NODE_ENV !== 'production') {
+      return work(null);
+    }
+
+    const session = await mongoose.startSession();
+    try {
+      let result;
+      await session.withTransaction(async () => {
+        result = await work(session);
+      });
+      this.supported = true;
+      return result;
+    } catch (error) {
+      // La première écriture d'une transaction échoue sur un serveur autonome: rien n'a été écrit
+      if (this.supported === null && isUnsupported(error) && process.env.NODE_ENV !== 'production') {
+        this.supported = false;
+        return work(null);
+      }
+      throw error;
+    } finally {
+      session.endSession();
+    }
+  }
+};
+
+module.exports = transactions;
@@ -0,0 +1,277 @@
+const crypto = require('crypto');
+const { User, SecurityPolicy } = require('../models');
+const ErrorResponse = require('./errorResponse');
+const jwtKeyring = require('./jwtKeyring');
+const totp = require('./totp');
+const config = require('../config/mfa');
+
+// Clé AES-256 dérivée de la clé de chiffrement configurée
+const encryptionKey = crypto.createHash('sha256').update(config.encryptionKey).digest();
+
+// Politique en cache: { roles, expiresAt }
+let policyCache = null;
+
+/**
+ * Normaliser un code de secours saisi (casse, espaces et tirets ignorés)
+ * @param {String} code - Code saisi
+ * @returns {String} - Code normalisé
+ */
+const normalizeBackupCode = (code) => String(code || '').toUpperCase().replace(/[\s-]/g, '');
+
+/**
+ * Service de double authentification (TOTP): enrôlement, codes de secours, challenge de connexion
+ * et politique des rôles pour lesquels elle est obligatoire
+ */
+const twoFactorService = {
+  /**
+   * Chiffrer un secret TOTP pour le stockage
+   * @param {String} secret - Secret base32
+   * @returns {String} - iv:tag:chiffré, en base64
+   */
+  encryptSecret(secret) {
+    const iv = crypto.randomBytes(12);
+    const cipher = crypto.createCipheriv('aes-256-gcm', encryptionKey, iv);
+    const encrypted = Buffer.concat([cipher.update(secret, 'utf8'), cipher.final()]);
+    return [iv, cipher.getAuthTag(), encrypted].map(part => part.toString('base64')).join(':');
+  },
+
+  /**
+   * Déchiffrer un secret TOTP stocké
+   * @param {String} stored - Valeur produite par encryptSecret
+   * @returns {String} - Secret base32
+   */
+  decryptSecret(stored) {
+    const [iv, tag, encrypted] = String(stored).split(':').map(part => Buffer.from(part, 'base64'));
+    const decipher = crypto.createDecipheriv('aes-256-gcm', encryptionKey, iv);
+    decipher.setAuthTag(tag);
+    return Buffer.concat([decipher.update(encrypted), decipher.final()]).toString('utf8');
+  },
+
+  /**
+   * Empreinte d'un code de secours
+   * @param {String} code - Code de secours
+   * @returns {String} - HMAC-SHA256 en hexadécimal
+   */
+  hashBackupCode(code) {
+    return crypto.createHmac('sha256', config.encryptionKey).update(normalizeBackupCode(code)).digest('hex');
+  },
+
+  /**
+   * Générer une nouvelle série de codes de secours
+   * @returns {Object} - { codes: codes en clair (affichés une seule fois), hashes: empreintes à stocker }
+   */
+  generateBackupCodes() {
+    const codes = Array.from({ length: config.backupCodeCount }, () => {
+      const raw = totp.base32Encode(crypto.randomBytes(7)).slice(0, 10);
+      return `${raw.slice(0, 5)}-${raw.slice(5)}`;
+    });
+    return { codes, hashes: codes.map(code => this.hashBackupCode(code)) };
+  },
+
+  /**
+   * Démarrer l'enrôlement: générer un secret en attente de confirmation
+   * @param {Object} user - Document de l'utilisateur
+   * @returns {Promise<Object>} - { secret, otpauthUri }
+   * @throws {ErrorResponse} - 409 si la double authentification est déjà active
+   */
+  async setup(user) {
+    if (user.twoFactor && user.twoFactor.enabled) {
+      throw new ErrorResponse('La double authentification est déjà activée', 409);
+    }
+
+    const secret = totp.generateSecret();
+    await User.updateOne({ _id: user._id }, { 'twoFactor.pendingSecret': this.encryptSecret(secret) });
+
+    return { secret, otpauthUri: totp.otpauthUri(secret, user.email) };
+  },
+
+  /**
+   * Activer la double authentification après la saisie d'un premier code valide
+   * @param {Object} user - Document de l'utilisateur
+   * @param {String} code - Code affiché par l'application
+   * @returns {Promise<Array>} - Codes de secours en clair
+   * @throws {ErrorResponse} - 400 si aucun enrôlement n'est en cours ou si le code est invalide, 409 si déjà active
+   */
+  async enable(user, code) {
+    const current = await User.findById(user._id).select('+twoFactor.pendingSecret');
+    if (current.twoFactor && current.twoFactor.enabled) {
+      throw new ErrorResponse('La double authentification est déjà activée', 409);
+    }
+    if (!current.twoFactor || !current.twoFactor.pendingSecret) {
+      throw new ErrorResponse('Aucun enrôlement en cours, veuillez d\'abord générer un secret', 400);
+    }
+
+    const step = totp.verify(this.decryptSecret(current.twoFactor.pendingSecret), code);
+    if (step === null) {
+      throw new ErrorResponse('Code de double authentification invalide', 400);
+    }
+
+    const { codes, hashes } = this.generateBackupCodes();
+    const enabled = await User.findOneAndUpdate(
+      { _id: user._id, 'twoFactor.enabled': { $ne: true }, 'twoFactor.pendingSecret': current.twoFactor.pendingSecret },
+      {
+        $set: {
+          'twoFactor.enabled': true,
+          'twoFactor.enabledAt': new Date(),
+          'twoFactor.secret': current.twoFactor.pendingSecret,
+          'twoFactor.backupCodes': hashes,
+          'twoFactor.lastUsedStep': step
+        },
+        $unset: { 'twoFactor.pendingSecret': '' }
+      }
+    );
+    if (!enabled) {
+      throw new ErrorResponse('La double authentification est déjà activée', 409);
+    }
+
+    return codes;
+  },
+
+  /**
+   * Vérifier un code TOTP ou un code de secours
+   * Un code TOTP déjà accepté n'est plus valable; un code de secours est consommé
+   * @param {String} userId - ID de l'utilisateur
+   * @param {Object} input - { code, backupCode }
+   * @returns {Promise<Boolean>} - True si le code est accepté
+   */
+  async verifyCode(userId, { code, backupCode } = {}) {
+    const user = await User.findById(userId).select('+twoFactor.secret');
+    if (!user || !user.twoFactor || !user.twoFactor.enabled || !user.twoFactor.secret) {
+      return false;
+    }
+
+    if (backupCode) {
+      const consumed = await User.updateOne(
+        { _id: userId, 'twoFactor.backupCodes': this.hashBackupCode(backupCode) },
+        { $pull: { 'twoFactor.backupCodes': this.hashBackupCode(backupCode) } }
+      );
+      return consumed.modifiedCount > 0;
+    }
+
+    const step = totp.verify(this.decryptSecret(user.twoFactor.secret), code);
+    if (step === null) {
+      return false;
+    }
+
+    // Accepter le pas de temps une seule fois, même pour deux requêtes simultanées
+    const claimed = await User.updateOne(
+      { _id: userId, 'twoFactor.lastUsedStep': { $not: { $gte: step } } },
+      { 'twoFactor.lastUsedStep': step }
+    );
+    return claimed.modifiedCount > 0;
+  },
+
+  /**
+   * Remplacer les codes de secours
+   * @param {String} userId - ID de l'utilisateur
+   * @returns {Promise<Array>} - Nouveaux codes en clair
+   */
+  async regenerateBackupCodes(userId) {
+    const { codes, hashes } = this.generateBackupCodes();
+    await User.updateOne({ _id: userId }, { 'twoFactor.backupCodes': hashes });
+    return codes;
+  },
+
+  /**
+   * Nombre de codes de secours encore utilisables
+   * @param {String} userId - ID de l'utilisateur
+   * @returns {Promise<Number>} - Codes restants
+   */
+  async countBackupCodes(userId) {
+    const user = await User.findById(userId).select('+twoFactor.backupCodes');
+    return user && user.twoFactor && user.twoFactor.backupCodes ? user.twoFactor.backupCodes.length : 0;
+  },
+
+  /**
+   * Désactiver la double authentification
+   * @param {Object} user - Document de l'utilisateur
+   * @throws {ErrorResponse} - 403 si elle est obligatoire pour le rôle de l'utilisateur
+   */
+  async disable(user) {
+    if (await this.isRequiredFor(user.role)) {
+      throw new ErrorResponse(`La double authentification est obligatoire pour le rôle ${user.role}`, 403);
+    }
+
+    await User.updateOne({ _id: user._id }, {
+      $set: { 'twoFactor.enabled': false },
+      $unset: {
+        'twoFactor.enabledAt': '',
+        'twoFactor.secret': '',
+        'twoFactor.pendingSecret': '',
+        'twoFactor.backupCodes': '',
+        'twoFactor.lastUsedStep': ''
+      }
+    });
+  },
+
+  /**
+   * Émettre le jeton de challenge remis après un mot de passe (ou un code SMS) valide
+   * @param {Object} user - Document de l'utilisateur
+   * @returns {String} - Jeton de courte durée, inutilisable comme jeton d'accès
+   */
+  issueChallenge(user) {
+    return jwtKeyring.sign({ id: user._id, purpose: 'mfa_challenge' }, 'mfa');
+  },
+
+  /**
+   * Lire un jeton de challenge
+   * @param {String} challengeToken - Jeton présenté
+   * @returns {String} - ID de l'utilisateur
+   * @throws {ErrorResponse} - 401 si le jeton est invalide ou expiré
+   */
+  readChallenge(challengeToken) {
+    try {
+      const decoded = jwtKeyring.verify(challengeToken, 'mfa');
+      if (decoded.purpose !== 'mfa_challenge' || !decoded.id) {
+        throw new Error('Jeton de challenge invalide');
+      }
+      return decoded.id;
+    } catch (error) {
+      throw new ErrorResponse('Challenge de double authentification invalide ou expiré, veuillez vous reconnecter', 401);
+    }
+  },
+
+  /**
+   * Rôles pour lesquels la double authentification est obligatoire
+   * @returns {Promise<Array>} - Rôles (politique enregistrée ou, à défaut, configuration)
+   */
+  async getRequiredRoles() {
+    if (policyCache && policyCache.expiresAt > Date.now()) {
+      return policyCache.roles;
+    }
+
+    const policy = await SecurityPolicy.findOne({ key: 'default' }).lean();
+    const roles = policy
+      ? policy.twoFactorRequiredRoles
+      : config.requiredRoles.filter(role => config.eligibleRoles.includes(role));
+    policyCache = { roles, expiresAt: Date.now() + config.policyCacheSeconds * 1000 };
+    return roles;
+  },
+
+  /**
+   * Modifier les rôles pour lesquels la double authentification est obligatoire
+   * @param {Array} roles - Rôles concernés
+   * @param {String} adminId - Administrateur à l'origine du changement
+   * @returns {Promise<Object>} - La politique enregistrée
+   */
+  async setRequiredRoles(roles, adminId) {
+    const policy = await SecurityPolicy.findOneAndUpdate(
+      { key: 'default' },
+      { twoFactorRequiredRoles: [...new Set(roles)], updatedBy: adminId, updatedAt: new Date() },
+      { new: true, upsert: true, runValidators: true, setDefaultsOnInsert: true }
+    );
+    policyCache = null;
+    return policy;
+  },
+
+  /**
+   * Indiquer si la double authentification est obligatoire pour un rôle
+   * @param {String} role - Rôle de l'utilisateur
+   * @returns {Promise<Boolean>} - True si elle est obligatoire
+   */
+  async isRequiredFor(role) {
+    return (await this.getRequiredRoles()).includes(role);
+  }
+};
+
+module.exports = twoFactorService;
@@ -0,0 +1,80 @@
+const crypto = require('crypto');
+
+/**
+ * Signatures HMAC des webhooks au format "t=<horodatage unix>,v1=<hmac hex>"
+ * Le HMAC-SHA256 porte sur la chaîne "<horodatage>.<corps brut de la requête>"
+ */
+const webhookSignature = {
+  /**
+   * Calculer la signature d'une livraison
+   * @param {String} secret - Secret partagé avec le fournisseur
+   * @param {Number} timestamp - Horodatage unix en secondes
+   * @param {Buffer|String} rawBody - Corps brut de la requête
+   * @returns {String} - HMAC hexadécimal
+   */
+  compute(secret, timestamp, rawBody) {
+    return crypto
+      .createHmac('sha256', secret)
+      .update(`${timestamp}.${rawBody}`)
+      .digest('hex');
+  },
+
+  /**
+   * Construire l'en-tête de signature (utile pour le simulateur et les outils de test)
+   * @param {String} secret - Secret partagé
+   * @param {Buffer|String} rawBody - Corps brut
+   * @param {Number} timestamp - Horodatage unix (par défaut: maintenant)
+   * @returns {String} - Valeur de l'en-tête
+   */
+  header(secret, rawBody, timestamp = Math.floor(Date.now() / 1000)) {
+    return `t=${timestamp},v1=${this.compute(secret, timestamp, rawBody)}`;
+  },
+
+  /**
+   * Vérifier l'en-tête de signature d'une livraison
+   * @param {Object} params - { secret, header, rawBody, toleranceSeconds, now }
+   * @returns {Object} - { valid, reason, timestamp }
+   */
+  verify({ secret, header, rawBody, toleranceSeconds, now = Date.now() }) {
+    if (!secret) {
+      return { valid: false, reason: 'Aucun secret de webhook configuré pour ce fournisseur' };
+    }
+
+    if (!header || rawBody === undefined) {
+      return { valid: false, reason: 'Signature absente' };
+    }
+
+    const parts = header.split(',').reduce((acc, part) => {
+      const [key, value] = part.trim().split('=');
+      if (key === 'v1') {
+        acc.signatures.push(value);
+      } else if (key === 't') {
+        acc.timestamp = parseInt(value, 10);
+      }
+      return acc;
+    }, { timestamp: NaN, signatures: [] });
+
+    if (!Number.isFinite(parts.timestamp) || parts.signatures.length === 0) {
+      return { valid: false, reason: 'En-tête de signature mal formé' };
+    }
+
+    // Fenêtre anti-rejeu
+    if (Math.abs(now / 1000 - parts.timestamp) > toleranceSeconds) {
+      return { valid: false, reason: 'Horodatage hors de la fenêtre autorisée', timestamp: parts.timestamp };
+    }
+
+    const expected = Buffer.from(this.compute(secret, parts.timestamp, rawBody), 'hex');
+    const valid = parts.signatures.some(signature => {
+      const actual = Buffer.from(signature || '', 'hex');
+      return actual.length === expected.length && crypto.timingSafeEqual(actual, expected);
+    });
+
+    return {
+      valid,
+      reason: valid ? null : 'Signature invalide',
+      timestamp: parts.timestamp
+    };
+  }
+};
+
+module.exports = webhookSignature;
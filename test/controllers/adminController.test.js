@@ -0,0 +1,208 @@
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const { Reservation, Payment, AuditLog } = require('../../src/models');
+const adminController = require('../../src/controllers/adminController');
+const notificationService = require('../../src/utils/notificationService');
+const availabilityService = require('../../src/utils/availabilityService');
+const escrowService = require('../../src/utils/escrowService');
+const refundService = require('../../src/utils/refundService');
+const paymentProcessor = require('../../src/utils/paymentProcessor');
+
+const ADMIN = { _id: 'admin-1', email: 'admin@bookmi.ci', role: 'admin' };
+
+/**
+ * Appeler un contrôleur et renvoyer l'erreur transmise à next, ou la réponse
+ */
+const call = (handler, req) => new Promise((resolve) => {
+  const res = {
+    status(code) {
+      this.statusCode = code;
+      return this;
+    },
+    json(body) {
+      resolve({ statusCode: this.statusCode, body });
+    }
+  };
+  handler(req, res, error => resolve({ error }));
+});
+
+const request = (body) => ({
+  user: ADMIN,
+  params: { id: 'target-1' },
+  body,
+  ip: '196.47.10.2',
+  get: (header) => (header === 'user-agent' ? 'Mozilla/5.0' : undefined)
+});
+
+describe('adminController', () => {
+  let auditLogs;
+
+  beforeEach(() => {
+    auditLogs = [];
+    mock.method(AuditLog, 'create', async (entry) => {
+      auditLogs.push(entry);
+      return entry;
+    });
+  });
+
+  afterEach(() => {
+    mock.restoreAll();
+  });
+
+  describe('forceReservationStatus', () => {
+    let reservation;
+
+    beforeEach(() => {
+      reservation = {
+        _id: 'reservation-1',
+        artistId: 'artist-1',
+        date: '2026-11-02',
+        status: 'confirmed',
+        statusHistory: [],
+        save: async () => {}
+      };
+      mock.method(Reservation, 'findById', async () => reservation);
+      mock.method(reservation, 'save');
+      mock.method(availabilityService, 'releaseSlot', async () => {});
+      mock.method(escrowService, 'releaseForReservation', async () => {});
+      mock.method(refundService, 'refundCancelledReservation', async () => [{ _id: 'refund-1', amount: 110000 }]);
+      mock.method(notificationService, 'notifyReservationStatusChange', async () => {});
+    });
+
+    it('exige un motif', async () => {
+      for (const reason of [undefined, '', '   ']) {
+        const { error } = await call(adminController.forceReservationStatus, request({ status: 'cancelled', reason }));
+
+        assert.equal(error.statusCode, 400);
+      }
+      assert.equal(reservation.status, 'confirmed');
+      assert.deepEqual(auditLogs, []);
+    });
+
+    it('annule la réservation, rembourse, libère le créneau et journalise l\'action', async () => {
+      const { statusCode, body } = await call(
+        adminController.forceReservationStatus,
+        request({ status: 'cancelled', reason: ' Litige client ' })
+      );
+
+      assert.equal(statusCode, 200);
+      assert.equal(body.data.status, 'cancelled');
+      assert.deepEqual(body.refunds, [{ _id: 'refund-1', amount: 110000 }]);
+      assert.equal(reservation.save.mock.callCount(), 1);
+      assert.deepEqual(
+        reservation.statusHistory.map(({ from, to, actor, role, reason }) => ({ from, to, actor, role, reason })),
+        [{ from: 'confirmed', to: 'cancelled', actor: 'admin-1', role: 'admin', reason: 'Litige client' }]
+      );
+      assert.deepEqual(availabilityService.releaseSlot.mock.calls[0].arguments, [reservation]);
+      assert.deepEqual(refundService.refundCancelledReservation.mock.calls[0].arguments[1], {
+        actor: 'admin-1',
+        role: 'admin',
+        reason: 'Litige client'
+      });
+      assert.equal(escrowService.releaseForReservation.mock.callCount(), 1);
+      assert.deepEqual(auditLogs, [{
+        actor: 'admin-1',
+        actorEmail: 'admin@bookmi.ci',
+        action: 'reservation.force_status',
+        targetModel: 'Reservation',
+        targetId: 'reservation-1',
+        reason: 'Litige client',
+        filters: undefined,
+        changes: { before: { status: 'confirmed' }, after: { status: 'cancelled', refunds: ['refund-1'] } },
+        ip: '196.47.10.2',
+        userAgent: 'Mozilla/5.0'
+      }]);
+    });
+
+    it('libère le séquestre d\'une réservation terminée sans rembourser', async () => {
+      const { body } = await call(adminController.forceReservationStatus, request({ status: 'completed', reason: 'Prestation constatée' }));
+
+      assert.equal(body.data.status, 'completed');
+      assert.equal(body.refunds, undefined);
+      assert.equal(escrowService.releaseForReservation.mock.callCount(), 1);
+      assert.equal(refundService.refundCancelledReservation.mock.callCount(), 0);
+      assert.equal(availabilityService.releaseSlot.mock.callCount(), 0);
+    });
+
+    it('applique les règles de la machine à états', async () => {
+      reservation.status = 'completed';
+
+      const { error } = await call(adminController.forceReservationStatus, request({ status: 'pending', reason: 'Erreur de saisie' }));
+
+      assert.equal(error.statusCode, 409);
+      assert.equal(reservation.save.mock.callCount(), 0);
+      assert.deepEqual(auditLogs, []);
+    });
+
+    it('renvoie 404 pour une réservation inconnue', async () => {
+      Reservation.findById.mock.mockImplementation(async () => null);
+
+      const { error } = await call(adminController.forceReservationStatus, request({ status: 'cancelled', reason: 'Litige' }));
+
+      assert.equal(error.statusCode, 404);
+    });
+
+    it('conserve le changement si la notification échoue', async () => {
+      mock.method(console, 'error', () => {});
+      notificationService.notifyReservationStatusChange.mock.mockImplementation(async () => {
+        throw new Error('Service indisponible');
+      });
+
+      const { statusCode } = await call(adminController.forceReservationStatus, request({ status: 'cancelled', reason: 'Litige' }));
+
+      assert.equal(statusCode, 200);
+      assert.equal(auditLogs.length, 1);
+    });
+  });
+
+  describe('forcePaymentStatus', () => {
+    let payment;
+
+    beforeEach(() => {
+      payment = { _id: 'payment-1', status: 'processing', transactionId: '' };
+      mock.method(Payment, 'findById', async () => payment);
+      mock.method(paymentProcessor, 'applyStatus', async (current, status, { transactionId }) => ({
+        ...current,
+        status,
+        transactionId
+      }));
+    });
+
+    it('applique le statut comme un retour du fournisseur et journalise l\'action', async () => {
+      const { statusCode, body } = await call(
+        adminController.forcePaymentStatus,
+        request({ status: 'completed', transactionId: 'MP2610190001', reason: 'Confirmé par Orange' })
+      );
+
+      assert.equal(statusCode, 200);
+      assert.equal(body.data.status, 'completed');
+      assert.deepEqual(paymentProcessor.applyStatus.mock.calls[0].arguments, [
+        payment,
+        'completed',
+        { transactionId: 'MP2610190001', reason: 'Confirmé par Orange' }
+      ]);
+      assert.equal(auditLogs[0].action, 'payment.force_status');
+      assert.deepEqual(auditLogs[0].changes, {
+        before: { status: 'processing' },
+        after: { status: 'completed', transactionId: 'MP2610190001' }
+      });
+    });
+
+    it('refuse les statuts réservés aux remboursements', async () => {
+      for (const status of ['refunded', 'partially_refunded', 'pending', undefined]) {
+        const { error } = await call(adminController.forcePaymentStatus, request({ status, reason: 'Correction' }));
+
+        assert.equal(error.statusCode, 400);
+      }
+      assert.equal(paymentProcessor.applyStatus.mock.callCount(), 0);
+      assert.deepEqual(auditLogs, []);
+    });
+
+    it('exige un motif et un paiement existant', async () => {
+      assert.equal((await call(adminController.forcePaymentStatus, request({ status: 'failed' }))).error.statusCode, 400);
+
+      Payment.findById.mock.mockImplementation(async () => null);
+      assert.equal((await call(adminController.forcePaymentStatus, request({ status: 'failed', reason: 'Expiré' }))).error.statusCode, 404);
+    });
+  });
+});
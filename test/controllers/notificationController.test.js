@@ -0,0 +1,198 @@
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const { EventEmitter } = require('events');
+const { User } = require('../../src/models');
+const notificationController = require('../../src/controllers/notificationController');
+const notificationService = require('../../src/utils/notificationService');
+const notificationHub = require('../../src/utils/notificationHub');
+const sessionService = require('../../src/utils/sessionService');
+const notificationsConfig = require('../../src/config/notifications');
+
+const HEARTBEAT_MS = notificationsConfig.stream.heartbeatSeconds * 1000;
+
+/**
+ * Laisser s'exécuter les promesses en attente
+ */
+const flush = () => new Promise(resolve => process.nextTick(resolve));
+
+describe('notificationController.streamNotifications', () => {
+  let req;
+  let res;
+  let sessionActive;
+  let userActive;
+
+  beforeEach(() => {
+    mock.timers.enable({ apis: ['setInterval', 'setTimeout'] });
+
+    sessionActive = true;
+    userActive = true;
+
+    req = new EventEmitter();
+    Object.assign(req, {
+      query: {},
+      get: () => undefined,
+      user: { _id: 'user-1', id: 'user-1', role: 'booker', booker: 'booker-1' },
+      sessionId: 'session-1'
+    });
+
+    // Réponse SSE: la fermeture de la connexion est signalée sur la requête, comme par Node
+    res = {
+      output: '',
+      ended: false,
+      status() {
+        return this;
+      },
+      set() {
+        return this;
+      },
+      flushHeaders() {},
+      write(chunk) {
+        this.output += chunk;
+      },
+      end() {
+        this.ended = true;
+        req.emit('close');
+      }
+    };
+
+    mock.method(sessionService, 'getActive', async () => (sessionActive ? { _id: 'session-1' } : null));
+    mock.method(User, 'findById', () => ({ select: () => ({ lean: async () => ({ isActive: userActive }) }) }));
+    mock.method(notificationService, 'countUnread', async () => 0);
+  });
+
+  afterEach(() => {
+    req.emit('close');
+    mock.timers.reset();
+    mock.restoreAll();
+  });
+
+  const open = async () => {
+    await notificationController.streamNotifications(req, res, error => {
+      throw error;
+    });
+    await flush();
+  };
+
+  it('garde le flux ouvert tant que la session est active', async () => {
+    await open();
+
+    mock.timers.tick(HEARTBEAT_MS);
+    await flush();
+
+    assert.equal(res.ended, false);
+    assert.match(res.output, /: ping/);
+  });
+
+  it('ferme le flux au battement suivant la révocation de la session', async () => {
+    await open();
+    const received = [];
+    notificationHub.subscribe({ recipientId: 'booker-1', recipientModel: 'Booker' }, event => received.push(event));
+
+    sessionActive = false;
+    mock.timers.tick(HEARTBEAT_MS);
+    await flush();
+
+    assert.equal(res.ended, true);
+    assert.match(res.output, /event: session_revoked/);
+    assert.doesNotMatch(res.output, /: ping/);
+
+    // Les notifications suivantes ne sont plus poussées sur le flux fermé
+    const before = res.output;
+    notificationHub.dispatch({ recipientId: 'booker-1', recipientModel: 'Booker' }, { event: 'notification', data: {}, id: 'n1' });
+    assert.equal(res.output, before);
+    assert.equal(received.length, 1);
+  });
+
+  it('ferme le flux d\'un compte suspendu', async () => {
+    await open();
+
+    userActive = false;
+    mock.timers.tick(HEARTBEAT_MS);
+    await flush();
+
+    assert.equal(res.ended, true);
+    assert.match(res.output, /event: session_revoked/);
+  });
+
+  describe('rattrapage à la reconnexion', () => {
+    const RECIPIENT = { recipientId: 'booker-1', recipientModel: 'Booker' };
+    const IDS = ['6710f0a0c0ffee0000000001', '6710f0a0c0ffee0000000002', '6710f0a0c0ffee0000000003'];
+
+    const notification = (id) => ({ _id: id, toJSON: () => ({ _id: id, title: `Notification ${id.slice(-1)}` }) });
+
+    /**
+     * Événements écrits sur le flux, dans l'ordre: [event, id]
+     */
+    const events = () => [...res.output.matchAll(/(?:id: (\w+)\n)?event: (\w+)/g)].map(([, id, event]) => [event, id]);
+
+    let catchUpLimit;
+
+    beforeEach(() => {
+      catchUpLimit = notificationsConfig.stream.catchUpLimit;
+      req.get = header => (header === 'Last-Event-ID' ? IDS[0] : undefined);
+    });
+
+    afterEach(() => {
+      notificationsConfig.stream.catchUpLimit = catchUpLimit;
+    });
+
+    it('renvoie les notifications manquées depuis le dernier identifiant reçu', async () => {
+      mock.method(notificationService, 'getNotificationsSince', async () => [notification(IDS[1]), notification(IDS[2])]);
+      notificationService.countUnread.mock.mockImplementation(async () => 2);
+
+      await open();
+
+      assert.deepEqual(notificationService.getNotificationsSince.mock.calls[0].arguments, [RECIPIENT, IDS[0], catchUpLimit]);
+      assert.deepEqual(events(), [['notification', IDS[1]], ['notification', IDS[2]], ['unread_count', undefined]]);
+      assert.match(res.output, /event: unread_count\ndata: {"count":2}/);
+    });
+
+    it('envoie après le rattrapage, et une seule fois, les notifications reçues pendant celui-ci', async () => {
+      mock.method(notificationService, 'getNotificationsSince', async () => {
+        // Créées pendant la lecture des notifications manquées: la première est aussi dans le résultat
+        notificationHub.dispatch(RECIPIENT, { event: 'notification', data: {}, id: IDS[1] });
+        notificationHub.dispatch(RECIPIENT, { event: 'notification', data: {}, id: IDS[2] });
+        return [notification(IDS[1])];
+      });
+
+      await open();
+
+      assert.deepEqual(events(), [['notification', IDS[1]], ['notification', IDS[2]], ['unread_count', undefined]]);
+    });
+
+    it('demande au client de recharger la liste quand trop de notifications ont été manquées', async () => {
+      notificationsConfig.stream.catchUpLimit = 2;
+      mock.method(notificationService, 'getNotificationsSince', async () => [notification(IDS[1]), notification(IDS[2])]);
+
+      await open();
+
+      assert.deepEqual(events().map(([event]) => event), ['notification', 'notification', 'resync', 'unread_count']);
+    });
+
+    it('accepte l\'identifiant dans l\'URL et refuse un identifiant invalide', async () => {
+      mock.method(notificationService, 'getNotificationsSince', async () => []);
+      req.get = () => undefined;
+      req.query = { lastEventId: IDS[0] };
+
+      await open();
+      assert.equal(notificationService.getNotificationsSince.mock.calls[0].arguments[1], IDS[0]);
+
+      const output = res.output;
+      req.query = { lastEventId: 'abc' };
+      let error;
+      await notificationController.streamNotifications(req, res, err => { error = err; });
+      assert.equal(error.statusCode, 400);
+      assert.equal(res.output, output);
+    });
+
+    it('ne rattrape rien sans identifiant', async () => {
+      mock.method(notificationService, 'getNotificationsSince', async () => []);
+      req.get = () => undefined;
+
+      await open();
+
+      assert.equal(notificationService.getNotificationsSince.mock.callCount(), 0);
+      assert.deepEqual(events(), [['unread_count', undefined]]);
+    });
+  });
+});
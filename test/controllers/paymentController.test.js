@@ -0,0 +1,132 @@
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const { Payment, Reservation, Quote } = require('../../src/models');
+const paymentController = require('../../src/controllers/paymentController');
+const paymentProcessor = require('../../src/utils/paymentProcessor');
+const pricing = require('../../src/utils/pricing');
+
+/**
+ * Requête Mongoose dont le résultat est lu après .select()
+ */
+const query = (result) => {
+  const chain = {
+    select: () => chain,
+    then: (resolve, reject) => Promise.resolve(result).then(resolve, reject)
+  };
+  return chain;
+};
+
+/**
+ * Appeler un contrôleur et renvoyer l'erreur transmise à next, ou la réponse
+ */
+const call = (handler, req) => new Promise((resolve) => {
+  const res = {
+    status(code) {
+      this.statusCode = code;
+      return this;
+    },
+    json(body) {
+      resolve({ statusCode: this.statusCode, body });
+    }
+  };
+  handler(req, res, error => resolve({ error }));
+});
+
+describe('paymentController.createPayment', () => {
+  let reservation;
+  let payments;
+  let lockedUntil;
+
+  const req = () => ({
+    user: { id: 'booker-1', booker: 'booker-1' },
+    body: { reservationId: 'reservation-1', quoteId: 'quote-1', paymentMethod: 'orange', paymentType: 'full' }
+  });
+
+  beforeEach(() => {
+    reservation = {
+      _id: 'reservation-1',
+      booker: 'booker-1',
+      artistId: 'artist-1',
+      quote: 'quote-1',
+      status: 'pending',
+      amount: 100000,
+      serviceFee: 10000,
+      paymentNumber: '+2250700000000'
+    };
+    payments = [];
+    lockedUntil = null;
+
+    mock.method(Reservation, 'findById', async () => reservation);
+    // Verrou conditionnel: accordé seulement s'il n'est pas déjà posé
+    mock.method(Reservation, 'findOneAndUpdate', async (filter, update) => {
+      if (!filter.status.$in.includes(reservation.status) || lockedUntil) {
+        return null;
+      }
+      lockedUntil = update.paymentLockedUntil;
+      return reservation;
+    });
+    mock.method(Reservation, 'updateOne', async () => {
+      lockedUntil = null;
+    });
+    mock.method(Quote, 'findById', async () => ({ amount: 100000, serviceFee: 10000, totalAmount: 110000 }));
+    mock.method(pricing, 'verifyQuoteSignature', () => true);
+    mock.method(Payment, 'find', () => query([...payments]));
+    mock.method(Payment, 'create', async (data) => {
+      const payment = { _id: `payment-${payments.length + 1}`, ...data };
+      payments.push(payment);
+      return payment;
+    });
+    mock.method(paymentProcessor, 'initiate', async payment => payment);
+  });
+
+  afterEach(() => {
+    mock.restoreAll();
+  });
+
+  it('crée le paiement et libère le verrou de la réservation', async () => {
+    const { statusCode, body } = await call(paymentController.createPayment, req());
+
+    assert.equal(statusCode, 201);
+    assert.equal(body.data.totalAmount, 110000);
+    assert.equal(lockedUntil, null);
+  });
+
+  ['cancelled', 'completed'].forEach(status => {
+    it(`refuse de payer une réservation ${status} (409)`, async () => {
+      reservation.status = status;
+
+      const { error } = await call(paymentController.createPayment, req());
+
+      assert.equal(error.statusCode, 409);
+      assert.equal(Payment.create.mock.callCount(), 0);
+    });
+  });
+
+  it('refuse une seconde demande pendant la création d\'un paiement (409)', async () => {
+    lockedUntil = new Date(Date.now() + 30000);
+
+    const { error } = await call(paymentController.createPayment, req());
+
+    assert.equal(error.statusCode, 409);
+    assert.equal(Payment.create.mock.callCount(), 0);
+  });
+
+  it('ne crée qu\'un paiement pour deux demandes simultanées', async () => {
+    const results = await Promise.all([
+      call(paymentController.createPayment, req()),
+      call(paymentController.createPayment, req())
+    ]);
+
+    assert.equal(payments.length, 1);
+    assert.deepEqual(results.map(result => result.statusCode || result.error.statusCode).sort(), [201, 409]);
+  });
+
+  it('libère le verrou si le montant demandé est refusé', async () => {
+    payments.push({ status: 'completed', amount: 100000, serviceFee: 10000, totalAmount: 110000 });
+
+    const { error } = await call(paymentController.createPayment, req());
+
+    assert.equal(error.statusCode, 409);
+    assert.equal(lockedUntil, null);
+  });
+});
@@ -0,0 +1,136 @@
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const { Payment, Refund, Payout, WebhookEvent } = require('../../src/models');
+const paymentController = require('../../src/controllers/paymentController');
+const paymentProcessor = require('../../src/utils/paymentProcessor');
+const webhookSignature = require('../../src/utils/webhookSignature');
+const paymentProvidersConfig = require('../../src/config/paymentProviders');
+
+const SECRET = paymentProvidersConfig.simulator.webhookSecret;
+
+/**
+ * Livraison signée d'un événement du simulateur
+ */
+const delivery = (body, { secret = SECRET, timestamp } = {}) => {
+  const rawBody = JSON.stringify(body);
+  return {
+    params: { provider: 'simulator' },
+    headers: { 'x-bookmi-signature': webhookSignature.header(secret, rawBody, timestamp) },
+    body,
+    rawBody,
+    ip: '127.0.0.1'
+  };
+};
+
+/**
+ * Appeler le contrôleur et renvoyer la réponse, ou l'erreur transmise à next
+ */
+const call = (req) => new Promise((resolve) => {
+  const res = {
+    status(code) {
+      this.statusCode = code;
+      return this;
+    },
+    json(body) {
+      resolve({ statusCode: this.statusCode, body });
+    }
+  };
+  paymentController.paymentWebhook(req, res, error => resolve({ error }));
+});
+
+describe('paymentController.paymentWebhook', () => {
+  let events;
+  let payment;
+
+  beforeEach(() => {
+    events = [];
+    payment = { _id: 'payment-1', provider: 'simulator', transactionId: 'sim_1', status: 'processing' };
+
+    // Journal des livraisons: l'index unique partiel n'admet qu'un événement 'processed' par eventId
+    mock.method(WebhookEvent, 'exists', async ({ eventId, outcome }) => (
+      events.some(event => event.eventId === eventId && event.outcome === outcome) ? { _id: 'x' } : null
+    ));
+    mock.method(WebhookEvent, 'create', async (fields) => {
+      if (fields.outcome === 'processed' && events.some(e => e.eventId === fields.eventId && e.outcome === 'processed')) {
+        throw Object.assign(new Error('E11000 duplicate key'), { code: 11000 });
+      }
+      const event = { _id: `event-${events.length + 1}`, ...fields };
+      events.push(event);
+      return event;
+    });
+    mock.method(WebhookEvent, 'updateOne', async ({ _id }, update) => {
+      Object.assign(events.find(event => event._id === _id), update);
+    });
+
+    mock.method(Payment, 'findOne', async () => payment);
+    mock.method(Refund, 'findOne', async () => null);
+    mock.method(Payout, 'findOne', async () => null);
+    mock.method(paymentProcessor, 'applyStatus', async (target, status) => {
+      payment = { ...target, status };
+      return payment;
+    });
+  });
+
+  afterEach(() => {
+    mock.restoreAll();
+  });
+
+  const completed = { eventId: 'evt_1', transactionId: 'sim_1', status: 'completed' };
+
+  it('applique un événement signé', async () => {
+    const { statusCode, body } = await call(delivery(completed));
+
+    assert.equal(statusCode, 200);
+    assert.equal(body.data.status, 'completed');
+    assert.equal(paymentProcessor.applyStatus.mock.callCount(), 1);
+    assert.equal(events[0].outcome, 'processed');
+  });
+
+  it('refuse une livraison dont la signature est invalide (401)', async () => {
+    const tampered = delivery(completed);
+    tampered.rawBody = tampered.rawBody.replace('completed', 'failed');
+
+    const { statusCode } = await call(tampered);
+
+    assert.equal(statusCode, 401);
+    assert.equal(paymentProcessor.applyStatus.mock.callCount(), 0);
+    assert.equal(events[0].outcome, 'rejected');
+  });
+
+  it('refuse une livraison signée avec un autre secret ou trop ancienne (401)', async () => {
+    assert.equal((await call(delivery(completed, { secret: 'autre_secret' }))).statusCode, 401);
+    assert.equal((await call(delivery(completed, { timestamp: Math.floor(Date.now() / 1000) - 3600 }))).statusCode, 401);
+    assert.equal(paymentProcessor.applyStatus.mock.callCount(), 0);
+  });
+
+  it('acquitte un événement déjà traité sans le rejouer', async () => {
+    await call(delivery(completed));
+    const { statusCode, body } = await call(delivery(completed));
+
+    assert.equal(statusCode, 200);
+    assert.equal(body.duplicate, true);
+    assert.equal(paymentProcessor.applyStatus.mock.callCount(), 1);
+  });
+
+  it('n\'applique qu\'une fois deux livraisons simultanées du même événement', async () => {
+    const results = await Promise.all([call(delivery(completed)), call(delivery(completed))]);
+
+    assert.equal(paymentProcessor.applyStatus.mock.callCount(), 1);
+    assert.deepEqual(results.map(result => Boolean(result.body.duplicate)).sort(), [false, true]);
+  });
+
+  it('traite la nouvelle livraison d\'un événement dont l\'application a échoué', async () => {
+    paymentProcessor.applyStatus.mock.mockImplementationOnce(async () => {
+      throw new Error('Base indisponible');
+    });
+
+    const { error } = await call(delivery(completed));
+    assert.equal(error.message, 'Base indisponible');
+    assert.equal(events[0].outcome, 'failed');
+
+    const { statusCode, body } = await call(delivery(completed));
+    assert.equal(statusCode, 200);
+    assert.equal(body.data.status, 'completed');
+    assert.equal(paymentProcessor.applyStatus.mock.callCount(), 2);
+  });
+});
@@ -0,0 +1,164 @@
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const { Reservation, Payment } = require('../../src/models');
+const notificationService = require('../../src/utils/notificationService');
+const availabilityService = require('../../src/utils/availabilityService');
+const paymentSchedule = require('../../src/utils/paymentSchedule');
+const paymentScheduleJob = require('../../src/jobs/paymentScheduleJob');
+
+const TERMS = { depositPercentage: 30, depositDueHours: 48, balanceDueDaysBefore: 7 };
+const BOOKED_AT = new Date('2026-10-01T10:00:00Z');
+// Acompte dû le 3 octobre à 10h
+const BEFORE_DEPOSIT = new Date('2026-10-02T12:00:00Z');
+const AFTER_DEPOSIT = new Date('2026-10-03T12:00:00Z');
+
+const query = (result) => ({
+  select: () => query(result),
+  then: (resolve, reject) => Promise.resolve(result).then(resolve, reject)
+});
+
+const reservationOf = (terms = TERMS) => {
+  const reservation = {
+    _id: 'reservation-1',
+    artistId: 'artist-1',
+    bookerId: 'booker-1',
+    amount: 100000,
+    serviceFee: 10000,
+    date: '2026-11-02',
+    startTime: '20:00',
+    status: 'pending',
+    paymentStatus: 'pending',
+    statusHistory: [],
+    save: async () => {}
+  };
+  reservation.paymentSchedule = paymentSchedule.build(reservation, terms, BOOKED_AT);
+  return reservation;
+};
+
+describe('paymentScheduleJob', () => {
+  let reservation;
+  let payments;
+  let reminded;
+
+  beforeEach(() => {
+    reservation = reservationOf();
+    payments = [];
+    reminded = new Set();
+
+    mock.method(Reservation, 'find', async () => [reservation]);
+    // Marquage du rappel: seule la première instance qui le pose envoie le rappel
+    mock.method(Reservation, 'updateOne', async (filter, update) => {
+      const [field] = Object.keys(update.$set);
+      if (reminded.has(field)) {
+        return { modifiedCount: 0 };
+      }
+      reminded.add(field);
+      return { modifiedCount: 1 };
+    });
+    mock.method(Payment, 'find', () => query(payments));
+    mock.method(Payment, 'exists', async ({ status }) => payments.some(payment => status.$in.includes(payment.status)));
+    mock.method(notificationService, 'notifyPaymentReminder', async () => {});
+    mock.method(notificationService, 'notifyReservationStatusChange', async () => {});
+    mock.method(notificationService, 'createNotification', async () => {});
+    mock.method(availabilityService, 'releaseSlot', async () => {});
+  });
+
+  afterEach(() => {
+    mock.restoreAll();
+  });
+
+  describe('rappels', () => {
+    it('rappelle l\'acompte une seule fois', async () => {
+      assert.equal(await paymentScheduleJob.sendDepositReminders(BEFORE_DEPOSIT), 1);
+      assert.equal(await paymentScheduleJob.sendDepositReminders(BEFORE_DEPOSIT), 0);
+
+      assert.equal(notificationService.notifyPaymentReminder.mock.callCount(), 1);
+      assert.deepEqual(notificationService.notifyPaymentReminder.mock.calls[0].arguments, [
+        reservation,
+        'deposit',
+        33000,
+        new Date('2026-10-03T10:00:00Z')
+      ]);
+    });
+
+    it('recherche les acomptes arrivant à échéance dans le délai de rappel', async () => {
+      await paymentScheduleJob.sendDepositReminders(BEFORE_DEPOSIT);
+
+      const [filter] = Reservation.find.mock.calls[0].arguments;
+      assert.deepEqual(filter['paymentSchedule.deposit.dueAt'], {
+        $gt: BEFORE_DEPOSIT,
+        $lte: new Date('2026-10-03T12:00:00Z')
+      });
+    });
+
+    it('ne rappelle pas une échéance déjà réglée', async () => {
+      payments = [{ status: 'completed', totalAmount: 33000 }];
+
+      assert.equal(await paymentScheduleJob.sendDepositReminders(BEFORE_DEPOSIT), 0);
+      assert.equal(notificationService.notifyPaymentReminder.mock.callCount(), 0);
+    });
+
+    it('ne rappelle le solde qu\'une fois l\'acompte versé', async () => {
+      const now = new Date('2026-10-24T12:00:00Z');
+
+      assert.equal(await paymentScheduleJob.sendBalanceReminders(now), 0);
+
+      reservation.paymentStatus = 'partial';
+      payments = [{ status: 'completed', totalAmount: 33000 }];
+      assert.equal(await paymentScheduleJob.sendBalanceReminders(now), 1);
+      assert.deepEqual(notificationService.notifyPaymentReminder.mock.calls[0].arguments.slice(1, 3), ['balance', 77000]);
+    });
+  });
+
+  describe('annulation automatique', () => {
+    it('annule une réservation dont l\'acompte n\'a pas été versé', async () => {
+      assert.equal(await paymentScheduleJob.cancelUnpaidReservations(AFTER_DEPOSIT), 1);
+
+      assert.equal(reservation.status, 'cancelled');
+      assert.deepEqual(
+        reservation.statusHistory.map(({ from, to, role, reason }) => ({ from, to, role, reason })),
+        [{ from: 'pending', to: 'cancelled', role: 'system', reason: 'Acompte non versé avant l\'échéance' }]
+      );
+      assert.deepEqual(availabilityService.releaseSlot.mock.calls[0].arguments, [reservation]);
+      assert.deepEqual(notificationService.notifyReservationStatusChange.mock.calls[0].arguments, [reservation, 'pending']);
+      const [notification] = notificationService.createNotification.mock.calls[0].arguments;
+      assert.equal(notification.template, 'reservation_cancelled.automatic');
+      assert.deepEqual(notification.variables, { date: '2026-11-02', isDeposit: true });
+    });
+
+    it('n\'annule pas une réservation dont un paiement est en cours ou encaissé', async () => {
+      for (const status of ['processing', 'completed']) {
+        payments = [{ status, totalAmount: 33000 }];
+
+        assert.equal(await paymentScheduleJob.cancelUnpaidReservations(AFTER_DEPOSIT), 0);
+      }
+      assert.equal(reservation.status, 'pending');
+      assert.equal(availabilityService.releaseSlot.mock.callCount(), 0);
+    });
+
+    it('annule malgré un paiement échoué', async () => {
+      payments = [{ status: 'failed', totalAmount: 33000 }];
+
+      assert.equal(await paymentScheduleJob.cancelUnpaidReservations(AFTER_DEPOSIT), 1);
+    });
+
+    it('indique le motif d\'une réservation sans acompte', async () => {
+      reservation = reservationOf({ ...TERMS, depositPercentage: 0 });
+
+      await paymentScheduleJob.cancelUnpaidReservations(new Date('2026-10-27T00:00:00Z'));
+
+      assert.equal(reservation.statusHistory[0].reason, 'Paiement non versé avant l\'échéance');
+      assert.equal(notificationService.createNotification.mock.calls[0].arguments[0].variables.isDeposit, false);
+    });
+
+    it('conserve l\'annulation si la notification échoue', async () => {
+      mock.method(console, 'error', () => {});
+      notificationService.notifyReservationStatusChange.mock.mockImplementation(async () => {
+        throw new Error('Service indisponible');
+      });
+
+      assert.equal(await paymentScheduleJob.cancelUnpaidReservations(AFTER_DEPOSIT), 1);
+      assert.equal(reservation.status, 'cancelled');
+    });
+  });
+});
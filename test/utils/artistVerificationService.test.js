@@ -0,0 +1,181 @@
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const { Artist, ArtistVerification } = require('../../src/models');
+const fileStore = require('../../src/utils/fileStore');
+const notificationService = require('../../src/utils/notificationService');
+const artistVerificationService = require('../../src/utils/artistVerificationService');
+
+const PDF = Buffer.concat([Buffer.from('%PDF-1.7\n'), Buffer.alloc(32)]);
+const PNG = Buffer.concat([Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]), Buffer.alloc(32)]);
+const EXE = Buffer.concat([Buffer.from('MZ'), Buffer.alloc(32)]);
+
+const upload = (buffer, originalname) => [{ buffer, originalname, size: buffer.length }];
+
+describe('artistVerificationService', () => {
+  let artist;
+  let stored;
+  let verifications;
+
+  beforeEach(() => {
+    artist = { _id: 'artist-1', hasProfessionalCard: false, verification: { status: 'unverified' } };
+    stored = new Map();
+    verifications = [];
+
+    mock.method(fileStore, 'save', async (buffer, { directory, extension }) => {
+      const key = `${directory}/${stored.size + 1}.${extension}`;
+      stored.set(key, buffer);
+      return { key };
+    });
+    mock.method(fileStore, 'remove', async (key) => { stored.delete(key); });
+    // Statut de vérification de l'artiste, revendiqué de façon conditionnelle
+    mock.method(Artist, 'findOneAndUpdate', async (filter, update) => {
+      if (filter['verification.status'].$nin.includes(artist.verification.status)) {
+        return null;
+      }
+      artist.verification.status = update['verification.status'];
+      return artist;
+    });
+    mock.method(Artist, 'updateOne', async (filter, update) => {
+      artist.verification = {
+        status: update['verification.status'],
+        verifiedAt: update['verification.verifiedAt'],
+        professionalCardVerified: update['verification.professionalCardVerified']
+      };
+    });
+    mock.method(ArtistVerification, 'create', async (data) => {
+      const verification = { _id: `verification-${verifications.length + 1}`, status: 'pending', ...data };
+      verifications.push(verification);
+      return verification;
+    });
+    mock.method(ArtistVerification, 'findOneAndUpdate', async (filter, update) => {
+      const verification = verifications.find(v => v._id === filter._id && v.status === filter.status);
+      return verification ? Object.assign(verification, update) : null;
+    });
+    mock.method(ArtistVerification, 'exists', async ({ _id }) => verifications.some(v => v._id === _id));
+    mock.method(notificationService, 'notifyVerification', async () => {});
+  });
+
+  afterEach(() => {
+    mock.restoreAll();
+  });
+
+  describe('submit', () => {
+    it('enregistre les pièces en privé avec le type détecté d\'après leur contenu', async () => {
+      const verification = await artistVerificationService.submit(artist, {
+        identity: upload(PNG, 'cni.pdf')
+      });
+
+      assert.equal(artist.verification.status, 'pending');
+      assert.deepEqual(verification.documents, [{
+        type: 'identity',
+        fileKey: 'kyc/artist-1/1.png',
+        originalName: 'cni.pdf',
+        mimeType: 'image/png',
+        size: PNG.length
+      }]);
+      assert.equal(fileStore.save.mock.calls[0].arguments[1].visibility, 'private');
+    });
+
+    it('exige une pièce d\'identité, et la carte professionnelle si l\'artiste en déclare une', async () => {
+      await assert.rejects(artistVerificationService.submit(artist, {}), { statusCode: 400 });
+
+      artist.hasProfessionalCard = true;
+      await assert.rejects(
+        artistVerificationService.submit(artist, { identity: upload(PDF, 'cni.pdf') }),
+        { statusCode: 400, message: /professionalCard/ }
+      );
+
+      const verification = await artistVerificationService.submit(artist, {
+        identity: upload(PDF, 'cni.pdf'),
+        professionalCard: upload(PDF, 'carte.pdf')
+      });
+      assert.deepEqual(verification.documents.map(document => document.type), ['identity', 'professional_card']);
+    });
+
+    it('refuse un fichier d\'un type non accepté sans rien enregistrer', async () => {
+      artist.hasProfessionalCard = true;
+
+      await assert.rejects(
+        artistVerificationService.submit(artist, {
+          identity: upload(PDF, 'cni.pdf'),
+          professionalCard: upload(EXE, 'carte.pdf')
+        }),
+        { statusCode: 415 }
+      );
+      assert.equal(fileStore.save.mock.callCount(), 0);
+      assert.equal(artist.verification.status, 'unverified');
+    });
+
+    it('refuse une seconde demande tant que la première est en cours ou approuvée', async () => {
+      for (const status of ['pending', 'approved']) {
+        artist.verification.status = status;
+
+        await assert.rejects(artistVerificationService.submit(artist, { identity: upload(PDF, 'cni.pdf') }), { statusCode: 409 });
+      }
+    });
+
+    it('supprime les pièces enregistrées lorsqu\'une demande simultanée l\'emporte', async () => {
+      // Le document lu par le contrôleur est antérieur à l'autre envoi
+      const stale = { ...artist, verification: { status: 'unverified' } };
+      artist.verification.status = 'pending';
+
+      await assert.rejects(artistVerificationService.submit(stale, { identity: upload(PDF, 'cni.pdf') }), { statusCode: 409 });
+      assert.equal(fileStore.save.mock.callCount(), 1);
+      assert.equal(stored.size, 0);
+      assert.deepEqual(verifications, []);
+    });
+  });
+
+  describe('review', () => {
+    const submitted = async (files = { identity: upload(PDF, 'cni.pdf') }) =>
+      artistVerificationService.submit(artist, files);
+
+    it('approuve la demande et marque l\'artiste comme vérifié', async () => {
+      artist.hasProfessionalCard = true;
+      const { _id } = await submitted({ identity: upload(PDF, 'cni.pdf'), professionalCard: upload(PNG, 'carte.png') });
+
+      const verification = await artistVerificationService.review(_id, { decision: 'approved', reviewer: 'admin-1' });
+
+      assert.equal(verification.status, 'approved');
+      assert.equal(verification.reviewedBy, 'admin-1');
+      assert.deepEqual(artist.verification, {
+        status: 'approved',
+        verifiedAt: verification.reviewedAt,
+        professionalCardVerified: true
+      });
+      assert.deepEqual(notificationService.notifyVerification.mock.calls[0].arguments, [verification]);
+    });
+
+    it('exige un motif pour refuser, et permet alors une nouvelle demande', async () => {
+      const { _id } = await submitted();
+
+      await assert.rejects(artistVerificationService.review(_id, { decision: 'rejected', notes: '  ' }), { statusCode: 400 });
+      assert.equal(artist.verification.status, 'pending');
+
+      await artistVerificationService.review(_id, { decision: 'rejected', notes: 'Pièce illisible', reviewer: 'admin-1' });
+      assert.deepEqual(artist.verification, { status: 'rejected', verifiedAt: null, professionalCardVerified: false });
+
+      const resubmitted = await submitted();
+      assert.equal(resubmitted.status, 'pending');
+      assert.equal(artist.verification.status, 'pending');
+    });
+
+    it('n\'examine une demande qu\'une seule fois', async () => {
+      const { _id } = await submitted();
+      await artistVerificationService.review(_id, { decision: 'approved', reviewer: 'admin-1' });
+
+      await assert.rejects(
+        artistVerificationService.review(_id, { decision: 'rejected', notes: 'Erreur', reviewer: 'admin-2' }),
+        { statusCode: 409 }
+      );
+      assert.equal(artist.verification.status, 'approved');
+      await assert.rejects(artistVerificationService.review('inconnue', { decision: 'approved' }), { statusCode: 404 });
+    });
+
+    it('refuse une décision inconnue', async () => {
+      const { _id } = await submitted();
+
+      await assert.rejects(artistVerificationService.review(_id, { decision: 'pending' }), { statusCode: 400 });
+    });
+  });
+});
@@ -0,0 +1,274 @@
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const { Reservation, ArtistCalendar } = require('../../src/models');
+const availabilityService = require('../../src/utils/availabilityService');
+
+// Lundi 2 novembre 2026 et mardi 3 novembre 2026
+const MONDAY = '2026-11-02';
+const TUESDAY = '2026-11-03';
+
+const availability = {
+  weeklyHours: [
+    { dayOfWeek: 1, startTime: '09:00', endTime: '12:00' },
+    { dayOfWeek: 1, startTime: '14:00', endTime: '18:00' },
+    { dayOfWeek: 2, startTime: '10:00', endTime: '16:00' }
+  ],
+  blackoutDates: [{ date: TUESDAY, reason: 'Congés' }]
+};
+
+/**
+ * Indiquer si une réservation correspond au filtre de findConflictingReservation / getFreeSlots
+ * (sous-ensemble des opérateurs MongoDB utilisés)
+ */
+const matches = (reservation, query) => Object.entries(query).every(([field, condition]) => {
+  const value = reservation[field];
+  if (condition === null || typeof condition !== 'object') {
+    return value === condition;
+  }
+  return Object.entries(condition).every(([operator, operand]) => ({
+    $in: () => operand.includes(value),
+    $ne: () => value !== operand,
+    $lt: () => value < operand,
+    $lte: () => value <= operand,
+    $gt: () => value > operand,
+    $gte: () => value >= operand
+  })[operator]());
+});
+
+describe('availabilityService', () => {
+  let reservations;
+
+  beforeEach(() => {
+    reservations = [];
+    mock.method(Reservation, 'findOne', async (query) => reservations.find(r => matches(r, query)) || null);
+    mock.method(Reservation, 'find', (query) => ({
+      select: async () => reservations.filter(r => matches(r, query))
+    }));
+  });
+
+  afterEach(() => {
+    mock.restoreAll();
+  });
+
+  const reservation = (fields) => ({ _id: `reservation-${reservations.length + 1}`, artistId: 'artist-1', date: MONDAY, ...fields });
+
+  describe('subtractRanges', () => {
+    it('retire un intervalle au milieu d\'une plage', () => {
+      assert.deepEqual(
+        availabilityService.subtractRanges([{ start: 540, end: 720 }], [{ start: 600, end: 660 }]),
+        [{ start: 540, end: 600 }, { start: 660, end: 720 }]
+      );
+    });
+
+    it('conserve une plage seulement touchée par un intervalle', () => {
+      assert.deepEqual(
+        availabilityService.subtractRanges([{ start: 540, end: 720 }], [{ start: 720, end: 780 }, { start: 480, end: 540 }]),
+        [{ start: 540, end: 720 }]
+      );
+    });
+
+    it('supprime une plage entièrement couverte', () => {
+      assert.deepEqual(availabilityService.subtractRanges([{ start: 540, end: 720 }], [{ start: 500, end: 800 }]), []);
+    });
+
+    it('retire plusieurs intervalles de plusieurs plages', () => {
+      assert.deepEqual(
+        availabilityService.subtractRanges(
+          [{ start: 540, end: 720 }, { start: 840, end: 1080 }],
+          [{ start: 540, end: 600 }, { start: 700, end: 900 }]
+        ),
+        [{ start: 600, end: 700 }, { start: 900, end: 1080 }]
+      );
+    });
+  });
+
+  describe('isWithinDeclaredHours', () => {
+    it('accepte un créneau qui touche les bornes d\'une plage', () => {
+      assert.equal(availabilityService.isWithinDeclaredHours(availability, MONDAY, '09:00', '12:00'), true);
+      assert.equal(availabilityService.isWithinDeclaredHours(availability, MONDAY, '14:00', '15:30'), true);
+    });
+
+    it('refuse un créneau qui déborde d\'une plage ou tombe entre deux plages', () => {
+      assert.equal(availabilityService.isWithinDeclaredHours(availability, MONDAY, '08:30', '10:00'), false);
+      assert.equal(availabilityService.isWithinDeclaredHours(availability, MONDAY, '11:00', '15:00'), false);
+      assert.equal(availabilityService.isWithinDeclaredHours(availability, MONDAY, '12:00', '14:00'), false);
+    });
+
+    it('refuse un jour sans horaires déclarés', () => {
+      assert.equal(availabilityService.isWithinDeclaredHours(availability, '2026-11-04', '10:00', '11:00'), false);
+    });
+
+    it('refuse une date d\'indisponibilité', () => {
+      assert.equal(availabilityService.isWithinDeclaredHours(availability, TUESDAY, '10:00', '11:00'), false);
+    });
+
+    it('accepte toute la journée sans horaires hebdomadaires déclarés', () => {
+      assert.equal(availabilityService.isWithinDeclaredHours({}, MONDAY, '00:00', '23:59'), true);
+      assert.equal(availabilityService.isWithinDeclaredHours({ blackoutDates: [{ date: MONDAY }] }, MONDAY, '10:00', '11:00'), false);
+    });
+  });
+
+  describe('validateAvailability', () => {
+    it('accepte des disponibilités valides', () => {
+      assert.doesNotThrow(() => availabilityService.validateAvailability(availability));
+      assert.doesNotThrow(() => availabilityService.validateAvailability(undefined));
+    });
+
+    it('accepte deux plages qui se touchent', () => {
+      assert.doesNotThrow(() => availabilityService.validateAvailability({
+        weeklyHours: [
+          { dayOfWeek: 1, startTime: '09:00', endTime: '12:00' },
+          { dayOfWeek: 1, startTime: '12:00', endTime: '14:00' }
+        ]
+      }));
+    });
+
+    it('refuse des plages qui se chevauchent le même jour (400)', () => {
+      assert.throws(() => availabilityService.validateAvailability({
+        weeklyHours: [
+          { dayOfWeek: 1, startTime: '14:00', endTime: '18:00' },
+          { dayOfWeek: 1, startTime: '09:00', endTime: '14:30' }
+        ]
+      }), { statusCode: 400 });
+    });
+
+    it('refuse une heure mal formée ou une fin avant le début (400)', () => {
+      assert.throws(() => availabilityService.validateAvailability({
+        weeklyHours: [{ dayOfWeek: 1, startTime: '9h', endTime: '12:00' }]
+      }), { statusCode: 400 });
+      assert.throws(() => availabilityService.validateAvailability({
+        weeklyHours: [{ dayOfWeek: 1, startTime: '12:00', endTime: '12:00' }]
+      }), { statusCode: 400 });
+    });
+
+    it('refuse une date d\'indisponibilité mal formée ou des données qui ne sont pas des listes (400)', () => {
+      assert.throws(() => availabilityService.validateAvailability({ blackoutDates: [{ date: '02/11/2026' }] }), { statusCode: 400 });
+      assert.throws(() => availabilityService.validateAvailability({ weeklyHours: {} }), { statusCode: 400 });
+    });
+  });
+
+  describe('findConflictingReservation', () => {
+    it('trouve une réservation en attente ou confirmée qui chevauche le créneau', async () => {
+      reservations.push(reservation({ status: 'pending', startTime: '09:00', endTime: '10:00' }));
+      reservations.push(reservation({ status: 'confirmed', startTime: '15:00', endTime: '16:00' }));
+
+      assert.ok(await availabilityService.findConflictingReservation('artist-1', MONDAY, '09:30', '11:00'));
+      assert.ok(await availabilityService.findConflictingReservation('artist-1', MONDAY, '14:00', '17:00'));
+    });
+
+    it('ignore une réservation annulée ou terminée', async () => {
+      reservations.push(reservation({ status: 'cancelled', startTime: '09:00', endTime: '10:00' }));
+      reservations.push(reservation({ status: 'completed', startTime: '09:00', endTime: '10:00' }));
+
+      assert.equal(await availabilityService.findConflictingReservation('artist-1', MONDAY, '09:00', '10:00'), null);
+    });
+
+    it('ignore une réservation qui touche seulement le créneau', async () => {
+      reservations.push(reservation({ status: 'confirmed', startTime: '09:00', endTime: '10:00' }));
+
+      assert.equal(await availabilityService.findConflictingReservation('artist-1', MONDAY, '10:00', '11:00'), null);
+      assert.equal(await availabilityService.findConflictingReservation('artist-1', MONDAY, '08:00', '09:00'), null);
+    });
+
+    it('ignore la réservation exclue', async () => {
+      reservations.push(reservation({ status: 'pending', startTime: '09:00', endTime: '10:00' }));
+
+      assert.equal(
+        await availabilityService.findConflictingReservation('artist-1', MONDAY, '09:00', '10:00', 'reservation-1'),
+        null
+      );
+    });
+  });
+
+  describe('assertSlotAvailable', () => {
+    const artist = { _id: 'artist-1', availability };
+
+    it('refuse un créneau en dehors des horaires déclarés (409)', async () => {
+      await assert.rejects(
+        availabilityService.assertSlotAvailable(artist, { date: MONDAY, startTime: '12:00', endTime: '13:00' }),
+        { statusCode: 409 }
+      );
+    });
+
+    it('refuse un créneau déjà réservé (409)', async () => {
+      reservations.push(reservation({ status: 'pending', startTime: '09:00', endTime: '10:00' }));
+      await assert.rejects(
+        availabilityService.assertSlotAvailable(artist, { date: MONDAY, startTime: '09:30', endTime: '10:30' }),
+        { statusCode: 409 }
+      );
+    });
+
+    it('refuse un créneau mal formé (400)', async () => {
+      await assert.rejects(
+        availabilityService.assertSlotAvailable(artist, { date: MONDAY, startTime: '10:00', endTime: '09:00' }),
+        { statusCode: 400 }
+      );
+    });
+  });
+
+  describe('getFreeSlots', () => {
+    const artist = { _id: 'artist-1', availability };
+
+    it('retire les réservations bloquantes des horaires déclarés, jour par jour', async () => {
+      reservations.push(reservation({ status: 'confirmed', startTime: '09:00', endTime: '10:00' }));
+      reservations.push(reservation({ status: 'pending', startTime: '15:00', endTime: '16:00' }));
+      reservations.push(reservation({ status: 'cancelled', startTime: '10:00', endTime: '12:00' }));
+
+      const days = await availabilityService.getFreeSlots(artist, MONDAY, '2026-11-04');
+
+      assert.deepEqual(days, [
+        {
+          date: MONDAY,
+          slots: [
+            { startTime: '10:00', endTime: '12:00' },
+            { startTime: '14:00', endTime: '15:00' },
+            { startTime: '16:00', endTime: '18:00' }
+          ]
+        },
+        // Date d'indisponibilité
+        { date: TUESDAY, slots: [] },
+        // Aucun horaire déclaré le mercredi
+        { date: '2026-11-04', slots: [] }
+      ]);
+    });
+
+    it('refuse une période inversée ou trop longue (400)', async () => {
+      await assert.rejects(availabilityService.getFreeSlots(artist, TUESDAY, MONDAY), { statusCode: 400 });
+      await assert.rejects(availabilityService.getFreeSlots(artist, '2026-01-01', '2026-12-31'), { statusCode: 400 });
+      await assert.rejects(availabilityService.getFreeSlots(artist, MONDAY), { statusCode: 400 });
+    });
+  });
+
+  describe('claimSlot', () => {
+    const booking = { _id: 'reservation-9', artistId: 'artist-1', date: MONDAY, startTime: '09:00', endTime: '10:00' };
+    const duplicateKey = () => Object.assign(new Error('E11000 duplicate key'), { code: 11000 });
+
+    it('retient un créneau libre', async () => {
+      mock.method(ArtistCalendar, 'findOneAndUpdate', async () => ({}));
+      assert.equal(await availabilityService.claimSlot(booking), true);
+    });
+
+    it('réessaie une fois après la création concurrente du calendrier de la journée', async () => {
+      let calls = 0;
+      mock.method(ArtistCalendar, 'findOneAndUpdate', async () => {
+        calls += 1;
+        if (calls === 1) {
+          throw duplicateKey();
+        }
+        return {};
+      });
+
+      assert.equal(await availabilityService.claimSlot(booking), true);
+      assert.equal(calls, 2);
+    });
+
+    it('refuse un créneau qui chevauche un créneau retenu', async () => {
+      mock.method(ArtistCalendar, 'findOneAndUpdate', async () => {
+        throw duplicateKey();
+      });
+
+      assert.equal(await availabilityService.claimSlot(booking), false);
+      assert.equal(ArtistCalendar.findOneAndUpdate.mock.callCount(), 2);
+    });
+  });
+});
@@ -0,0 +1,95 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const cancellationPolicy = require('../../src/utils/cancellationPolicy');
+
+const TIERS = [
+  { minDaysBefore: 0, refundPercentage: 0 },
+  { minDaysBefore: 7, refundPercentage: 100 },
+  { minDaysBefore: 2, refundPercentage: 50 }
+];
+
+describe('cancellationPolicy', () => {
+  describe('validateTiers', () => {
+    it('normalise et trie les paliers du plus éloigné au plus proche', () => {
+      assert.deepEqual(cancellationPolicy.validateTiers([
+        { minDaysBefore: '2', refundPercentage: '50' },
+        { minDaysBefore: 7, refundPercentage: 100 }
+      ]), [
+        { minDaysBefore: 7, refundPercentage: 100 },
+        { minDaysBefore: 2, refundPercentage: 50 }
+      ]);
+    });
+
+    it('rejette une politique vide ou trop longue (400)', () => {
+      assert.throws(() => cancellationPolicy.validateTiers([]), { statusCode: 400 });
+      assert.throws(() => cancellationPolicy.validateTiers(null), { statusCode: 400 });
+      const tiers = Array.from({ length: 11 }, (_, index) => ({ minDaysBefore: index, refundPercentage: 50 }));
+      assert.throws(() => cancellationPolicy.validateTiers(tiers), { statusCode: 400 });
+    });
+
+    it('rejette un nombre de jours invalide (400)', () => {
+      [-1, 1.5, 'abc', undefined].forEach(minDaysBefore => {
+        assert.throws(
+          () => cancellationPolicy.validateTiers([{ minDaysBefore, refundPercentage: 50 }]),
+          { statusCode: 400 }
+        );
+      });
+    });
+
+    it('rejette un pourcentage hors de 0 à 100 (400)', () => {
+      [-5, 101, 'abc'].forEach(refundPercentage => {
+        assert.throws(
+          () => cancellationPolicy.validateTiers([{ minDaysBefore: 3, refundPercentage }]),
+          { statusCode: 400 }
+        );
+      });
+    });
+
+    it('rejette deux paliers ayant le même nombre de jours (400)', () => {
+      assert.throws(() => cancellationPolicy.validateTiers([
+        { minDaysBefore: 3, refundPercentage: 50 },
+        { minDaysBefore: 3, refundPercentage: 100 }
+      ]), { statusCode: 400 });
+    });
+  });
+
+  describe('daysBefore', () => {
+    const reservation = { date: '2026-11-10', startTime: '20:00' };
+
+    it('compte les jours entiers restant avant le début de la prestation', () => {
+      assert.equal(cancellationPolicy.daysBefore(reservation, new Date('2026-11-03T20:00:00Z')), 7);
+      assert.equal(cancellationPolicy.daysBefore(reservation, new Date('2026-11-03T20:00:01Z')), 6);
+      assert.equal(cancellationPolicy.daysBefore(reservation, new Date('2026-11-10T08:00:00Z')), 0);
+    });
+
+    it('est négatif une fois la prestation commencée', () => {
+      assert.equal(cancellationPolicy.daysBefore(reservation, new Date('2026-11-10T21:00:00Z')), -1);
+    });
+
+    it('part de minuit si l\'heure de début est absente', () => {
+      assert.equal(cancellationPolicy.daysBefore({ date: '2026-11-10' }, new Date('2026-11-09T00:00:00Z')), 1);
+    });
+  });
+
+  describe('getRefundPercentage', () => {
+    it('applique le palier le plus éloigné atteint', () => {
+      assert.equal(cancellationPolicy.getRefundPercentage(TIERS, 30), 100);
+      assert.equal(cancellationPolicy.getRefundPercentage(TIERS, 7), 100);
+      assert.equal(cancellationPolicy.getRefundPercentage(TIERS, 6), 50);
+      assert.equal(cancellationPolicy.getRefundPercentage(TIERS, 2), 50);
+      assert.equal(cancellationPolicy.getRefundPercentage(TIERS, 1), 0);
+    });
+
+    it('ne rembourse rien si aucun palier ne s\'applique', () => {
+      assert.equal(cancellationPolicy.getRefundPercentage(TIERS, -1), 0);
+      assert.equal(cancellationPolicy.getRefundPercentage([{ minDaysBefore: 3, refundPercentage: 100 }], 1), 0);
+      assert.equal(cancellationPolicy.getRefundPercentage(undefined, 10), 0);
+    });
+
+    it('ne modifie pas les paliers reçus', () => {
+      const tiers = TIERS.map(tier => ({ ...tier }));
+      cancellationPolicy.getRefundPercentage(tiers, 3);
+      assert.deepEqual(tiers, TIERS);
+    });
+  });
+});
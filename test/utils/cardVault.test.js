@@ -0,0 +1,119 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const cardVault = require('../../src/utils/cardVault');
+
+const PAN = '4111111111111111';
+const CVV = '737';
+
+const CARD = {
+  cardNumber: '4111 1111 1111 1111',
+  cvv: CVV,
+  expiryDate: '12/2099',
+  cardholderName: '  Awa Koné '
+};
+
+describe('cardVault', () => {
+  describe('isValidNumber', () => {
+    it('accepte les numéros de test des principaux réseaux', () => {
+      ['4111111111111111', '5555555555554444', '378282246310005', '6011111111111117']
+        .forEach(number => assert.equal(cardVault.isValidNumber(number), true, number));
+    });
+
+    it('refuse une clé de Luhn erronée, une longueur invalide ou des caractères non numériques', () => {
+      ['4111111111111112', '41111111111', '41111111111111111111', '4111a11111111111', '']
+        .forEach(number => assert.equal(cardVault.isValidNumber(number), false, number));
+    });
+  });
+
+  describe('tokenize', () => {
+    it('conserve uniquement le jeton, le réseau et les 4 derniers chiffres', () => {
+      const card = cardVault.tokenize(CARD);
+
+      assert.match(card.cardToken, /^card_[0-9a-f]{32}$/);
+      assert.equal(card.cardBrand, 'visa');
+      assert.equal(card.cardLast4, '1111');
+      assert.equal(card.expiryDate, '12/99');
+      assert.equal(card.cardholderName, 'Awa Koné');
+    });
+
+    it('produit le même jeton pour une même carte, quelle que soit la saisie', () => {
+      const a = cardVault.tokenize({ cardNumber: '4111-1111-1111-1111' });
+      const b = cardVault.tokenize({ cardNumber: PAN });
+      const other = cardVault.tokenize({ cardNumber: '5555555555554444' });
+
+      assert.equal(a.cardToken, b.cardToken);
+      assert.notEqual(a.cardToken, other.cardToken);
+    });
+
+    it('refuse un numéro invalide avec une erreur 400', () => {
+      assert.throws(
+        () => cardVault.tokenize({ cardNumber: '4111 1111 1111 1112', cvv: CVV }),
+        { statusCode: 400, message: 'Numéro de carte invalide' }
+      );
+      assert.throws(() => cardVault.tokenize({}), { statusCode: 400 });
+    });
+
+    it('refuse un cryptogramme invalide', () => {
+      ['12', '12345', 'abc'].forEach(cvv => assert.throws(
+        () => cardVault.tokenize({ cardNumber: PAN, cvv }),
+        { statusCode: 400 },
+        cvv
+      ));
+    });
+
+    it('refuse une carte expirée ou une date mal formée', () => {
+      assert.throws(() => cardVault.tokenize({ cardNumber: PAN, expiryDate: '01/20' }), { statusCode: 400, message: 'Cette carte a expiré' });
+      assert.throws(() => cardVault.tokenize({ cardNumber: PAN, expiryDate: '13/30' }), { statusCode: 400 });
+    });
+  });
+
+  describe('normalizeExpiry', () => {
+    it('accepte la carte jusqu\'à la fin du mois indiqué', () => {
+      const now = new Date('2026-10-31T23:00:00Z');
+      assert.equal(cardVault.normalizeExpiry('10/26', now), '10/26');
+      assert.equal(cardVault.normalizeExpiry('11 / 2026', now), '11/26');
+      assert.throws(() => cardVault.normalizeExpiry('09/26', now), { statusCode: 400 });
+    });
+  });
+
+  describe('secureDetails', () => {
+    it('ne laisse jamais subsister le numéro complet ni le cryptogramme', () => {
+      const details = { ...CARD, cvc: CVV, securityCode: CVV, provider: 'simulator' };
+      const safe = cardVault.secureDetails(details);
+
+      cardVault.SENSITIVE_FIELDS.forEach(field => assert.equal(field in safe, false, field));
+      const serialized = JSON.stringify(safe);
+      assert.equal(serialized.includes(PAN), false);
+      assert.equal(serialized.includes(CARD.cardNumber), false);
+      assert.equal(serialized.includes(CVV), false);
+      assert.equal(safe.cardLast4, '1111');
+      assert.equal(safe.provider, 'simulator');
+    });
+
+    it('ne modifie pas l\'objet reçu', () => {
+      const details = { ...CARD };
+      cardVault.secureDetails(details);
+
+      assert.deepEqual(details, CARD);
+    });
+
+    it('renvoie les détails mobile money sans les champs sensibles ni jeton', () => {
+      const safe = cardVault.secureDetails({ phoneNumber: '+2250701020304', operator: 'orange', cvv: CVV });
+
+      assert.deepEqual(safe, { phoneNumber: '+2250701020304', operator: 'orange' });
+    });
+
+    it('refuse des données de carte invalides plutôt que de les conserver', () => {
+      assert.throws(() => cardVault.secureDetails({ cardNumber: '1234 5678 9012 3456', cvv: CVV }), { statusCode: 400 });
+    });
+  });
+
+  describe('redact', () => {
+    it('retire tous les champs sensibles d\'une copie', () => {
+      const data = { cardNumber: PAN, cvv: CVV, cvc: CVV, securityCode: CVV, amount: 15000 };
+
+      assert.deepEqual(cardVault.redact(data), { amount: 15000 });
+      assert.equal(data.cardNumber, PAN);
+    });
+  });
+});
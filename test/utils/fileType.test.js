@@ -0,0 +1,56 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const fileType = require('../../src/utils/fileType');
+
+const padded = (header) => Buffer.concat([Buffer.from(header), Buffer.alloc(16)]);
+
+const JPEG = padded([0xff, 0xd8, 0xff, 0xe0]);
+const PNG = padded([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]);
+const GIF = padded('GIF89a');
+const WEBP = Buffer.concat([Buffer.from('RIFF'), Buffer.alloc(4), Buffer.from('WEBPVP8 '), Buffer.alloc(16)]);
+const PDF = padded('%PDF-1.7\n');
+
+describe('fileType', () => {
+  describe('detect', () => {
+    it('reconnaît les formats acceptés d\'après leurs premiers octets', () => {
+      assert.deepEqual(fileType.detect(JPEG), { mimeType: 'image/jpeg', extension: 'jpg' });
+      assert.deepEqual(fileType.detect(PNG), { mimeType: 'image/png', extension: 'png' });
+      assert.deepEqual(fileType.detect(GIF), { mimeType: 'image/gif', extension: 'gif' });
+      assert.deepEqual(fileType.detect(WEBP), { mimeType: 'image/webp', extension: 'webp' });
+      assert.deepEqual(fileType.detect(PDF), { mimeType: 'application/pdf', extension: 'pdf' });
+    });
+
+    it('ne reconnaît ni les autres formats ni les fichiers tronqués', () => {
+      assert.equal(fileType.detect(padded('<svg xmlns="http://www.w3.org/2000/svg">')), null);
+      assert.equal(fileType.detect(padded('<!DOCTYPE html>')), null);
+      assert.equal(fileType.detect(padded('MZ')), null);
+      // Conteneur RIFF qui n'est pas une image WebP (audio WAVE)
+      assert.equal(fileType.detect(Buffer.concat([Buffer.from('RIFF'), Buffer.alloc(4), Buffer.from('WAVEfmt '), Buffer.alloc(16)])), null);
+      assert.equal(fileType.detect(JPEG.subarray(0, 11)), null);
+      assert.equal(fileType.detect(Buffer.alloc(0)), null);
+      assert.equal(fileType.detect('GIF89a-pas-un-buffer'), null);
+    });
+  });
+
+  describe('assertAllowed', () => {
+    const IMAGES = ['image/jpeg', 'image/png', 'image/webp'];
+
+    it('renvoie le type détecté, sans tenir compte du nom ni du type annoncés', () => {
+      const file = { buffer: PNG, originalname: 'photo.jpg', mimetype: 'image/jpeg' };
+
+      assert.deepEqual(fileType.assertAllowed(file, IMAGES), { mimeType: 'image/png', extension: 'png' });
+    });
+
+    it('refuse (415) un contenu déguisé ou d\'un format reconnu mais non accepté', () => {
+      const disguised = { buffer: padded('<?php system($_GET["c"]); ?>'), originalname: 'photo.jpg', mimetype: 'image/jpeg' };
+      const gif = { buffer: GIF, originalname: 'anim.gif' };
+
+      assert.throws(() => fileType.assertAllowed(disguised, IMAGES), {
+        statusCode: 415,
+        message: 'Type de fichier non accepté pour photo.jpg (formats acceptés: image/jpeg, image/png, image/webp)'
+      });
+      assert.throws(() => fileType.assertAllowed(gif, IMAGES), { statusCode: 415 });
+      assert.throws(() => fileType.assertAllowed({ buffer: PDF, originalname: 'cv.pdf' }, IMAGES), { statusCode: 415 });
+    });
+  });
+});
@@ -0,0 +1,86 @@
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const sharp = require('sharp');
+const uploadsConfig = require('../../src/config/uploads');
+const imageProcessor = require('../../src/utils/imageProcessor');
+
+/**
+ * Photo JPEG unie, prise « de côté » (orientation EXIF 6) avec les données de l'appareil
+ */
+const cameraPhoto = (width, height) => sharp({ create: { width, height, channels: 3, background: '#c0392b' } })
+  .jpeg()
+  .withMetadata({ orientation: 6 })
+  .withExif({ IFD0: { Make: 'Canon', Model: 'EOS 2000D' } })
+  .toBuffer();
+
+const transparentLogo = (width, height) => sharp({ create: { width, height, channels: 4, background: { r: 0, g: 0, b: 0, alpha: 0 } } })
+  .png()
+  .toBuffer();
+
+const summary = (outputs) => outputs.map(({ name, format, mimeType, width, height }) => [name, format, mimeType, width, height]);
+
+describe('imageProcessor.derive', () => {
+  let settings;
+
+  beforeEach(() => {
+    settings = { ...uploadsConfig.media };
+    uploadsConfig.media.variants = { thumbnail: 320, medium: 800 };
+  });
+
+  afterEach(() => {
+    Object.assign(uploadsConfig.media, settings);
+  });
+
+  it('produit chaque taille en JPEG et en WebP, redressée selon l\'orientation EXIF', async () => {
+    // 1600x1000 tournée d'un quart de tour: 1000x1600 une fois redressée
+    const outputs = await imageProcessor.derive(await cameraPhoto(1600, 1000));
+
+    assert.deepEqual(summary(outputs), [
+      ['original', 'fallback', 'image/jpeg', 1000, 1600],
+      ['original', 'webp', 'image/webp', 1000, 1600],
+      ['thumbnail', 'fallback', 'image/jpeg', 200, 320],
+      ['thumbnail', 'webp', 'image/webp', 200, 320],
+      ['medium', 'fallback', 'image/jpeg', 500, 800],
+      ['medium', 'webp', 'image/webp', 500, 800]
+    ]);
+
+    for (const output of outputs) {
+      const metadata = await sharp(output.buffer).metadata();
+      assert.equal(metadata.format, output.extension === 'jpg' ? 'jpeg' : output.extension);
+      assert.deepEqual([metadata.width, metadata.height], [output.width, output.height]);
+    }
+  });
+
+  it('retire les métadonnées EXIF de toutes les sorties', async () => {
+    const input = await cameraPhoto(400, 300);
+    assert.ok((await sharp(input).metadata()).exif);
+
+    for (const { buffer } of await imageProcessor.derive(input)) {
+      const metadata = await sharp(buffer).metadata();
+      assert.equal(metadata.exif, undefined);
+      assert.equal(metadata.orientation, undefined);
+      assert.equal(buffer.includes('Canon'), false);
+    }
+  });
+
+  it('garde le PNG pour les images transparentes et n\'agrandit pas les petites images', async () => {
+    const outputs = await imageProcessor.derive(await transparentLogo(300, 150));
+
+    assert.deepEqual(summary(outputs), [
+      ['original', 'fallback', 'image/png', 300, 150],
+      ['original', 'webp', 'image/webp', 300, 150],
+      ['thumbnail', 'fallback', 'image/png', 300, 150],
+      ['thumbnail', 'webp', 'image/webp', 300, 150],
+      ['medium', 'fallback', 'image/png', 300, 150],
+      ['medium', 'webp', 'image/webp', 300, 150]
+    ]);
+  });
+
+  it('refuse (415) une image illisible ou trop grande', async () => {
+    const truncated = Buffer.concat([Buffer.from([0xff, 0xd8, 0xff, 0xe0]), Buffer.alloc(64)]);
+    await assert.rejects(imageProcessor.derive(truncated), { statusCode: 415 });
+
+    uploadsConfig.media.maxInputPixels = 100 * 100;
+    await assert.rejects(imageProcessor.derive(await transparentLogo(101, 100)), { statusCode: 415 });
+  });
+});
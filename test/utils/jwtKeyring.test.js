@@ -0,0 +1,107 @@
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+const { spawnSync } = require('child_process');
+const jwt = require('jsonwebtoken');
+const authConfig = require('../../src/config/auth');
+const jwtKeyring = require('../../src/utils/jwtKeyring');
+
+const OLD_SECRET = 'a'.repeat(32);
+const NEW_SECRET = 'b'.repeat(32);
+
+const headerOf = (token) => jwt.decode(token, { complete: true }).header;
+
+describe('jwtKeyring', () => {
+  let saved;
+
+  beforeEach(() => {
+    saved = {};
+    ['access', 'refresh', 'mfa'].forEach(type => {
+      saved[type] = { activeKid: authConfig[type].activeKid, keys: authConfig[type].keys };
+    });
+    authConfig.access.activeKid = '2026-01';
+    authConfig.access.keys = { '2026-01': OLD_SECRET };
+  });
+
+  afterEach(() => {
+    Object.entries(saved).forEach(([type, keyring]) => Object.assign(authConfig[type], keyring));
+  });
+
+  // Rotation: la nouvelle clé passe en tête, l'ancienne reste derrière elle pour la vérification
+  const rotate = () => {
+    authConfig.access.activeKid = '2026-07';
+    authConfig.access.keys = { '2026-07': NEW_SECRET, '2026-01': OLD_SECRET };
+  };
+
+  it('signe avec la clé active et inscrit son kid dans l\'en-tête', () => {
+    const token = jwtKeyring.sign({ id: 'u1' });
+
+    assert.deepEqual(
+      { alg: headerOf(token).alg, kid: headerOf(token).kid },
+      { alg: 'HS256', kid: '2026-01' }
+    );
+    assert.equal(jwtKeyring.verify(token).id, 'u1');
+  });
+
+  it('vérifie avec la clé désignée par le kid après une rotation', () => {
+    const before = jwtKeyring.sign({ id: 'u1' });
+    rotate();
+    const after = jwtKeyring.sign({ id: 'u2' });
+
+    assert.equal(headerOf(after).kid, '2026-07');
+    assert.equal(jwtKeyring.verify(before).id, 'u1');
+    assert.equal(jwtKeyring.verify(after).id, 'u2');
+  });
+
+  it('refuse les jetons signés par une clé retirée du trousseau', () => {
+    const before = jwtKeyring.sign({ id: 'u1' });
+    rotate();
+    authConfig.access.keys = { '2026-07': NEW_SECRET };
+
+    assert.throws(() => jwtKeyring.verify(before), { name: 'JsonWebTokenError', message: 'Clé de signature du jeton inconnue' });
+  });
+
+  it('refuse un jeton sans kid, avec un kid usurpé ou un autre algorithme', () => {
+    rotate();
+    const withoutKid = jwt.sign({ id: 'u1' }, OLD_SECRET);
+    const wrongKid = jwt.sign({ id: 'u1' }, OLD_SECRET, { keyid: '2026-07' });
+    const otherAlgorithm = jwt.sign({ id: 'u1' }, OLD_SECRET, { keyid: '2026-01', algorithm: 'HS512' });
+
+    assert.throws(() => jwtKeyring.verify(withoutKid), { name: 'JsonWebTokenError' });
+    assert.throws(() => jwtKeyring.verify(wrongKid), { name: 'JsonWebTokenError', message: 'invalid signature' });
+    assert.throws(() => jwtKeyring.verify(otherAlgorithm), { name: 'JsonWebTokenError', message: 'invalid algorithm' });
+  });
+
+  it('ne vérifie pas un jeton avec le trousseau d\'un autre type', () => {
+    authConfig.refresh.activeKid = 'r1';
+    authConfig.refresh.keys = { r1: NEW_SECRET };
+    const refreshToken = jwtKeyring.sign({ id: 'u1' }, 'refresh');
+
+    assert.throws(() => jwtKeyring.verify(refreshToken, 'access'), { name: 'JsonWebTokenError' });
+    assert.equal(jwtKeyring.verify(refreshToken, 'refresh').id, 'u1');
+  });
+
+  it('signale les secrets par défaut, publiés ou trop courts', () => {
+    authConfig.access.keys = { current: NEW_SECRET, legacy: 'bookmi_secret_key_for_jwt_tokens' };
+    authConfig.refresh.keys = { primary: 'court' };
+    authConfig.mfa.keys = { primary: authConfig.KNOWN_DEFAULT_SECRETS[2] };
+
+    assert.deepEqual(jwtKeyring.insecureKeys(), ['access:legacy', 'refresh:primary', 'mfa:primary']);
+  });
+
+  it('refuse de démarrer le serveur en production avec les clés par défaut', () => {
+    const env = { ...process.env, NODE_ENV: 'production' };
+    ['JWT_KEYS', 'JWT_SECRET', 'REFRESH_TOKEN_KEYS', 'REFRESH_TOKEN_SECRET', 'MFA_TOKEN_KEYS', 'MFA_TOKEN_SECRET']
+      .forEach(name => { env[name] = ''; });
+
+    const result = spawnSync(process.execPath, ['server.js'], {
+      cwd: path.join(__dirname, '..', '..'),
+      env,
+      encoding: 'utf8',
+      timeout: 30000
+    });
+
+    assert.equal(result.status, 1);
+    assert.match(result.stderr, /Démarrage refusé: .*clé JWT access:primary/);
+  });
+});
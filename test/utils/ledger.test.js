@@ -0,0 +1,191 @@
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const { LedgerEntry, Payment, Payout, Escrow, Reservation, Refund } = require('../../src/models');
+const ledger = require('../../src/utils/ledger');
+
+const ARTIST = 'artist-1';
+const BOOKER = 'booker-1';
+
+/**
+ * Regrouper des lignes et sommer des champs
+ * @param {Array} lines - Lignes du grand livre
+ * @param {Function} key - Clé de regroupement
+ * @param {Object} fields - { champ: (ligne) => valeur }
+ * @returns {Array} - [{ _id, ...totaux }]
+ */
+const groupBy = (lines, key, fields) => {
+  const groups = new Map();
+  lines.forEach(line => {
+    const id = key(line);
+    const group = groups.get(id) || { _id: id, ...Object.fromEntries(Object.keys(fields).map(name => [name, 0])) };
+    Object.entries(fields).forEach(([name, value]) => { group[name] += value(line); });
+    groups.set(id, group);
+  });
+  return [...groups.values()];
+};
+
+/**
+ * Écritures d'encaissement d'un paiement (comme ledger.recordPayment)
+ */
+const paymentLines = ({ _id, totalAmount, amount, serviceFee, reservation }) => [
+  { account: 'provider_clearing', debit: totalAmount, credit: 0 },
+  { account: 'booker_wallet', owner: BOOKER, debit: 0, credit: totalAmount },
+  { account: 'booker_wallet', owner: BOOKER, debit: totalAmount, credit: 0 },
+  { account: 'artist_escrow', owner: ARTIST, debit: 0, credit: amount },
+  { account: 'platform_fees', debit: 0, credit: serviceFee }
+].map(line => ({ ...line, journal: `payment:${_id}`, kind: 'payment', payment: _id, reservation }));
+
+/**
+ * Écritures d'un retrait (comme ledger.recordPayout)
+ */
+const payoutLines = ({ _id, amount }) => [
+  { account: 'artist_payable', owner: ARTIST, debit: amount, credit: 0 },
+  { account: 'provider_clearing', debit: 0, credit: amount }
+].map(line => ({ ...line, journal: `payout:${_id}`, kind: 'payout' }));
+
+/**
+ * Requête Mongoose dont le résultat est lu après .select()
+ */
+const query = (docs) => ({ select: async () => docs });
+
+describe('ledger.reconcile', () => {
+  let state;
+
+  beforeEach(() => {
+    const payment = {
+      _id: 'payment-1',
+      reference: 'PAY-1',
+      status: 'completed',
+      amount: 100000,
+      serviceFee: 10000,
+      totalAmount: 110000,
+      reservation: 'reservation-1'
+    };
+
+    state = {
+      lines: paymentLines(payment),
+      payments: [payment],
+      escrows: [{ _id: ARTIST, amount: 100000 }],
+      refunds: [],
+      payouts: [],
+      reservations: [{ _id: 'reservation-1', paymentStatus: 'paid', amount: 100000, serviceFee: 10000 }]
+    };
+
+    // Agrégations du grand livre évaluées sur les lignes en mémoire, selon le regroupement demandé
+    mock.method(LedgerEntry, 'aggregate', async (pipeline) => {
+      const [first] = pipeline;
+      const debit = line => line.debit;
+      const credit = line => line.credit;
+
+      if (first.$group && first.$group._id === '$account') {
+        return groupBy(state.lines, line => line.account, { debit, credit });
+      }
+      if (first.$group && first.$group._id === '$journal') {
+        return groupBy(state.lines, line => line.journal, { debit, credit }).filter(row => row.debit !== row.credit);
+      }
+      if (first.$match.kind === 'payment' && first.$match.account === 'provider_clearing') {
+        const lines = state.lines.filter(line => line.kind === 'payment' && line.account === 'provider_clearing');
+        return groupBy(lines, line => line.payment, { amount: debit });
+      }
+      if (first.$match.account === 'artist_escrow') {
+        const lines = state.lines.filter(line => line.account === 'artist_escrow');
+        return groupBy(lines, line => line.owner, { balance: line => line.credit - line.debit });
+      }
+      if (first.$match.account === 'booker_wallet') {
+        const lines = state.lines.filter(line => line.account === 'booker_wallet' && ['payment', 'refund'].includes(line.kind));
+        return groupBy(lines, line => line.reservation, {
+          paid: line => (line.kind === 'payment' ? line.debit : 0),
+          refunded: line => (line.kind === 'refund' ? line.credit : 0)
+        });
+      }
+      throw new Error(`Agrégation non prévue: ${JSON.stringify(pipeline)}`);
+    });
+    mock.method(LedgerEntry, 'distinct', async (field, filter) => {
+      const kinds = filter.kind.$in || [filter.kind];
+      return [...new Set(state.lines.filter(line => kinds.includes(line.kind)).map(line => line[field]))];
+    });
+
+    mock.method(Payment, 'find', () => query(state.payments));
+    mock.method(Escrow, 'aggregate', async () => state.escrows);
+    mock.method(Refund, 'aggregate', async () => []);
+    mock.method(Refund, 'find', () => query(state.refunds));
+    mock.method(Payout, 'find', () => query(state.payouts));
+    mock.method(Reservation, 'find', () => query(state.reservations));
+  });
+
+  afterEach(() => {
+    mock.restoreAll();
+  });
+
+  const issueTypes = (report) => report.issues.map(issue => issue.type);
+
+  it('ne relève aucune anomalie pour un grand livre cohérent', async () => {
+    const report = await ledger.reconcile();
+
+    assert.deepEqual(report.issues, []);
+    assert.equal(report.balanced, true);
+    assert.deepEqual(report.totals.provider_clearing, { debit: 110000, credit: 0, balance: -110000 });
+    assert.deepEqual(report.totals.platform_fees, { debit: 0, credit: 10000, balance: 10000 });
+    assert.ok(report.checkedAt instanceof Date);
+  });
+
+  it('relève une écriture déséquilibrée', async () => {
+    state.lines = state.lines.filter(line => line.account !== 'platform_fees');
+
+    const report = await ledger.reconcile();
+
+    assert.equal(report.balanced, false);
+    assert.deepEqual(issueTypes(report), ['trial_balance', 'unbalanced_journal']);
+    assert.equal(report.issues[1].journal, 'payment:payment-1');
+  });
+
+  it('relève un paiement confirmé sans écriture d\'encaissement', async () => {
+    state.payments.push({ _id: 'payment-2', reference: 'PAY-2', status: 'completed', totalAmount: 55000 });
+
+    const report = await ledger.reconcile();
+
+    assert.deepEqual(issueTypes(report), ['missing_payment_entry']);
+    assert.equal(report.issues[0].payment, 'payment-2');
+  });
+
+  it('relève un encaissement pour un paiement non confirmé', async () => {
+    state.payments = [];
+
+    const report = await ledger.reconcile();
+
+    assert.ok(issueTypes(report).includes('unexpected_payment_entry'));
+  });
+
+  it('relève un séquestre différent du solde artist_escrow', async () => {
+    state.escrows = [{ _id: ARTIST, amount: 90000 }];
+
+    const report = await ledger.reconcile();
+
+    assert.deepEqual(issueTypes(report), ['escrow_mismatch']);
+  });
+
+  it('relève un retrait échoué qui n\'a pas été recrédité', async () => {
+    state.payouts = [{ _id: 'payout-1', reference: 'PO-1', status: 'failed' }];
+    state.lines.push(...payoutLines({ _id: 'payout-1', amount: 50000 }));
+
+    const report = await ledger.reconcile();
+
+    assert.deepEqual(issueTypes(report), ['missing_payout_reversal']);
+  });
+
+  it('relève un retrait qui n\'a pas été débité', async () => {
+    state.payouts = [{ _id: 'payout-1', reference: 'PO-1', status: 'requested' }];
+
+    const report = await ledger.reconcile();
+
+    assert.deepEqual(issueTypes(report), ['missing_payout_entry']);
+  });
+
+  it('relève un statut de paiement de réservation incohérent', async () => {
+    state.reservations[0].paymentStatus = 'partial';
+
+    const report = await ledger.reconcile();
+
+    assert.deepEqual(issueTypes(report), ['reservation_status_mismatch']);
+  });
+});
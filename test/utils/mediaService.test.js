@@ -0,0 +1,145 @@
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const { Artist, MediaFile } = require('../../src/models');
+const fileStore = require('../../src/utils/fileStore');
+const imageProcessor = require('../../src/utils/imageProcessor');
+const uploadsConfig = require('../../src/config/uploads');
+const mediaService = require('../../src/utils/mediaService');
+
+const ARTIST = 'artist-1';
+const JPEG = Buffer.concat([Buffer.from([0xff, 0xd8, 0xff, 0xe0]), Buffer.alloc(60)]);
+
+const upload = (originalname = 'scene.jpg', buffer = JPEG) => ({ buffer, originalname, size: buffer.length });
+
+// Sorties de imageProcessor.derive: 100 + 40 + 60 + 30 octets par photo
+const OUTPUTS = [
+  { name: 'original', format: 'fallback', extension: 'jpg', mimeType: 'image/jpeg', width: 1200, height: 800, buffer: Buffer.alloc(100) },
+  { name: 'original', format: 'webp', extension: 'webp', mimeType: 'image/webp', width: 1200, height: 800, buffer: Buffer.alloc(40) },
+  { name: 'thumbnail', format: 'fallback', extension: 'jpg', mimeType: 'image/jpeg', width: 320, height: 213, buffer: Buffer.alloc(60) },
+  { name: 'thumbnail', format: 'webp', extension: 'webp', mimeType: 'image/webp', width: 320, height: 213, buffer: Buffer.alloc(30) }
+];
+const BYTES_PER_PHOTO = 230;
+
+describe('mediaService', () => {
+  let usage;
+  let stored;
+  let mediaFiles;
+  let maxBytesPerArtist;
+
+  beforeEach(() => {
+    usage = 0;
+    stored = new Set();
+    mediaFiles = [];
+    maxBytesPerArtist = uploadsConfig.media.maxBytesPerArtist;
+    uploadsConfig.media.maxBytesPerArtist = 1000;
+
+    let names = 0;
+    mock.method(fileStore, 'randomName', () => `photo${++names}`);
+    mock.method(fileStore, 'save', async (buffer, { directory, extension, name }) => {
+      const key = `${directory}/${name}.${extension}`;
+      stored.add(key);
+      return { key, url: `/uploads/${key}` };
+    });
+    mock.method(fileStore, 'remove', async (key) => { stored.delete(key); });
+    mock.method(imageProcessor, 'derive', async () => OUTPUTS);
+    // Quota réservé de façon conditionnelle, comme le filtre de mediaService.upload
+    mock.method(Artist, 'findOneAndUpdate', async (filter, update) => {
+      if (usage > filter.$or[1]['mediaUsage.bytes'].$lte) {
+        return null;
+      }
+      usage += update.$inc['mediaUsage.bytes'];
+      return { _id: ARTIST };
+    });
+    mock.method(Artist, 'updateOne', async (filter, update) => { usage += update.$inc['mediaUsage.bytes']; });
+    mock.method(MediaFile, 'create', async (data) => {
+      const media = { _id: `media-${mediaFiles.length + 1}`, ...data };
+      mediaFiles.push(media);
+      return media;
+    });
+    mock.method(MediaFile, 'deleteMany', async ({ _id }) => {
+      mediaFiles = mediaFiles.filter(media => !_id.$in.includes(media._id));
+    });
+    mock.method(MediaFile, 'find', async ({ url, service }) => mediaFiles.filter(media =>
+      (url ? url.$in.includes(media.url) : true) && (service ? media.service === service : true)));
+  });
+
+  afterEach(() => {
+    uploadsConfig.media.maxBytesPerArtist = maxBytesPerArtist;
+    mock.restoreAll();
+  });
+
+  describe('upload', () => {
+    it('enregistre chaque photo sous un nom aléatoire avec ses variantes', async () => {
+      const [media] = await mediaService.upload(ARTIST, [upload('Mon concert.jpg')], { kind: 'gallery' });
+
+      assert.equal(media.key, 'artists/artist-1/photo1.jpg');
+      assert.equal(media.originalName, 'Mon concert.jpg');
+      assert.equal(media.size, BYTES_PER_PHOTO);
+      assert.deepEqual(media.variants.map(variant => variant.key), [
+        'artists/artist-1/photo1.webp',
+        'artists/artist-1/photo1-thumbnail.jpg',
+        'artists/artist-1/photo1-thumbnail.webp'
+      ]);
+      assert.deepEqual(mediaService.variantSet(media), {
+        original: '/uploads/artists/artist-1/photo1.jpg',
+        thumbnail: '/uploads/artists/artist-1/photo1-thumbnail.jpg',
+        webp: {
+          original: '/uploads/artists/artist-1/photo1.webp',
+          thumbnail: '/uploads/artists/artist-1/photo1-thumbnail.webp'
+        }
+      });
+      assert.equal(usage, BYTES_PER_PHOTO);
+    });
+
+    it('refuse tout l\'envoi si un fichier n\'est pas une image acceptée', async () => {
+      const files = [upload(), upload('photo.jpg', Buffer.concat([Buffer.from('<svg>'), Buffer.alloc(60)]))];
+
+      await assert.rejects(mediaService.upload(ARTIST, files, { kind: 'gallery' }), { statusCode: 415 });
+      assert.equal(imageProcessor.derive.mock.callCount(), 0);
+      assert.equal(stored.size, 0);
+    });
+
+    it('refuse un envoi qui dépasserait le quota de l\'artiste sans rien écrire', async () => {
+      await mediaService.upload(ARTIST, [upload(), upload(), upload()], { kind: 'gallery' });
+
+      await assert.rejects(mediaService.upload(ARTIST, [upload(), upload()], { kind: 'gallery' }), { statusCode: 413 });
+      assert.equal(usage, 3 * BYTES_PER_PHOTO);
+      assert.equal(stored.size, 3 * OUTPUTS.length);
+    });
+
+    it('supprime les fichiers écrits et libère le quota si l\'enregistrement échoue', async () => {
+      MediaFile.create.mock.mockImplementation(async () => { throw new Error('Base indisponible'); });
+
+      await assert.rejects(mediaService.upload(ARTIST, [upload()], { kind: 'gallery' }), /Base indisponible/);
+      assert.equal(stored.size, 0);
+      assert.equal(usage, 0);
+    });
+
+    it('exige au moins un fichier', async () => {
+      await assert.rejects(mediaService.upload(ARTIST, [], { kind: 'gallery' }), { statusCode: 400 });
+    });
+  });
+
+  describe('suppression', () => {
+    it('supprime les fichiers derrière les URL retirées et ignore les URL externes', async () => {
+      const [kept, removed] = await mediaService.upload(ARTIST, [upload(), upload()], { kind: 'gallery' });
+
+      const count = await mediaService.removeByUrls(ARTIST, [removed.url, 'https://cdn.example.com/photo.jpg']);
+
+      assert.equal(count, 1);
+      assert.deepEqual(mediaFiles, [kept]);
+      assert.equal(stored.size, OUTPUTS.length);
+      assert.ok(stored.has(kept.key));
+      assert.equal(usage, BYTES_PER_PHOTO);
+    });
+
+    it('supprime les photos d\'un service supprimé', async () => {
+      await mediaService.upload(ARTIST, [upload()], { kind: 'gallery' });
+      await mediaService.upload(ARTIST, [upload(), upload()], { kind: 'service_photo', service: 'service-1' });
+
+      assert.equal(await mediaService.removeForService({ _id: 'service-1', artist: ARTIST }), 2);
+      assert.deepEqual(mediaFiles.map(media => media.kind), ['gallery']);
+      assert.equal(usage, BYTES_PER_PHOTO);
+    });
+  });
+});
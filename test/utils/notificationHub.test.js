@@ -0,0 +1,76 @@
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const { Notification } = require('../../src/models');
+const notificationsConfig = require('../../src/config/notifications');
+const notificationHub = require('../../src/utils/notificationHub');
+
+const RECIPIENT = { recipientId: 'artist-1', recipientModel: 'Artist' };
+const DEBOUNCE_MS = notificationsConfig.stream.unreadCountDebounceMs;
+
+const notification = (id) => ({
+  _id: id,
+  recipient: 'artist-1',
+  recipientModel: 'Artist',
+  toJSON: () => ({ _id: id })
+});
+
+/**
+ * Laisser s'exécuter les promesses en attente
+ */
+const flush = () => new Promise(resolve => process.nextTick(resolve));
+
+describe('notificationHub', () => {
+  let received;
+  let unsubscribe;
+
+  beforeEach(() => {
+    mock.timers.enable({ apis: ['setTimeout'] });
+    mock.method(Notification, 'countDocuments', async () => 3);
+    received = [];
+    unsubscribe = notificationHub.subscribe(RECIPIENT, event => received.push(event));
+  });
+
+  afterEach(() => {
+    unsubscribe();
+    mock.timers.reset();
+    mock.restoreAll();
+  });
+
+  it('pousse en mode local les notifications créées par l\'instance', async () => {
+    notificationHub.notificationCreated(notification('n1'));
+    mock.timers.tick(DEBOUNCE_MS);
+    await flush();
+
+    assert.deepEqual(received, [
+      { event: 'notification', data: { _id: 'n1' }, id: 'n1' },
+      { event: 'unread_count', data: { count: 3 } }
+    ]);
+  });
+
+  it('regroupe les mises à jour rapprochées du compteur de non lues', async () => {
+    notificationHub.deliver(notification('n1'));
+    notificationHub.deliver(notification('n2'));
+    notificationHub.unreadCountChanged(RECIPIENT);
+    mock.timers.tick(DEBOUNCE_MS);
+    await flush();
+
+    assert.deepEqual(received.map(event => event.event), ['notification', 'notification', 'unread_count']);
+    assert.equal(Notification.countDocuments.mock.callCount(), 1);
+    assert.deepEqual(Notification.countDocuments.mock.calls[0].arguments[0], {
+      recipient: 'artist-1',
+      recipientModel: 'Artist',
+      isRead: false
+    });
+  });
+
+  it('ne pousse rien aux autres destinataires ni après la fermeture de la connexion', async () => {
+    notificationHub.deliver({ ...notification('n1'), recipientModel: 'Booker' });
+    unsubscribe();
+    notificationHub.deliver(notification('n2'));
+    mock.timers.tick(DEBOUNCE_MS);
+    await flush();
+
+    assert.deepEqual(received, []);
+    assert.equal(Notification.countDocuments.mock.callCount(), 0);
+  });
+});
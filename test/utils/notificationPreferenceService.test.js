@@ -0,0 +1,54 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const notificationPreferenceService = require('../../src/utils/notificationPreferenceService');
+const config = require('../../src/config/notifications');
+
+const NIGHT = { enabled: true, start: '22:00', end: '07:00', timezone: 'Africa/Abidjan' };
+const AFTERNOON = { enabled: true, start: '13:00', end: '15:00', timezone: 'Africa/Abidjan' };
+
+const quietUntil = (quietHours, now) => notificationPreferenceService.quietUntil(quietHours, new Date(now));
+
+describe('notificationPreferenceService.quietUntil', () => {
+  it('ne retient rien si les heures calmes sont désactivées ou incomplètes', () => {
+    assert.equal(quietUntil(null, '2026-10-19T23:00:00Z'), null);
+    assert.equal(quietUntil({ ...NIGHT, enabled: false }, '2026-10-19T23:00:00Z'), null);
+    assert.equal(quietUntil({ ...NIGHT, end: '' }, '2026-10-19T23:00:00Z'), null);
+  });
+
+  it('renvoie la fin d\'une plage dans la journée', () => {
+    assert.deepEqual(quietUntil(AFTERNOON, '2026-10-19T13:30:00Z'), new Date('2026-10-19T15:00:00Z'));
+    assert.deepEqual(quietUntil(AFTERNOON, '2026-10-19T13:00:00Z'), new Date('2026-10-19T15:00:00Z'));
+  });
+
+  it('exclut la fin de la plage', () => {
+    assert.equal(quietUntil(AFTERNOON, '2026-10-19T15:00:00Z'), null);
+    assert.equal(quietUntil(AFTERNOON, '2026-10-19T12:59:00Z'), null);
+  });
+
+  it('gère une plage qui passe minuit', () => {
+    assert.deepEqual(quietUntil(NIGHT, '2026-10-19T23:15:00Z'), new Date('2026-10-20T07:00:00Z'));
+    assert.deepEqual(quietUntil(NIGHT, '2026-10-20T02:00:00Z'), new Date('2026-10-20T07:00:00Z'));
+    assert.equal(quietUntil(NIGHT, '2026-10-20T07:00:00Z'), null);
+    assert.equal(quietUntil(NIGHT, '2026-10-19T21:59:00Z'), null);
+  });
+
+  it('arrondit la fin à la minute', () => {
+    assert.deepEqual(quietUntil(NIGHT, '2026-10-20T06:30:45.500Z'), new Date('2026-10-20T07:00:00Z'));
+  });
+
+  it('lit l\'heure dans le fuseau du destinataire', () => {
+    // 21:30 UTC = 23:30 à Paris (heure d'été): fin à 07:00 heure de Paris, soit 05:00 UTC
+    const paris = { ...NIGHT, timezone: 'Europe/Paris' };
+    assert.deepEqual(quietUntil(paris, '2026-07-01T21:30:00Z'), new Date('2026-07-02T05:00:00Z'));
+    assert.equal(quietUntil(paris, '2026-07-01T19:30:00Z'), null);
+  });
+
+  it('utilise le fuseau par défaut si aucun n\'est renseigné', () => {
+    const withoutTimezone = { ...NIGHT, timezone: undefined };
+    const now = '2026-07-01T23:00:00Z';
+    assert.deepEqual(
+      quietUntil(withoutTimezone, now),
+      quietUntil({ ...withoutTimezone, timezone: config.defaultTimezone }, now)
+    );
+  });
+});
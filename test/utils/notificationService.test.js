@@ -0,0 +1,74 @@
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const notificationTransports = require('../../src/utils/notificationTransports');
+const notificationPreferenceService = require('../../src/utils/notificationPreferenceService');
+const notificationService = require('../../src/utils/notificationService');
+
+const USER = { _id: 'user-1', email: 'awa@example.com', phone: '+2250700954748', isActive: true };
+const NOTIFICATION = {
+  type: 'reservation_status',
+  title: 'Réservation confirmée',
+  message: 'Votre réservation du 2026-11-02 est confirmée'
+};
+
+const preference = (channels, quietHours = { enabled: false }) => ({
+  channels: { inApp: true, sms: false, email: false, push: false, ...channels },
+  quietHours
+});
+
+describe('notificationService.dispatch', () => {
+  let sent;
+
+  beforeEach(() => {
+    sent = [];
+    ['sms', 'email', 'push'].forEach(channel => notificationTransports.register(channel, {
+      send: async (params) => {
+        sent.push({ channel, ...params });
+        return true;
+      }
+    }));
+    mock.method(console, 'error', () => {});
+  });
+
+  afterEach(() => {
+    mock.restoreAll();
+  });
+
+  const channelsOf = () => sent.map(message => message.channel);
+
+  it('n\'envoie que sur les canaux activés par le destinataire', async () => {
+    await notificationService.dispatch(NOTIFICATION, preference({ sms: true, email: true }), { user: USER });
+
+    assert.deepEqual(channelsOf(), ['sms', 'email']);
+    assert.deepEqual(sent[0].content, { title: null, body: `BookMi: ${NOTIFICATION.message}` });
+    assert.deepEqual(sent[1].content, { title: NOTIFICATION.title, body: NOTIFICATION.message });
+    assert.equal(sent[0].sendAt, null);
+    assert.equal(sent[0].user, USER);
+  });
+
+  it('n\'envoie rien à un compte suspendu ou sans canal externe', async () => {
+    await notificationService.dispatch(NOTIFICATION, preference({ sms: true }), { user: { ...USER, isActive: false } });
+    await notificationService.dispatch(NOTIFICATION, preference({}), { user: USER });
+    await notificationService.dispatch(NOTIFICATION, preference({ email: true }), { user: null });
+
+    assert.deepEqual(sent, []);
+  });
+
+  it('continue sur les autres canaux lorsqu\'un transport échoue', async () => {
+    notificationTransports.register('sms', { send: async () => { throw new Error('Passerelle indisponible'); } });
+
+    await notificationService.dispatch(NOTIFICATION, preference({ sms: true, email: true, push: true }), { user: USER });
+
+    assert.deepEqual(channelsOf(), ['email', 'push']);
+    assert.equal(console.error.mock.callCount(), 1);
+  });
+
+  it('diffère les SMS, abandonne le push et envoie l\'e-mail pendant les heures calmes', async () => {
+    const until = new Date('2026-10-20T07:00:00Z');
+    mock.method(notificationPreferenceService, 'quietUntil', () => until);
+
+    await notificationService.dispatch(NOTIFICATION, preference({ sms: true, email: true, push: true }), { user: USER });
+
+    assert.deepEqual(sent.map(message => [message.channel, message.sendAt]), [['sms', until], ['email', null]]);
+  });
+});
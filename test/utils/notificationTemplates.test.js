@@ -0,0 +1,178 @@
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const { NotificationTemplate } = require('../../src/models');
+const notificationsConfig = require('../../src/config/notifications');
+const templateFormat = require('../../src/utils/notificationTemplates/format');
+const DEFAULT_TEMPLATES = require('../../src/utils/notificationTemplates/defaults');
+const notificationTemplates = require('../../src/utils/notificationTemplates');
+
+describe('notificationTemplates', () => {
+  describe('format', () => {
+    it('remplace les variables et vide celles qui sont absentes', () => {
+      assert.equal(templateFormat.render('De {{startTime}} à {{endTime}}', { startTime: '20:00' }), 'De 20:00 à ');
+      assert.equal(templateFormat.render('{{count}} message(s)', { count: 0 }), '0 message(s)');
+    });
+
+    it('formate les montants en francs CFA selon la langue, sans espace insécable', () => {
+      assert.equal(templateFormat.render('{{amount|currency}}', { amount: 1250000 }, 'fr'), '1 250 000 FCFA');
+      assert.equal(templateFormat.render('{{amount|currency}}', { amount: 1250000 }, 'en'), '1,250,000 FCFA');
+      assert.equal(templateFormat.render('{{amount|currency}}', { amount: 'abc' }, 'fr'), '');
+    });
+
+    it('affiche une date seule sans décalage de fuseau', () => {
+      assert.equal(templateFormat.render('{{date|date}}', { date: '2026-12-19' }, 'fr'), '19 décembre 2026');
+      assert.equal(templateFormat.render('{{date|date}}', { date: '2026-12-19' }, 'en'), '19 December 2026');
+      assert.equal(templateFormat.render('{{date|date}}', { date: 'bientôt' }, 'fr'), 'bientôt');
+    });
+
+    it('affiche les sections selon la valeur de leur variable, y compris imbriquées', () => {
+      const text = '{{#isDeposit}}Acompte{{#amount}} de {{amount|currency}}{{/amount}}{{/isDeposit}}{{^isDeposit}}Solde{{/isDeposit}}';
+
+      assert.equal(templateFormat.render(text, { isDeposit: true, amount: 33000 }), 'Acompte de 33 000 FCFA');
+      assert.equal(templateFormat.render(text, { isDeposit: true }), 'Acompte');
+      assert.equal(templateFormat.render(text, { isDeposit: false, amount: 33000 }), 'Solde');
+      assert.equal(templateFormat.render('{{#items}}oui{{/items}}', { items: [] }), '');
+    });
+
+    it('signale les filtres inconnus et les balises mal formées', () => {
+      assert.deepEqual(templateFormat.analyze('{{#location}}à {{location}}{{/location}} le {{date|date}}'), {
+        variables: ['location', 'date'],
+        errors: []
+      });
+      assert.deepEqual(templateFormat.analyze('{{amount|euros}}').errors, ['Filtre inconnu: euros (filtres: currency, date)']);
+      assert.equal(templateFormat.analyze('{{#location}}à {{location}}').errors.length, 1);
+      assert.equal(templateFormat.analyze('{{date').errors.length, 1);
+    });
+  });
+
+  describe('render', () => {
+    let overrides;
+
+    beforeEach(() => {
+      overrides = [];
+      notificationTemplates.clearCache();
+      mock.method(NotificationTemplate, 'find', () => ({ lean: async () => overrides }));
+    });
+
+    afterEach(() => {
+      notificationTemplates.clearCache();
+      mock.restoreAll();
+    });
+
+    const VARIABLES = { date: '2026-12-19', startTime: '20:00', endTime: '23:00', location: 'Cocody, Abidjan' };
+
+    it('rend le texte de la langue du destinataire', async () => {
+      assert.deepEqual(await notificationTemplates.render('new_reservation', 'inApp', 'en', VARIABLES), {
+        title: 'New booking',
+        body: 'You have a new booking on 19 December 2026'
+      });
+    });
+
+    it('utilise la langue par défaut pour une langue non prise en charge ou absente', async () => {
+      const french = await notificationTemplates.render('new_reservation', 'inApp', 'fr', VARIABLES);
+
+      assert.equal(notificationsConfig.defaultLocale, 'fr');
+      assert.deepEqual(await notificationTemplates.render('new_reservation', 'inApp', 'es', VARIABLES), french);
+      assert.deepEqual(await notificationTemplates.render('new_reservation', 'inApp', undefined, VARIABLES), french);
+      assert.equal(french.body, 'Vous avez une nouvelle réservation pour le 19 décembre 2026');
+    });
+
+    it('reprend le texte in-app pour un canal sans texte propre', async () => {
+      assert.deepEqual(await notificationTemplates.render('reservation_confirmed', 'sms', 'fr', VARIABLES), {
+        title: null,
+        body: 'BookMi: Votre réservation pour le 19 décembre 2026 a été confirmée par l\'artiste'
+      });
+      assert.deepEqual(await notificationTemplates.render('reservation_confirmed', 'email', 'en', VARIABLES), {
+        title: 'Booking confirmed',
+        body: 'Your booking on 19 December 2026 has been confirmed by the artist'
+      });
+      assert.deepEqual(await notificationTemplates.render('new_reservation', 'sms', 'fr', VARIABLES), {
+        title: null,
+        body: 'BookMi: nouvelle réservation le 19 décembre 2026 de 20:00 à 23:00 (Cocody, Abidjan)'
+      });
+    });
+
+    it('préfère le texte modifié par un administrateur, pour sa seule langue', async () => {
+      overrides = [{ key: 'new_reservation', channel: 'inApp', locale: 'fr', title: 'Nouvelle date !', body: 'Réservé le {{date|date}}' }];
+
+      assert.deepEqual(await notificationTemplates.render('new_reservation', 'inApp', 'fr', VARIABLES), {
+        title: 'Nouvelle date !',
+        body: 'Réservé le 19 décembre 2026'
+      });
+      assert.equal((await notificationTemplates.render('new_reservation', 'inApp', 'en', VARIABLES)).title, 'New booking');
+      assert.equal(NotificationTemplate.find.mock.callCount(), 1);
+    });
+
+    it('garde les textes par défaut si les textes modifiés ne peuvent pas être lus', async () => {
+      mock.method(console, 'error', () => {});
+      NotificationTemplate.find.mock.mockImplementation(() => ({ lean: async () => { throw new Error('Base indisponible'); } }));
+
+      assert.equal((await notificationTemplates.render('new_reservation', 'inApp', 'fr', VARIABLES)).title, 'Nouvelle réservation');
+    });
+
+    it('refuse un modèle inconnu', async () => {
+      await assert.rejects(notificationTemplates.render('inconnu', 'inApp', 'fr'), /Modèle de notification inconnu/);
+    });
+
+    it('rend chaque modèle par défaut dans chaque langue et sur chaque canal', async () => {
+      for (const [key, definition] of Object.entries(DEFAULT_TEMPLATES)) {
+        for (const locale of notificationsConfig.LOCALES) {
+          assert.ok(definition[locale] && definition[locale].inApp, `${key}: texte in-app ${locale} manquant`);
+          for (const channel of notificationsConfig.CHANNELS) {
+            const { title, body } = await notificationTemplates.render(key, channel, locale, definition.sample);
+
+            assert.ok(body, `${key} ${channel} ${locale}: texte vide`);
+            assert.doesNotMatch(`${title || ''} ${body}`, /\{\{|\}\}/, `${key} ${channel} ${locale}`);
+            assert.equal(title === null, channel === 'sms', `${key} ${channel} ${locale}: titre`);
+          }
+        }
+      }
+    });
+  });
+
+  describe('update', () => {
+    let saved;
+
+    beforeEach(() => {
+      saved = [];
+      notificationTemplates.clearCache();
+      mock.method(NotificationTemplate, 'find', () => ({ lean: async () => saved }));
+      mock.method(NotificationTemplate, 'findOneAndUpdate', async (filter, { $set }) => {
+        const template = { ...filter, ...$set };
+        saved.push(template);
+        return template;
+      });
+    });
+
+    afterEach(() => {
+      notificationTemplates.clearCache();
+      mock.restoreAll();
+    });
+
+    it('enregistre le texte et renvoie un aperçu avec les valeurs d\'exemple', async () => {
+      const { before, template, preview } = await notificationTemplates.update(
+        'new_reservation', 'sms', 'en', { body: ' BookMi: booked for {{date|date}} ' }, 'admin-1'
+      );
+
+      assert.equal(before.source, 'default');
+      assert.equal(template.body, 'BookMi: booked for {{date|date}}');
+      assert.equal(template.updatedBy, 'admin-1');
+      assert.deepEqual(preview, { title: null, body: 'BookMi: booked for 19 December 2026' });
+    });
+
+    it('refuse les variables, canaux et langues inconnus et les titres de SMS', async () => {
+      const update = (channel, locale, text) => notificationTemplates.update('new_reservation', channel, locale, text, 'admin-1');
+
+      await assert.rejects(update('inApp', 'fr', { title: 'Réservation', body: 'Montant: {{amount|currency}}' }), {
+        statusCode: 400,
+        message: /Variable\(s\) inconnue\(s\) pour ce modèle: amount/
+      });
+      await assert.rejects(update('sms', 'fr', { title: 'Titre', body: 'Texte' }), { statusCode: 400 });
+      await assert.rejects(update('inApp', 'fr', { body: 'Texte' }), { statusCode: 400 });
+      await assert.rejects(update('fax', 'fr', { body: 'Texte' }), { statusCode: 400 });
+      await assert.rejects(update('inApp', 'es', { title: 'Título', body: 'Texto' }), { statusCode: 400 });
+      await assert.rejects(notificationTemplates.update('inconnu', 'inApp', 'fr', { title: 'T', body: 'B' }), { statusCode: 404 });
+      assert.equal(NotificationTemplate.findOneAndUpdate.mock.callCount(), 0);
+    });
+  });
+});
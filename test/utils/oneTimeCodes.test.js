@@ -0,0 +1,128 @@
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const { OneTimeCode } = require('../../src/models');
+const config = require('../../src/config/oneTimeCodes');
+const rateLimitConfig = require('../../src/config/rateLimit');
+const oneTimeCodes = require('../../src/utils/oneTimeCodes');
+
+const USER = { _id: '64b000000000000000000001', phone: '+2250701020304' };
+
+// Requête Mongoose simulée: chaînable (sort, select) et attendable
+const query = (result) => ({
+  sort: () => query(result),
+  select: () => query(result),
+  then: (resolve, reject) => Promise.resolve(result).then(resolve, reject)
+});
+
+const matches = (code, filter) => Object.entries(filter).every(([field, expected]) => {
+  if (expected && typeof expected === 'object' && '$lt' in expected) {
+    return code[field] < expected.$lt;
+  }
+  if (expected === null) {
+    return code[field] === null;
+  }
+  return String(code[field]) === String(expected);
+});
+
+describe('oneTimeCodes', () => {
+  let codes;
+
+  beforeEach(() => {
+    codes = [];
+    mock.method(OneTimeCode, 'create', async (data) => {
+      const code = { _id: `otc${codes.length + 1}`, attempts: 0, consumedAt: null, createdAt: new Date(), ...data };
+      codes.push(code);
+      return { ...code };
+    });
+    mock.method(OneTimeCode, 'updateMany', async (filter, update) => {
+      codes.filter(code => matches(code, filter)).forEach(code => Object.assign(code, update));
+    });
+    mock.method(OneTimeCode, 'findOne', (filter) => {
+      const found = codes.filter(code => matches(code, filter)).pop();
+      return query(found ? { ...found } : null);
+    });
+    mock.method(OneTimeCode, 'findOneAndUpdate', (filter, update, options = {}) => {
+      const code = codes.find(candidate => matches(candidate, filter));
+      if (!code) {
+        return query(null);
+      }
+      const before = { ...code };
+      const { $inc = {}, ...fields } = update;
+      Object.assign(code, fields);
+      Object.entries($inc).forEach(([field, amount]) => { code[field] += amount; });
+      return query(options.new ? { ...code } : before);
+    });
+  });
+
+  afterEach(() => {
+    mock.restoreAll();
+  });
+
+  it('émet un code à 6 chiffres stocké uniquement sous forme d\'empreinte', async () => {
+    const { code } = await oneTimeCodes.issue(USER, 'verify_phone');
+
+    assert.match(code, /^\d{6}$/);
+    assert.equal(JSON.stringify(codes).includes(code), false);
+    assert.match(codes[0].codeHash, /^[0-9a-f]{64}$/);
+    assert.equal(codes[0].codeHash, oneTimeCodes.hash(code, USER._id, 'verify_phone'));
+    assert.equal(codes[0].destination, USER.phone);
+    assert.equal(codes[0].expiresAt - codes[0].createdAt >= (config.ttlMinutes.verify_phone * 60 - 1) * 1000, true);
+  });
+
+  it('lie l\'empreinte à l\'utilisateur et à l\'usage', () => {
+    const hash = oneTimeCodes.hash('123456', USER._id, 'login');
+
+    assert.notEqual(hash, oneTimeCodes.hash('123456', USER._id, 'reset_password'));
+    assert.notEqual(hash, oneTimeCodes.hash('123456', '64b000000000000000000002', 'login'));
+  });
+
+  it('accepte un code valide une seule fois', async () => {
+    const { code } = await oneTimeCodes.issue(USER, 'login');
+
+    assert.equal(await oneTimeCodes.verify(USER, 'login', code), 'valid');
+    assert.equal(await oneTimeCodes.verify(USER, 'login', code), 'expired');
+  });
+
+  it('refuse un code présenté pour un autre usage', async () => {
+    const { code } = await oneTimeCodes.issue(USER, 'verify_phone');
+    await oneTimeCodes.issue(USER, 'reset_password');
+
+    assert.equal(await oneTimeCodes.verify(USER, 'reset_password', code), 'invalid');
+    assert.equal(await oneTimeCodes.verify(USER, 'login', code), 'expired');
+    // Le code reste utilisable pour son propre usage
+    assert.equal(await oneTimeCodes.verify(USER, 'verify_phone', code), 'valid');
+  });
+
+  it('refuse un code expiré', async () => {
+    const { code } = await oneTimeCodes.issue(USER, 'login');
+    codes[0].expiresAt = new Date(Date.now() - 1000);
+
+    assert.equal(await oneTimeCodes.verify(USER, 'login', code), 'expired');
+  });
+
+  it('invalide les codes précédents du même usage', async () => {
+    const { code: first } = await oneTimeCodes.issue(USER, 'change_phone', { destination: '+2250505050505' });
+    const { code: second } = await oneTimeCodes.issue(USER, 'change_phone', { destination: '+2250606060606' });
+
+    assert.ok(codes[0].consumedAt instanceof Date);
+    if (first !== second) {
+      assert.equal(await oneTimeCodes.verify(USER, 'change_phone', first), 'invalid');
+    }
+    assert.deepEqual(await oneTimeCodes.check(USER, 'change_phone', second), { result: 'valid', destination: '+2250606060606' });
+  });
+
+  it('épuise le code au plafond d\'essais, même avec le bon code ensuite', async () => {
+    const { code } = await oneTimeCodes.issue(USER, 'reset_password');
+    const wrong = code === '000000' ? '111111' : '000000';
+
+    for (let i = 1; i < rateLimitConfig.maxCodeAttempts; i++) {
+      assert.equal(await oneTimeCodes.verify(USER, 'reset_password', wrong), 'invalid');
+    }
+    assert.equal(await oneTimeCodes.verify(USER, 'reset_password', wrong), 'exhausted');
+    assert.equal(await oneTimeCodes.verify(USER, 'reset_password', code), 'exhausted');
+  });
+
+  it('refuse un usage inconnu', async () => {
+    await assert.rejects(oneTimeCodes.issue(USER, 'transfer'), /Usage de code inconnu/);
+  });
+});
@@ -0,0 +1,144 @@
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const { Payment, Reservation } = require('../../src/models');
+const paymentProcessor = require('../../src/utils/paymentProcessor');
+const ledger = require('../../src/utils/ledger');
+const escrowService = require('../../src/utils/escrowService');
+const notificationService = require('../../src/utils/notificationService');
+const paymentSchedule = require('../../src/utils/paymentSchedule');
+const transactions = require('../../src/utils/transactions');
+
+/**
+ * Requête Mongoose dont le résultat est lu après .select() et .session()
+ */
+const query = (result) => {
+  const chain = {
+    select: () => chain,
+    session: () => chain,
+    then: (resolve, reject) => Promise.resolve(result).then(resolve, reject)
+  };
+  return chain;
+};
+
+describe('paymentProcessor.applyStatus', () => {
+  let stored;
+  let reservation;
+
+  beforeEach(() => {
+    // Base sans transactions: les effets doivent pouvoir être rejoués
+    transactions.supported = false;
+
+    stored = {
+      _id: 'payment-1',
+      reference: 'PAY-1',
+      reservation: 'reservation-1',
+      status: 'processing',
+      amount: 100000,
+      serviceFee: 10000,
+      totalAmount: 110000
+    };
+    reservation = {
+      _id: 'reservation-1',
+      status: 'pending',
+      paymentStatus: 'pending',
+      statusHistory: [],
+      save: mock.fn(async () => reservation)
+    };
+
+    // Mise à jour conditionnée au statut lu, comme findOneAndUpdate
+    mock.method(Payment, 'findOneAndUpdate', (filter, update) => {
+      if (filter.status !== stored.status) {
+        return query(null);
+      }
+      stored = { ...stored, ...update };
+      return query(stored);
+    });
+    mock.method(Payment, 'findById', () => query(stored));
+    mock.method(Payment, 'find', () => query([stored]));
+    mock.method(Reservation, 'findById', () => query(reservation));
+    mock.method(paymentSchedule, 'getPaymentStatus', () => 'paid');
+    mock.method(escrowService, 'hold', async () => null);
+    mock.method(notificationService, 'notifyPayment', async () => {});
+    mock.method(notificationService, 'notifyReservationStatusChange', async () => {});
+  });
+
+  afterEach(() => {
+    mock.restoreAll();
+    transactions.supported = null;
+  });
+
+  it('confirme la réservation, passe l\'écriture et séquestre la part de l\'artiste', async () => {
+    mock.method(ledger, 'recordPayment', async () => true);
+
+    const payment = await paymentProcessor.applyStatus({ ...stored }, 'completed');
+
+    assert.equal(payment.status, 'completed');
+    assert.equal(reservation.status, 'confirmed');
+    assert.equal(reservation.paymentStatus, 'paid');
+    assert.equal(ledger.recordPayment.mock.callCount(), 1);
+    assert.equal(escrowService.hold.mock.callCount(), 1);
+    assert.equal(notificationService.notifyPayment.mock.calls[0].arguments[2], 'confirmed');
+  });
+
+  it('n\'applique les effets qu\'une fois pour deux confirmations concurrentes', async () => {
+    mock.method(ledger, 'recordPayment', async () => true);
+    mock.method(ledger, 'hasJournal', async () => true);
+    const read = { ...stored };
+
+    await Promise.all([
+      paymentProcessor.applyStatus(read, 'completed'),
+      paymentProcessor.applyStatus({ ...read }, 'completed')
+    ]);
+
+    assert.equal(ledger.recordPayment.mock.callCount(), 1);
+    assert.equal(notificationService.notifyPayment.mock.callCount(), 1);
+  });
+
+  it('reprend les effets d\'un paiement confirmé resté sans écriture au grand livre', async () => {
+    mock.method(ledger, 'recordPayment', async () => {
+      throw new Error('Écriture impossible');
+    });
+
+    await assert.rejects(paymentProcessor.applyStatus({ ...stored }, 'completed'), /Écriture impossible/);
+    assert.equal(stored.status, 'completed');
+    assert.equal(notificationService.notifyPayment.mock.callCount(), 0);
+
+    // Nouvelle livraison de la confirmation par le fournisseur
+    mock.method(ledger, 'recordPayment', async () => true);
+    mock.method(ledger, 'hasJournal', async () => false);
+
+    const payment = await paymentProcessor.applyStatus({ ...stored }, 'completed');
+
+    assert.equal(payment.status, 'completed');
+    assert.equal(ledger.recordPayment.mock.callCount(), 1);
+    assert.equal(escrowService.hold.mock.callCount(), 1);
+    assert.equal(notificationService.notifyPayment.mock.callCount(), 1);
+  });
+
+  it('ne rejoue rien pour un paiement confirmé déjà passé au grand livre', async () => {
+    stored.status = 'completed';
+    mock.method(ledger, 'recordPayment', async () => true);
+    mock.method(ledger, 'hasJournal', async () => true);
+
+    await paymentProcessor.applyStatus({ ...stored }, 'completed');
+
+    assert.equal(ledger.recordPayment.mock.callCount(), 0);
+    assert.equal(Payment.findOneAndUpdate.mock.callCount(), 0);
+  });
+
+  it('marque la réservation en échec si aucun autre paiement n\'a abouti', async () => {
+    mock.method(Payment, 'countDocuments', () => query(0));
+
+    const payment = await paymentProcessor.applyStatus({ ...stored }, 'failed', { reason: 'Solde insuffisant' });
+
+    assert.equal(payment.status, 'failed');
+    assert.equal(payment.failureReason, 'Solde insuffisant');
+    assert.equal(reservation.paymentStatus, 'failed');
+    assert.equal(notificationService.notifyPayment.mock.calls[0].arguments[2], 'failed');
+  });
+
+  it('refuse une transition interdite (409)', async () => {
+    stored.status = 'failed';
+    await assert.rejects(paymentProcessor.applyStatus({ ...stored }, 'completed'), { statusCode: 409 });
+  });
+});
@@ -0,0 +1,175 @@
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const axios = require('axios');
+const paymentProviders = require('../../src/utils/paymentProviders');
+const SimulatorProvider = require('../../src/utils/paymentProviders/simulator');
+const OrangeMoneyProvider = require('../../src/utils/paymentProviders/orange');
+
+describe('paymentProviders', () => {
+  describe('SimulatorProvider', () => {
+    beforeEach(() => {
+      mock.timers.enable({ apis: ['setTimeout'] });
+      mock.method(console, 'log', () => {});
+    });
+
+    afterEach(() => {
+      mock.timers.reset();
+      mock.restoreAll();
+    });
+
+    it('reste en attente de confirmation jusqu\'au délai configuré', async () => {
+      const simulator = new SimulatorProvider({ delayMs: 5000, failureRate: 0 });
+      const events = [];
+      simulator.on('status', event => events.push(event));
+
+      const { transactionId, status } = await simulator.initiate({ reference: 'PAY-1', amount: 110000, phoneNumber: '+2250700954748' });
+
+      assert.equal(status, 'processing');
+      assert.match(transactionId, /^sim_[0-9a-f]{16}$/);
+      mock.timers.tick(4999);
+      assert.deepEqual(await simulator.checkStatus(transactionId), { status: 'processing', reason: null });
+      assert.deepEqual(events, []);
+
+      mock.timers.tick(1);
+      assert.deepEqual(events, [{ provider: 'simulator', transactionId, status: 'completed', reason: null }]);
+      assert.deepEqual(await simulator.checkStatus(transactionId), { status: 'completed', reason: null });
+    });
+
+    it('fait échouer les transactions selon le taux d\'échec', async () => {
+      const simulator = new SimulatorProvider({ delayMs: 10, failureRate: 1 });
+      const events = [];
+      simulator.on('status', event => events.push(event));
+
+      const refund = await simulator.refund({ reference: 'RF-1', amount: 5000 });
+      const payout = await simulator.payout({ reference: 'PO-1', amount: 5000, phoneNumber: '+2250700954748' });
+      mock.timers.tick(10);
+
+      assert.match(refund.transactionId, /^simref_/);
+      assert.match(payout.transactionId, /^simpout_/);
+      assert.deepEqual(events.map(event => event.status), ['failed', 'failed']);
+      assert.equal(events[0].reason, 'Transaction refusée par le simulateur');
+    });
+
+    it('considère une transaction inconnue comme échouée', async () => {
+      const { status } = await new SimulatorProvider({ delayMs: 10, failureRate: 0 }).checkStatus('sim_perdue');
+
+      assert.equal(status, 'failed');
+    });
+  });
+
+  describe('OrangeMoneyProvider', () => {
+    const OPTIONS = {
+      baseUrl: 'https://api.orange.test',
+      clientId: 'client',
+      clientSecret: 'secret',
+      merchantKey: 'merchant',
+      country: 'ci'
+    };
+
+    afterEach(() => {
+      mock.restoreAll();
+    });
+
+    it('initie un paiement WebPay avec un jeton OAuth mis en cache', async () => {
+      const calls = [];
+      mock.method(axios, 'post', async (url, body, options) => {
+        calls.push({ url, body, options });
+        if (url.endsWith('/oauth/v3/token')) {
+          return { data: { access_token: 'token-1', expires_in: 3600 } };
+        }
+        if (url.endsWith('/webpayment')) {
+          return { data: { pay_token: 'pay-token', payment_url: 'https://webpay.test/pay' } };
+        }
+        return { data: { status: 'SUCCESS' } };
+      });
+      const orange = new OrangeMoneyProvider(OPTIONS);
+
+      const result = await orange.initiate({ reference: 'PAY-1', amount: 110000, currency: 'XOF', description: 'Réservation' });
+      const status = await orange.checkStatus('PAY-1', { amount: 110000 });
+
+      assert.deepEqual(result, {
+        transactionId: 'PAY-1',
+        providerReference: 'pay-token',
+        checkoutUrl: 'https://webpay.test/pay',
+        status: 'processing'
+      });
+      assert.deepEqual(status, { status: 'completed', reason: 'SUCCESS' });
+      assert.deepEqual(calls.map(call => call.url.replace(OPTIONS.baseUrl, '')), [
+        '/oauth/v3/token',
+        '/orange-money-webpay/ci/v1/webpayment',
+        '/orange-money-webpay/ci/v1/transactionstatus'
+      ]);
+      assert.equal(calls[0].options.headers.Authorization, `Basic ${Buffer.from('client:secret').toString('base64')}`);
+      assert.equal(calls[1].body.currency, 'OUV');
+      assert.equal(calls[1].body.order_id, 'PAY-1');
+      assert.equal(calls[2].options.headers.Authorization, 'Bearer token-1');
+      assert.equal(calls[2].body.pay_token, 'pay-token');
+    });
+
+    it('refuse les remboursements et versements non pris en charge', async () => {
+      const orange = new OrangeMoneyProvider(OPTIONS);
+
+      await assert.rejects(orange.refund({}), /transfert marchand/);
+      await assert.rejects(orange.payout({}), /WebPay/);
+    });
+  });
+
+  describe('parseWebhook', () => {
+    const parse = (name, body, headers = {}) => paymentProviders.getProviderByName(name).parseWebhook(body, headers);
+
+    it('normalise les statuts Orange Money', () => {
+      assert.deepEqual(parse('orange', { txnid: 'MP1', status: 'SUCCESS', order_id: 'PAY-1' }), {
+        eventId: 'MP1:SUCCESS',
+        transactionId: 'PAY-1',
+        status: 'completed',
+        reason: 'SUCCESS'
+      });
+      assert.equal(parse('orange', { txnid: 'MP1', status: 'EXPIRED', order_id: 'PAY-1' }).status, 'failed');
+      assert.equal(parse('orange', { txnid: 'MP1', status: 'INCONNU', order_id: 'PAY-1' }).status, 'processing');
+    });
+
+    it('normalise les statuts MTN MoMo', () => {
+      assert.deepEqual(parse('mtn', { financialTransactionId: 'F1', status: 'SUCCESSFUL' }, { 'x-reference-id': 'ref-1' }), {
+        eventId: 'F1:SUCCESSFUL',
+        transactionId: 'ref-1',
+        status: 'completed',
+        reason: undefined
+      });
+      assert.deepEqual(parse('mtn', { referenceId: 'ref-1', status: 'REJECTED', reason: { message: 'Solde insuffisant' } }), {
+        eventId: 'ref-1:REJECTED',
+        transactionId: 'ref-1',
+        status: 'failed',
+        reason: 'Solde insuffisant'
+      });
+    });
+
+    it('normalise les statuts Moov Money', () => {
+      assert.deepEqual(parse('moov', { eventId: 'evt-1', transactionId: 'tx-1', status: 'CANCELLED', message: 'Annulé' }), {
+        eventId: 'evt-1',
+        transactionId: 'tx-1',
+        status: 'failed',
+        reason: 'Annulé'
+      });
+    });
+
+    it('normalise les événements Wave', () => {
+      const completed = parse('wave', {
+        id: 'evt-1',
+        type: 'checkout.session.completed',
+        data: { id: 'cos-1', payment_status: 'succeeded' }
+      });
+      const failed = parse('wave', {
+        id: 'evt-2',
+        type: 'checkout.session.payment_failed',
+        data: { id: 'cos-1', last_payment_error: { message: 'Refusé' } }
+      });
+
+      assert.deepEqual([completed.eventId, completed.transactionId, completed.status], ['evt-1', 'cos-1', 'completed']);
+      assert.deepEqual([failed.status, failed.reason], ['failed', 'Refusé']);
+    });
+  });
+
+  it('refuse un fournisseur inconnu', () => {
+    assert.throws(() => paymentProviders.getProviderByName('paypal'), { statusCode: 400 });
+  });
+});
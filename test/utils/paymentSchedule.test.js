@@ -0,0 +1,137 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const paymentSchedule = require('../../src/utils/paymentSchedule');
+
+const TERMS = { depositPercentage: 30, depositDueHours: 48, balanceDueDaysBefore: 7 };
+const BOOKED_AT = new Date('2026-10-01T10:00:00Z');
+
+// Prestation de 100 000 FCFA (+ 10 000 FCFA de frais de service) le 2 novembre à 20h
+const RESERVATION = { amount: 100000, serviceFee: 10000, date: '2026-11-02', startTime: '20:00' };
+
+const withSchedule = (reservation = RESERVATION, terms = TERMS) => ({
+  ...reservation,
+  paymentSchedule: paymentSchedule.build(reservation, terms, BOOKED_AT)
+});
+
+const payment = (totalAmount, status = 'completed') => ({ totalAmount, status });
+
+describe('paymentSchedule', () => {
+  describe('build', () => {
+    it('répartit le montant et les frais entre acompte et solde', () => {
+      const schedule = paymentSchedule.build(RESERVATION, TERMS, BOOKED_AT);
+
+      assert.deepEqual(schedule, {
+        depositPercentage: 30,
+        deposit: { amount: 30000, serviceFee: 3000, dueAt: new Date('2026-10-03T10:00:00Z') },
+        balance: { amount: 70000, serviceFee: 7000, dueAt: new Date('2026-10-26T20:00:00Z') }
+      });
+    });
+
+    it('arrondit l\'acompte au franc', () => {
+      const { deposit, balance } = paymentSchedule.build({ ...RESERVATION, amount: 33333, serviceFee: 3333 }, TERMS, BOOKED_AT);
+
+      assert.deepEqual([deposit.amount, deposit.serviceFee], [10000, 1000]);
+      assert.deepEqual([balance.amount, balance.serviceFee], [23333, 2333]);
+    });
+
+    it('ne place aucune échéance après le début de la prestation', () => {
+      // Réservation faite la veille: acompte et solde dus au plus tard au début de la prestation
+      const { deposit, balance } = paymentSchedule.build(RESERVATION, TERMS, new Date('2026-11-01T22:00:00Z'));
+
+      assert.deepEqual(deposit.dueAt, new Date('2026-11-02T20:00:00Z'));
+      assert.deepEqual(balance.dueAt, new Date('2026-11-02T20:00:00Z'));
+    });
+
+    it('ne fait pas tomber le solde avant l\'acompte', () => {
+      const { deposit, balance } = paymentSchedule.build(RESERVATION, TERMS, new Date('2026-10-30T10:00:00Z'));
+
+      assert.deepEqual(balance.dueAt, deposit.dueAt);
+    });
+  });
+
+  describe('getOutstanding', () => {
+    it('attend l\'acompte tant que rien n\'est payé', () => {
+      const outstanding = paymentSchedule.getOutstanding(withSchedule(), [], new Date('2026-10-02T10:00:00Z'));
+
+      assert.equal(outstanding.total, 110000);
+      assert.equal(outstanding.remaining, 110000);
+      assert.deepEqual(outstanding.installments.map(i => [i.type, i.amountDue, i.status]), [
+        ['deposit', 33000, 'due'],
+        ['balance', 77000, 'due']
+      ]);
+      assert.deepEqual(outstanding.nextDue, {
+        type: 'deposit',
+        paymentType: 'advance',
+        amountDue: 33000,
+        dueAt: new Date('2026-10-03T10:00:00Z')
+      });
+    });
+
+    it('marque l\'acompte en retard après son échéance', () => {
+      const outstanding = paymentSchedule.getOutstanding(withSchedule(), [], new Date('2026-10-04T00:00:00Z'));
+
+      assert.equal(outstanding.installments[0].status, 'overdue');
+    });
+
+    it('impute les paiements encaissés sur l\'acompte puis sur le solde', () => {
+      const now = new Date('2026-10-10T00:00:00Z');
+      const outstanding = paymentSchedule.getOutstanding(withSchedule(), [payment(50000), payment(5000, 'failed')], now);
+
+      assert.equal(outstanding.paid, 50000);
+      assert.equal(outstanding.remaining, 60000);
+      assert.deepEqual(outstanding.installments.map(i => [i.type, i.amountDue, i.status]), [
+        ['deposit', 0, 'paid'],
+        ['balance', 60000, 'due']
+      ]);
+      assert.equal(outstanding.nextDue.type, 'balance');
+    });
+
+    it('distingue les paiements en attente de confirmation', () => {
+      const outstanding = paymentSchedule.getOutstanding(withSchedule(), [payment(33000, 'processing')], BOOKED_AT);
+
+      assert.equal(outstanding.paid, 0);
+      assert.equal(outstanding.processing, 33000);
+      assert.equal(outstanding.nextDue.amountDue, 33000);
+    });
+
+    it('omet l\'acompte lorsque l\'artiste n\'en demande pas', () => {
+      const outstanding = paymentSchedule.getOutstanding(
+        withSchedule(RESERVATION, { ...TERMS, depositPercentage: 0 }),
+        [],
+        BOOKED_AT
+      );
+
+      assert.deepEqual(outstanding.installments.map(i => [i.type, i.amountDue]), [['balance', 110000]]);
+    });
+
+    it('recalcule l\'échéancier des réservations créées sans échéancier', () => {
+      const outstanding = paymentSchedule.getOutstanding({ ...RESERVATION, createdAt: BOOKED_AT }, [], BOOKED_AT);
+
+      assert.equal(outstanding.installments.length, 2);
+      assert.equal(outstanding.depositPercentage, paymentSchedule.getTerms(null).depositPercentage);
+    });
+  });
+
+  describe('getPaymentStatus', () => {
+    it('déduit le statut de paiement des montants encaissés', () => {
+      const reservation = withSchedule();
+
+      assert.equal(paymentSchedule.getPaymentStatus(reservation, []), 'pending');
+      assert.equal(paymentSchedule.getPaymentStatus(reservation, [payment(33000, 'processing')]), 'pending');
+      assert.equal(paymentSchedule.getPaymentStatus(reservation, [payment(33000)]), 'partial');
+      assert.equal(paymentSchedule.getPaymentStatus(reservation, [payment(33000), payment(77000)]), 'paid');
+    });
+  });
+
+  describe('validateTerms', () => {
+    it('normalise des conditions valides et refuse les autres (400)', () => {
+      assert.deepEqual(
+        paymentSchedule.validateTerms({ depositPercentage: '50', depositDueHours: '24', balanceDueDaysBefore: '0' }),
+        { depositPercentage: 50, depositDueHours: 24, balanceDueDaysBefore: 0 }
+      );
+      assert.throws(() => paymentSchedule.validateTerms({ ...TERMS, depositPercentage: 101 }), { statusCode: 400 });
+      assert.throws(() => paymentSchedule.validateTerms({ ...TERMS, depositDueHours: 0 }), { statusCode: 400 });
+      assert.throws(() => paymentSchedule.validateTerms({ ...TERMS, balanceDueDaysBefore: 1.5 }), { statusCode: 400 });
+    });
+  });
+});
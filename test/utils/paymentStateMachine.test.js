@@ -0,0 +1,47 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const paymentStateMachine = require('../../src/utils/paymentStateMachine');
+
+describe('paymentStateMachine', () => {
+  describe('canTransition', () => {
+    it('autorise les transitions du graphe', () => {
+      assert.equal(paymentStateMachine.canTransition('pending', 'processing'), true);
+      assert.equal(paymentStateMachine.canTransition('pending', 'completed'), true);
+      assert.equal(paymentStateMachine.canTransition('processing', 'failed'), true);
+      assert.equal(paymentStateMachine.canTransition('completed', 'partially_refunded'), true);
+      assert.equal(paymentStateMachine.canTransition('partially_refunded', 'refunded'), true);
+    });
+
+    it('refuse les transitions depuis un statut final ou inconnu', () => {
+      assert.equal(paymentStateMachine.canTransition('failed', 'completed'), false);
+      assert.equal(paymentStateMachine.canTransition('refunded', 'completed'), false);
+      assert.equal(paymentStateMachine.canTransition('unknown', 'completed'), false);
+    });
+
+    it('refuse de revenir en arrière', () => {
+      assert.equal(paymentStateMachine.canTransition('completed', 'pending'), false);
+      assert.equal(paymentStateMachine.canTransition('completed', 'failed'), false);
+      assert.equal(paymentStateMachine.canTransition('partially_refunded', 'completed'), false);
+    });
+
+    it('refuse de rester sur le même statut', () => {
+      paymentStateMachine.STATUSES.forEach(status => {
+        assert.equal(paymentStateMachine.canTransition(status, status), false);
+      });
+    });
+  });
+
+  describe('assertTransition', () => {
+    it('accepte une transition autorisée', () => {
+      assert.doesNotThrow(() => paymentStateMachine.assertTransition('processing', 'completed'));
+    });
+
+    it('rejette un statut inconnu (400)', () => {
+      assert.throws(() => paymentStateMachine.assertTransition('pending', 'cancelled'), { statusCode: 400 });
+    });
+
+    it('rejette une transition interdite (409)', () => {
+      assert.throws(() => paymentStateMachine.assertTransition('completed', 'failed'), { statusCode: 409 });
+    });
+  });
+});
@@ -0,0 +1,153 @@
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const { LedgerEntry, Payout, PaymentMethod, Artist } = require('../../src/models');
+const ledger = require('../../src/utils/ledger');
+const transactions = require('../../src/utils/transactions');
+const notificationService = require('../../src/utils/notificationService');
+const payoutService = require('../../src/utils/payoutService');
+
+const ARTIST = '64b0000000000000000000a1';
+const BOOKER = '64b0000000000000000000b1';
+
+const PAYMENT = {
+  _id: 'payment-1',
+  reference: 'PAY-1',
+  payer: BOOKER,
+  payee: ARTIST,
+  reservation: 'reservation-1',
+  amount: 100000,
+  serviceFee: 10000,
+  totalAmount: 110000
+};
+const ESCROW = { _id: 'escrow-1', artist: ARTIST, payment: 'payment-1', reservation: 'reservation-1' };
+
+describe('payoutService', () => {
+  let lines;
+  let payouts;
+
+  beforeEach(() => {
+    lines = [];
+    payouts = [];
+    transactions.supported = false;
+
+    // Grand livre en mémoire: écritures uniques par journal, soldes agrégés par compte et par nature
+    mock.method(LedgerEntry, 'insertMany', async (docs) => {
+      if (lines.some(line => line.journal === docs[0].journal)) {
+        throw Object.assign(new Error('E11000 duplicate key error'), { code: 11000 });
+      }
+      lines.push(...docs.map(doc => ({ debit: 0, credit: 0, ...doc })));
+    });
+    mock.method(LedgerEntry, 'aggregate', async ([{ $match }]) => {
+      const groups = new Map();
+      lines
+        .filter(line => String(line.owner) === String($match.owner) && $match.account.$in.includes(line.account))
+        .forEach(line => {
+          const key = `${line.account}:${line.kind}`;
+          const group = groups.get(key) || { _id: { account: line.account, kind: line.kind }, debit: 0, credit: 0 };
+          group.debit += line.debit;
+          group.credit += line.credit;
+          groups.set(key, group);
+        });
+      return [...groups.values()];
+    });
+
+    mock.method(PaymentMethod, 'findOne', async () => ({
+      _id: 'method-1',
+      type: 'orange',
+      details: { phoneNumber: '+2250700954748' }
+    }));
+    mock.method(Artist, 'findOneAndUpdate', async () => ({ _id: ARTIST }));
+    mock.method(Artist, 'updateOne', async () => ({ modifiedCount: 1 }));
+    mock.method(Payout, 'create', async (data) => {
+      const payout = { _id: `payout-${payouts.length + 1}`, reference: `PO-${payouts.length + 1}`, status: 'requested', ...data };
+      payouts.push(payout);
+      return payout;
+    });
+    mock.method(Payout, 'findOneAndUpdate', async (filter, update) => {
+      const payout = payouts.find(p => p._id === filter._id && p.status === filter.status);
+      return payout ? Object.assign(payout, update) : null;
+    });
+    mock.method(Payout, 'findById', async (id) => payouts.find(p => p._id === id));
+    mock.method(notificationService, 'notifyPayout', async () => {});
+    // Le versement chez l'opérateur n'est pas testé ici
+    mock.method(payoutService, 'initiate', async (payout) => payout);
+  });
+
+  afterEach(() => {
+    mock.restoreAll();
+    transactions.supported = null;
+  });
+
+  const request = (amount) => payoutService.requestPayout(ARTIST, { amount, paymentMethodId: 'method-1' });
+
+  it('refuse de verser des fonds encore séquestrés', async () => {
+    await ledger.recordPayment(PAYMENT);
+
+    await assert.rejects(request(5000), { statusCode: 400, message: 'Solde disponible insuffisant pour ce retrait' });
+    assert.deepEqual(await ledger.getArtistBalance(ARTIST), { held: 100000, available: 0, paidOut: 0 });
+  });
+
+  it('débite le retrait du solde libéré, sans dépasser le solde', async () => {
+    await ledger.recordPayment(PAYMENT);
+    await ledger.recordEscrowRelease(ESCROW, 100000);
+
+    await assert.rejects(request(100001), { statusCode: 400 });
+
+    const payout = await request(60000);
+    assert.equal(payout.amount, 60000);
+    assert.deepEqual(payout.destination, { type: 'orange', phoneNumber: '+2250700954748', operator: 'orange' });
+    assert.deepEqual(await ledger.getArtistBalance(ARTIST), { held: 0, available: 40000, paidOut: 60000 });
+
+    await assert.rejects(request(50000), { statusCode: 400 });
+    await request(40000);
+    assert.deepEqual(await ledger.getArtistBalance(ARTIST), { held: 0, available: 0, paidOut: 100000 });
+  });
+
+  it('recrédite une seule fois le solde d\'un retrait échoué', async () => {
+    await ledger.recordPayment(PAYMENT);
+    await ledger.recordEscrowRelease(ESCROW, 100000);
+    const payout = await request(60000);
+    // Deux notifications simultanées du fournisseur lisent le même retrait
+    const [first, second] = [{ ...payout }, { ...payout }];
+
+    const failed = await payoutService.applyStatus(first, 'failed', { reason: 'Compte introuvable' });
+    await payoutService.applyStatus(second, 'failed', { reason: 'Compte introuvable' });
+
+    assert.equal(failed.failureReason, 'Compte introuvable');
+    assert.deepEqual(await ledger.getArtistBalance(ARTIST), { held: 0, available: 100000, paidOut: 0 });
+    assert.equal(notificationService.notifyPayout.mock.callCount(), 1);
+  });
+
+  it('libère le verrou de l\'artiste même si la demande est refusée', async () => {
+    await assert.rejects(request(5000), { statusCode: 400 });
+
+    assert.equal(Artist.updateOne.mock.callCount(), 1);
+    assert.deepEqual(Artist.updateOne.mock.calls[0].arguments[1], { $unset: { payoutLockedUntil: 1 } });
+  });
+
+  it('refuse une demande pendant qu\'une autre est en cours', async () => {
+    Artist.findOneAndUpdate.mock.mockImplementation(async () => null);
+
+    await assert.rejects(request(5000), { statusCode: 409 });
+    assert.equal(Payout.create.mock.callCount(), 0);
+  });
+
+  it('refuse un montant non entier ou inférieur au minimum', async () => {
+    await assert.rejects(request(999), { statusCode: 400 });
+    await assert.rejects(request(1500.5), { statusCode: 400 });
+  });
+
+  describe('canTransition', () => {
+    it('suit le cycle de vie d\'un retrait', () => {
+      assert.equal(payoutService.canTransition('requested', 'processing'), true);
+      assert.equal(payoutService.canTransition('requested', 'failed'), true);
+      assert.equal(payoutService.canTransition('processing', 'completed'), true);
+    });
+
+    it('refuse toute transition depuis un statut final', () => {
+      assert.equal(payoutService.canTransition('completed', 'failed'), false);
+      assert.equal(payoutService.canTransition('failed', 'processing'), false);
+      assert.equal(payoutService.canTransition('unknown', 'completed'), false);
+    });
+  });
+});
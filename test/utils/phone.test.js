@@ -0,0 +1,93 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const phone = require('../../src/utils/phone');
+
+describe('phone', () => {
+  describe('normalize', () => {
+    const cases = [
+      // Numéros ivoiriens actuels (10 chiffres, le 0 initial fait partie du numéro)
+      ['0700954748', '+2250700954748'],
+      ['07 00 95 47 48', '+2250700954748'],
+      ['07.00.95.47.48', '+2250700954748'],
+      ['07-00-95-47-48', '+2250700954748'],
+      [' 0700954748 ', '+2250700954748'],
+      ['+2250700954748', '+2250700954748'],
+      ['+225 07 00 95 47 48', '+2250700954748'],
+      ['(+225) 07 00 95 47 48', '+2250700954748'],
+      ['002250700954748', '+2250700954748'],
+      ['00 225 07 00 95 47 48', '+2250700954748'],
+      ['0505123456', '+2250505123456'],
+      ['0101123456', '+2250101123456'],
+      ['2722445566', '+2252722445566'],
+      // Anciens numéros mobiles à 8 chiffres: préfixe de l'opérateur selon le deuxième chiffre
+      ['07095474', '+2250707095474'],
+      ['08 12 34 56', '+2250708123456'],
+      ['+225 49 12 34 56', '+2250749123456'],
+      ['05123456', '+2250505123456'],
+      ['00225 66 12 34 56', '+2250566123456'],
+      ['01123456', '+2250101123456'],
+      ['40 12 34 56', '+2250140123456'],
+      ['73123456', '+2250173123456'],
+      // Anciens fixes: non convertis
+      ['22 44 55 66', '+22522445566'],
+      // Autres pays
+      ['+33 6 12 34 56 78', '+33612345678'],
+      ['00221771234567', '+221771234567'],
+      // Sans chiffre
+      ['', ''],
+      [null, ''],
+      ['abc', '']
+    ];
+
+    cases.forEach(([input, expected]) => {
+      it(`${JSON.stringify(input)} -> ${JSON.stringify(expected)}`, () => {
+        assert.equal(phone.normalize(input), expected);
+      });
+    });
+
+    it('ne modifie pas un numéro déjà normalisé', () => {
+      ['+2250700954748', '+2250707095474', '+33612345678'].forEach(e164 => {
+        assert.equal(phone.normalize(e164), e164);
+      });
+    });
+  });
+
+  describe('isValid', () => {
+    const cases = [
+      ['+2250700954748', true],
+      ['+2250707095474', true],
+      ['+33612345678', true],
+      ['+221771234567', true],
+      ['+22522445566', false],
+      ['+225070095474', false],
+      ['+22507009547481', false],
+      ['+0700954748', false],
+      ['0700954748', false],
+      ['+1234567', false],
+      ['', false]
+    ];
+
+    cases.forEach(([e164, expected]) => {
+      it(`${JSON.stringify(e164)} -> ${expected}`, () => {
+        assert.equal(phone.isValid(e164), expected);
+      });
+    });
+  });
+
+  describe('getCountry', () => {
+    it('reconnaît l\'indicatif du numéro', () => {
+      assert.equal(phone.getCountry('+2250700954748'), 'CI');
+      assert.equal(phone.getCountry('+221771234567'), 'SN');
+      assert.equal(phone.getCountry('+33612345678'), 'FR');
+      assert.equal(phone.getCountry('+14155550123'), '');
+    });
+  });
+
+  describe('assertUnchanged', () => {
+    it('accepte le même numéro sous une autre forme et refuse un autre numéro', () => {
+      phone.assertUnchanged('+2250700954748', undefined);
+      phone.assertUnchanged('+2250700954748', '07 00 95 47 48');
+      assert.throws(() => phone.assertUnchanged('+2250700954748', '0505123456'), { statusCode: 400 });
+    });
+  });
+});
@@ -0,0 +1,106 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const pricing = require('../../src/utils/pricing');
+
+const quote = { amount: 100000, serviceFee: 10000, totalAmount: 110000 };
+const schedule = { deposit: { amount: 30000, serviceFee: 3000 } };
+
+const payment = (status, amount, serviceFee, refundedAmount = 0) => ({
+  status,
+  amount,
+  serviceFee,
+  totalAmount: amount + serviceFee,
+  refundedAmount
+});
+
+describe('pricing.computePaymentAmounts', () => {
+  describe('full', () => {
+    it('reprend les montants du devis', () => {
+      assert.deepEqual(pricing.computePaymentAmounts(quote, 'full'), {
+        amount: 100000,
+        serviceFee: 10000,
+        totalAmount: 110000
+      });
+    });
+
+    it('ignore les paiements échoués', () => {
+      const previous = [payment('failed', 100000, 10000)];
+      assert.equal(pricing.computePaymentAmounts(quote, 'full', previous).totalAmount, 110000);
+    });
+
+    it('refuse un second paiement, même en attente ou remboursé (409)', () => {
+      ['pending', 'processing', 'completed', 'refunded'].forEach(status => {
+        assert.throws(
+          () => pricing.computePaymentAmounts(quote, 'full', [payment(status, 100000, 10000, status === 'refunded' ? 110000 : 0)]),
+          { statusCode: 409 }
+        );
+      });
+    });
+  });
+
+  describe('advance', () => {
+    it('reprend les montants de l\'acompte de l\'échéancier', () => {
+      assert.deepEqual(pricing.computePaymentAmounts(quote, 'advance', [], schedule), {
+        amount: 30000,
+        serviceFee: 3000,
+        totalAmount: 33000
+      });
+    });
+
+    it('refuse un acompte si l\'échéancier n\'en prévoit pas (400)', () => {
+      assert.throws(() => pricing.computePaymentAmounts(quote, 'advance', []), { statusCode: 400 });
+      assert.throws(
+        () => pricing.computePaymentAmounts(quote, 'advance', [], { deposit: { amount: 0, serviceFee: 0 } }),
+        { statusCode: 400 }
+      );
+    });
+
+    it('refuse un second acompte (409)', () => {
+      assert.throws(
+        () => pricing.computePaymentAmounts(quote, 'advance', [payment('processing', 30000, 3000)], schedule),
+        { statusCode: 409 }
+      );
+    });
+  });
+
+  describe('balance', () => {
+    it('refuse le solde sans acompte versé (400)', () => {
+      assert.throws(
+        () => pricing.computePaymentAmounts(quote, 'balance', [payment('failed', 30000, 3000)], schedule),
+        { statusCode: 400 }
+      );
+    });
+
+    it('déduit l\'acompte encaissé', () => {
+      assert.deepEqual(pricing.computePaymentAmounts(quote, 'balance', [payment('completed', 30000, 3000)], schedule), {
+        amount: 70000,
+        serviceFee: 7000,
+        totalAmount: 77000
+      });
+    });
+
+    it('déduit l\'acompte en attente de confirmation', () => {
+      const previous = [payment('pending', 30000, 3000)];
+      assert.equal(pricing.computePaymentAmounts(quote, 'balance', previous, schedule).totalAmount, 77000);
+    });
+
+    it('ne déduit que la part de l\'acompte qui n\'a pas été remboursée', () => {
+      // 11 000 remboursés sur 33 000: 1 000 de commission et 10 000 de montant, au prorata
+      const previous = [payment('partially_refunded', 30000, 3000, 11000)];
+      assert.deepEqual(pricing.computePaymentAmounts(quote, 'balance', previous, schedule), {
+        amount: 80000,
+        serviceFee: 8000,
+        totalAmount: 88000
+      });
+    });
+
+    it('refuse le solde d\'une réservation entièrement réglée (409)', () => {
+      const previous = [payment('completed', 30000, 3000), payment('completed', 70000, 7000)];
+      assert.throws(() => pricing.computePaymentAmounts(quote, 'balance', previous, schedule), { statusCode: 409 });
+    });
+  });
+
+  it('rejette un type de paiement inconnu (400)', () => {
+    assert.throws(() => pricing.computePaymentAmounts(quote, 'installment'), { statusCode: 400 });
+  });
+});
@@ -0,0 +1,110 @@
+const { describe, it, beforeEach, after } = require('node:test');
+const assert = require('node:assert/strict');
+const config = require('../../src/config/rateLimit');
+const rateLimiter = require('../../src/utils/rateLimiter');
+const { setStore, MemoryStore } = require('../../src/utils/rateLimitStores');
+
+const MINUTE = 60 * 1000;
+const NOW = new Date('2026-10-19T12:00:00Z');
+const at = (ms) => new Date(NOW.getTime() + ms);
+
+describe('rateLimiter', () => {
+  let store;
+
+  beforeEach(() => {
+    store = new MemoryStore();
+    setStore(store);
+  });
+
+  after(() => {
+    setStore(null);
+  });
+
+  const fail = async (limits, times, now = NOW) => {
+    let locked = false;
+    for (let i = 0; i < times; i++) {
+      locked = await rateLimiter.registerFailure(limits, now);
+    }
+    return locked;
+  };
+
+  describe('verrouillage', () => {
+    it('verrouille le compte au seuil d\'échecs, pas avant', async () => {
+      const limits = rateLimiter.forLogin('Awa@Example.com', '198.51.100.7');
+      const { maxFailures } = config.lockout.loginAccount;
+
+      assert.equal(await fail(limits, maxFailures - 1), false);
+      await rateLimiter.assertNotLocked(limits, NOW);
+
+      assert.equal(await fail(limits, 1), true);
+      await assert.rejects(rateLimiter.assertNotLocked(limits, NOW), { statusCode: 429, retryAfter: 60 });
+    });
+
+    it('partage le compteur du compte quelle que soit la casse de l\'email', async () => {
+      await fail(rateLimiter.forLogin('awa@example.com', '198.51.100.7'), config.lockout.loginAccount.maxFailures);
+
+      await assert.rejects(
+        rateLimiter.assertNotLocked(rateLimiter.forLogin(' AWA@example.com ', '203.0.113.9'), NOW),
+        { statusCode: 429 }
+      );
+    });
+
+    it('lève le verrouillage à son échéance et double sa durée à chaque récidive', async () => {
+      const limits = rateLimiter.forLogin('awa@example.com', '198.51.100.7');
+      const { maxFailures } = config.lockout.loginAccount;
+
+      await fail(limits, maxFailures);
+      await rateLimiter.assertNotLocked(limits, at(1 * MINUTE));
+
+      await fail(limits, maxFailures, at(1 * MINUTE));
+      await assert.rejects(rateLimiter.assertNotLocked(limits, at(2 * MINUTE)), { retryAfter: 60 });
+      await rateLimiter.assertNotLocked(limits, at(3 * MINUTE));
+    });
+
+    it('plafonne la durée du verrouillage', async () => {
+      const limits = rateLimiter.forTwoFactor('u1', '198.51.100.7').slice(0, 1);
+      const { maxFailures, maxLockMs } = config.lockout.twoFactorAccount;
+      await store.lock(limits[0].key, { lockedUntil: NOW, lockLevel: 10, retentionMs: config.retentionMs, now: NOW });
+
+      await fail(limits, maxFailures);
+
+      await assert.rejects(rateLimiter.assertNotLocked(limits, NOW), { retryAfter: maxLockMs / 1000 });
+    });
+
+    it('remet les compteurs à zéro après une tentative réussie', async () => {
+      const limits = rateLimiter.forLogin('awa@example.com', '198.51.100.7');
+
+      await fail(limits, config.lockout.loginAccount.maxFailures - 1);
+      await rateLimiter.registerSuccess(limits);
+
+      assert.equal(await fail(limits, 1), false);
+      assert.equal((await store.get(limits[0].key, NOW)).count, 1);
+    });
+
+    it('oublie les échecs d\'une fenêtre écoulée', async () => {
+      const limits = rateLimiter.forLogin('awa@example.com', '198.51.100.7');
+      const { maxFailures, windowMs } = config.lockout.loginAccount;
+
+      await fail(limits, maxFailures - 1);
+
+      assert.equal(await fail(limits, 1, at(windowMs)), false);
+    });
+  });
+
+  describe('throttle', () => {
+    it('refuse les envois au-delà du quota de la fenêtre', async () => {
+      const limits = rateLimiter.forCodeSending('+2250701020304', '198.51.100.7');
+      const { max, windowMs } = config.throttle.codeAccount;
+
+      for (let i = 0; i < max; i++) {
+        await rateLimiter.throttle(limits, NOW);
+      }
+      await assert.rejects(rateLimiter.throttle(limits, at(5 * MINUTE)), {
+        statusCode: 429,
+        retryAfter: (windowMs - 5 * MINUTE) / 1000
+      });
+
+      await rateLimiter.throttle(limits, at(windowMs));
+    });
+  });
+});
@@ -0,0 +1,243 @@
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const { LedgerEntry, Payment, Refund, Reservation, Escrow, Artist } = require('../../src/models');
+const ledger = require('../../src/utils/ledger');
+const transactions = require('../../src/utils/transactions');
+const notificationService = require('../../src/utils/notificationService');
+const refundService = require('../../src/utils/refundService');
+
+const ARTIST = '64b0000000000000000000a1';
+const BOOKER = '64b0000000000000000000b1';
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const query = (result) => ({
+  select: () => query(result),
+  then: (resolve, reject) => Promise.resolve(result).then(resolve, reject)
+});
+
+/**
+ * Réservation débutant dans un nombre de jours donné (deux minutes de marge pour la durée du test)
+ */
+const reservationIn = (days) => {
+  const start = new Date(Date.now() + days * DAY_MS + 2 * 60 * 1000).toISOString();
+  return { _id: 'reservation-1', artistId: ARTIST, date: start.slice(0, 10), startTime: start.slice(11, 16) };
+};
+
+describe('refundService', () => {
+  describe('refundCancelledReservation', () => {
+    let payments;
+    let tiers;
+
+    beforeEach(() => {
+      payments = [{ _id: 'payment-1', reference: 'PAY-1', totalAmount: 110000, refundedAmount: 0 }];
+      tiers = [
+        { minDaysBefore: 30, refundPercentage: 100 },
+        { minDaysBefore: 7, refundPercentage: 50 },
+        { minDaysBefore: 0, refundPercentage: 0 }
+      ];
+      mock.method(Payment, 'find', async () => payments);
+      mock.method(Artist, 'findById', () => query({ cancellationPolicy: { tiers } }));
+      mock.method(refundService, 'createRefund', async (payment, params) => ({ payment: payment._id, ...params }));
+    });
+
+    afterEach(() => {
+      mock.restoreAll();
+    });
+
+    const amounts = (refunds) => refunds.map(refund => refund.amount);
+
+    it('rembourse selon le palier de la politique de l\'artiste', async () => {
+      assert.deepEqual(amounts(await refundService.refundCancelledReservation(reservationIn(45), { role: 'booker' })), [110000]);
+      assert.deepEqual(amounts(await refundService.refundCancelledReservation(reservationIn(30), { role: 'booker' })), [110000]);
+      assert.deepEqual(amounts(await refundService.refundCancelledReservation(reservationIn(29), { role: 'booker' })), [55000]);
+      assert.deepEqual(amounts(await refundService.refundCancelledReservation(reservationIn(7), { role: 'booker' })), [55000]);
+      assert.deepEqual(amounts(await refundService.refundCancelledReservation(reservationIn(6), { role: 'booker' })), []);
+    });
+
+    it('enregistre le palier appliqué sur le remboursement', async () => {
+      const [refund] = await refundService.refundCancelledReservation(reservationIn(10), { role: 'booker' });
+
+      assert.deepEqual(refund.policy, { daysBefore: 10, refundPercentage: 50 });
+    });
+
+    it('applique la politique par défaut si l\'artiste n\'en a pas', async () => {
+      tiers = [];
+
+      assert.deepEqual(amounts(await refundService.refundCancelledReservation(reservationIn(20), { role: 'booker' })), [110000]);
+      assert.deepEqual(amounts(await refundService.refundCancelledReservation(reservationIn(3), { role: 'booker' })), [55000]);
+    });
+
+    it('rembourse intégralement une annulation par l\'artiste ou un administrateur', async () => {
+      for (const role of ['artist', 'admin']) {
+        assert.deepEqual(amounts(await refundService.refundCancelledReservation(reservationIn(1), { role })), [110000]);
+      }
+      assert.equal(Artist.findById.mock.callCount(), 0);
+    });
+
+    it('déduit les montants déjà remboursés', async () => {
+      payments = [
+        { _id: 'payment-1', reference: 'PAY-1', totalAmount: 110000, refundedAmount: 20000 },
+        { _id: 'payment-2', reference: 'PAY-2', totalAmount: 40000, refundedAmount: 20000 }
+      ];
+
+      const refunds = await refundService.refundCancelledReservation(reservationIn(10), { role: 'booker' });
+
+      assert.deepEqual(refunds.map(refund => [refund.payment, refund.amount]), [['payment-1', 35000]]);
+    });
+  });
+
+  describe('grand livre après un remboursement', () => {
+    let lines;
+    let payment;
+    let reservation;
+    let refunds;
+
+    const PAYMENT = {
+      _id: 'payment-1',
+      reference: 'PAY-1',
+      status: 'completed',
+      provider: 'simulator',
+      payer: BOOKER,
+      payee: ARTIST,
+      reservation: 'reservation-1',
+      amount: 100000,
+      serviceFee: 10000,
+      totalAmount: 110000,
+      refundedAmount: 0
+    };
+
+    beforeEach(async () => {
+      lines = [];
+      refunds = [];
+      transactions.supported = false;
+      payment = { ...PAYMENT, save: async () => {} };
+      reservation = { _id: 'reservation-1', paymentStatus: 'paid', save: async () => {} };
+
+      // Grand livre en mémoire: écritures uniques par journal, soldes agrégés par compte et par nature
+      mock.method(LedgerEntry, 'insertMany', async (docs) => {
+        if (lines.some(line => line.journal === docs[0].journal)) {
+          throw Object.assign(new Error('E11000 duplicate key error'), { code: 11000 });
+        }
+        lines.push(...docs.map(doc => ({ debit: 0, credit: 0, ...doc })));
+      });
+      mock.method(LedgerEntry, 'aggregate', async ([{ $match }]) => {
+        const groups = new Map();
+        lines
+          .filter(line => (!$match.owner || String(line.owner) === String($match.owner)) &&
+            (!$match.account || $match.account.$in.includes(line.account)))
+          .forEach(line => {
+            const key = `${line.account}:${line.kind}`;
+            const group = groups.get(key) || { _id: { account: line.account, kind: line.kind }, debit: 0, credit: 0 };
+            group.debit += line.debit;
+            group.credit += line.credit;
+            groups.set(key, group);
+          });
+        return [...groups.values()];
+      });
+
+      mock.method(Payment, 'findOneAndUpdate', async (filter, update) => {
+        if (payment.refundedAmount + update.$inc.refundedAmount > payment.totalAmount) {
+          return null;
+        }
+        payment.refundedAmount += update.$inc.refundedAmount;
+        return { refundedAmount: payment.refundedAmount };
+      });
+      mock.method(Payment, 'findById', async () => payment);
+      mock.method(Payment, 'find', () => query([payment]));
+      mock.method(Escrow, 'findOneAndUpdate', async () => ({ _id: 'escrow-1' }));
+      mock.method(Refund, 'create', async (data) => {
+        const refund = { _id: `refund-${refunds.length + 1}`, reference: `RF-${refunds.length + 1}`, status: 'requested', ...data };
+        refunds.push(refund);
+        return refund;
+      });
+      mock.method(Refund, 'findOneAndUpdate', async (filter, update) => {
+        const refund = refunds.find(r => r._id === filter._id && r.status === filter.status);
+        return refund ? Object.assign(refund, update) : null;
+      });
+      mock.method(Refund, 'find', () => query(refunds.filter(refund => refund.status === 'completed')));
+      mock.method(Reservation, 'findById', async () => reservation);
+      mock.method(notificationService, 'notifyPayment', async () => {});
+      // Le remboursement chez l'opérateur n'est pas testé ici
+      mock.method(refundService, 'initiate', async (refund) => refund);
+
+      await ledger.recordPayment(PAYMENT);
+    });
+
+    afterEach(() => {
+      mock.restoreAll();
+      transactions.supported = null;
+    });
+
+    const refund = async (amount) => refundService.applyStatus(
+      await refundService.createRefund(payment, { amount, role: 'admin' }),
+      'completed'
+    );
+
+    it('reprend la commission et la part de l\'artiste au prorata', async () => {
+      const completed = await refund(55000);
+
+      assert.equal(completed.feeAmount, 5000);
+      assert.equal(completed.artistAmount, 50000);
+      assert.equal(completed.artistAccount, 'artist_escrow');
+      assert.deepEqual(await ledger.getPlatformTotals(), {
+        collected: 110000,
+        refunded: 55000,
+        platformFees: 5000,
+        artistRevenue: 50000,
+        held: 50000,
+        payable: 0,
+        paidOut: 0
+      });
+      assert.deepEqual(await ledger.getArtistBalance(ARTIST), { held: 50000, available: 0, paidOut: 0 });
+      assert.equal(payment.status, 'partially_refunded');
+      assert.equal(reservation.paymentStatus, 'partially_refunded');
+    });
+
+    it('solde tous les comptes après un remboursement intégral', async () => {
+      await refund(55000);
+      await refund(55000);
+
+      assert.deepEqual(await ledger.getPlatformTotals(), {
+        collected: 110000,
+        refunded: 110000,
+        platformFees: 0,
+        artistRevenue: 0,
+        held: 0,
+        payable: 0,
+        paidOut: 0
+      });
+      assert.equal(payment.status, 'refunded');
+      assert.equal(reservation.paymentStatus, 'refunded');
+    });
+
+    it('garde chaque écriture équilibrée et ne la passe qu\'une fois', async () => {
+      const completed = await refund(30000);
+      await refundService.handleCompleted(completed);
+
+      const journal = lines.filter(line => line.journal === `refund:${completed._id}`);
+      assert.equal(journal.reduce((sum, line) => sum + line.debit, 0), journal.reduce((sum, line) => sum + line.credit, 0));
+      assert.equal((await ledger.getPlatformTotals()).refunded, 30000);
+    });
+
+    it('refuse de rembourser plus que le montant restant', async () => {
+      await refund(100000);
+
+      await assert.rejects(refundService.createRefund(payment, { amount: 10001 }), { statusCode: 400 });
+      assert.equal((await ledger.getPlatformTotals()).refunded, 100000);
+    });
+  });
+
+  describe('canTransition', () => {
+    it('suit le cycle de vie d\'un remboursement', () => {
+      assert.equal(refundService.canTransition('requested', 'processing'), true);
+      assert.equal(refundService.canTransition('requested', 'completed'), true);
+      assert.equal(refundService.canTransition('processing', 'failed'), true);
+    });
+
+    it('refuse toute transition depuis un statut final', () => {
+      assert.equal(refundService.canTransition('completed', 'failed'), false);
+      assert.equal(refundService.canTransition('failed', 'completed'), false);
+      assert.equal(refundService.canTransition('processing', 'requested'), false);
+    });
+  });
+});
@@ -0,0 +1,90 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const reservationStateMachine = require('../../src/utils/reservationStateMachine');
+
+const newReservation = (status) => ({ status, statusHistory: [] });
+
+describe('reservationStateMachine', () => {
+  describe('canTransition', () => {
+    it('autorise les transitions du graphe', () => {
+      assert.equal(reservationStateMachine.canTransition('pending', 'confirmed'), true);
+      assert.equal(reservationStateMachine.canTransition('pending', 'cancelled'), true);
+      assert.equal(reservationStateMachine.canTransition('confirmed', 'completed'), true);
+      assert.equal(reservationStateMachine.canTransition('confirmed', 'cancelled'), true);
+    });
+
+    it('refuse les transitions hors du graphe', () => {
+      assert.equal(reservationStateMachine.canTransition('pending', 'completed'), false);
+      assert.equal(reservationStateMachine.canTransition('completed', 'cancelled'), false);
+      assert.equal(reservationStateMachine.canTransition('cancelled', 'pending'), false);
+      assert.equal(reservationStateMachine.canTransition('unknown', 'pending'), false);
+    });
+
+    it('vérifie le rôle lorsqu\'il est fourni', () => {
+      assert.equal(reservationStateMachine.canTransition('pending', 'confirmed', 'artist'), true);
+      assert.equal(reservationStateMachine.canTransition('pending', 'confirmed', 'booker'), false);
+      assert.equal(reservationStateMachine.canTransition('confirmed', 'cancelled', 'booker'), true);
+    });
+  });
+
+  describe('getAllowedTransitions', () => {
+    it('liste les statuts accessibles pour un rôle', () => {
+      assert.deepEqual(reservationStateMachine.getAllowedTransitions('pending', 'booker'), ['cancelled']);
+      assert.deepEqual(reservationStateMachine.getAllowedTransitions('pending', 'artist'), ['confirmed', 'cancelled']);
+      assert.deepEqual(reservationStateMachine.getAllowedTransitions('completed', 'admin'), []);
+    });
+  });
+
+  describe('transition', () => {
+    it('change le statut et l\'enregistre dans l\'historique', () => {
+      const reservation = newReservation('pending');
+
+      const from = reservationStateMachine.transition(reservation, 'confirmed', {
+        actor: 'artist-id',
+        role: 'artist',
+        reason: 'Disponible'
+      });
+
+      assert.equal(from, 'pending');
+      assert.equal(reservation.status, 'confirmed');
+      assert.equal(reservation.statusHistory.length, 1);
+      const { createdAt, ...entry } = reservation.statusHistory[0];
+      assert.ok(createdAt instanceof Date);
+      assert.deepEqual(entry, { from: 'pending', to: 'confirmed', actor: 'artist-id', role: 'artist', reason: 'Disponible' });
+    });
+
+    it('rejette un statut inconnu (400)', () => {
+      const reservation = newReservation('pending');
+      assert.throws(
+        () => reservationStateMachine.transition(reservation, 'archived', { role: 'admin' }),
+        { statusCode: 400 }
+      );
+      assert.equal(reservation.status, 'pending');
+    });
+
+    it('rejette une transition hors du graphe (409)', () => {
+      const reservation = newReservation('completed');
+      assert.throws(
+        () => reservationStateMachine.transition(reservation, 'cancelled', { role: 'admin' }),
+        { statusCode: 409 }
+      );
+      assert.equal(reservation.statusHistory.length, 0);
+    });
+
+    it('rejette un rôle non autorisé (403)', () => {
+      const reservation = newReservation('pending');
+      assert.throws(
+        () => reservationStateMachine.transition(reservation, 'confirmed', { role: 'booker' }),
+        { statusCode: 403 }
+      );
+      assert.equal(reservation.status, 'pending');
+    });
+
+    it('attribue la transition au système par défaut', () => {
+      const reservation = newReservation('confirmed');
+      reservationStateMachine.transition(reservation, 'completed');
+      assert.equal(reservation.statusHistory[0].role, 'system');
+      assert.equal(reservation.statusHistory[0].actor, null);
+    });
+  });
+});
@@ -0,0 +1,129 @@
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const { Session, User } = require('../../src/models');
+const sessionService = require('../../src/utils/sessionService');
+const jwtKeyring = require('../../src/utils/jwtKeyring');
+
+const USER_ID = '64b000000000000000000001';
+
+const USER = {
+  _id: USER_ID,
+  isActive: true,
+  generateAuthToken: (sessionId) => `access:${sessionId}`
+};
+
+const request = (userAgent = 'Mozilla/5.0 (iPhone; CPU iPhone OS 17_0 like Mac OS X)') => ({
+  ip: '198.51.100.7',
+  body: {},
+  get: (name) => (name === 'user-agent' ? userAgent : undefined)
+});
+
+// Évaluer les filtres utilisés par le service sur une session en mémoire
+const matches = (session, filter) => Object.entries(filter).every(([field, expected]) => {
+  const value = session[field];
+  if (expected && typeof expected === 'object' && '$ne' in expected) {
+    return String(value) !== String(expected.$ne);
+  }
+  if (expected === null) {
+    return value === null || value === undefined;
+  }
+  return String(value) === String(expected);
+});
+
+describe('sessionService', () => {
+  let sessions;
+
+  beforeEach(() => {
+    sessions = [];
+    mock.method(Session.prototype, 'save', async function save() {
+      sessions.push(this.toObject());
+      return this;
+    });
+    mock.method(Session, 'findOneAndUpdate', async (filter, update, options = {}) => {
+      const session = sessions.find(candidate => matches(candidate, filter));
+      if (!session) {
+        return null;
+      }
+      const before = { ...session };
+      const { $inc = {}, ...fields } = update;
+      Object.assign(session, fields);
+      Object.entries($inc).forEach(([field, amount]) => { session[field] = (session[field] || 0) + amount; });
+      return options.new ? { ...session } : before;
+    });
+    mock.method(Session, 'updateOne', async (filter, update) => {
+      const session = sessions.find(candidate => matches(candidate, filter));
+      if (session) {
+        Object.assign(session, update);
+      }
+      return { modifiedCount: session ? 1 : 0 };
+    });
+    mock.method(User, 'findById', async () => USER);
+    mock.method(console, 'warn', () => {});
+  });
+
+  afterEach(() => {
+    mock.restoreAll();
+  });
+
+  it('ouvre une session nommée d\'après l\'appareil', async () => {
+    const { session, token, refreshToken } = await sessionService.create(USER, request());
+
+    assert.equal(session.deviceLabel, 'iPhone');
+    assert.equal(token, `access:${session._id}`);
+    assert.equal(typeof refreshToken, 'string');
+    assert.equal(sessions.length, 1);
+    assert.ok(sessions[0].expiresAt > new Date());
+  });
+
+  it('remplace le refresh token à chaque rotation', async () => {
+    const { refreshToken } = await sessionService.create(USER, request());
+
+    const rotated = await sessionService.rotate(refreshToken, request());
+
+    assert.notEqual(rotated.refreshToken, refreshToken);
+    assert.equal(sessions[0].rotationCount, 1);
+    assert.equal(sessions[0].revokedAt, null);
+    await sessionService.rotate(rotated.refreshToken, request());
+    assert.equal(sessions[0].rotationCount, 2);
+  });
+
+  it('révoque toute la session lorsqu\'un ancien refresh token est rejoué', async () => {
+    const { refreshToken: stolen } = await sessionService.create(USER, request());
+    const { refreshToken: current } = await sessionService.rotate(stolen, request());
+
+    await assert.rejects(sessionService.rotate(stolen, request()), { statusCode: 401 });
+
+    assert.ok(sessions[0].revokedAt instanceof Date);
+    assert.equal(sessions[0].revokedReason, 'reuse_detected');
+    // Le dernier jeton émis pour la famille est lui aussi inutilisable
+    await assert.rejects(sessionService.rotate(current, request()), { statusCode: 401 });
+  });
+
+  it('ne touche pas aux autres sessions de l\'utilisateur', async () => {
+    const { refreshToken: stolen } = await sessionService.create(USER, request());
+    const { refreshToken: otherDevice } = await sessionService.create(USER, request('Android'));
+    await sessionService.rotate(stolen, request());
+
+    await assert.rejects(sessionService.rotate(stolen, request()), { statusCode: 401 });
+
+    assert.equal(sessions[1].revokedAt, null);
+    const rotated = await sessionService.rotate(otherDevice, request('Android'));
+    assert.equal(String(rotated.session._id), String(sessions[1]._id));
+  });
+
+  it('refuse un refresh token invalide ou émis avant les sessions', async () => {
+    await assert.rejects(sessionService.rotate('pas.un.jeton', request()), { statusCode: 401 });
+
+    const legacy = jwtKeyring.sign({ id: USER_ID }, 'refresh');
+    await assert.rejects(sessionService.rotate(legacy, request()), { statusCode: 401, message: 'Refresh token invalide' });
+  });
+
+  it('révoque la session d\'un compte désactivé', async () => {
+    const { refreshToken } = await sessionService.create(USER, request());
+    User.findById.mock.mockImplementation(async () => ({ ...USER, isActive: false }));
+
+    await assert.rejects(sessionService.rotate(refreshToken, request()), { statusCode: 401 });
+
+    assert.equal(sessions[0].revokedReason, 'revoked');
+  });
+});
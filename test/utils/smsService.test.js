@@ -0,0 +1,169 @@
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const { SmsOutbox } = require('../../src/models');
+const smsTransports = require('../../src/utils/smsTransports');
+const smsConfig = require('../../src/config/sms');
+const smsService = require('../../src/utils/smsService');
+
+const NOW = new Date('2026-10-19T10:00:00Z');
+const SECOND_MS = 1000;
+
+describe('smsService', () => {
+  let outbox;
+  let sent;
+  let failures;
+  let config;
+
+  beforeEach(() => {
+    outbox = [];
+    sent = [];
+    failures = 0;
+    config = { ...smsConfig };
+    Object.assign(smsConfig, { transport: 'console', countryTransports: {}, maxAttempts: 4, retryBaseSeconds: 60 });
+    mock.timers.enable({ apis: ['Date'], now: NOW });
+    mock.method(console, 'error', () => {});
+
+    // Transport qui échoue autant de fois que demandé avant d'accepter les messages
+    mock.method(smsTransports, 'getTransportByName', () => ({
+      send: async (params) => {
+        if (failures > 0) {
+          failures--;
+          throw new Error('Passerelle indisponible');
+        }
+        sent.push(params);
+        return { providerMessageId: `msg-${sent.length}`, status: 'sent' };
+      }
+    }));
+
+    // File en mémoire: la réservation d'un message reproduit le filtre de processOutbox
+    mock.method(SmsOutbox, 'create', async (data) => {
+      const message = { _id: `sms-${outbox.length + 1}`, attempts: 0, updatedAt: new Date(), ...data };
+      message.save = async () => { message.updatedAt = new Date(); };
+      outbox.push(message);
+      return message;
+    });
+    mock.method(SmsOutbox, 'findOneAndUpdate', async (filter, update) => {
+      const message = outbox
+        .filter(m => m.sensitive === filter.sensitive && filter.$or.some(condition =>
+          m.status === condition.status && (condition.status === 'queued'
+            ? m.nextAttemptAt <= condition.nextAttemptAt.$lte
+            : m.updatedAt <= condition.updatedAt.$lte)))
+        .sort((a, b) => a.nextAttemptAt - b.nextAttemptAt)[0];
+      return message ? Object.assign(message, update) : null;
+    });
+    mock.method(SmsOutbox, 'findOne', async ({ transport, providerMessageId }) =>
+      outbox.find(m => m.transport === transport && m.providerMessageId === providerMessageId) || null);
+  });
+
+  afterEach(() => {
+    Object.assign(smsConfig, config);
+    mock.timers.reset();
+    mock.restoreAll();
+  });
+
+  const advance = (ms) => mock.timers.tick(ms);
+
+  it('envoie immédiatement un message et enregistre la référence du fournisseur', async () => {
+    const message = await smsService.send('07 00 95 47 48', 'BookMi: réservation confirmée');
+
+    assert.equal(message.to, '+2250700954748');
+    assert.equal(message.country, 'CI');
+    assert.equal(message.status, 'sent');
+    assert.equal(message.attempts, 1);
+    assert.equal(message.providerMessageId, 'msg-1');
+    assert.deepEqual(sent[0], { to: '+2250700954748', body: 'BookMi: réservation confirmée', sender: 'BookMi', messageId: 'sms-1' });
+  });
+
+  it('achemine le message par le transport du pays du destinataire', async () => {
+    smsConfig.countryTransports = { CI: 'orange' };
+
+    assert.equal((await smsService.send('+2250700954748', 'Bonjour')).transport, 'orange');
+    assert.equal((await smsService.send('+221771234567', 'Bonjour')).transport, 'console');
+  });
+
+  it('double le délai entre deux tentatives puis abandonne', async () => {
+    failures = 10;
+    const message = await smsService.send('+2250700954748', 'Bonjour');
+
+    const delays = [];
+    while (message.status === 'queued') {
+      delays.push((message.nextAttemptAt - Date.now()) / SECOND_MS);
+      advance(message.nextAttemptAt - Date.now());
+      assert.equal(await smsService.processOutbox(new Date()), 1);
+    }
+
+    assert.deepEqual(delays, [60, 120, 240]);
+    assert.equal(message.attempts, 4);
+    assert.equal(message.status, 'failed');
+    assert.equal(message.lastError, 'Passerelle indisponible');
+    assert.ok(message.failedAt);
+  });
+
+  it('ne renvoie pas un message avant l\'échéance de la nouvelle tentative', async () => {
+    failures = 1;
+    const message = await smsService.send('+2250700954748', 'Bonjour');
+
+    advance(59 * SECOND_MS);
+    assert.equal(await smsService.processOutbox(new Date()), 0);
+
+    advance(SECOND_MS);
+    assert.equal(await smsService.processOutbox(new Date()), 1);
+    assert.equal(message.status, 'sent');
+    assert.equal(message.attempts, 2);
+    assert.equal(message.lastError, '');
+    assert.equal(sent.length, 1);
+  });
+
+  it('enregistre masqué et n\'envoie qu\'une fois un message sensible', async () => {
+    failures = 1;
+    const message = await smsService.send('+2250700954748', 'Votre code BookMi: 482913', { sensitive: true });
+
+    assert.equal(message.body, 'Votre code BookMi: ••••••');
+    assert.equal(message.status, 'failed');
+
+    advance(60 * 60 * SECOND_MS);
+    assert.equal(await smsService.processOutbox(new Date()), 0);
+
+    failures = 0;
+    await smsService.send('+2250700954748', 'Votre code BookMi: 482913', { sensitive: true });
+    assert.equal(sent[0].body, 'Votre code BookMi: 482913');
+  });
+
+  it('garde un message différé dans la file jusqu\'à la fin des heures calmes', async () => {
+    const sendAt = new Date(NOW.getTime() + 8 * 60 * 60 * SECOND_MS);
+    const message = await smsService.send('+2250700954748', 'Bonjour', { sendAt });
+
+    assert.equal(message.status, 'queued');
+    assert.equal(message.attempts, 0);
+    assert.equal(await smsService.processOutbox(new Date()), 0);
+
+    advance(sendAt - Date.now());
+    assert.equal(await smsService.processOutbox(new Date()), 1);
+    assert.equal(message.status, 'sent');
+  });
+
+  it('reprend un envoi interrompu resté en cours', async () => {
+    const message = await SmsOutbox.create({
+      to: '+2250700954748', transport: 'console', sender: 'BookMi', body: 'Bonjour',
+      sensitive: false, status: 'sending', nextAttemptAt: new Date()
+    });
+
+    advance(4 * 60 * SECOND_MS);
+    assert.equal(await smsService.processOutbox(new Date()), 0);
+
+    advance(60 * SECOND_MS);
+    assert.equal(await smsService.processOutbox(new Date()), 1);
+    assert.equal(message.status, 'sent');
+  });
+
+  it('ne fait pas reculer un message sur un accusé de réception tardif', async () => {
+    const message = await smsService.send('+2250700954748', 'Bonjour');
+
+    await smsService.applyDeliveryReport('console', { providerMessageId: 'msg-1', status: 'delivered' });
+    await smsService.applyDeliveryReport('console', { providerMessageId: 'msg-1', status: 'sent' });
+    await smsService.applyDeliveryReport('console', { providerMessageId: 'msg-1', status: 'failed', reason: 'Expiré' });
+
+    assert.equal(message.status, 'delivered');
+    assert.equal(await smsService.applyDeliveryReport('console', { providerMessageId: 'inconnu', status: 'delivered' }), null);
+  });
+});
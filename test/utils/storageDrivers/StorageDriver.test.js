@@ -0,0 +1,27 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+const StorageDriver = require('../../../src/utils/storageDrivers/StorageDriver');
+
+describe('StorageDriver.contentDisposition', () => {
+  it('propose un nom ASCII et le nom UTF-8 d\'un fichier accentué', () => {
+    assert.equal(
+      StorageDriver.contentDisposition('Pièce d\'identité.pdf'),
+      'inline; filename="Piece d\'identite.pdf"; filename*=UTF-8\'\'Pi%C3%A8ce%20d%27identit%C3%A9.pdf'
+    );
+  });
+
+  it('produit un en-tête HTTP valide quel que soit le nom', () => {
+    ['Élodie Kouassi – CNI.pdf', '身份证.png', 'a"b\\c.pdf', 'ligne\r\nSet-Cookie: x=1'].forEach(filename => {
+      assert.doesNotThrow(() => http.validateHeaderValue('Content-Disposition', StorageDriver.contentDisposition(filename)));
+    });
+  });
+
+  it('neutralise les guillemets et barres obliques inverses du nom ASCII', () => {
+    assert.match(StorageDriver.contentDisposition('a"b\\c.pdf'), /filename="a_b_c\.pdf"/);
+  });
+
+  it('accepte le type attachment', () => {
+    assert.match(StorageDriver.contentDisposition('cv.pdf', 'attachment'), /^attachment; filename="cv\.pdf"/);
+  });
+});
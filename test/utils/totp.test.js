@@ -0,0 +1,77 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const totp = require('../../src/utils/totp');
+
+// Secret des vecteurs de test de la RFC 6238 (annexe B, HMAC-SHA1): "12345678901234567890"
+const RFC_SECRET = totp.base32Encode(Buffer.from('12345678901234567890', 'ascii'));
+
+const at = (seconds) => new Date(seconds * 1000);
+
+describe('totp', () => {
+  it('encode et décode le base32 de la RFC 4648', () => {
+    assert.equal(RFC_SECRET, 'GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ');
+    assert.equal(totp.base32Encode(Buffer.from('foobar')), 'MZXW6YTBOI');
+    assert.equal(totp.base32Decode('mzxw 6ytb-oi==').toString(), 'foobar');
+    assert.throws(() => totp.base32Decode('MZXW1'), /Secret base32 invalide/);
+  });
+
+  it('génère un secret de 160 bits', () => {
+    const secret = totp.generateSecret();
+
+    assert.match(secret, /^[A-Z2-7]{32}$/);
+    assert.equal(totp.base32Decode(secret).length, 20);
+  });
+
+  describe('vecteurs de la RFC 6238', () => {
+    // Codes à 8 chiffres de la RFC; les 6 derniers chiffres forment le code à 6 chiffres
+    const vectors = [
+      [59, '94287082'],
+      [1111111109, '07081804'],
+      [1111111111, '14050471'],
+      [1234567890, '89005924'],
+      [2000000000, '69279037'],
+      [20000000000, '65353130']
+    ];
+
+    vectors.forEach(([seconds, expected]) => {
+      it(`T = ${seconds}`, () => {
+        const code = expected.slice(-6);
+        assert.equal(totp.generate(RFC_SECRET, totp.stepAt(at(seconds))), code);
+        assert.equal(totp.verify(RFC_SECRET, code, at(seconds)), Math.floor(seconds / 30));
+      });
+    });
+  });
+
+  describe('verify', () => {
+    const NOW = at(1111111111);
+    const step = totp.stepAt(NOW);
+
+    it('tolère un pas de 30 secondes avant et après l\'heure du serveur', () => {
+      assert.equal(totp.verify(RFC_SECRET, totp.generate(RFC_SECRET, step - 1), NOW), step - 1);
+      assert.equal(totp.verify(RFC_SECRET, totp.generate(RFC_SECRET, step + 1), NOW), step + 1);
+    });
+
+    it('refuse un code de deux pas d\'écart ou plus', () => {
+      assert.equal(totp.verify(RFC_SECRET, totp.generate(RFC_SECRET, step - 2), NOW), null);
+      assert.equal(totp.verify(RFC_SECRET, totp.generate(RFC_SECRET, step + 2), NOW), null);
+    });
+
+    it('ignore les espaces et refuse un code mal formé', () => {
+      assert.equal(totp.verify(RFC_SECRET, '050 471', NOW), step);
+      ['', '05047', '0504711', 'abcdef', null].forEach(code => {
+        assert.equal(totp.verify(RFC_SECRET, code, NOW), null);
+      });
+    });
+  });
+
+  it('construit l\'URI otpauth à scanner', () => {
+    const uri = new URL(totp.otpauthUri(RFC_SECRET, 'awa@example.com'));
+
+    assert.equal(uri.protocol, 'otpauth:');
+    assert.equal(uri.host, 'totp');
+    assert.equal(decodeURIComponent(uri.pathname), '/BookMi:awa@example.com');
+    assert.equal(uri.searchParams.get('secret'), RFC_SECRET);
+    assert.equal(uri.searchParams.get('digits'), '6');
+    assert.equal(uri.searchParams.get('period'), '30');
+  });
+});
@@ -0,0 +1,43 @@
+const { describe, it, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const transactions = require('../../src/utils/transactions');
+
+/**
+ * Connexion dont la commande hello renvoie une réponse donnée
+ */
+const connection = (hello) => ({ db: { admin: () => ({ command: async () => hello }) } });
+
+describe('transactions', () => {
+  const nodeEnv = process.env.NODE_ENV;
+
+  afterEach(() => {
+    transactions.supported = null;
+    process.env.NODE_ENV = nodeEnv;
+  });
+
+  describe('detect', () => {
+    it('reconnaît un membre de replica set', async () => {
+      assert.equal(await transactions.detect(connection({ isWritablePrimary: true, setName: 'rs0' })), true);
+    });
+
+    it('reconnaît un routeur de cluster shardé', async () => {
+      assert.equal(await transactions.detect(connection({ isWritablePrimary: true, msg: 'isdbgrid' })), true);
+    });
+
+    it('signale un serveur autonome', async () => {
+      assert.equal(await transactions.detect(connection({ isWritablePrimary: true })), false);
+      assert.equal(transactions.supported, false);
+    });
+  });
+
+  describe('run', () => {
+    it('exécute les écritures sans session sur un serveur autonome hors production', async () => {
+      process.env.NODE_ENV = 'development';
+      transactions.supported = false;
+
+      const result = await transactions.run(async (session) => ({ session }));
+
+      assert.deepEqual(result, { session: null });
+    });
+  });
+});
@@ -0,0 +1,119 @@
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const { User } = require('../../src/models');
+const totp = require('../../src/utils/totp');
+const twoFactorService = require('../../src/utils/twoFactorService');
+
+const USER_ID = '64b000000000000000000001';
+
+const query = (result) => ({
+  select: () => query(result),
+  then: (resolve, reject) => Promise.resolve(result).then(resolve, reject)
+});
+
+describe('twoFactorService', () => {
+  let secret;
+  let twoFactor;
+
+  beforeEach(() => {
+    secret = totp.generateSecret();
+    twoFactor = {
+      enabled: true,
+      secret: twoFactorService.encryptSecret(secret),
+      backupCodes: [],
+      lastUsedStep: undefined
+    };
+
+    mock.method(User, 'findById', () => query({ _id: USER_ID, twoFactor }));
+    // Filtres utilisés par verifyCode: dernier pas accepté et présence d'un code de secours
+    mock.method(User, 'updateOne', async (filter, update) => {
+      const lastStep = filter['twoFactor.lastUsedStep'];
+      if (lastStep && twoFactor.lastUsedStep !== undefined && twoFactor.lastUsedStep >= lastStep.$not.$gte) {
+        return { modifiedCount: 0 };
+      }
+      const backupCode = filter['twoFactor.backupCodes'];
+      if (backupCode) {
+        if (!twoFactor.backupCodes.includes(backupCode)) {
+          return { modifiedCount: 0 };
+        }
+        twoFactor.backupCodes = twoFactor.backupCodes.filter(hash => hash !== update.$pull['twoFactor.backupCodes']);
+        return { modifiedCount: 1 };
+      }
+      if (update['twoFactor.lastUsedStep'] !== undefined) {
+        twoFactor.lastUsedStep = update['twoFactor.lastUsedStep'];
+      }
+      return { modifiedCount: 1 };
+    });
+  });
+
+  afterEach(() => {
+    mock.restoreAll();
+  });
+
+  it('chiffre le secret TOTP de façon réversible et authentifiée', () => {
+    const stored = twoFactorService.encryptSecret(secret);
+
+    assert.equal(stored.includes(secret), false);
+    assert.notEqual(stored, twoFactorService.encryptSecret(secret));
+    assert.equal(twoFactorService.decryptSecret(stored), secret);
+
+    const [iv, tag, encrypted] = stored.split(':');
+    const tampered = Buffer.from(encrypted, 'base64');
+    tampered[0] ^= 1;
+    assert.throws(() => twoFactorService.decryptSecret([iv, tag, tampered.toString('base64')].join(':')));
+  });
+
+  describe('verifyCode', () => {
+    it('accepte un code TOTP une seule fois', async () => {
+      const code = totp.generate(secret, totp.stepAt());
+
+      assert.equal(await twoFactorService.verifyCode(USER_ID, { code }), true);
+      assert.equal(await twoFactorService.verifyCode(USER_ID, { code }), false);
+    });
+
+    it('refuse le code d\'un pas antérieur au dernier pas accepté', async () => {
+      const step = totp.stepAt();
+      assert.equal(await twoFactorService.verifyCode(USER_ID, { code: totp.generate(secret, step) }), true);
+
+      assert.equal(await twoFactorService.verifyCode(USER_ID, { code: totp.generate(secret, step - 1) }), false);
+      assert.equal(await twoFactorService.verifyCode(USER_ID, { code: totp.generate(secret, step + 1) }), true);
+    });
+
+    it('refuse un code invalide ou un compte sans double authentification', async () => {
+      const code = totp.generate(secret, totp.stepAt() + 3);
+      assert.equal(await twoFactorService.verifyCode(USER_ID, { code }), false);
+
+      twoFactor.enabled = false;
+      assert.equal(await twoFactorService.verifyCode(USER_ID, { code: totp.generate(secret, totp.stepAt()) }), false);
+    });
+
+    it('consomme un code de secours, quelle que soit sa saisie', async () => {
+      const { codes, hashes } = twoFactorService.generateBackupCodes();
+      twoFactor.backupCodes = hashes;
+
+      assert.equal(await twoFactorService.verifyCode(USER_ID, { backupCode: ` ${codes[0].toLowerCase().replace('-', '')} ` }), true);
+      assert.equal(twoFactor.backupCodes.length, codes.length - 1);
+      assert.equal(await twoFactorService.verifyCode(USER_ID, { backupCode: codes[0] }), false);
+      assert.equal(await twoFactorService.verifyCode(USER_ID, { backupCode: 'AAAAA-AAAAA' }), false);
+    });
+  });
+
+  it('génère des codes de secours distincts, stockés sous forme d\'empreinte', () => {
+    const { codes, hashes } = twoFactorService.generateBackupCodes();
+
+    assert.equal(codes.length, 10);
+    assert.equal(new Set(codes).size, codes.length);
+    codes.forEach((code, i) => {
+      assert.match(code, /^[A-Z2-7]{5}-[A-Z2-7]{5}$/);
+      assert.match(hashes[i], /^[0-9a-f]{64}$/);
+      assert.equal(hashes[i], twoFactorService.hashBackupCode(code));
+    });
+  });
+
+  it('refuse un jeton de challenge qui n\'en est pas un', () => {
+    const challenge = twoFactorService.issueChallenge({ _id: USER_ID });
+
+    assert.equal(twoFactorService.readChallenge(challenge), USER_ID);
+    assert.throws(() => twoFactorService.readChallenge('pas.un.jeton'), { statusCode: 401 });
+  });
+});
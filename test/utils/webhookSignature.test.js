@@ -0,0 +1,73 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const webhookSignature = require('../../src/utils/webhookSignature');
+
+const SECRET = 'whsec_test';
+const BODY = JSON.stringify({ eventId: 'evt_1', transactionId: 'tx_1', status: 'completed' });
+const NOW = Date.parse('2026-10-19T12:00:00Z');
+const TIMESTAMP = Math.floor(NOW / 1000);
+
+const verify = (overrides = {}) => webhookSignature.verify({
+  secret: SECRET,
+  header: webhookSignature.header(SECRET, BODY, TIMESTAMP),
+  rawBody: BODY,
+  toleranceSeconds: 300,
+  now: NOW,
+  ...overrides
+});
+
+describe('webhookSignature', () => {
+  it('calcule le HMAC-SHA256 de "<horodatage>.<corps>"', () => {
+    // Valeur de référence: echo -n "1700000000.{}" | openssl dgst -sha256 -hmac secret
+    assert.equal(
+      webhookSignature.compute('secret', 1700000000, '{}'),
+      'b8569b78799ff9e3cbff0fc2d63a33a2b57f3282abd07c37ae5e8e7d79a5f163'
+    );
+    assert.match(webhookSignature.header(SECRET, BODY, TIMESTAMP), new RegExp(`^t=${TIMESTAMP},v1=[0-9a-f]{64}$`));
+  });
+
+  it('accepte une signature valide', () => {
+    assert.deepEqual(verify(), { valid: true, reason: null, timestamp: TIMESTAMP });
+  });
+
+  it('refuse un corps modifié', () => {
+    const result = verify({ rawBody: BODY.replace('completed', 'failed') });
+    assert.equal(result.valid, false);
+    assert.equal(result.reason, 'Signature invalide');
+  });
+
+  it('refuse une signature calculée avec un autre secret', () => {
+    const result = verify({ header: webhookSignature.header('autre_secret', BODY, TIMESTAMP) });
+    assert.equal(result.valid, false);
+    assert.equal(result.reason, 'Signature invalide');
+  });
+
+  it('refuse un horodatage hors de la fenêtre anti-rejeu, dans le passé comme dans le futur', () => {
+    [TIMESTAMP - 301, TIMESTAMP + 301].forEach(timestamp => {
+      const result = verify({ header: webhookSignature.header(SECRET, BODY, timestamp) });
+      assert.equal(result.valid, false);
+      assert.equal(result.reason, 'Horodatage hors de la fenêtre autorisée');
+    });
+    assert.equal(verify({ header: webhookSignature.header(SECRET, BODY, TIMESTAMP - 300) }).valid, true);
+  });
+
+  it('refuse un horodatage modifié pour rejouer une ancienne signature', () => {
+    const stale = webhookSignature.header(SECRET, BODY, TIMESTAMP - 3600);
+    const signature = stale.split(',v1=')[1];
+    assert.equal(verify({ header: `t=${TIMESTAMP},v1=${signature}` }).valid, false);
+  });
+
+  it('accepte l\'une des signatures d\'un en-tête qui en contient plusieurs (rotation du secret)', () => {
+    const current = webhookSignature.compute(SECRET, TIMESTAMP, BODY);
+    const previous = webhookSignature.compute('ancien_secret', TIMESTAMP, BODY);
+    assert.equal(verify({ header: `t=${TIMESTAMP},v1=${previous},v1=${current}` }).valid, true);
+  });
+
+  it('refuse une signature absente, mal formée ou sans secret configuré', () => {
+    assert.equal(verify({ header: undefined }).reason, 'Signature absente');
+    assert.equal(verify({ header: 'v1=abcd' }).reason, 'En-tête de signature mal formé');
+    assert.equal(verify({ header: `t=${TIMESTAMP}` }).reason, 'En-tête de signature mal formé');
+    assert.equal(verify({ header: `t=${TIMESTAMP},v1=zz` }).valid, false);
+    assert.equal(verify({ secret: undefined }).reason, 'Aucun secret de webhook configuré pour ce fournisseur');
+  });
+});